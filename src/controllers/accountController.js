@@ -0,0 +1,297 @@
+const moment = require('moment');
+const Account = require('../models/Account');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const Transfer = require('../models/Transfer');
+const Reconciliation = require('../models/Reconciliation');
+const { roundAmount } = require('../utils/currencyAmounts');
+const { getBaseCurrency, getExchangeRate } = require('../utils/exchangeRates');
+const { ensureDefaultAccount, getAccountBalances, getAccountRegister } = require('../utils/accounts');
+
+const findAccount = (req) => Account.findOne({ _id: req.params.id, user: req.user.id });
+
+const accountNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Account not found'
+});
+
+const withBalance = (account, balances) => ({
+  ...account.toObject(),
+  ...balances.get(account._id.toString())
+});
+
+// @desc    Get accounts with current balances
+// @route   GET /api/accounts
+// @access  Private
+const getAccounts = async (req, res, next) => {
+  try {
+    await ensureDefaultAccount(req.user.id);
+
+    const query = { user: req.user.id };
+    if (req.query.includeArchived !== 'true') query.isArchived = false;
+
+    const accounts = await Account.find(query).sort({ isDefault: -1, name: 1 });
+    const balances = await getAccountBalances(req.user.id, accounts);
+    const baseCurrency = await getBaseCurrency(req.user.id);
+
+    // Total in the base currency; accounts without a rate are left out and listed
+    let total = 0;
+    const unconverted = [];
+    for (const account of accounts) {
+      const rate = await getExchangeRate(req.user.id, account.currency, baseCurrency, new Date());
+      if (rate) {
+        total += balances.get(account._id.toString()).balance * rate;
+      } else {
+        unconverted.push(account.currency);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        accounts: accounts.map(account => withBalance(account, balances)),
+        totals: {
+          baseCurrency,
+          balance: roundAmount(total),
+          unconvertedCurrencies: [...new Set(unconverted)]
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single account with its balance
+// @route   GET /api/accounts/:id
+// @access  Private
+const getAccount = async (req, res, next) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) return accountNotFound(res);
+
+    const balances = await getAccountBalances(req.user.id, [account]);
+
+    res.status(200).json({
+      success: true,
+      data: { account: withBalance(account, balances) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create account
+// @route   POST /api/accounts
+// @access  Private
+const createAccount = async (req, res, next) => {
+  try {
+    // The default account receives transactions created without an account
+    await ensureDefaultAccount(req.user.id);
+
+    const account = await Account.create({
+      ...req.body,
+      currency: req.body.currency || await getBaseCurrency(req.user.id),
+      user: req.user.id
+    });
+
+    const balances = await getAccountBalances(req.user.id, [account]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: { account: withBalance(account, balances) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update account
+// @route   PUT /api/accounts/:id
+// @access  Private
+const updateAccount = async (req, res, next) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) return accountNotFound(res);
+
+    const { isDefault, isArchived } = req.body;
+    if ((isDefault || account.isDefault) && (isArchived ?? account.isArchived)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default account cannot be archived, make another account the default first'
+      });
+    }
+
+    // Only one account is the default
+    if (isDefault && !account.isDefault) {
+      await Account.updateMany({ user: req.user.id, isDefault: true }, { isDefault: false });
+    }
+
+    account.set(req.body);
+    await account.save();
+
+    const balances = await getAccountBalances(req.user.id, [account]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account updated successfully',
+      data: { account: withBalance(account, balances) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete an account without activity
+// @route   DELETE /api/accounts/:id
+// @access  Private
+const deleteAccount = async (req, res, next) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) return accountNotFound(res);
+
+    if (account.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default account cannot be deleted, make another account the default first'
+      });
+    }
+
+    const [transactionCount, transferCount] = await Promise.all([
+      Promise.all([Expense, Income].map(Model => Model.countDocuments({ account: account._id })))
+        .then(counts => counts[0] + counts[1]),
+      Transfer.countDocuments({ $or: [{ fromAccount: account._id }, { toAccount: account._id }] })
+    ]);
+
+    if (transactionCount > 0 || transferCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This account has ${transactionCount} transactions and ${transferCount} transfers, archive it instead`
+      });
+    }
+
+    await Reconciliation.deleteMany({ account: account._id });
+    await account.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get account activity with a running balance
+// @route   GET /api/accounts/:id/register
+// @access  Private
+const getRegister = async (req, res, next) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) return accountNotFound(res);
+
+    const { startDate, endDate } = req.query;
+    const register = await getAccountRegister(req.user.id, account, {
+      startDate: startDate ? moment(startDate).startOf('day').toDate() : undefined,
+      endDate: endDate ? moment(endDate).endOf('day').toDate() : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        account: { _id: account._id, name: account.name, currency: account.currency },
+        ...register
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Compare the computed balance with a statement balance
+// @route   POST /api/accounts/:id/reconcile
+// @access  Private
+const reconcileAccount = async (req, res, next) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) return accountNotFound(res);
+
+    const { statementBalance, note } = req.body;
+    const statementDate = moment(req.body.statementDate).endOf('day').toDate();
+
+    const balances = await getAccountBalances(req.user.id, [account], statementDate);
+    const computedBalance = balances.get(account._id.toString()).balance;
+    const difference = roundAmount(statementBalance - computedBalance);
+    const status = Math.abs(difference) < 0.005 ? 'balanced' : 'unbalanced';
+
+    // Activity since the last balanced statement, to help find a difference
+    const { entries } = await getAccountRegister(req.user.id, account, {
+      startDate: account.lastReconciledAt
+        ? moment(account.lastReconciledAt).add(1, 'day').startOf('day').toDate()
+        : undefined,
+      endDate: statementDate
+    });
+
+    const reconciliation = await Reconciliation.create({
+      user: req.user.id,
+      account: account._id,
+      statementDate,
+      statementBalance,
+      computedBalance,
+      difference,
+      status,
+      note
+    });
+
+    if (status === 'balanced') {
+      account.lastReconciledAt = statementDate;
+      account.lastReconciledBalance = statementBalance;
+      await account.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: status === 'balanced'
+        ? 'Account balance matches the statement'
+        : `Account balance differs from the statement by ${difference}`,
+      data: {
+        reconciliation,
+        unreconciledEntries: entries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get reconciliation history of an account
+// @route   GET /api/accounts/:id/reconciliations
+// @access  Private
+const getReconciliations = async (req, res, next) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) return accountNotFound(res);
+
+    const reconciliations = await Reconciliation.find({ account: account._id })
+      .sort({ statementDate: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { reconciliations }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  getRegister,
+  reconcileAccount,
+  getReconciliations
+};
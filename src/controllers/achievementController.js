@@ -4,6 +4,7 @@ const Expense = require('../models/Expense');
 const Goal = require('../models/Goal');
 const mongoose = require('mongoose');
 const moment = require('moment');
+const { notify } = require('../utils/notifications');
 
 // Achievement definitions with 10 levels
 const ACHIEVEMENT_DEFINITIONS = [
@@ -150,6 +151,16 @@ const checkAndUnlockAchievements = async (req, res, next) => {
     // Save user if new achievements were unlocked
     if (newAchievements.length > 0) {
       await user.save();
+
+      for (const achievement of newAchievements) {
+        await notify(userId, {
+          type: 'achievement_unlocked',
+          title: `Achievement unlocked: ${achievement.name}`,
+          message: `You unlocked "${achievement.name}" (${achievement.points} points). ${achievement.description}`,
+          data: { achievementId: achievement.id, points: achievement.points },
+          dedupeKey: `achievement:${achievement.id}`
+        });
+      }
     }
 
     res.status(200).json({
@@ -406,7 +417,7 @@ const checkGoalSetter = async (userId) => {
 
   let goalsWithContributions = 0;
   for (const goal of activeGoals) {
-    if (goal.contributions && goal.contributions.length > 0) {
+    if (goal.contributions && goal.contributions.some(contribution => contribution.amount > 0)) {
       goalsWithContributions++;
     }
   }
@@ -3,6 +3,15 @@ const Expense = require('../models/Expense');
 const Goal = require('../models/Goal');
 const User = require('../models/User');
 const moment = require('moment');
+const mongoose = require('mongoose');
+const { buildBudgetSuggestions } = require('../utils/budgetSuggestions');
+const { SPLIT_LINE_STAGES } = require('../utils/expenseSplits');
+const { getDebtSummary, rateDebtLoad } = require('../utils/debts');
+const AnomalyFeedback = require('../models/AnomalyFeedback');
+const { ANOMALY_ID_PATTERN, detectAnomalies } = require('../utils/anomalyDetector');
+const { resolveInsights } = require('../utils/insightsProvider');
+const { getBaseCurrency } = require('../utils/exchangeRates');
+const { roundAmount } = require('../utils/currencyAmounts');
 
 // @desc    Get spending analysis with AI insights
 // @route   GET /api/ai-insights/spending-analysis
@@ -19,10 +28,11 @@ const getSpendingAnalysis = async (req, res, next) => {
     const spendingPatterns = await Expense.aggregate([
       {
         $match: {
-          user: userId,
+          user: new mongoose.Types.ObjectId(userId),
           date: { $gte: startDate, $lte: endDate }
         }
       },
+      ...SPLIT_LINE_STAGES,
       {
         $group: {
           _id: {
@@ -58,10 +68,11 @@ const getSpendingAnalysis = async (req, res, next) => {
     const monthlyTrend = await Expense.aggregate([
       {
         $match: {
-          user: userId,
+          user: new mongoose.Types.ObjectId(userId),
           date: { $gte: startDate, $lte: endDate }
         }
       },
+      ...SPLIT_LINE_STAGES,
       {
         $group: {
           _id: {
@@ -87,7 +98,15 @@ const getSpendingAnalysis = async (req, res, next) => {
     ]);
 
     // Generate insights
-    const insights = generateSpendingInsights(spendingPatterns, monthlyTrend);
+    const [{ anomalies }, currency] = await Promise.all([detectAnomalies(userId), getBaseCurrency(userId)]);
+    const ruleInsights = generateSpendingInsights(spendingPatterns, monthlyTrend, anomalies);
+    const { result, source } = await resolveInsights(userId, 'spending', {
+      period: `${parseInt(period)}m:${moment(endDate).format('YYYY-MM')}`,
+      summary: summarizeSpending(currency, parseInt(period), spendingPatterns, monthlyTrend, anomalies),
+      rules: { insights: ruleInsights },
+      sharedRules: { insights: shareSpendingInsights(ruleInsights) }
+    });
+    const { insights } = result;
 
     res.status(200).json({
       success: true,
@@ -99,7 +118,8 @@ const getSpendingAnalysis = async (req, res, next) => {
         },
         spendingPatterns,
         monthlyTrend,
-        insights
+        insights,
+        insightSource: source
       }
     });
   } catch (error) {
@@ -122,10 +142,11 @@ const getSavingsRecommendations = async (req, res, next) => {
       Expense.aggregate([
         {
           $match: {
-            user: userId,
+            user: new mongoose.Types.ObjectId(userId),
             date: { $gte: last3Months }
           }
         },
+        ...SPLIT_LINE_STAGES,
         {
           $group: {
             _id: '$category',
@@ -140,7 +161,7 @@ const getSavingsRecommendations = async (req, res, next) => {
       Income.aggregate([
         {
           $match: {
-            user: userId,
+            user: new mongoose.Types.ObjectId(userId),
             date: { $gte: last3Months }
           }
         },
@@ -159,11 +180,19 @@ const getSavingsRecommendations = async (req, res, next) => {
     const currentSavingsRate = totalIncome > 0 ? ((totalIncome - totalExpenses) / totalIncome) * 100 : 0;
 
     // Generate personalized recommendations
-    const recommendations = generateSavingsRecommendations(
-      expenseAnalysis, 
-      totalIncome, 
-      currentSavingsRate
-    );
+    const currency = await getBaseCurrency(userId);
+    const { result, source } = await resolveInsights(userId, 'savings', {
+      period: moment().format('YYYY-MM'),
+      summary: summarizeSavings(currency, expenseAnalysis, totalIncome, totalExpenses, currentSavingsRate),
+      rules: {
+        recommendations: generateSavingsRecommendations(
+          expenseAnalysis, 
+          totalIncome, 
+          currentSavingsRate
+        )
+      }
+    });
+    const { recommendations } = result;
 
     res.status(200).json({
       success: true,
@@ -175,7 +204,8 @@ const getSavingsRecommendations = async (req, res, next) => {
           potentialMonthlySavings: recommendations.reduce((sum, rec) => sum + (rec.potentialSavings || 0), 0)
         },
         expenseBreakdown: expenseAnalysis,
-        recommendations
+        recommendations,
+        insightSource: source
       }
     });
   } catch (error) {
@@ -201,7 +231,7 @@ const getGoalForecast = async (req, res, next) => {
     }
 
     // Analyze contribution history
-    const contributionHistory = goal.contributions.slice(-12); // Last 12 contributions
+    const contributionHistory = goal.contributions.filter(c => c.amount > 0).slice(-12); // Last 12 contributions, without withdrawals
     const avgContribution = contributionHistory.length > 0 
       ? contributionHistory.reduce((sum, c) => sum + c.amount, 0) / contributionHistory.length 
       : 0;
@@ -287,7 +317,7 @@ const getFinancialHealthInsights = async (req, res, next) => {
     // Get comprehensive financial data
     const last6Months = moment().subtract(6, 'months').startOf('month').toDate();
     
-    const [financialTrends, goalProgress, spendingVolatility] = await Promise.all([
+    const [financialTrends, goalProgress, spendingVolatility, debtSummary] = await Promise.all([
       // Financial trends
       Promise.all([
         Income.getMonthlyTrend(userId, 6),
@@ -335,7 +365,9 @@ const getFinancialHealthInsights = async (req, res, next) => {
             avgMonthly: { $avg: '$monthlyTotal' }
           }
         }
-      ])
+      ]),
+      // Total debt and debt-to-income
+      getDebtSummary(userId)
     ]);
 
     const [incomeTrend, expenseTrend] = financialTrends;
@@ -346,21 +378,36 @@ const getFinancialHealthInsights = async (req, res, next) => {
       incomeTrend,
       expenseTrend,
       goalProgress,
-      spendingVolatility[0]
+      spendingVolatility[0],
+      debtSummary
     );
 
+    // The score stays rule-based; a provider may rewrite the narrative
+    const currency = await getBaseCurrency(userId);
+    const { result, source } = await resolveInsights(userId, 'health', {
+      period: moment().format('YYYY-MM'),
+      summary: summarizeHealth(currency, user, incomeTrend, expenseTrend, goalProgress, debtSummary, insights.healthScore),
+      rules: {
+        strengths: insights.strengths,
+        concerns: insights.concerns,
+        actionItems: insights.actionItems
+      }
+    });
+
     res.status(200).json({
       success: true,
       data: {
         overallHealthScore: insights.healthScore,
-        strengths: insights.strengths,
-        concerns: insights.concerns,
-        actionItems: insights.actionItems,
+        strengths: result.strengths,
+        concerns: result.concerns,
+        actionItems: result.actionItems,
         trends: {
           income: incomeTrend,
           expenses: expenseTrend
         },
-        goalProgress
+        goalProgress,
+        debt: debtSummary,
+        insightSource: source
       }
     });
   } catch (error) {
@@ -373,67 +420,30 @@ const getFinancialHealthInsights = async (req, res, next) => {
 // @access  Private
 const getBudgetSuggestions = async (req, res, next) => {
   try {
-    const userId = req.user.id;
     const { targetSavingsRate = 20 } = req.query;
 
-    // Get historical data
-    const last3Months = moment().subtract(3, 'months').startOf('month').toDate();
-    
-    const [avgIncome, categorySpending] = await Promise.all([
-      Income.aggregate([
-        {
-          $match: {
-            user: userId,
-            date: { $gte: last3Months }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            avgMonthlyIncome: { $avg: { $sum: '$amount' } }
-          }
-        }
-      ]),
-      Expense.aggregate([
-        {
-          $match: {
-            user: userId,
-            date: { $gte: last3Months }
-          }
-        },
-        {
-          $group: {
-            _id: '$category',
-            avgMonthlySpending: { $avg: { $sum: '$amount' } },
-            totalSpending: { $sum: '$amount' }
-          }
-        },
-        { $sort: { totalSpending: -1 } }
-      ])
+    const [suggestions, currency] = await Promise.all([
+      buildBudgetSuggestions(req.user.id, targetSavingsRate),
+      getBaseCurrency(req.user.id)
     ]);
 
-    const monthlyIncome = avgIncome[0]?.avgMonthlyIncome || 0;
-    const targetSavings = (monthlyIncome * parseFloat(targetSavingsRate)) / 100;
-    const budgetForExpenses = monthlyIncome - targetSavings;
-
-    // Generate budget suggestions
-    const budgetSuggestions = generateBudgetSuggestions(
-      categorySpending,
-      budgetForExpenses,
-      monthlyIncome
-    );
+    const { result, source } = await resolveInsights(req.user.id, 'budget', {
+      period: `${moment().format('YYYY-MM')}:${suggestions.income.targetSavingsRate}`,
+      summary: summarizeBudget(currency, suggestions),
+      rules: {
+        suggestions: Object.entries(suggestions.budgetSuggestions).map(([category, suggestion]) => ({
+          category,
+          suggested: suggestion.suggested
+        }))
+      }
+    });
 
     res.status(200).json({
       success: true,
       data: {
-        income: {
-          avgMonthlyIncome: Math.round(monthlyIncome * 100) / 100,
-          targetSavingsRate: parseFloat(targetSavingsRate),
-          targetSavings: Math.round(targetSavings * 100) / 100,
-          budgetForExpenses: Math.round(budgetForExpenses * 100) / 100
-        },
-        currentSpending: categorySpending,
-        budgetSuggestions
+        ...suggestions,
+        budgetSuggestions: applyBudgetSuggestions(suggestions.budgetSuggestions, result.suggestions),
+        insightSource: source
       }
     });
   } catch (error) {
@@ -441,8 +451,178 @@ const getBudgetSuggestions = async (req, res, next) => {
   }
 };
 
+// @desc    Get unusual spending: outliers, category spikes, duplicates and new merchants
+// @route   GET /api/ai-insights/anomalies
+// @access  Private
+const getAnomalies = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days || '30');
+
+    if (!(days >= 1 && days <= 365)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days must be between 1 and 365'
+      });
+    }
+
+    const result = await detectAnomalies(req.user.id, {
+      days,
+      includeDismissed: req.query.includeDismissed === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm or dismiss a detected anomaly
+// @route   PUT /api/ai-insights/anomalies/:anomalyId/feedback
+// @access  Private
+const setAnomalyFeedback = async (req, res, next) => {
+  try {
+    const { anomalyId } = req.params;
+
+    if (!ANOMALY_ID_PATTERN.test(anomalyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid anomaly id'
+      });
+    }
+
+    const { anomalies } = await detectAnomalies(req.user.id, { days: req.body.days || 30, includeDismissed: true });
+    const anomaly = anomalies.find(item => item.id === anomalyId);
+    if (!anomaly) {
+      return res.status(404).json({
+        success: false,
+        message: 'Anomaly not found'
+      });
+    }
+
+    const feedback = await AnomalyFeedback.findOneAndUpdate(
+      { user: req.user.id, anomalyId },
+      {
+        type: anomaly.type,
+        status: req.body.status,
+        note: req.body.note,
+        category: anomaly.category,
+        merchant: anomaly.merchant,
+        amount: anomaly.amount
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Anomaly ${feedback.status}`,
+      data: { feedback }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Helper functions for generating insights
-const generateSpendingInsights = (patterns, trends) => {
+
+// Anonymized aggregates sent to an insights provider: category keys and
+// rounded totals only, no descriptions, merchants, notes, names or ids
+const formatMonth = ({ year, month }) => `${year}-${String(month).padStart(2, '0')}`;
+
+const summarizeSpending = (currency, months, patterns, trends, anomalies) => ({
+  currency,
+  months,
+  categories: patterns.map(pattern => ({
+    category: pattern._id,
+    total: roundAmount(pattern.totalSpent),
+    transactions: pattern.transactions,
+    average: roundAmount(pattern.avgTransaction)
+  })),
+  monthlyByCategory: trends.map(trend => ({
+    category: trend._id,
+    months: trend.monthlyData.map(entry => ({ month: formatMonth(entry), amount: roundAmount(entry.amount) }))
+  })),
+  anomalies: anomalies.map(anomaly => ({
+    type: anomaly.type,
+    category: anomaly.category,
+    amount: anomaly.amount,
+    expected: anomaly.expected,
+    severity: anomaly.severity
+  }))
+});
+
+// Rule-based spending insights as sent to an insights provider: anomaly ids
+// and explanations (which quote descriptions) are left out, the amounts are
+// in the summary's anomalies
+const shareSpendingInsights = (insights) => insights.map(({ anomalies, ...insight }) => (
+  insight.type === 'unusual_spending'
+    ? { ...insight, message: `Unusual ${insight.category} spending was detected (see summary.anomalies).` }
+    : insight
+));
+
+const summarizeSavings = (currency, expenses, totalIncome, totalExpenses, savingsRate) => ({
+  currency,
+  months: 3,
+  totalIncome: roundAmount(totalIncome),
+  totalExpenses: roundAmount(totalExpenses),
+  savingsRate: roundAmount(savingsRate),
+  categories: expenses.map(category => ({
+    category: category._id,
+    total: roundAmount(category.totalAmount),
+    transactions: category.count,
+    average: roundAmount(category.avgAmount),
+    largest: roundAmount(category.maxAmount)
+  }))
+});
+
+const summarizeHealth = (currency, user, incomeTrend, expenseTrend, goalProgress, debtSummary, healthScore) => ({
+  currency,
+  healthScore,
+  savingsRate: roundAmount(user.financialSummary.savingsRate || 0),
+  monthlyIncome: incomeTrend.map(entry => ({ month: formatMonth(entry._id), amount: roundAmount(entry.totalAmount) })),
+  monthlyExpenses: expenseTrend.map(entry => ({ month: formatMonth(entry._id), amount: roundAmount(entry.totalAmount) })),
+  goals: goalProgress.map(group => ({
+    status: group._id,
+    count: group.count,
+    averageProgress: roundAmount(group.avgProgress || 0)
+  })),
+  debt: {
+    totalDebt: roundAmount(debtSummary.totalDebt),
+    monthlyPayments: roundAmount(debtSummary.monthlyPayments || 0),
+    debtToIncome: debtSummary.debtToIncome
+  }
+});
+
+const summarizeBudget = (currency, { income, budgetSuggestions }) => ({
+  currency,
+  income,
+  categories: Object.entries(budgetSuggestions).map(([category, suggestion]) => ({
+    category,
+    currentMonthly: suggestion.current,
+    ruleSuggestion: suggestion.suggested
+  }))
+});
+
+// Merge provider suggestions into the rule-based ones; unknown categories are ignored
+const applyBudgetSuggestions = (budgetSuggestions, suggestions) => {
+  const merged = { ...budgetSuggestions };
+  suggestions.forEach(({ category, suggested, reason }) => {
+    const current = merged[category];
+    if (!current) return;
+
+    merged[category] = {
+      ...current,
+      suggested: roundAmount(suggested),
+      difference: roundAmount(suggested - current.current),
+      status: current.current > suggested ? 'over_budget' : 'within_budget',
+      ...(reason && { reason })
+    };
+  });
+  return merged;
+};
+const generateSpendingInsights = (patterns, trends, anomalies = []) => {
   const insights = [];
 
   // Find highest spending category
@@ -455,12 +635,16 @@ const generateSpendingInsights = (patterns, trends) => {
       severity: 'info'
     });
 
-    // Check for unusual spending patterns
-    if (topCategory.totalSpent > topCategory.avgTransaction * topCategory.transactions * 1.5) {
+    // Flag detected outliers and spikes in the top category
+    const unusual = anomalies.filter(anomaly =>
+      anomaly.category === topCategory._id && ['outlier', 'spike'].includes(anomaly.type)
+    );
+    if (unusual.length > 0) {
       insights.push({
         type: 'unusual_spending',
         category: topCategory._id,
-        message: `You have some unusually high transactions in ${topCategory._id}. Consider reviewing these expenses.`,
+        message: unusual[0].explanation,
+        anomalies: unusual.map(anomaly => anomaly.id),
         severity: 'warning'
       });
     }
@@ -531,7 +715,7 @@ const generateGoalRecommendations = (goal, avgContribution, requiredContribution
   return recommendations;
 };
 
-const generateHealthInsights = (user, incomeTrend, expenseTrend, goalProgress, volatility) => {
+const generateHealthInsights = (user, incomeTrend, expenseTrend, goalProgress, volatility, debtSummary) => {
   const insights = {
     healthScore: 75, // Base score
     strengths: [],
@@ -559,39 +743,21 @@ const generateHealthInsights = (user, incomeTrend, expenseTrend, goalProgress, v
     insights.actionItems.push('Focus on increasing monthly savings to at least 10% of income');
   }
 
-  return insights;
-};
-
-const generateBudgetSuggestions = (currentSpending, totalBudget, income) => {
-  const suggestions = {};
-  const totalCurrentSpending = currentSpending.reduce((sum, cat) => sum + cat.totalSpending, 0);
-  
-  // Standard budget percentages (50/30/20 rule adapted)
-  const budgetGuidelines = {
-    food: 0.15,
-    transport: 0.15,
-    bills: 0.25,
-    entertainment: 0.10,
-    shopping: 0.10,
-    healthcare: 0.05,
-    education: 0.05,
-    travel: 0.05,
-    other: 0.10
-  };
-
-  currentSpending.forEach(category => {
-    const guideline = budgetGuidelines[category._id] || 0.05;
-    const suggestedAmount = totalBudget * guideline;
-    
-    suggestions[category._id] = {
-      current: Math.round(category.avgMonthlySpending * 100) / 100,
-      suggested: Math.round(suggestedAmount * 100) / 100,
-      difference: Math.round((suggestedAmount - category.avgMonthlySpending) * 100) / 100,
-      status: category.avgMonthlySpending > suggestedAmount ? 'over_budget' : 'within_budget'
-    };
-  });
+  // Analyze debt load
+  const debtLoad = rateDebtLoad(debtSummary);
+  if (debtSummary.totalDebt <= 0) {
+    insights.strengths.push('No outstanding debt');
+  } else if (debtLoad === 'excellent' || debtLoad === 'good') {
+    insights.strengths.push('Manageable debt load');
+  } else {
+    insights.healthScore -= debtLoad === 'poor' ? 20 : 10;
+    insights.concerns.push(debtSummary.debtToIncome !== null
+      ? `Debt payments take ${debtSummary.debtToIncome}% of monthly income`
+      : 'High debt relative to income');
+    insights.actionItems.push('Use the payoff planner to focus extra payments on your highest-interest debt');
+  }
 
-  return suggestions;
+  return insights;
 };
 
 const calculateVariation = (values) => {
@@ -605,5 +771,7 @@ module.exports = {
   getSavingsRecommendations,
   getGoalForecast,
   getFinancialHealthInsights,
-  getBudgetSuggestions
+  getBudgetSuggestions,
+  getAnomalies,
+  setAnomalyFeedback
 };
@@ -0,0 +1,171 @@
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const { putObject, getObject } = require('../utils/storage');
+const {
+  MAX_ATTACHMENTS,
+  ALLOWED_MIME_TYPES,
+  detectFileType,
+  sanitizeFilename,
+  buildStorageKey,
+  removeAttachmentBlobs
+} = require('../utils/attachments');
+
+const TRANSACTION_TYPES = {
+  expense: { Model: Expense, label: 'Expense', path: '/api/expenses' },
+  income: { Model: Income, label: 'Income', path: '/api/income' }
+};
+
+/**
+ * Attachment handlers for one transaction type, mounted under
+ * /api/expenses/:id/attachments and /api/income/:id/attachments.
+ * @param {String} type - expense or income
+ * @returns {Object} Route handlers
+ */
+const createAttachmentHandlers = (type) => {
+  const { Model, label, path } = TRANSACTION_TYPES[type];
+
+  const findTransaction = (req) => Model.findOne({ _id: req.params.id, user: req.user.id });
+
+  const notFound = (res, message) => res.status(404).json({
+    success: false,
+    message
+  });
+
+  // @desc    List attachments of a transaction
+  // @route   GET /api/expenses/:id/attachments, GET /api/income/:id/attachments
+  // @access  Private
+  const getAttachments = async (req, res, next) => {
+    try {
+      const transaction = await findTransaction(req);
+      if (!transaction) return notFound(res, `${label} not found`);
+
+      res.status(200).json({
+        success: true,
+        data: { attachments: transaction.attachments }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // @desc    Upload a receipt or document
+  // @route   POST /api/expenses/:id/attachments, POST /api/income/:id/attachments
+  // @access  Private
+  const uploadAttachment = async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload a file in the file field'
+        });
+      }
+
+      const fileType = detectFileType(req.file.buffer);
+      if (!fileType) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported file type, allowed types are ${ALLOWED_MIME_TYPES.join(', ')}`
+        });
+      }
+
+      const transaction = await findTransaction(req);
+      if (!transaction) return notFound(res, `${label} not found`);
+
+      if (transaction.attachments.length >= MAX_ATTACHMENTS) {
+        return res.status(400).json({
+          success: false,
+          message: `A transaction can have at most ${MAX_ATTACHMENTS} attachments`
+        });
+      }
+
+      const attachment = transaction.attachments.create({
+        filename: sanitizeFilename(req.file.originalname, fileType.extension),
+        mimeType: fileType.mimeType,
+        size: req.file.size,
+        storageKey: buildStorageKey(req.user.id, type, transaction._id, fileType.extension)
+      });
+      attachment.url = `${path}/${transaction._id}/attachments/${attachment._id}`;
+
+      await putObject(attachment.storageKey, req.file.buffer, { contentType: fileType.mimeType });
+
+      transaction.attachments.push(attachment);
+      try {
+        await transaction.save();
+      } catch (error) {
+        await removeAttachmentBlobs([attachment]);
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Attachment uploaded successfully',
+        data: { attachment }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // @desc    Download an attachment
+  // @route   GET /api/expenses/:id/attachments/:attachmentId, GET /api/income/:id/attachments/:attachmentId
+  // @access  Private
+  const downloadAttachment = async (req, res, next) => {
+    try {
+      const transaction = await findTransaction(req);
+      if (!transaction) return notFound(res, `${label} not found`);
+
+      const attachment = transaction.attachments.id(req.params.attachmentId);
+      if (!attachment) return notFound(res, 'Attachment not found');
+
+      const object = await getObject(attachment.storageKey);
+      if (!object) return notFound(res, 'Attachment file not found');
+
+      res.setHeader('Content-Type', attachment.mimeType);
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`);
+      if (object.size !== undefined) res.setHeader('Content-Length', object.size);
+
+      object.stream.on('error', (error) => {
+        if (res.headersSent) return res.destroy(error);
+        next(error);
+      });
+      object.stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // @desc    Delete an attachment and its stored file
+  // @route   DELETE /api/expenses/:id/attachments/:attachmentId, DELETE /api/income/:id/attachments/:attachmentId
+  // @access  Private
+  const deleteAttachment = async (req, res, next) => {
+    try {
+      const transaction = await findTransaction(req);
+      if (!transaction) return notFound(res, `${label} not found`);
+
+      const attachment = transaction.attachments.id(req.params.attachmentId);
+      if (!attachment) return notFound(res, 'Attachment not found');
+
+      attachment.deleteOne();
+      await transaction.save();
+      await removeAttachmentBlobs([attachment]);
+
+      res.status(200).json({
+        success: true,
+        message: 'Attachment deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return {
+    getAttachments,
+    uploadAttachment,
+    downloadAttachment,
+    deleteAttachment
+  };
+};
+
+module.exports = {
+  createAttachmentHandlers
+};
@@ -1,5 +1,15 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeUserSessions
+} = require('../utils/sessionTokens');
+const { sendVerificationEmail, sendPasswordResetEmail, deliverEmail } = require('../utils/authEmails');
+
+// Same reply whether or not the email belongs to an account
+const PASSWORD_RESET_REQUESTED = 'If an account exists for this email, a password reset link has been sent';
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -24,13 +34,16 @@ const register = async (req, res, next) => {
       password
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and issue access and refresh tokens
+    const { token, refreshToken } = await createSession(user._id, req);
 
-    // Update last login
+    // Update last login and prepare email verification
+    const verificationToken = user.createAuthToken('emailVerification');
     user.lastLogin = new Date();
     await user.save();
 
+    await deliverEmail(() => sendVerificationEmail(user, verificationToken));
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -39,9 +52,11 @@ const register = async (req, res, next) => {
           id: user._id,
           name: user.name,
           email: user.email,
+          isEmailVerified: user.isEmailVerified,
           createdAt: user.createdAt
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -82,8 +97,8 @@ const login = async (req, res, next) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and issue access and refresh tokens
+    const { token, refreshToken } = await createSession(user._id, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -97,9 +112,11 @@ const login = async (req, res, next) => {
           id: user._id,
           name: user.name,
           email: user.email,
+          isEmailVerified: user.isEmailVerified,
           lastLogin: user.lastLogin
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -121,6 +138,7 @@ const getMe = async (req, res, next) => {
           id: user._id,
           name: user.name,
           email: user.email,
+          isEmailVerified: user.isEmailVerified,
           bio: user.bio,
           profilePicture: user.profilePicture,
           settings: user.settings,
@@ -173,9 +191,238 @@ const updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every device, then keep this one signed in with a new session
+    await revokeUserSessions(user._id, 'password_change');
+    const { token, refreshToken } = await createSession(user._id, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshAccessToken = async (req, res, next) => {
+  try {
+    const tokens = await rotateSession(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout and revoke the refresh token's session
+// @route   POST /api/auth/logout
+// @access  Public
+const logout = async (req, res, next) => {
+  try {
+    await revokeSessionByToken(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get active sessions (signed-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeSessions = async (req, res, next) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'revoked', req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: `Revoked ${revoked} sessions`,
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked' }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    if (user && user.isActive) {
+      const resetToken = user.createAuthToken('passwordReset');
+      await user.save();
+
+      // Not awaited, so mail delivery time does not reveal that the account exists
+      deliverEmail(() => sendPasswordResetEmail(user, resetToken));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: PASSWORD_RESET_REQUESTED
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.consumeAuthToken('passwordReset', token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Receiving the reset email proves ownership of the address
+    user.password = password;
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device that may have used the old password
+    await revokeUserSessions(user._id, 'password_change');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully, please log in with your new password'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify email address with an emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.consumeAuthToken('emailVerification', req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createAuthToken('emailVerification');
+    await user.save();
+
+    await deliverEmail(() => sendVerificationEmail(user, verificationToken));
+
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Verification email sent'
     });
   } catch (error) {
     next(error);
@@ -186,5 +433,14 @@ module.exports = {
   register,
   login,
   getMe,
-  updatePassword
+  updatePassword,
+  refreshAccessToken,
+  logout,
+  getSessions,
+  revokeSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail
 };
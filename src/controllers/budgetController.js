@@ -0,0 +1,282 @@
+const moment = require('moment');
+const Budget = require('../models/Budget');
+const BudgetAlert = require('../models/BudgetAlert');
+const { parseBudgetMonth, calculateBudgetStatus } = require('../utils/budgetTracker');
+const { buildBudgetSuggestions } = require('../utils/budgetSuggestions');
+const { assertCategory } = require('../utils/categories');
+
+const invalidMonthResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'Month must be formatted as YYYY-MM'
+});
+
+// @desc    Get all budgets with spending for a month
+// @route   GET /api/budgets
+// @access  Private
+const getBudgets = async (req, res, next) => {
+  try {
+    const month = parseBudgetMonth(req.query.month);
+    if (!month) return invalidMonthResponse(res);
+
+    const query = { user: req.user.id };
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+
+    const budgets = await Budget.find(query).sort({ category: 1 });
+    const statuses = await calculateBudgetStatus(req.user.id, budgets, month);
+
+    const totals = statuses.reduce((sum, budget) => ({
+      limit: sum.limit + budget.limit,
+      spent: sum.spent + budget.spent,
+      remaining: sum.remaining + budget.remaining
+    }), { limit: 0, spent: 0, remaining: 0 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: moment(month).format('YYYY-MM'),
+        budgets: statuses,
+        totals: {
+          limit: Math.round(totals.limit * 100) / 100,
+          spent: Math.round(totals.spent * 100) / 100,
+          remaining: Math.round(totals.remaining * 100) / 100
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single budget with spending for a month
+// @route   GET /api/budgets/:id
+// @access  Private
+const getBudget = async (req, res, next) => {
+  try {
+    const month = parseBudgetMonth(req.query.month);
+    if (!month) return invalidMonthResponse(res);
+
+    const budget = await Budget.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    const [status] = await calculateBudgetStatus(req.user.id, [budget], month);
+
+    res.status(200).json({
+      success: true,
+      data: { budget: status }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create new budget
+// @route   POST /api/budgets
+// @access  Private
+const createBudget = async (req, res, next) => {
+  try {
+    await assertCategory(req.user.id, 'expense', req.body.category);
+
+    const existing = await Budget.findOne({ user: req.user.id, category: req.body.category });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A budget for ${req.body.category} already exists`
+      });
+    }
+
+    const budget = await Budget.create({
+      ...req.body,
+      user: req.user.id
+    });
+
+    const [status] = await calculateBudgetStatus(req.user.id, [budget]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: { budget: status }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update budget
+// @route   PUT /api/budgets/:id
+// @access  Private
+const updateBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    const [status] = await calculateBudgetStatus(req.user.id, [budget]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: { budget: status }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete budget
+// @route   DELETE /api/budgets/:id
+// @access  Private
+const deleteBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    await BudgetAlert.deleteMany({ budget: budget._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Save AI budget suggestions as budgets
+// @route   POST /api/budgets/adopt-suggestions
+// @access  Private
+const adoptBudgetSuggestions = async (req, res, next) => {
+  try {
+    const { targetSavingsRate = 20, categories, overwrite = false } = req.body;
+
+    const { budgetSuggestions } = await buildBudgetSuggestions(req.user.id, targetSavingsRate);
+    const existingBudgets = await Budget.find({ user: req.user.id });
+    const existingByCategory = new Map(existingBudgets.map(budget => [budget.category, budget]));
+
+    const adopted = [];
+    const skipped = [];
+
+    for (const [category, suggestion] of Object.entries(budgetSuggestions)) {
+      if (categories && !categories.includes(category)) continue;
+
+      if (suggestion.suggested <= 0) {
+        skipped.push({ category, reason: 'No suggested amount' });
+        continue;
+      }
+
+      const existing = existingByCategory.get(category);
+      if (existing && !overwrite) {
+        skipped.push({ category, reason: 'Budget already exists' });
+        continue;
+      }
+
+      const budget = await Budget.findOneAndUpdate(
+        { user: req.user.id, category },
+        { amount: suggestion.suggested, source: 'suggestion', isActive: true },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      adopted.push(budget);
+    }
+
+    const budgets = await calculateBudgetStatus(req.user.id, adopted);
+
+    res.status(200).json({
+      success: true,
+      message: `Adopted ${budgets.length} budget suggestions`,
+      data: {
+        budgets,
+        skipped
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get budget alerts
+// @route   GET /api/budgets/alerts
+// @access  Private
+const getBudgetAlerts = async (req, res, next) => {
+  try {
+    const { unread, period, limit = 50 } = req.query;
+
+    const query = { user: req.user.id };
+    if (unread === 'true') query.isRead = false;
+    if (period) query.period = period;
+
+    const alerts = await BudgetAlert.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: { alerts }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark budget alert as read
+// @route   PUT /api/budgets/alerts/:id/read
+// @access  Private
+const markBudgetAlertRead = async (req, res, next) => {
+  try {
+    const alert = await BudgetAlert.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { isRead: true },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget alert not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { alert }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  adoptBudgetSuggestions,
+  getBudgetAlerts,
+  markBudgetAlertRead
+};
@@ -0,0 +1,293 @@
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const Budget = require('../models/Budget');
+const BudgetAlert = require('../models/BudgetAlert');
+const Rule = require('../models/Rule');
+const { FALLBACK_CATEGORY, toCategoryKey, getUserCategories } = require('../utils/categories');
+const { categoryCondition } = require('../utils/expenseSplits');
+
+// Helper function to check a requested parent; only one level of nesting is allowed
+const findParent = async (userId, type, parentId, category) => {
+  if (!parentId) return { parent: null };
+
+  const parent = await Category.findOne({ _id: parentId, user: userId });
+  if (!parent || parent.type !== type) {
+    return { error: `Parent must be one of your ${type} categories` };
+  }
+  if (parent.parent) {
+    return { error: 'A sub-category cannot have sub-categories of its own' };
+  }
+
+  if (category) {
+    if (parent._id.equals(category._id)) {
+      return { error: 'A category cannot be its own parent' };
+    }
+    if (await Category.exists({ parent: category._id })) {
+      return { error: 'A category with sub-categories cannot become a sub-category' };
+    }
+  }
+
+  return { parent: parent._id };
+};
+
+// Helper function to move a deleted category's budget onto the replacement category
+const moveBudget = async (budget, targetKey) => {
+  const targetBudget = await Budget.findOne({ user: budget.user, category: targetKey });
+
+  if (targetBudget) {
+    await Promise.all([
+      budget.deleteOne(),
+      BudgetAlert.deleteMany({ budget: budget._id })
+    ]);
+    return;
+  }
+
+  budget.category = targetKey;
+  await Promise.all([
+    budget.save(),
+    BudgetAlert.updateMany({ budget: budget._id }, { category: targetKey })
+  ]);
+};
+
+// @desc    Get all categories for user
+// @route   GET /api/categories
+// @access  Private
+const getCategories = async (req, res, next) => {
+  try {
+    const { type } = req.query;
+    if (type && !['expense', 'income'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be expense or income'
+      });
+    }
+
+    const categories = await getUserCategories(req.user.id, type);
+
+    res.status(200).json({
+      success: true,
+      data: { categories }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single category
+// @route   GET /api/categories/:id
+// @access  Private
+const getCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const subCategories = await Category.find({ parent: category._id }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { category, subCategories }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create new category
+// @route   POST /api/categories
+// @access  Private
+const createCategory = async (req, res, next) => {
+  try {
+    const { name, type, icon, color } = req.body;
+
+    const key = req.body.key || toCategoryKey(name);
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name must contain letters or digits, or provide a key'
+      });
+    }
+
+    // Seed the defaults first so a custom category cannot take a default key
+    await getUserCategories(req.user.id, type);
+
+    if (await Category.exists({ user: req.user.id, type, key })) {
+      return res.status(400).json({
+        success: false,
+        message: `An ${type} category with the key "${key}" already exists`
+      });
+    }
+
+    const { parent, error } = await findParent(req.user.id, type, req.body.parent);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const category = await Category.create({
+      user: req.user.id,
+      type,
+      key,
+      name,
+      icon,
+      color,
+      parent
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update category
+// @route   PUT /api/categories/:id
+// @access  Private
+const updateCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (req.body.parent !== undefined) {
+      const { parent, error } = await findParent(req.user.id, category.type, req.body.parent, category);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      category.parent = parent;
+    }
+
+    ['name', 'icon', 'color'].forEach(field => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+
+    await category.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete category, reassigning its transactions
+// @route   DELETE /api/categories/:id?reassignTo=<category key>
+// @access  Private
+const deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (category.key === FALLBACK_CATEGORY) {
+      return res.status(400).json({
+        success: false,
+        message: `The "${FALLBACK_CATEGORY}" category is the fallback for uncategorized transactions and cannot be deleted`
+      });
+    }
+
+    const Model = category.type === 'expense' ? Expense : Income;
+    const ruleQuery = { user: req.user.id, type: category.type, 'actions.category': category.key };
+    // Expenses also use the category through their split lines
+    const transactionQuery = category.type === 'expense'
+      ? { user: req.user.id, ...categoryCondition(category.key) }
+      : { user: req.user.id, category: category.key };
+    const [transactionCount, budget, ruleCount] = await Promise.all([
+      Model.countDocuments(transactionQuery),
+      category.type === 'expense' ? Budget.findOne({ user: req.user.id, category: category.key }) : null,
+      Rule.countDocuments(ruleQuery)
+    ]);
+
+    const { reassignTo } = req.query;
+    if ((transactionCount > 0 || budget || ruleCount > 0) && !reassignTo) {
+      return res.status(400).json({
+        success: false,
+        message: `This category is used by ${transactionCount} transactions, ${ruleCount} rules${budget ? ' and a budget' : ''}, choose a category to move them to with reassignTo`
+      });
+    }
+
+    let reassigned = 0;
+    if (reassignTo) {
+      const target = await Category.findOne({ user: req.user.id, type: category.type, key: reassignTo });
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          message: `reassignTo must be the key of another of your ${category.type} categories`
+        });
+      }
+
+      await Model.updateMany(
+        { user: req.user.id, category: category.key },
+        { category: target.key }
+      );
+      if (category.type === 'expense') {
+        await Expense.updateMany(
+          { user: req.user.id, 'splits.category': category.key },
+          { $set: { 'splits.$[line].category': target.key } },
+          { arrayFilters: [{ 'line.category': category.key }] }
+        );
+      }
+      reassigned = transactionCount;
+
+      if (budget) await moveBudget(budget, target.key);
+      await Rule.updateMany(ruleQuery, { 'actions.category': target.key });
+    }
+
+    // Sub-categories become top-level categories
+    await Category.updateMany({ parent: category._id }, { parent: null });
+    await category.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: { reassigned }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
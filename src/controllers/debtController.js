@@ -0,0 +1,350 @@
+const Debt = require('../models/Debt');
+const DebtPayment = require('../models/DebtPayment');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const { assertCategory } = require('../utils/categories');
+const { resolveAccountFields } = require('../utils/accounts');
+const { resolveConversion } = require('../utils/exchangeRates');
+const { checkBudgetAlerts } = require('../utils/budgetTracker');
+const { removeAttachmentBlobs } = require('../utils/attachments');
+const { recalculateDebt, getPaymentAmount } = require('../utils/debts');
+const { buildAmortizationSchedule, comparePayoffStrategies } = require('../utils/debtPlanner');
+
+// Category of expenses created for debt payments when none is given
+const PAYMENT_CATEGORY = 'bills';
+
+const debtNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Debt not found'
+});
+
+const parseAmountQuery = (value) => {
+  if (value === undefined) return undefined;
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+// @desc    Get all debts with totals
+// @route   GET /api/debts
+// @access  Private
+const getDebts = async (req, res, next) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const debts = await Debt.find(query).sort({ status: 1, apr: -1 });
+    const active = debts.filter(debt => debt.status === 'active');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        debts,
+        totals: {
+          balance: Math.round(active.reduce((sum, debt) => sum + debt.balance, 0) * 100) / 100,
+          minimumPayment: Math.round(active.reduce((sum, debt) => sum + debt.minimumPayment, 0) * 100) / 100
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Compare avalanche and snowball payoff plans for active debts
+// @route   GET /api/debts/payoff-plan
+// @access  Private
+const getPayoffPlan = async (req, res, next) => {
+  try {
+    const extraPayment = parseAmountQuery(req.query.extraPayment);
+    if (extraPayment === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Extra payment must be a non-negative number'
+      });
+    }
+
+    const debts = await Debt.find({ user: req.user.id, status: 'active' });
+    const plan = comparePayoffStrategies(
+      debts.map(debt => ({
+        id: debt._id,
+        name: debt.name,
+        balance: debt.balance,
+        apr: debt.apr,
+        minimumPayment: debt.minimumPayment
+      })),
+      extraPayment || 0
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { plan }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single debt with its payments
+// @route   GET /api/debts/:id
+// @access  Private
+const getDebt = async (req, res, next) => {
+  try {
+    const debt = await Debt.findOne({ _id: req.params.id, user: req.user.id });
+    if (!debt) return debtNotFound(res);
+
+    const payments = await DebtPayment.find({ debt: debt._id }).sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { debt, payments }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create new debt
+// @route   POST /api/debts
+// @access  Private
+const createDebt = async (req, res, next) => {
+  try {
+    const debt = await Debt.create({
+      ...req.body,
+      user: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Debt created successfully',
+      data: { debt }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update debt
+// @route   PUT /api/debts/:id
+// @access  Private
+const updateDebt = async (req, res, next) => {
+  try {
+    const debt = await Debt.findOne({ _id: req.params.id, user: req.user.id });
+    if (!debt) return debtNotFound(res);
+
+    debt.set(req.body);
+    await debt.validate();
+
+    // The balance depends on the principal, rate and payments
+    await recalculateDebt(debt);
+
+    res.status(200).json({
+      success: true,
+      message: 'Debt updated successfully',
+      data: { debt }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete debt and its payment records (the expenses are kept)
+// @route   DELETE /api/debts/:id
+// @access  Private
+const deleteDebt = async (req, res, next) => {
+  try {
+    const debt = await Debt.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!debt) return debtNotFound(res);
+
+    await DebtPayment.deleteMany({ debt: debt._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Debt deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the amortization schedule of a debt
+// @route   GET /api/debts/:id/schedule
+// @access  Private
+const getAmortizationSchedule = async (req, res, next) => {
+  try {
+    const payment = parseAmountQuery(req.query.payment);
+    if (payment === null || payment === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment must be a positive number'
+      });
+    }
+
+    const debt = await Debt.findOne({ _id: req.params.id, user: req.user.id });
+    if (!debt) return debtNotFound(res);
+
+    const monthlyPayment = payment || debt.minimumPayment;
+    const schedule = buildAmortizationSchedule(debt, monthlyPayment);
+    if (!schedule) {
+      return res.status(400).json({
+        success: false,
+        message: 'The payment does not cover the monthly interest, so the debt is never paid off'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        debtId: debt._id,
+        balance: debt.balance,
+        apr: debt.apr,
+        payment: monthlyPayment,
+        ...schedule
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log a payment towards a debt, creating or linking its expense
+// @route   POST /api/debts/:id/payments
+// @access  Private
+const createDebtPayment = async (req, res, next) => {
+  try {
+    const debt = await Debt.findOne({ _id: req.params.id, user: req.user.id });
+    if (!debt) return debtNotFound(res);
+
+    let expense;
+    let budgetAlerts = [];
+    const createdExpense = !req.body.expense;
+
+    if (createdExpense) {
+      const expenseData = {
+        user: req.user.id,
+        amount: req.body.amount,
+        currency: req.body.currency,
+        date: req.body.date || new Date(),
+        category: req.body.category || PAYMENT_CATEGORY,
+        description: req.body.description || `Payment: ${debt.name}`
+      };
+      await assertCategory(req.user.id, 'expense', expenseData.category);
+
+      const accountFields = await resolveAccountFields(req.user.id, req.body);
+      Object.assign(expenseData, accountFields);
+      Object.assign(expenseData, await resolveConversion(req.user.id, { ...req.body, ...accountFields }));
+
+      expense = await Expense.create(expenseData);
+    } else {
+      expense = await Expense.findOne({ _id: req.body.expense, user: req.user.id });
+      if (!expense) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expense not found'
+        });
+      }
+      if (await DebtPayment.exists({ expense: expense._id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'This expense is already recorded as a debt payment'
+        });
+      }
+    }
+
+    const payment = await DebtPayment.create({
+      user: req.user.id,
+      debt: debt._id,
+      expense: expense._id,
+      amount: getPaymentAmount(expense),
+      date: expense.date,
+      createdExpense
+    });
+    await recalculateDebt(debt);
+
+    if (createdExpense) {
+      const user = await User.findById(req.user.id);
+      await user.updateFinancialSummary();
+      budgetAlerts = await checkBudgetAlerts(req.user.id, expense);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Debt payment recorded successfully',
+      data: {
+        payment: await DebtPayment.findById(payment._id),
+        debt,
+        expense,
+        budgetAlerts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get payments logged against a debt
+// @route   GET /api/debts/:id/payments
+// @access  Private
+const getDebtPayments = async (req, res, next) => {
+  try {
+    const debt = await Debt.findOne({ _id: req.params.id, user: req.user.id });
+    if (!debt) return debtNotFound(res);
+
+    const payments = await DebtPayment.find({ debt: debt._id })
+      .sort({ date: -1 })
+      .populate('expense', 'amount currency category description date account');
+
+    res.status(200).json({
+      success: true,
+      data: { payments }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a debt payment, deleting the expense it created
+// @route   DELETE /api/debts/:id/payments/:paymentId
+// @access  Private
+const deleteDebtPayment = async (req, res, next) => {
+  try {
+    const debt = await Debt.findOne({ _id: req.params.id, user: req.user.id });
+    if (!debt) return debtNotFound(res);
+
+    const payment = await DebtPayment.findOneAndDelete({ _id: req.params.paymentId, debt: debt._id });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Debt payment not found'
+      });
+    }
+
+    if (payment.createdExpense) {
+      const expense = await Expense.findOneAndDelete({ _id: payment.expense, user: req.user.id });
+      if (expense) await removeAttachmentBlobs(expense.attachments);
+      const user = await User.findById(req.user.id);
+      await user.updateFinancialSummary();
+    }
+    await recalculateDebt(debt);
+
+    res.status(200).json({
+      success: true,
+      message: 'Debt payment deleted successfully',
+      data: { debt }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDebts,
+  getPayoffPlan,
+  getDebt,
+  createDebt,
+  updateDebt,
+  deleteDebt,
+  getAmortizationSchedule,
+  createDebtPayment,
+  getDebtPayments,
+  deleteDebtPayment
+};
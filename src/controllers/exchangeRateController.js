@@ -0,0 +1,89 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+const { getBaseCurrency, importExchangeRates, recalculateBaseAmounts } = require('../utils/exchangeRates');
+
+// @desc    Get stored exchange rates
+// @route   GET /api/exchange-rates
+// @access  Private
+const getExchangeRates = async (req, res, next) => {
+  try {
+    const { base, quote, startDate, endDate, limit = 100 } = req.query;
+
+    const query = { user: req.user.id };
+    if (base) query.base = base.toUpperCase();
+    if (quote) query.quote = quote.toUpperCase();
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const rates = await ExchangeRate.find(query)
+      .sort({ date: -1, base: 1, quote: 1 })
+      .limit(parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency: await getBaseCurrency(req.user.id),
+        rates
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Import exchange rates from a CSV or JSON file
+// @route   POST /api/exchange-rates/import
+// @access  Private
+const importRates = async (req, res, next) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a rate file or provide its content'
+      });
+    }
+
+    const extension = req.file?.originalname.split('.').pop().toLowerCase();
+    const format = req.body.format || (['csv', 'json'].includes(extension) ? extension : null);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not detect the rate file format, specify one of: csv, json'
+      });
+    }
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const result = await importExchangeRates(req.user.id, format, content.replace(/^\uFEFF/, ''));
+
+    // Existing foreign-currency transactions pick up the new rates
+    const baseCurrency = await getBaseCurrency(req.user.id);
+    const recalculated = await recalculateBaseAmounts(req.user.id, baseCurrency);
+
+    if (recalculated.updated > 0) {
+      const user = await User.findById(req.user.id);
+      await user.updateFinancialSummary();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.imported} exchange rates`,
+      data: {
+        imported: result.imported,
+        errors: result.errors,
+        recalculated: recalculated.updated,
+        missingRates: recalculated.missing
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  importRates
+};
@@ -2,18 +2,30 @@ const Expense = require('../models/Expense');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 const { triggerAchievementCheck } = require('../utils/achievementHelper');
+const { processRecurringTransactions } = require('../utils/recurringScheduler');
+const { resolveRecurrenceUpdate } = require('../utils/recurrence');
+const { checkBudgetAlerts } = require('../utils/budgetTracker');
+const { BASE_AMOUNT, getCurrencyBreakdown } = require('../utils/currencyAmounts');
+const { getBaseCurrency, resolveConversion } = require('../utils/exchangeRates');
+const { FALLBACK_CATEGORY, assertCategory, getCategoryDetails, withCategoryDetails } = require('../utils/categories');
+const { applyRules, learnFromCorrection } = require('../utils/rulesEngine');
+const { removeAttachmentBlobs } = require('../utils/attachments');
+const { resolveAccountFields } = require('../utils/accounts');
+const { syncExpensePayments, removeExpensePayments } = require('../utils/debts');
+const { SPLIT_LINE_STAGES, categoryCondition, resolveSplits } = require('../utils/expenseSplits');
 
 // @desc    Get all expenses for user
 // @route   GET /api/expenses
 // @access  Private
 const getExpenses = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, category, startDate, endDate, sortBy = 'date', sortOrder = 'desc' } = req.query;
+    const { page = 1, limit = 10, category, account, startDate, endDate, sortBy = 'date', sortOrder = 'desc' } = req.query;
 
     const query = { user: req.user.id };
     
-    // Add filters
-    if (category) query.category = category;
+    // Add filters (a category also matches expenses split into it)
+    if (category) Object.assign(query, categoryCondition(category));
+    if (account) query.account = account;
     if (startDate || endDate) {
       query.date = {};
       if (startDate) query.date.$gte = new Date(startDate);
@@ -79,11 +91,29 @@ const getExpense = async (req, res, next) => {
 // @access  Private
 const createExpense = async (req, res, next) => {
   try {
-    const expenseData = {
+    // Split lines must add up to the amount; the largest one sets the category
+    const splitFields = await resolveSplits(req.user.id, req.body);
+
+    // Fill the category, tags and recurrence from the user's rules
+    const { transaction, matchedRules } = await applyRules(req.user.id, 'expense', {
       ...req.body,
+      ...splitFields,
       user: req.user.id
+    });
+    const expenseData = {
+      ...transaction,
+      category: transaction.category || FALLBACK_CATEGORY
     };
 
+    await assertCategory(req.user.id, 'expense', expenseData.category);
+
+    // Link the account (the default one when none is given), which may set the currency
+    const accountFields = await resolveAccountFields(req.user.id, req.body);
+    Object.assign(expenseData, accountFields);
+
+    // Convert foreign-currency amounts into the user's base currency
+    Object.assign(expenseData, await resolveConversion(req.user.id, { ...req.body, ...accountFields }));
+
     const expense = await Expense.create(expenseData);
 
     // Update user's financial summary
@@ -93,10 +123,13 @@ const createExpense = async (req, res, next) => {
     // Check for new achievements after expense creation
     await triggerAchievementCheck(req.user);
 
+    // Raise alerts for budget thresholds crossed by this expense
+    const budgetAlerts = await checkBudgetAlerts(req.user.id, expense);
+
     res.status(201).json({
       success: true,
       message: 'Expense created successfully',
-      data: { expense }
+      data: { expense, budgetAlerts, appliedRules: matchedRules }
     });
   } catch (error) {
     next(error);
@@ -108,27 +141,49 @@ const createExpense = async (req, res, next) => {
 // @access  Private
 const updateExpense = async (req, res, next) => {
   try {
-    const expense = await Expense.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const existingExpense = await Expense.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
 
-    if (!expense) {
+    if (!existingExpense) {
       return res.status(404).json({
         success: false,
         message: 'Expense not found'
       });
     }
 
+    await assertCategory(req.user.id, 'expense', req.body.category);
+    const splitFields = await resolveSplits(req.user.id, req.body, existingExpense);
+    const accountFields = await resolveAccountFields(req.user.id, req.body, existingExpense);
+
+    // Re-convert when the amount, currency, date or account changes
+    const conversion = await resolveConversion(req.user.id, { ...req.body, ...accountFields }, existingExpense);
+
+    // findOneAndUpdate skips the save hook that schedules recurring transactions
+    const recurrence = resolveRecurrenceUpdate(req.body, existingExpense);
+
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { ...req.body, ...splitFields, ...accountFields, ...conversion, ...recurrence },
+      { new: true, runValidators: true }
+    );
+    await syncExpensePayments(expense);
+
+    // Learn from the user moving this transaction to another category
+    const proposedRule = await learnFromCorrection(req.user.id, 'expense', existingExpense, req.body.category);
+
     // Update user's financial summary
     const user = await User.findById(req.user.id);
     await user.updateFinancialSummary();
 
+    // Raise alerts for budget thresholds crossed by this change
+    const budgetAlerts = await checkBudgetAlerts(req.user.id, expense);
+
     res.status(200).json({
       success: true,
       message: 'Expense updated successfully',
-      data: { expense }
+      data: { expense, budgetAlerts, proposedRule }
     });
   } catch (error) {
     next(error);
@@ -152,6 +207,9 @@ const deleteExpense = async (req, res, next) => {
       });
     }
 
+    await removeAttachmentBlobs(expense.attachments);
+    await removeExpensePayments(expense._id);
+
     // Update user's financial summary
     const user = await User.findById(req.user.id);
     await user.updateFinancialSummary();
@@ -170,13 +228,15 @@ const deleteExpense = async (req, res, next) => {
 // @access  Private
 const getExpenseSummary = async (req, res, next) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, category } = req.query;
     
     const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), 0, 1);
     const end = endDate ? new Date(endDate) : new Date();
 
     const summary = await Expense.getExpenseSummary(req.user.id, start, end);
-    const monthlyTrend = await Expense.getMonthlyTrend(req.user.id);
+    const monthlyTrend = await Expense.getMonthlyTrend(req.user.id, 12, category);
+    const baseCurrency = await getBaseCurrency(req.user.id);
+    const byCurrency = await getCurrencyBreakdown(Expense, req.user.id, baseCurrency, start, end);
 
     const totalExpenses = summary.reduce((total, item) => total + item.totalAmount, 0);
 
@@ -185,7 +245,9 @@ const getExpenseSummary = async (req, res, next) => {
       data: {
         summary: {
           totalExpenses,
+          baseCurrency,
           byCategory: summary,
+          byCurrency,
           monthlyTrend
         }
       }
@@ -202,21 +264,24 @@ const getExpenseByCategory = async (req, res, next) => {
   try {
     const expenseByCategory = await Expense.aggregate([
       { $match: { user: new mongoose.Types.ObjectId(req.user.id) } },
+      ...SPLIT_LINE_STAGES,
       {
         $group: {
           _id: '$category',
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgAmount: { $avg: '$amount' },
+          avgAmount: { $avg: BASE_AMOUNT },
           lastEntry: { $max: '$date' }
         }
       },
       { $sort: { totalAmount: -1 } }
     ]);
 
+    const details = await getCategoryDetails(req.user.id, 'expense');
+
     res.status(200).json({
       success: true,
-      data: { expenseByCategory }
+      data: { expenseByCategory: withCategoryDetails(expenseByCategory, details) }
     });
   } catch (error) {
     next(error);
@@ -242,6 +307,25 @@ const getRecurringExpenses = async (req, res, next) => {
   }
 };
 
+// @desc    Generate due occurrences of recurring expenses and income
+// @route   POST /api/expenses/recurring/run
+// @access  Private
+const runRecurringTransactions = async (req, res, next) => {
+  try {
+    const now = req.body.asOf ? new Date(req.body.asOf) : new Date();
+
+    const summary = await processRecurringTransactions({ now, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring transactions processed successfully',
+      data: { summary }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get top spending categories
 // @route   GET /api/expenses/top-categories
 // @access  Private
@@ -250,10 +334,11 @@ const getTopCategories = async (req, res, next) => {
     const { limit = 5 } = req.query;
     
     const topCategories = await Expense.getTopCategories(req.user.id, parseInt(limit));
+    const details = await getCategoryDetails(req.user.id, 'expense');
 
     res.status(200).json({
       success: true,
-      data: { topCategories }
+      data: { topCategories: withCategoryDetails(topCategories, details) }
     });
   } catch (error) {
     next(error);
@@ -269,5 +354,6 @@ module.exports = {
   getExpenseSummary,
   getExpenseByCategory,
   getRecurringExpenses,
+  runRecurringTransactions,
   getTopCategories
 };
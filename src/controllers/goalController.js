@@ -1,5 +1,30 @@
 const Goal = require('../models/Goal');
+const AutoContributionRun = require('../models/AutoContributionRun');
 const { triggerAchievementCheck } = require('../utils/achievementHelper');
+const { getNextRecurringDate } = require('../utils/recurrence');
+const { processAutoContributions } = require('../utils/autoContributionScheduler');
+const { MAX_MILESTONES, generateMilestones } = require('../utils/goalMilestones');
+const { roundAmount } = require('../utils/currencyAmounts');
+
+/**
+ * Check a goal's milestones against its target
+ * @param {Array} milestones - Milestones ({ amount })
+ * @param {Number} targetAmount - Goal target
+ * @returns {String|null} Error message, or null when valid
+ */
+const checkMilestones = (milestones, targetAmount) => {
+  if (milestones.length > MAX_MILESTONES) {
+    return `A goal can have at most ${MAX_MILESTONES} milestones`;
+  }
+  if (milestones.some(milestone => milestone.amount > targetAmount)) {
+    return 'Milestone amount cannot exceed the target amount';
+  }
+  const amounts = milestones.map(milestone => milestone.amount);
+  if (new Set(amounts).size !== amounts.length) {
+    return 'Milestones must have different amounts';
+  }
+  return null;
+};
 
 // @desc    Get all goals for user
 // @route   GET /api/goals
@@ -59,11 +84,24 @@ const getGoal = async (req, res, next) => {
 // @access  Private
 const createGoal = async (req, res, next) => {
   try {
+    const { generateMilestones: steps, ...body } = req.body;
     const goalData = {
-      ...req.body,
+      ...body,
       user: req.user.id
     };
 
+    if (steps) {
+      goalData.milestones = generateMilestones(goalData.targetAmount, steps);
+    }
+
+    const milestoneError = checkMilestones(goalData.milestones || [], goalData.targetAmount);
+    if (milestoneError) {
+      return res.status(400).json({
+        success: false,
+        message: milestoneError
+      });
+    }
+
     const goal = await Goal.create(goalData);
 
     res.status(201).json({
@@ -81,11 +119,10 @@ const createGoal = async (req, res, next) => {
 // @access  Private
 const updateGoal = async (req, res, next) => {
   try {
-    const goal = await Goal.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
 
     if (!goal) {
       return res.status(404).json({
@@ -94,6 +131,31 @@ const updateGoal = async (req, res, next) => {
       });
     }
 
+    const { currentAmount, ...changes } = req.body;
+    goal.set(changes);
+
+    // A lower target must stay above the existing milestones
+    const milestoneError = checkMilestones(goal.milestones, goal.targetAmount);
+    if (milestoneError) {
+      return res.status(400).json({
+        success: false,
+        message: milestoneError
+      });
+    }
+
+    // The balance is derived from the ledger, so record the difference in it
+    if (currentAmount !== undefined) {
+      const difference = roundAmount(currentAmount - goal.currentAmount);
+      if (difference > 0) {
+        goal.contributions.push({ amount: difference, source: 'manual', note: 'Balance adjustment' });
+      } else if (difference < 0) {
+        goal.contributions.push({ amount: difference, source: 'withdrawal', reason: 'Balance adjustment' });
+      }
+    }
+
+    // Saved through the document so status and milestones are re-checked
+    await goal.save();
+
     res.status(200).json({
       success: true,
       message: 'Goal updated successfully',
@@ -263,6 +325,459 @@ const updateGoalStatus = async (req, res, next) => {
   }
 };
 
+// @desc    Get goal auto-contribution plan and recent runs
+// @route   GET /api/goals/:id/auto-contribution
+// @access  Private
+const getAutoContribution = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const runs = await AutoContributionRun.find({ goal: goal._id })
+      .sort({ scheduledFor: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        autoContribution: goal.autoContribution,
+        runs
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Configure goal auto-contribution plan
+// @route   PUT /api/goals/:id/auto-contribution
+// @access  Private
+const updateAutoContribution = async (req, res, next) => {
+  try {
+    const { enabled = true, amount, frequency = 'monthly', startDate } = req.body;
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    if (enabled && ['completed', 'cancelled'].includes(goal.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot schedule contributions for a ${goal.status} goal`
+      });
+    }
+
+    // First contribution defaults to one period from now
+    const firstContribution = startDate
+      ? new Date(startDate)
+      : getNextRecurringDate(new Date(), frequency);
+
+    const updatedGoal = await Goal.findByIdAndUpdate(
+      goal._id,
+      {
+        $set: {
+          autoContribution: {
+            enabled,
+            amount: amount !== undefined ? amount : goal.autoContribution.amount,
+            frequency,
+            startDate: firstContribution,
+            nextContribution: enabled ? firstContribution : undefined
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Auto-contribution updated successfully',
+      data: { autoContribution: updatedGoal.autoContribution }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable goal auto-contribution plan
+// @route   DELETE /api/goals/:id/auto-contribution
+// @access  Private
+const deleteAutoContribution = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      {
+        $set: { 'autoContribution.enabled': false },
+        $unset: { 'autoContribution.nextContribution': '' }
+      },
+      { new: true }
+    );
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Auto-contribution disabled successfully',
+      data: { autoContribution: goal.autoContribution }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Apply due auto-contributions for the user's goals
+// @route   POST /api/goals/auto-contributions/run
+// @access  Private
+const runAutoContributions = async (req, res, next) => {
+  try {
+    const now = req.body.asOf ? new Date(req.body.asOf) : new Date();
+
+    const summary = await processAutoContributions({ now, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Auto-contributions processed successfully',
+      data: { summary }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get goal milestones
+// @route   GET /api/goals/:id/milestones
+// @access  Private
+const getMilestones = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { milestones: goal.milestones }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add goal milestone
+// @route   POST /api/goals/:id/milestones
+// @access  Private
+const addMilestone = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const milestoneError = checkMilestones([...goal.milestones, req.body], goal.targetAmount);
+    if (milestoneError) {
+      return res.status(400).json({
+        success: false,
+        message: milestoneError
+      });
+    }
+
+    const milestone = goal.milestones.create(req.body);
+    goal.milestones.push(milestone);
+    await goal.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone added successfully',
+      data: {
+        milestone,
+        milestones: goal.milestones
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update goal milestone
+// @route   PUT /api/goals/:id/milestones/:milestoneId
+// @access  Private
+const updateMilestone = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    const milestone = goal && goal.milestones.id(req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: goal ? 'Milestone not found' : 'Goal not found'
+      });
+    }
+
+    const { amount, description } = req.body;
+    if (amount !== undefined) {
+      const milestones = goal.milestones.map(item => (item._id.equals(milestone._id) ? { amount } : item));
+      const milestoneError = checkMilestones(milestones, goal.targetAmount);
+      if (milestoneError) {
+        return res.status(400).json({
+          success: false,
+          message: milestoneError
+        });
+      }
+
+      milestone.amount = amount;
+    }
+    if (description !== undefined) milestone.description = description;
+
+    await goal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone updated successfully',
+      data: {
+        milestone,
+        milestones: goal.milestones
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete goal milestone
+// @route   DELETE /api/goals/:id/milestones/:milestoneId
+// @access  Private
+const deleteMilestone = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    const milestone = goal && goal.milestones.id(req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: goal ? 'Milestone not found' : 'Goal not found'
+      });
+    }
+
+    milestone.deleteOne();
+    await goal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone deleted successfully',
+      data: { milestones: goal.milestones }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get goal contribution ledger
+// @route   GET /api/goals/:id/contributions
+// @access  Private
+const getContributions = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const contributions = [...goal.contributions].sort((a, b) => b.date - a.date);
+    const sumAmounts = (entries) => roundAmount(entries.reduce((sum, entry) => sum + entry.amount, 0));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        contributions,
+        openingBalance: goal.openingBalance || 0,
+        totalContributed: sumAmounts(contributions.filter(entry => entry.amount > 0)),
+        totalWithdrawn: -sumAmounts(contributions.filter(entry => entry.amount < 0)),
+        currentAmount: goal.currentAmount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Withdraw from goal
+// @route   POST /api/goals/:id/withdraw
+// @access  Private
+const withdrawFromGoal = async (req, res, next) => {
+  try {
+    const { amount, reason, note = '', date } = req.body;
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    if (amount > goal.currentAmount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Withdrawal cannot exceed the current amount'
+      });
+    }
+
+    await goal.withdraw(amount, reason, note, date);
+
+    res.status(200).json({
+      success: true,
+      message: 'Withdrawal recorded successfully',
+      data: { goal }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update goal contribution
+// @route   PUT /api/goals/:id/contributions/:contributionId
+// @access  Private
+const updateContribution = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    const contribution = goal && goal.contributions.id(req.params.contributionId);
+
+    if (!contribution) {
+      return res.status(404).json({
+        success: false,
+        message: goal ? 'Contribution not found' : 'Goal not found'
+      });
+    }
+
+    const isWithdrawal = contribution.source === 'withdrawal';
+    const { amount, date, source, note, reason } = req.body;
+
+    if (isWithdrawal ? source !== undefined : reason !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: isWithdrawal ? 'Withdrawal source cannot be changed' : 'Only withdrawals have a reason'
+      });
+    }
+
+    // Amounts are sent as positive numbers; withdrawals keep their sign
+    if (amount !== undefined) contribution.amount = isWithdrawal ? -amount : amount;
+    if (date !== undefined) contribution.date = date;
+    if (source !== undefined) contribution.source = source;
+    if (note !== undefined) contribution.note = note;
+    if (reason !== undefined) contribution.reason = reason;
+
+    if (goal.getLedgerBalance() < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Goal balance cannot go below zero'
+      });
+    }
+
+    await goal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Contribution updated successfully',
+      data: { contribution, goal }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete goal contribution, reversing its effect on the balance
+// @route   DELETE /api/goals/:id/contributions/:contributionId
+// @access  Private
+const deleteContribution = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    const contribution = goal && goal.contributions.id(req.params.contributionId);
+
+    if (!contribution) {
+      return res.status(404).json({
+        success: false,
+        message: goal ? 'Contribution not found' : 'Goal not found'
+      });
+    }
+
+    contribution.deleteOne();
+
+    if (goal.getLedgerBalance() < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Goal balance cannot go below zero'
+      });
+    }
+
+    await goal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Contribution deleted successfully',
+      data: { goal }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getGoals,
   getGoal,
@@ -272,5 +787,17 @@ module.exports = {
   addContribution,
   getGoalsSummary,
   getGoalsByCategory,
-  updateGoalStatus
+  updateGoalStatus,
+  getAutoContribution,
+  updateAutoContribution,
+  deleteAutoContribution,
+  runAutoContributions,
+  getMilestones,
+  addMilestone,
+  updateMilestone,
+  deleteMilestone,
+  getContributions,
+  withdrawFromGoal,
+  updateContribution,
+  deleteContribution
 };
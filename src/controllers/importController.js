@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const { detectFormat } = require('../utils/importParsers');
+const { prepareImport, commitImport } = require('../utils/transactionImport');
+const { triggerAchievementCheck } = require('../utils/achievementHelper');
+
+// Multipart fields arrive as strings; JSON bodies may already hold objects
+const parseJsonField = (value) => {
+  if (value === undefined) return value;
+
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  // "null", arrays and scalars parse fine but are not usable maps
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new TypeError('Expected a JSON object');
+  }
+  return parsed;
+};
+
+// Helper function to read the uploaded statement and its import options
+const readStatement = (req) => {
+  const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+  if (!content) {
+    return { error: 'Upload a statement file or provide its content' };
+  }
+
+  const format = req.body.format || detectFormat(req.file?.originalname);
+  if (!format) {
+    return { error: 'Could not detect the statement format, specify one of: csv, ofx, qfx, qif' };
+  }
+
+  let mapping;
+  let categoryMap;
+  try {
+    mapping = parseJsonField(req.body.mapping);
+    categoryMap = parseJsonField(req.body.categoryMap);
+  } catch (error) {
+    return { error: 'mapping and categoryMap must be valid JSON objects' };
+  }
+
+  return {
+    format,
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    content: content.replace(/^\uFEFF/, ''),
+    options: {
+      type: req.body.type,
+      mapping,
+      categoryMap,
+      dateFormat: req.body.dateFormat,
+      delimiter: req.body.delimiter,
+      currency: req.body.currency,
+      account: req.body.account
+    }
+  };
+};
+
+// @desc    Preview a bank statement import
+// @route   POST /api/imports/preview
+// @access  Private
+const previewImport = async (req, res, next) => {
+  try {
+    const statement = readStatement(req);
+    if (statement.error) {
+      return res.status(400).json({
+        success: false,
+        message: statement.error
+      });
+    }
+
+    const { rows, summary } = await prepareImport(
+      req.user.id,
+      statement.format,
+      statement.content,
+      statement.options
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        format: statement.format,
+        summary,
+        rows
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Import a bank statement into expenses and income
+// @route   POST /api/imports
+// @access  Private
+const commitStatementImport = async (req, res, next) => {
+  try {
+    const statement = readStatement(req);
+    if (statement.error) {
+      return res.status(400).json({
+        success: false,
+        message: statement.error
+      });
+    }
+
+    const { rows, summary } = await prepareImport(
+      req.user.id,
+      statement.format,
+      statement.content,
+      statement.options
+    );
+
+    const includeDuplicates = req.body.includeDuplicates === true || req.body.includeDuplicates === 'true';
+    const report = await commitImport(req.user.id, rows, { includeDuplicates });
+    const imported = report.filter(row => row.status === 'imported').length;
+
+    if (imported > 0) {
+      // Update user's financial summary
+      const user = await User.findById(req.user.id);
+      await user.updateFinancialSummary();
+
+      // Check for new achievements after import
+      await triggerAchievementCheck(req.user);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${imported} of ${summary.total} transactions`,
+      data: {
+        summary: {
+          ...summary,
+          imported
+        },
+        rows: report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  previewImport,
+  commitStatementImport
+};
@@ -2,18 +2,26 @@ const Income = require('../models/Income');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 const { triggerAchievementCheck } = require('../utils/achievementHelper');
+const { BASE_AMOUNT, getCurrencyBreakdown } = require('../utils/currencyAmounts');
+const { getBaseCurrency, resolveConversion } = require('../utils/exchangeRates');
+const { FALLBACK_CATEGORY, assertCategory, getCategoryDetails, withCategoryDetails } = require('../utils/categories');
+const { applyRules, learnFromCorrection } = require('../utils/rulesEngine');
+const { removeAttachmentBlobs } = require('../utils/attachments');
+const { resolveAccountFields } = require('../utils/accounts');
+const { resolveRecurrenceUpdate } = require('../utils/recurrence');
 
 // @desc    Get all incomes for user
 // @route   GET /api/income
 // @access  Private
 const getIncomes = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, category, startDate, endDate, sortBy = 'date', sortOrder = 'desc' } = req.query;
+    const { page = 1, limit = 10, category, account, startDate, endDate, sortBy = 'date', sortOrder = 'desc' } = req.query;
 
     const query = { user: req.user.id };
     
     // Add filters
     if (category) query.category = category;
+    if (account) query.account = account;
     if (startDate || endDate) {
       query.date = {};
       if (startDate) query.date.$gte = new Date(startDate);
@@ -79,11 +87,25 @@ const getIncome = async (req, res, next) => {
 // @access  Private
 const createIncome = async (req, res, next) => {
   try {
-    const incomeData = {
+    // Fill the category, tags and recurrence from the user's rules
+    const { transaction, matchedRules } = await applyRules(req.user.id, 'income', {
       ...req.body,
       user: req.user.id
+    });
+    const incomeData = {
+      ...transaction,
+      category: transaction.category || FALLBACK_CATEGORY
     };
 
+    await assertCategory(req.user.id, 'income', incomeData.category);
+
+    // Link the account (the default one when none is given), which may set the currency
+    const accountFields = await resolveAccountFields(req.user.id, req.body);
+    Object.assign(incomeData, accountFields);
+
+    // Convert foreign-currency amounts into the user's base currency
+    Object.assign(incomeData, await resolveConversion(req.user.id, { ...req.body, ...accountFields }));
+
     const income = await Income.create(incomeData);
 
     // Update user's financial summary
@@ -96,7 +118,7 @@ const createIncome = async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Income created successfully',
-      data: { income }
+      data: { income, appliedRules: matchedRules }
     });
   } catch (error) {
     next(error);
@@ -108,19 +130,36 @@ const createIncome = async (req, res, next) => {
 // @access  Private
 const updateIncome = async (req, res, next) => {
   try {
-    const income = await Income.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const existingIncome = await Income.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
 
-    if (!income) {
+    if (!existingIncome) {
       return res.status(404).json({
         success: false,
         message: 'Income not found'
       });
     }
 
+    await assertCategory(req.user.id, 'income', req.body.category);
+    const accountFields = await resolveAccountFields(req.user.id, req.body, existingIncome);
+
+    // Re-convert when the amount, currency, date or account changes
+    const conversion = await resolveConversion(req.user.id, { ...req.body, ...accountFields }, existingIncome);
+
+    // findOneAndUpdate skips the save hook that schedules recurring transactions
+    const recurrence = resolveRecurrenceUpdate(req.body, existingIncome);
+
+    const income = await Income.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { ...req.body, ...accountFields, ...conversion, ...recurrence },
+      { new: true, runValidators: true }
+    );
+
+    // Learn from the user moving this transaction to another category
+    const proposedRule = await learnFromCorrection(req.user.id, 'income', existingIncome, req.body.category);
+
     // Update user's financial summary
     const user = await User.findById(req.user.id);
     await user.updateFinancialSummary();
@@ -128,7 +167,7 @@ const updateIncome = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Income updated successfully',
-      data: { income }
+      data: { income, proposedRule }
     });
   } catch (error) {
     next(error);
@@ -152,6 +191,8 @@ const deleteIncome = async (req, res, next) => {
       });
     }
 
+    await removeAttachmentBlobs(income.attachments);
+
     // Update user's financial summary
     const user = await User.findById(req.user.id);
     await user.updateFinancialSummary();
@@ -177,6 +218,8 @@ const getIncomeSummary = async (req, res, next) => {
 
     const summary = await Income.getIncomeSummary(req.user.id, start, end);
     const monthlyTrend = await Income.getMonthlyTrend(req.user.id);
+    const baseCurrency = await getBaseCurrency(req.user.id);
+    const byCurrency = await getCurrencyBreakdown(Income, req.user.id, baseCurrency, start, end);
 
     const totalIncome = summary.reduce((total, item) => total + item.totalAmount, 0);
 
@@ -185,7 +228,9 @@ const getIncomeSummary = async (req, res, next) => {
       data: {
         summary: {
           totalIncome,
+          baseCurrency,
           byCategory: summary,
+          byCurrency,
           monthlyTrend
         }
       }
@@ -205,18 +250,20 @@ const getIncomeByCategory = async (req, res, next) => {
       {
         $group: {
           _id: '$category',
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgAmount: { $avg: '$amount' },
+          avgAmount: { $avg: BASE_AMOUNT },
           lastEntry: { $max: '$date' }
         }
       },
       { $sort: { totalAmount: -1 } }
     ]);
 
+    const details = await getCategoryDetails(req.user.id, 'income');
+
     res.status(200).json({
       success: true,
-      data: { incomeByCategory }
+      data: { incomeByCategory: withCategoryDetails(incomeByCategory, details) }
     });
   } catch (error) {
     next(error);
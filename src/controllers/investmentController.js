@@ -0,0 +1,381 @@
+const Holding = require('../models/Holding');
+const InvestmentTransaction = require('../models/InvestmentTransaction');
+const SecurityPrice = require('../models/SecurityPrice');
+const Income = require('../models/Income');
+const User = require('../models/User');
+const { assertCategory } = require('../utils/categories');
+const { resolveAccountFields } = require('../utils/accounts');
+const { getBaseCurrency, resolveConversion } = require('../utils/exchangeRates');
+const {
+  replayTransactions,
+  saveHoldingState,
+  valueHoldings,
+  getPortfolio: buildPortfolio,
+  importPrices: importPriceFile
+} = require('../utils/investments');
+
+// Income category of dividends when none is given
+const DIVIDEND_CATEGORY = 'investment';
+
+const holdingNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Holding not found'
+});
+
+const findHolding = (req) => Holding.findOne({ _id: req.params.id, user: req.user.id });
+
+const refreshFinancialSummary = async (userId) => {
+  const user = await User.findById(userId);
+  await user.updateFinancialSummary();
+};
+
+// @desc    Get holdings with market values and gains
+// @route   GET /api/investments
+// @access  Private
+const getHoldings = async (req, res, next) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.includeClosed !== 'true') query.quantity = { $gt: 0 };
+
+    const holdings = await Holding.find(query).sort({ symbol: 1 });
+    const valued = await valueHoldings(req.user.id, holdings);
+
+    res.status(200).json({
+      success: true,
+      data: valued
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get portfolio totals, allocation and drift from the target allocation
+// @route   GET /api/investments/portfolio
+// @access  Private
+const getPortfolio = async (req, res, next) => {
+  try {
+    const portfolio = await buildPortfolio(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { portfolio }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single holding with its transactions
+// @route   GET /api/investments/:id
+// @access  Private
+const getHolding = async (req, res, next) => {
+  try {
+    const holding = await findHolding(req);
+    if (!holding) return holdingNotFound(res);
+
+    const [{ holdings: [valued] }, transactions] = await Promise.all([
+      valueHoldings(req.user.id, [holding]),
+      InvestmentTransaction.find({ holding: holding._id }).sort({ date: -1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { holding: valued, transactions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create holding
+// @route   POST /api/investments
+// @access  Private
+const createHolding = async (req, res, next) => {
+  try {
+    const symbol = req.body.symbol.toUpperCase();
+    if (await Holding.exists({ user: req.user.id, symbol })) {
+      return res.status(400).json({
+        success: false,
+        message: `A holding for ${symbol} already exists`
+      });
+    }
+
+    const holding = await Holding.create({
+      ...req.body,
+      currency: req.body.currency || await getBaseCurrency(req.user.id),
+      user: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Holding created successfully',
+      data: { holding }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update holding name or asset class
+// @route   PUT /api/investments/:id
+// @access  Private
+const updateHolding = async (req, res, next) => {
+  try {
+    const holding = await Holding.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!holding) return holdingNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Holding updated successfully',
+      data: { holding }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete holding, its transactions and dividend income
+// @route   DELETE /api/investments/:id
+// @access  Private
+const deleteHolding = async (req, res, next) => {
+  try {
+    const holding = await Holding.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!holding) return holdingNotFound(res);
+
+    const incomeIds = await InvestmentTransaction.distinct('income', { holding: holding._id, income: { $ne: null } });
+    await InvestmentTransaction.deleteMany({ holding: holding._id });
+    if (incomeIds.length > 0) {
+      await Income.deleteMany({ _id: { $in: incomeIds }, user: req.user.id });
+      await refreshFinancialSummary(req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Holding deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a holding's transactions
+// @route   GET /api/investments/:id/transactions
+// @access  Private
+const getHoldingTransactions = async (req, res, next) => {
+  try {
+    const holding = await findHolding(req);
+    if (!holding) return holdingNotFound(res);
+
+    const transactions = await InvestmentTransaction.find({ holding: holding._id }).sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { transactions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record a buy, sell or dividend (dividends are also recorded as income)
+// @route   POST /api/investments/:id/transactions
+// @access  Private
+const createHoldingTransaction = async (req, res, next) => {
+  try {
+    const holding = await findHolding(req);
+    if (!holding) return holdingNotFound(res);
+
+    const { account, category, ...fields } = req.body;
+    const transaction = new InvestmentTransaction({
+      ...fields,
+      user: req.user.id,
+      holding: holding._id
+    });
+    await transaction.validate();
+
+    // Fails before anything is written when a sell exceeds the units held
+    const existing = await InvestmentTransaction.find({ holding: holding._id });
+    const state = replayTransactions([...existing, transaction]);
+
+    if (transaction.type === 'dividend') {
+      const incomeData = {
+        user: req.user.id,
+        amount: transaction.amount,
+        currency: holding.currency,
+        source: `${holding.symbol} dividend`,
+        category: category || DIVIDEND_CATEGORY,
+        date: transaction.date,
+        description: transaction.notes
+      };
+      await assertCategory(req.user.id, 'income', incomeData.category);
+
+      const accountFields = await resolveAccountFields(req.user.id, { account, currency: holding.currency });
+      Object.assign(incomeData, accountFields);
+      Object.assign(incomeData, await resolveConversion(req.user.id, incomeData));
+
+      const income = await Income.create(incomeData);
+      transaction.income = income._id;
+    }
+
+    await transaction.save();
+    await saveHoldingState(holding, state);
+
+    if (transaction.income) await refreshFinancialSummary(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Investment transaction recorded successfully',
+      data: {
+        transaction: await InvestmentTransaction.findById(transaction._id),
+        holding
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a holding transaction
+// @route   DELETE /api/investments/:id/transactions/:transactionId
+// @access  Private
+const deleteHoldingTransaction = async (req, res, next) => {
+  try {
+    const holding = await findHolding(req);
+    if (!holding) return holdingNotFound(res);
+
+    const transactions = await InvestmentTransaction.find({ holding: holding._id });
+    const transaction = transactions.find(item => item._id.toString() === req.params.transactionId);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Investment transaction not found'
+      });
+    }
+
+    // Removing a buy must not leave later sells uncovered
+    const state = replayTransactions(transactions.filter(item => item !== transaction));
+
+    await InvestmentTransaction.deleteOne({ _id: transaction._id });
+    await saveHoldingState(holding, state);
+
+    if (transaction.income) {
+      await Income.deleteOne({ _id: transaction.income, user: req.user.id });
+      await refreshFinancialSummary(req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Investment transaction deleted successfully',
+      data: { holding }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get price history
+// @route   GET /api/investments/prices
+// @access  Private
+const getPrices = async (req, res, next) => {
+  try {
+    const { symbol, startDate, endDate, limit = 100 } = req.query;
+
+    const query = { user: req.user.id };
+    if (symbol) query.symbol = symbol.toUpperCase();
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const prices = await SecurityPrice.find(query)
+      .sort({ date: -1, symbol: 1 })
+      .limit(parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: { prices }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Enter a price manually (replaces the symbol's price for that day)
+// @route   POST /api/investments/prices
+// @access  Private
+const addPrice = async (req, res, next) => {
+  try {
+    const symbol = req.body.symbol.toUpperCase();
+    const date = new Date(req.body.date);
+    date.setUTCHours(0, 0, 0, 0);
+
+    const price = await SecurityPrice.findOneAndUpdate(
+      { user: req.user.id, symbol, date },
+      { price: req.body.price, source: 'manual' },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Price saved successfully',
+      data: { price }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Import prices from a CSV or JSON file
+// @route   POST /api/investments/prices/import
+// @access  Private
+const importPrices = async (req, res, next) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a price file or provide its content'
+      });
+    }
+
+    const extension = req.file?.originalname.split('.').pop().toLowerCase();
+    const format = req.body.format || (['csv', 'json'].includes(extension) ? extension : null);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not detect the price file format, specify one of: csv, json'
+      });
+    }
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const result = await importPriceFile(req.user.id, format, content.replace(/^\uFEFF/, ''));
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.imported} prices`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getHoldings,
+  getPortfolio,
+  getHolding,
+  createHolding,
+  updateHolding,
+  deleteHolding,
+  getHoldingTransactions,
+  createHoldingTransaction,
+  deleteHoldingTransaction,
+  getPrices,
+  addPrice,
+  importPrices
+};
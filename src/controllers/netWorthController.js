@@ -0,0 +1,113 @@
+const NetWorthItem = require('../models/NetWorthItem');
+const { calculateNetWorth } = require('../utils/netWorth');
+
+const itemNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Net worth item not found'
+});
+
+// @desc    Get current net worth with its breakdown
+// @route   GET /api/net-worth
+// @access  Private
+const getNetWorth = async (req, res, next) => {
+  try {
+    const netWorth = await calculateNetWorth(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { netWorth }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get manual assets and liabilities
+// @route   GET /api/net-worth/items
+// @access  Private
+const getNetWorthItems = async (req, res, next) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.kind) query.kind = req.query.kind;
+
+    const items = await NetWorthItem.find(query).sort({ kind: 1, value: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { items }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a manual asset or liability
+// @route   POST /api/net-worth/items
+// @access  Private
+const createNetWorthItem = async (req, res, next) => {
+  try {
+    const item = await NetWorthItem.create({
+      ...req.body,
+      user: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Net worth item created successfully',
+      data: { item }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a manual asset or liability
+// @route   PUT /api/net-worth/items/:id
+// @access  Private
+const updateNetWorthItem = async (req, res, next) => {
+  try {
+    const changes = { ...req.body };
+    // A new value is a new valuation
+    if (changes.value !== undefined && changes.valuedAt === undefined) changes.valuedAt = new Date();
+
+    const item = await NetWorthItem.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      changes,
+      { new: true, runValidators: true }
+    );
+    if (!item) return itemNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Net worth item updated successfully',
+      data: { item }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a manual asset or liability
+// @route   DELETE /api/net-worth/items/:id
+// @access  Private
+const deleteNetWorthItem = async (req, res, next) => {
+  try {
+    const item = await NetWorthItem.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!item) return itemNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Net worth item deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNetWorth,
+  getNetWorthItems,
+  createNetWorthItem,
+  updateNetWorthItem,
+  deleteNetWorthItem
+};
@@ -0,0 +1,187 @@
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+
+const getUnreadCount = (userId) => Notification.countDocuments({ user: userId, isRead: false });
+
+// @desc    Get notification inbox
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res, next) => {
+  try {
+    const { unread, type, limit = 50 } = req.query;
+
+    const query = { user: req.user.id };
+    if (unread === 'true') query.isRead = false;
+    if (type) query.type = type;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .select('-deliveries.nextAttemptAt')
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(limit) || 50, 200)),
+      getUnreadCount(req.user.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getNotificationUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notification,
+        unreadCount: await getUnreadCount(req.user.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Marked ${result.modifiedCount} notifications as read`,
+      data: { updated: result.modifiedCount, unreadCount: 0 }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the VAPID public key browsers subscribe with
+// @route   GET /api/notifications/push-public-key
+// @access  Private
+const getPushPublicKey = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+        publicKey: process.env.VAPID_PUBLIC_KEY || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Register a browser push subscription
+// @route   POST /api/notifications/push-subscriptions
+// @access  Private
+const addPushSubscription = async (req, res, next) => {
+  try {
+    const { endpoint, keys } = req.body;
+
+    // A browser keeps its endpoint across logins, so it moves to the current user
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.user.id,
+        keys,
+        userAgent: req.get('user-agent')
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Push subscription saved',
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a browser push subscription
+// @route   DELETE /api/notifications/push-subscriptions
+// @access  Private
+const removePushSubscription = async (req, res, next) => {
+  try {
+    const subscription = await PushSubscription.findOneAndDelete({
+      endpoint: req.body.endpoint,
+      user: req.user.id
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Push subscription not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Push subscription removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getNotificationUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPushPublicKey,
+  addPushSubscription,
+  removePushSubscription
+};
@@ -2,8 +2,21 @@ const Income = require('../models/Income');
 const Expense = require('../models/Expense');
 const Goal = require('../models/Goal');
 const User = require('../models/User');
+const UserSettings = require('../models/UserSettings');
 const moment = require('moment');
 const mongoose = require('mongoose');
+const { CSV_ENTITIES, createCsvStream, createCsvArchive } = require('../utils/csvExport');
+const { BASE_AMOUNT, getCurrencyBreakdown } = require('../utils/currencyAmounts');
+const { getBaseCurrency } = require('../utils/exchangeRates');
+const { getCategoryDetails, withCategoryDetails } = require('../utils/categories');
+const { SPLIT_LINE_STAGES } = require('../utils/expenseSplits');
+const { getDebtSummary, rateDebtLoad } = require('../utils/debts');
+const { NET_WORTH_INTERVALS, calculateNetWorth, getNetWorthSeries } = require('../utils/netWorth');
+const { buildCashFlowForecast } = require('../utils/cashFlowForecast');
+const { createMonthlyStatement } = require('../utils/statementPdf');
+const { getCurrencySymbol } = require('../utils/currencySymbols');
+const Digest = require('../models/Digest');
+const { DIGEST_PERIODS, verifyUnsubscribeToken } = require('../utils/digests');
 
 // Helper function to calculate financial health score
 const calculateFinancialHealthScore = (income, expenses, savings) => {
@@ -67,7 +80,7 @@ const getDashboardData = async (req, res, next) => {
         {
           $group: {
             _id: null,
-            total: { $sum: '$amount' },
+            total: { $sum: BASE_AMOUNT },
             count: { $sum: 1 }
           }
         }
@@ -82,7 +95,7 @@ const getDashboardData = async (req, res, next) => {
         {
           $group: {
             _id: null,
-            total: { $sum: '$amount' },
+            total: { $sum: BASE_AMOUNT },
             count: { $sum: 1 }
           }
         }
@@ -113,10 +126,11 @@ const getDashboardData = async (req, res, next) => {
           date: { $gte: startOfMonth, $lte: endOfMonth }
         }
       },
+      ...SPLIT_LINE_STAGES,
       {
         $group: {
           _id: '$category',
-          total: { $sum: '$amount' },
+          total: { $sum: BASE_AMOUNT },
           count: { $sum: 1 }
         }
       },
@@ -140,9 +154,9 @@ const getDashboardData = async (req, res, next) => {
         {
           $group: {
             _id: null,
-            total: { $sum: '$amount' },
+            total: { $sum: BASE_AMOUNT },
             count: { $sum: 1 },
-            avgAmount: { $avg: '$amount' }
+            avgAmount: { $avg: BASE_AMOUNT }
           }
         }
       ]),
@@ -159,9 +173,9 @@ const getDashboardData = async (req, res, next) => {
         {
           $group: {
             _id: null,
-            total: { $sum: '$amount' },
+            total: { $sum: BASE_AMOUNT },
             count: { $sum: 1 },
-            avgAmount: { $avg: '$amount' }
+            avgAmount: { $avg: BASE_AMOUNT }
           }
         }
       ]),
@@ -176,9 +190,9 @@ const getDashboardData = async (req, res, next) => {
         {
           $group: {
             _id: '$category',
-            total: { $sum: '$amount' },
+            total: { $sum: BASE_AMOUNT },
             count: { $sum: 1 },
-            avgAmount: { $avg: '$amount' }
+            avgAmount: { $avg: BASE_AMOUNT }
           }
         },
         { $sort: { total: -1 } }
@@ -191,18 +205,26 @@ const getDashboardData = async (req, res, next) => {
             date: { $gte: startOfMonth, $lte: endOfMonth }
           }
         },
+        ...SPLIT_LINE_STAGES,
         {
           $group: {
             _id: '$category',
-            total: { $sum: '$amount' },
+            total: { $sum: BASE_AMOUNT },
             count: { $sum: 1 },
-            avgAmount: { $avg: '$amount' }
+            avgAmount: { $avg: BASE_AMOUNT }
           }
         },
         { $sort: { total: -1 } }
       ])
     ]);
 
+    // Original currencies behind this month's converted totals
+    const baseCurrency = await getBaseCurrency(userId);
+    const [incomeByCurrency, expensesByCurrency] = await Promise.all([
+      getCurrencyBreakdown(Income, userId, baseCurrency, startOfMonth, endOfMonth),
+      getCurrencyBreakdown(Expense, userId, baseCurrency, startOfMonth, endOfMonth)
+    ]);
+
     // Calculate additional metrics
     const yearlyIncomeTotal = yearlyIncome[0]?.total || 0;
     const yearlyExpensesTotal = yearlyExpenses[0]?.total || 0;
@@ -240,6 +262,11 @@ const getDashboardData = async (req, res, next) => {
           incomeCount: yearlyIncome[0]?.count || 0,
           expenseCount: yearlyExpenses[0]?.count || 0
         },
+        currency: {
+          base: baseCurrency,
+          income: incomeByCurrency,
+          expenses: expensesByCurrency
+        },
         categoryBreakdown: {
           income: incomeWithPercentages,
           expenses: expensesWithPercentages
@@ -274,82 +301,154 @@ const getDashboardData = async (req, res, next) => {
   }
 };
 
-// @desc    Get monthly report
+// Income, spending and goal figures for one calendar month
+const buildMonthlyReport = async (userId, year, month) => {
+  const startDate = moment(`${year}-${month.toString().padStart(2, '0')}-01`).startOf('month').toDate();
+  const endDate = moment(`${year}-${month.toString().padStart(2, '0')}-01`).endOf('month').toDate();
+
+  // Get monthly income and expenses
+  const [incomeData, expenseData, incomeCategories, expenseCategories] = await Promise.all([
+    Income.getIncomeSummary(userId, startDate, endDate),
+    Expense.getExpenseSummary(userId, startDate, endDate),
+    getCategoryDetails(userId, 'income'),
+    getCategoryDetails(userId, 'expense')
+  ]);
+
+  const totalIncome = incomeData.reduce((sum, item) => sum + item.totalAmount, 0);
+  const totalExpenses = expenseData.reduce((sum, item) => sum + item.totalAmount, 0);
+  const netSavings = totalIncome - totalExpenses;
+  const baseCurrency = await getBaseCurrency(userId);
+
+  // Get daily breakdown
+  const dailyBreakdown = await Promise.all([
+    Income.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId),
+          date: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: { $dayOfMonth: '$date' },
+          income: { $sum: BASE_AMOUNT }
+        }
+      },
+      { $sort: { '_id': 1 } }
+    ]),
+    Expense.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId),
+          date: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: { $dayOfMonth: '$date' },
+          expenses: { $sum: BASE_AMOUNT }
+        }
+      },
+      { $sort: { '_id': 1 } }
+    ])
+  ]);
+
+  const [incomeByCurrency, expensesByCurrency] = await Promise.all([
+    getCurrencyBreakdown(Income, userId, baseCurrency, startDate, endDate),
+    getCurrencyBreakdown(Expense, userId, baseCurrency, startDate, endDate)
+  ]);
+
+  // Goal balances at the end of the month, less contributions made since
+  const goals = await Goal.find({
+    user: userId,
+    status: { $in: ['active', 'completed'] },
+    createdAt: { $lte: endDate }
+  }).sort({ targetDate: 1 });
+
+  const goalProgress = goals.map(goal => {
+    const contributions = goal.contributions || [];
+    const sumContributions = (filter) => contributions.filter(filter).reduce((sum, contribution) => sum + contribution.amount, 0);
+    const currentAmount = Math.max(goal.currentAmount - sumContributions(contribution => contribution.date > endDate), 0);
+
+    return {
+      _id: goal._id,
+      title: goal.title,
+      status: goal.status,
+      currentAmount,
+      targetAmount: goal.targetAmount,
+      progress: goal.targetAmount > 0 ? (currentAmount / goal.targetAmount) * 100 : 0,
+      contributed: sumContributions(contribution => contribution.date >= startDate && contribution.date <= endDate)
+    };
+  });
+
+  return {
+    period: {
+      year: parseInt(year),
+      month: parseInt(month),
+      monthName: moment(`${year}-${month.toString().padStart(2, '0')}-01`).format('MMMM YYYY')
+    },
+    summary: {
+      baseCurrency,
+      totalIncome,
+      totalExpenses,
+      netSavings,
+      savingsRate: totalIncome > 0 ? (netSavings / totalIncome) * 100 : 0
+    },
+    incomeByCategory: withCategoryDetails(incomeData, incomeCategories),
+    expensesByCategory: withCategoryDetails(expenseData, expenseCategories),
+    currencyBreakdown: {
+      income: incomeByCurrency,
+      expenses: expensesByCurrency
+    },
+    dailyBreakdown: {
+      income: dailyBreakdown[0],
+      expenses: dailyBreakdown[1]
+    },
+    goalProgress
+  };
+};
+
+// @desc    Get monthly report as JSON or a PDF statement
 // @route   GET /api/reports/monthly/:year/:month
 // @access  Private
 const getMonthlyReport = async (req, res, next) => {
   try {
     const { year, month } = req.params;
+    const { format = 'json' } = req.query;
     const userId = req.user.id;
 
-    const startDate = moment(`${year}-${month.toString().padStart(2, '0')}-01`).startOf('month').toDate();
-    const endDate = moment(`${year}-${month.toString().padStart(2, '0')}-01`).endOf('month').toDate();
+    if (!/^\d{4}$/.test(year) || !/^\d{1,2}$/.test(month) || !(parseInt(month) >= 1 && parseInt(month) <= 12)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Year and month must be a valid calendar month, e.g. /monthly/2024/5'
+      });
+    }
 
-    // Get monthly income and expenses
-    const [incomeData, expenseData] = await Promise.all([
-      Income.getIncomeSummary(userId, startDate, endDate),
-      Expense.getExpenseSummary(userId, startDate, endDate)
-    ]);
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report format must be one of: json, pdf'
+      });
+    }
 
-    const totalIncome = incomeData.reduce((sum, item) => sum + item.totalAmount, 0);
-    const totalExpenses = expenseData.reduce((sum, item) => sum + item.totalAmount, 0);
-    const netSavings = totalIncome - totalExpenses;
+    const report = await buildMonthlyReport(userId, year, month);
 
-    // Get daily breakdown
-    const dailyBreakdown = await Promise.all([
-      Income.aggregate([
-        {
-          $match: {
-            user: userId,
-            date: { $gte: startDate, $lte: endDate }
-          }
-        },
-        {
-          $group: {
-            _id: { $dayOfMonth: '$date' },
-            income: { $sum: '$amount' }
-          }
-        },
-        { $sort: { '_id': 1 } }
-      ]),
-      Expense.aggregate([
-        {
-          $match: {
-            user: userId,
-            date: { $gte: startDate, $lte: endDate }
-          }
-        },
-        {
-          $group: {
-            _id: { $dayOfMonth: '$date' },
-            expenses: { $sum: '$amount' }
-          }
-        },
-        { $sort: { '_id': 1 } }
-      ])
-    ]);
+    if (format === 'pdf') {
+      const user = await User.findById(userId).select('name email');
+      const doc = createMonthlyStatement(report, {
+        user,
+        currencySymbol: getCurrencySymbol(report.summary.baseCurrency)
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=healthywallet-statement-${year}-${month.toString().padStart(2, '0')}.pdf`);
+      res.status(200);
+      return doc.pipe(res);
+    }
 
     res.status(200).json({
       success: true,
-      data: {
-        period: {
-          year: parseInt(year),
-          month: parseInt(month),
-          monthName: moment(`${year}-${month.toString().padStart(2, '0')}-01`).format('MMMM YYYY')
-        },
-        summary: {
-          totalIncome,
-          totalExpenses,
-          netSavings,
-          savingsRate: totalIncome > 0 ? (netSavings / totalIncome) * 100 : 0
-        },
-        incomeByCategory: incomeData,
-        expensesByCategory: expenseData,
-        dailyBreakdown: {
-          income: dailyBreakdown[0],
-          expenses: dailyBreakdown[1]
-        }
-      }
+      data: report
     });
   } catch (error) {
     next(error);
@@ -371,7 +470,7 @@ const getCategoryAnalysis = async (req, res, next) => {
       Income.aggregate([
         {
           $match: {
-            user: userId,
+            user: new mongoose.Types.ObjectId(userId),
             date: { $gte: startDate, $lte: endDate }
           }
         },
@@ -382,7 +481,7 @@ const getCategoryAnalysis = async (req, res, next) => {
               month: { $month: '$date' },
               year: { $year: '$date' }
             },
-            amount: { $sum: '$amount' },
+            amount: { $sum: BASE_AMOUNT },
             count: { $sum: 1 }
           }
         },
@@ -406,10 +505,11 @@ const getCategoryAnalysis = async (req, res, next) => {
       Expense.aggregate([
         {
           $match: {
-            user: userId,
+            user: new mongoose.Types.ObjectId(userId),
             date: { $gte: startDate, $lte: endDate }
           }
         },
+        ...SPLIT_LINE_STAGES,
         {
           $group: {
             _id: {
@@ -417,7 +517,7 @@ const getCategoryAnalysis = async (req, res, next) => {
               month: { $month: '$date' },
               year: { $year: '$date' }
             },
-            amount: { $sum: '$amount' },
+            amount: { $sum: BASE_AMOUNT },
             count: { $sum: 1 }
           }
         },
@@ -440,6 +540,11 @@ const getCategoryAnalysis = async (req, res, next) => {
       ])
     ]);
 
+    const [incomeCategories, expenseCategories] = await Promise.all([
+      getCategoryDetails(userId, 'income'),
+      getCategoryDetails(userId, 'expense')
+    ]);
+
     res.status(200).json({
       success: true,
       data: {
@@ -448,8 +553,8 @@ const getCategoryAnalysis = async (req, res, next) => {
           startDate,
           endDate
         },
-        incomeAnalysis,
-        expenseAnalysis
+        incomeAnalysis: withCategoryDetails(incomeAnalysis, incomeCategories),
+        expenseAnalysis: withCategoryDetails(expenseAnalysis, expenseCategories)
       }
     });
   } catch (error) {
@@ -532,6 +637,8 @@ const getFinancialHealthScore = async (req, res, next) => {
       }
     ]);
 
+    const debtSummary = await getDebtSummary(userId);
+
     const goalsProgress = goalsData[0]?.avgProgress || 0;
     const goalsCompletionRate = goalsData[0]?.totalGoals > 0 
       ? (goalsData[0].completedGoals / goalsData[0].totalGoals) * 100 
@@ -541,62 +648,68 @@ const getFinancialHealthScore = async (req, res, next) => {
     let healthScore = 0;
     const factors = [];
 
-    // Savings rate factor (30% weight)
+    // Savings rate factor (25% weight)
     if (savingsRate >= 20) {
-      healthScore += 30;
-      factors.push({ name: 'Savings Rate', score: 30, status: 'excellent' });
+      healthScore += 25;
+      factors.push({ name: 'Savings Rate', score: 25, status: 'excellent' });
     } else if (savingsRate >= 10) {
-      healthScore += 20;
-      factors.push({ name: 'Savings Rate', score: 20, status: 'good' });
+      healthScore += 17;
+      factors.push({ name: 'Savings Rate', score: 17, status: 'good' });
     } else if (savingsRate >= 5) {
-      healthScore += 10;
-      factors.push({ name: 'Savings Rate', score: 10, status: 'fair' });
+      healthScore += 8;
+      factors.push({ name: 'Savings Rate', score: 8, status: 'fair' });
     } else {
       factors.push({ name: 'Savings Rate', score: 0, status: 'poor' });
     }
 
-    // Balance factor (25% weight)
+    // Balance factor (20% weight)
     if (currentBalance >= 5000) {
-      healthScore += 25;
-      factors.push({ name: 'Current Balance', score: 25, status: 'excellent' });
+      healthScore += 20;
+      factors.push({ name: 'Current Balance', score: 20, status: 'excellent' });
     } else if (currentBalance >= 1000) {
-      healthScore += 18;
-      factors.push({ name: 'Current Balance', score: 18, status: 'good' });
+      healthScore += 14;
+      factors.push({ name: 'Current Balance', score: 14, status: 'good' });
     } else if (currentBalance >= 0) {
-      healthScore += 10;
-      factors.push({ name: 'Current Balance', score: 10, status: 'fair' });
+      healthScore += 8;
+      factors.push({ name: 'Current Balance', score: 8, status: 'fair' });
     } else {
       factors.push({ name: 'Current Balance', score: 0, status: 'poor' });
     }
 
-    // Goals progress factor (25% weight)
+    // Goals progress factor (20% weight)
     if (goalsProgress >= 80) {
-      healthScore += 25;
-      factors.push({ name: 'Goals Progress', score: 25, status: 'excellent' });
+      healthScore += 20;
+      factors.push({ name: 'Goals Progress', score: 20, status: 'excellent' });
     } else if (goalsProgress >= 60) {
-      healthScore += 18;
-      factors.push({ name: 'Goals Progress', score: 18, status: 'good' });
+      healthScore += 14;
+      factors.push({ name: 'Goals Progress', score: 14, status: 'good' });
     } else if (goalsProgress >= 30) {
-      healthScore += 10;
-      factors.push({ name: 'Goals Progress', score: 10, status: 'fair' });
+      healthScore += 8;
+      factors.push({ name: 'Goals Progress', score: 8, status: 'fair' });
     } else {
       factors.push({ name: 'Goals Progress', score: 0, status: 'poor' });
     }
 
-    // Goals completion factor (20% weight)
+    // Goals completion factor (15% weight)
     if (goalsCompletionRate >= 70) {
-      healthScore += 20;
-      factors.push({ name: 'Goals Completion', score: 20, status: 'excellent' });
-    } else if (goalsCompletionRate >= 50) {
       healthScore += 15;
-      factors.push({ name: 'Goals Completion', score: 15, status: 'good' });
+      factors.push({ name: 'Goals Completion', score: 15, status: 'excellent' });
+    } else if (goalsCompletionRate >= 50) {
+      healthScore += 11;
+      factors.push({ name: 'Goals Completion', score: 11, status: 'good' });
     } else if (goalsCompletionRate >= 25) {
-      healthScore += 8;
-      factors.push({ name: 'Goals Completion', score: 8, status: 'fair' });
+      healthScore += 6;
+      factors.push({ name: 'Goals Completion', score: 6, status: 'fair' });
     } else {
       factors.push({ name: 'Goals Completion', score: 0, status: 'poor' });
     }
 
+    // Debt load factor (20% weight), from debt-to-income when payments are known
+    const debtStatus = rateDebtLoad(debtSummary);
+    const debtScore = { excellent: 20, good: 14, fair: 7, poor: 0 }[debtStatus];
+    healthScore += debtScore;
+    factors.push({ name: 'Debt Load', score: debtScore, status: debtStatus });
+
     let healthStatus = 'Poor';
     if (healthScore >= 80) healthStatus = 'Excellent';
     else if (healthScore >= 60) healthStatus = 'Good';
@@ -608,6 +721,10 @@ const getFinancialHealthScore = async (req, res, next) => {
         healthScore: Math.round(healthScore),
         healthStatus,
         factors,
+        debt: {
+          totalDebt: debtSummary.totalDebt,
+          debtToIncome: debtSummary.debtToIncome
+        },
         recommendations: generateRecommendations(factors, savingsRate, currentBalance)
       }
     });
@@ -616,17 +733,183 @@ const getFinancialHealthScore = async (req, res, next) => {
   }
 };
 
+// @desc    Get net worth over time with asset and liability breakdowns
+// @route   GET /api/reports/net-worth
+// @access  Private
+const getNetWorthReport = async (req, res, next) => {
+  try {
+    const { interval = 'month' } = req.query;
+    const parseDate = (value) => moment.utc(value, [moment.ISO_8601, 'YYYY-MM-DD'], true);
+    const from = req.query.from ? parseDate(req.query.from) : moment.utc().subtract(12, 'months').startOf('month');
+    const to = req.query.to ? parseDate(req.query.to).endOf('day') : moment.utc();
+
+    if (!NET_WORTH_INTERVALS.includes(interval) || !from.isValid() || !to.isValid() || from.isAfter(to)) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide valid from/to dates and an interval of ${NET_WORTH_INTERVALS.join(', ')}`
+      });
+    }
+
+    const [current, series] = await Promise.all([
+      calculateNetWorth(req.user.id),
+      getNetWorthSeries(req.user.id, { from: from.toDate(), to: to.toDate(), interval })
+    ]);
+    const first = series[0];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        interval,
+        from: from.toDate(),
+        to: to.toDate(),
+        current,
+        series,
+        change: first
+          ? {
+            since: first.date,
+            amount: Math.round((current.netWorth - first.netWorth) * 100) / 100
+          }
+          : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Forecast the daily balance from scheduled items and typical spending
+// @route   GET /api/reports/cash-flow-forecast
+// @access  Private
+const getCashFlowForecast = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days || '90');
+    const lookbackDays = parseInt(req.query.lookbackDays || '90');
+
+    if (!(days >= 1 && days <= 365) || !(lookbackDays >= 7 && lookbackDays <= 365)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days must be between 1 and 365 and lookbackDays between 7 and 365'
+      });
+    }
+
+    const forecast = await buildCashFlowForecast(req.user.id, { days, lookbackDays });
+
+    res.status(200).json({
+      success: true,
+      data: { forecast }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get stored weekly and monthly digests
+// @route   GET /api/reports/digests
+// @access  Private
+const getDigests = async (req, res, next) => {
+  try {
+    const { period, limit = 20 } = req.query;
+
+    if (period && !DIGEST_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: `Period must be one of: ${DIGEST_PERIODS.join(', ')}`
+      });
+    }
+
+    const query = { user: req.user.id };
+    if (period) query.period = period;
+
+    const digests = await Digest.find(query)
+      .select('-html -text')
+      .sort({ periodStart: -1, period: 1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    res.status(200).json({
+      success: true,
+      data: { digests }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a digest with its HTML and plain-text content
+// @route   GET /api/reports/digests/:id
+// @access  Private
+const getDigest = async (req, res, next) => {
+  try {
+    const digest = await Digest.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!digest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Digest not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { digest }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn off digest emails with the token from a digest email
+// @route   POST /api/reports/digests/unsubscribe
+// @access  Public
+const unsubscribeDigests = async (req, res, next) => {
+  try {
+    const userId = verifyUnsubscribeToken(req.body.token);
+    const user = userId && await User.findByIdAndUpdate(
+      userId,
+      { 'settings.notifications.weeklyReports': false },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You will no longer receive weekly and monthly summaries by email'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Export user data
 // @route   GET /api/reports/export
 // @access  Private
 const exportData = async (req, res, next) => {
   try {
-    const { format = 'json', startDate, endDate } = req.query;
+    const { format = 'json', entity, startDate, endDate } = req.query;
     const userId = req.user.id;
 
     const start = startDate ? new Date(startDate) : new Date(0);
     const end = endDate ? new Date(endDate) : new Date();
 
+    if (format === 'csv') {
+      return await exportCsv(res, next, { userId, entity, start, end });
+    }
+
+    if (format !== 'json') {
+      return res.status(400).json({
+        success: false,
+        message: 'Export format must be one of: json, csv'
+      });
+    }
+
     const [income, expenses, goals, user] = await Promise.all([
       Income.find({ 
         user: userId,
@@ -653,22 +936,53 @@ const exportData = async (req, res, next) => {
       summary: user.financialSummary
     };
 
-    if (format === 'json') {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', 'attachment; filename=healthywallet-export.json');
-      res.status(200).json(exportData);
-    } else {
-      // For CSV format, you would implement CSV conversion here
-      res.status(400).json({
-        success: false,
-        message: 'CSV export not implemented yet'
-      });
-    }
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename=healthywallet-export.json');
+    res.status(200).json(exportData);
   } catch (error) {
     next(error);
   }
 };
 
+// Helper function to stream a CSV export (single entity or zip of all entities)
+const exportCsv = async (res, next, { userId, entity, start, end }) => {
+  if (entity && !CSV_ENTITIES.includes(entity)) {
+    return res.status(400).json({
+      success: false,
+      message: `Entity must be one of: ${CSV_ENTITIES.join(', ')}`
+    });
+  }
+
+  const settings = await UserSettings.findOne({ userId });
+  const options = {
+    userId,
+    start,
+    end,
+    currency: settings?.currency || 'USD'
+  };
+
+  const stream = entity ? createCsvStream(entity, options) : createCsvArchive(options);
+
+  stream.on('error', (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      next(error);
+    }
+  });
+
+  if (entity) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=healthywallet-${entity}.csv`);
+  } else {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename=healthywallet-export.zip');
+  }
+
+  res.status(200);
+  stream.pipe(res);
+};
+
 // Helper function to generate recommendations
 const generateRecommendations = (factors, savingsRate, currentBalance) => {
   const recommendations = [];
@@ -703,6 +1017,15 @@ const generateRecommendations = (factors, savingsRate, currentBalance) => {
     });
   }
 
+  if ([...poorFactors, ...fairFactors].some(f => f.name === 'Debt Load')) {
+    recommendations.push({
+      type: 'debt',
+      priority: poorFactors.some(f => f.name === 'Debt Load') ? 'high' : 'medium',
+      title: 'Pay Down Your Debt',
+      description: 'Debt payments take a large share of your income. Compare avalanche and snowball payoff plans to clear it faster.'
+    });
+  }
+
   return recommendations;
 };
 
@@ -712,5 +1035,10 @@ module.exports = {
   getCategoryAnalysis,
   getTrendAnalysis,
   getFinancialHealthScore,
+  getNetWorthReport,
+  getCashFlowForecast,
+  getDigests,
+  getDigest,
+  unsubscribeDigests,
   exportData
 };
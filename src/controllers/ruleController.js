@@ -0,0 +1,232 @@
+const Rule = require('../models/Rule');
+const { validateRuleDefinition, getNextPriority, testRule } = require('../utils/rulesEngine');
+
+// @desc    Get all rules for user in the order they run
+// @route   GET /api/rules
+// @access  Private
+const getRules = async (req, res, next) => {
+  try {
+    const { type, status } = req.query;
+
+    const query = { user: req.user.id };
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const rules = await Rule.find(query).sort({ type: 1, priority: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single rule
+// @route   GET /api/rules/:id
+// @access  Private
+const getRule = async (req, res, next) => {
+  try {
+    const rule = await Rule.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { rule }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create new rule
+// @route   POST /api/rules
+// @access  Private
+const createRule = async (req, res, next) => {
+  try {
+    await validateRuleDefinition(req.user.id, req.body);
+
+    const rule = await Rule.create({
+      ...req.body,
+      priority: req.body.priority || await getNextPriority(req.user.id, req.body.type),
+      user: req.user.id,
+      source: 'manual'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update rule, or accept a proposed rule by setting status to active
+// @route   PUT /api/rules/:id
+// @access  Private
+const updateRule = async (req, res, next) => {
+  try {
+    const rule = await Rule.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    const current = rule.toObject();
+    await validateRuleDefinition(req.user.id, {
+      type: rule.type,
+      conditions: req.body.conditions || current.conditions,
+      actions: req.body.actions || current.actions
+    });
+
+    ['name', 'conditions', 'actions', 'priority', 'stopProcessing', 'status'].forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete rule
+// @route   DELETE /api/rules/:id
+// @access  Private
+const deleteRule = async (req, res, next) => {
+  try {
+    const rule = await Rule.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set rule priorities from an ordered list of rule ids
+// @route   PUT /api/rules/reorder
+// @access  Private
+const reorderRules = async (req, res, next) => {
+  try {
+    const { ruleIds } = req.body;
+
+    const count = await Rule.countDocuments({ _id: { $in: ruleIds }, user: req.user.id });
+    if (count !== ruleIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more rules were not found'
+      });
+    }
+
+    await Rule.bulkWrite(ruleIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, user: req.user.id },
+        update: { priority: index + 1 }
+      }
+    })));
+
+    const rules = await Rule.find({ user: req.user.id }).sort({ type: 1, priority: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Rules reordered successfully',
+      data: { rules }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Dry-run an unsaved rule against recent transactions
+// @route   POST /api/rules/test
+// @access  Private
+const testDraftRule = async (req, res, next) => {
+  try {
+    const { days = 90, ...rule } = req.body;
+    await validateRuleDefinition(req.user.id, rule);
+
+    const result = await testRule(req.user.id, rule, days);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Dry-run a saved rule against recent transactions
+// @route   POST /api/rules/:id/test
+// @access  Private
+const testSavedRule = async (req, res, next) => {
+  try {
+    const rule = await Rule.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).lean();
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    const result = await testRule(req.user.id, rule, req.body.days || 90);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  reorderRules,
+  testDraftRule,
+  testSavedRule
+};
@@ -1,4 +1,7 @@
 const UserSettings = require('../models/UserSettings');
+const User = require('../models/User');
+const { recalculateBaseAmounts } = require('../utils/exchangeRates');
+const { getCurrencySymbol } = require('../utils/currencySymbols');
 
 // localStorage to MongoDB field mapping
 const localStorageMapping = {
@@ -60,6 +63,34 @@ const convertLocalStorageData = (localStorageData) => {
   return converted;
 };
 
+// Save settings, re-converting stored amounts first when the base currency
+// changes. The settings are validated before anything is converted, and the
+// conversion is undone if the save still fails, so amounts and settings.currency
+// never disagree. A missing rate leaves everything untouched.
+const saveWithBaseCurrency = async (userId, settings, previousCurrency) => {
+  const currency = settings.currency || 'USD';
+  if (currency === previousCurrency) {
+    await settings.save();
+    return false;
+  }
+
+  await settings.validate();
+  // Transactions stored without a currency were entered in the outgoing base currency
+  await recalculateBaseAmounts(userId, currency, { requireAll: true, untaggedCurrency: previousCurrency });
+  try {
+    await settings.save();
+  } catch (error) {
+    await recalculateBaseAmounts(userId, previousCurrency);
+    throw error;
+  }
+  return true;
+};
+
+const refreshFinancialSummary = async (userId) => {
+  const user = await User.findById(userId);
+  if (user) await user.updateFinancialSummary();
+};
+
 // @desc    Get user settings
 // @route   GET /api/settings
 // @access  Private
@@ -97,19 +128,24 @@ const updateUserSettings = async (req, res, next) => {
     
     // Find existing settings or create new ones
     let settings = await UserSettings.findOne({ userId });
+    const previousCurrency = settings?.currency || 'USD';
     
     if (!settings) {
       settings = new UserSettings({ userId, ...updateData });
     } else {
-      // Update existing settings
+      // Update existing settings (nested objects such as quietHours are merged)
       Object.keys(updateData).forEach(key => {
         if (updateData[key] !== undefined) {
-          settings[key] = updateData[key];
+          settings.set(key, updateData[key], { merge: true });
         }
       });
     }
     
-    await settings.save();
+    const currencyChanged = await saveWithBaseCurrency(userId, settings, previousCurrency);
+    
+    if (currencyChanged) {
+      await refreshFinancialSummary(userId);
+    }
     
     // Remove userId and timestamps from response
     const { userId: _, createdAt, updatedAt, __v, _id, ...settingsData } = settings.toObject();
@@ -151,6 +187,7 @@ const migrateLocalStorageData = async (req, res, next) => {
     
     // Find existing settings or create new ones
     let settings = await UserSettings.findOne({ userId });
+    const previousCurrency = settings?.currency || 'USD';
     
     if (!settings) {
       settings = new UserSettings({ userId, ...convertedData });
@@ -163,7 +200,11 @@ const migrateLocalStorageData = async (req, res, next) => {
       });
     }
     
-    await settings.save();
+    const currencyChanged = await saveWithBaseCurrency(userId, settings, previousCurrency);
+    
+    if (currencyChanged) {
+      await refreshFinancialSummary(userId);
+    }
     
     // Remove userId and timestamps from response
     const { userId: _, createdAt, updatedAt, __v, _id, ...settingsData } = settings.toObject();
@@ -196,28 +237,8 @@ const getUserCurrencySymbol = async (req, res, next) => {
       await settings.save();
     }
     
-    // Currency symbol mapping
-    const currencySymbols = {
-      // Major World Currencies
-      'USD': '$', 'EUR': '€', 'GBP': '£', 'JPY': '¥', 'CHF': 'CHF', 'CAD': 'C$', 'AUD': 'A$', 'NZD': 'NZ$',
-      // Asian Currencies
-      'BDT': '৳', 'INR': '₹', 'PKR': '₨', 'LKR': '₨', 'NPR': '₨', 'CNY': '¥', 'HKD': 'HK$', 'SGD': 'S$', 
-      'MYR': 'RM', 'THB': '฿', 'IDR': 'Rp', 'PHP': '₱', 'VND': '₫', 'KRW': '₩', 'TWD': 'NT$',
-      // Middle Eastern Currencies
-      'AED': 'د.إ', 'SAR': '﷼', 'QAR': '﷼', 'KWD': 'د.ك', 'BHD': '.د.ب', 'OMR': '﷼', 'JOD': 'د.ا', 'ILS': '₪', 'TRY': '₺',
-      // African Currencies
-      'ZAR': 'R', 'EGP': '£', 'NGN': '₦', 'KES': 'KSh', 'GHS': '¢', 'MAD': 'د.م.', 'TND': 'د.ت',
-      // European Currencies (Non-Euro)
-      'NOK': 'kr', 'SEK': 'kr', 'DKK': 'kr', 'PLN': 'zł', 'CZK': 'Kč', 'HUF': 'Ft', 'RON': 'lei', 
-      'BGN': 'лв', 'HRK': 'kn', 'RSD': 'дин', 'RUB': '₽', 'UAH': '₴',
-      // American Currencies
-      'MXN': '$', 'BRL': 'R$', 'ARS': '$', 'CLP': '$', 'COP': '$', 'PEN': 'S/', 'UYU': '$U', 'BOB': '$b', 'PYG': 'Gs',
-      // Other Major Currencies
-      'RMB': '¥', 'XAF': 'FCFA', 'XOF': 'CFA', 'XCD': '$', 'XPF': '₣'
-    };
-    
     const currentCurrency = settings.currency || 'USD';
-    const symbol = currencySymbols[currentCurrency] || '$';
+    const symbol = getCurrencySymbol(currentCurrency);
     
     res.status(200).json({
       success: true,
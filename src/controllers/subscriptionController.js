@@ -0,0 +1,173 @@
+const Expense = require('../models/Expense');
+const Subscription = require('../models/Subscription');
+const { assertCategory } = require('../utils/categories');
+const {
+  detectSubscriptions,
+  confirmSubscription: confirmDetectedSubscription,
+  ignoreSubscription: ignoreDetectedSubscription,
+  stopTemplate,
+  resumeTemplate,
+  getSubscriptionOverview
+} = require('../utils/subscriptions');
+
+const subscriptionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Subscription not found'
+});
+
+// @desc    Get subscriptions with monthly cost, totals and unused candidates
+// @route   GET /api/subscriptions
+// @access  Private
+const getSubscriptions = async (req, res, next) => {
+  try {
+    const unusedMonths = parseInt(req.query.unusedMonths || '3');
+
+    if (!(unusedMonths >= 1 && unusedMonths <= 24)) {
+      return res.status(400).json({
+        success: false,
+        message: 'unusedMonths must be between 1 and 24'
+      });
+    }
+
+    const overview = await getSubscriptionOverview(req.user.id, { unusedMonths });
+
+    res.status(200).json({
+      success: true,
+      data: overview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get periodic charges detected in the expense history
+// @route   GET /api/subscriptions/detected
+// @access  Private
+const getDetectedSubscriptions = async (req, res, next) => {
+  try {
+    const proposals = await detectSubscriptions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { proposals }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm a detected subscription as a recurring expense
+// @route   POST /api/subscriptions
+// @access  Private
+const confirmSubscription = async (req, res, next) => {
+  try {
+    const { merchant, name, category } = req.body;
+    await assertCategory(req.user.id, 'expense', category);
+
+    const subscription = await confirmDetectedSubscription(req.user.id, merchant, { name, category });
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription confirmed successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stop proposing a detected subscription
+// @route   POST /api/subscriptions/ignore
+// @access  Private
+const ignoreSubscription = async (req, res, next) => {
+  try {
+    const subscription = await ignoreDetectedSubscription(req.user.id, req.body.merchant);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription ignored',
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename, recategorize, record use of, cancel or resume a subscription
+// @route   PUT /api/subscriptions/:id
+// @access  Private
+const updateSubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      status: { $ne: 'ignored' }
+    });
+    if (!subscription) return subscriptionNotFound(res);
+
+    const { name, category, lastUsedAt, status } = req.body;
+    await assertCategory(req.user.id, 'expense', category);
+
+    if (name !== undefined) subscription.name = name;
+    if (lastUsedAt !== undefined) subscription.lastUsedAt = lastUsedAt;
+    if (category !== undefined) {
+      subscription.category = category;
+      // Later charges are generated from the template
+      if (subscription.template) {
+        await Expense.updateOne({ _id: subscription.template, user: req.user.id }, { category });
+      }
+    }
+
+    if (status === 'cancelled' && subscription.status === 'active') {
+      await stopTemplate(subscription);
+      subscription.status = 'cancelled';
+      subscription.cancelledAt = new Date();
+      subscription.nextChargeDate = undefined;
+    } else if (status === 'active' && subscription.status === 'cancelled') {
+      await resumeTemplate(subscription);
+      subscription.status = 'active';
+      subscription.cancelledAt = undefined;
+    }
+
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a subscription and stop its recurring expense
+// @route   DELETE /api/subscriptions/:id
+// @access  Private
+const deleteSubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    if (!subscription) return subscriptionNotFound(res);
+
+    await stopTemplate(subscription);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSubscriptions,
+  getDetectedSubscriptions,
+  confirmSubscription,
+  ignoreSubscription,
+  updateSubscription,
+  deleteSubscription
+};
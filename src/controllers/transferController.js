@@ -0,0 +1,187 @@
+const Account = require('../models/Account');
+const Transfer = require('../models/Transfer');
+
+const ACCOUNT_FIELDS = 'name type currency';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const transferNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Transfer not found'
+});
+
+const findAccounts = async (userId, fromId, toId) => {
+  if (fromId.toString() === toId.toString()) {
+    throw badRequest('Choose two different accounts');
+  }
+
+  const [fromAccount, toAccount] = await Promise.all([
+    Account.findOne({ _id: fromId, user: userId }),
+    Account.findOne({ _id: toId, user: userId })
+  ]);
+  if (!fromAccount || !toAccount) throw badRequest('Account not found');
+
+  return { fromAccount, toAccount };
+};
+
+// Accounts in the same currency move the same amount; otherwise the
+// arriving amount must be given
+const resolveToAmount = (fromAccount, toAccount, amount, toAmount) => {
+  if (fromAccount.currency === toAccount.currency) {
+    if (toAmount !== undefined && toAmount !== amount) {
+      throw badRequest('Transfers between accounts in the same currency move the same amount');
+    }
+    return amount;
+  }
+
+  if (toAmount === undefined) {
+    throw badRequest(`toAmount is required when moving ${fromAccount.currency} to ${toAccount.currency}`);
+  }
+  return toAmount;
+};
+
+// @desc    Get transfers
+// @route   GET /api/transfers
+// @access  Private
+const getTransfers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, account, startDate, endDate } = req.query;
+
+    const query = { user: req.user.id };
+    if (account) query.$or = [{ fromAccount: account }, { toAccount: account }];
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [transfers, total] = await Promise.all([
+      Transfer.find(query)
+        .populate('fromAccount', ACCOUNT_FIELDS)
+        .populate('toAccount', ACCOUNT_FIELDS)
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Transfer.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transfers,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: transfers.length,
+          totalRecords: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single transfer
+// @route   GET /api/transfers/:id
+// @access  Private
+const getTransfer = async (req, res, next) => {
+  try {
+    const transfer = await Transfer.findOne({ _id: req.params.id, user: req.user.id })
+      .populate('fromAccount', ACCOUNT_FIELDS)
+      .populate('toAccount', ACCOUNT_FIELDS);
+
+    if (!transfer) return transferNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: { transfer }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Move money between two accounts
+// @route   POST /api/transfers
+// @access  Private
+const createTransfer = async (req, res, next) => {
+  try {
+    const { fromAccount, toAccount } = await findAccounts(req.user.id, req.body.fromAccount, req.body.toAccount);
+    if (fromAccount.isArchived || toAccount.isArchived) {
+      throw badRequest('Archived accounts take no new transfers');
+    }
+
+    const transfer = await Transfer.create({
+      ...req.body,
+      toAmount: resolveToAmount(fromAccount, toAccount, req.body.amount, req.body.toAmount),
+      user: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer created successfully',
+      data: { transfer }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update transfer amount, date or description
+// @route   PUT /api/transfers/:id
+// @access  Private
+const updateTransfer = async (req, res, next) => {
+  try {
+    const transfer = await Transfer.findOne({ _id: req.params.id, user: req.user.id });
+    if (!transfer) return transferNotFound(res);
+
+    const changes = { ...req.body };
+    if (changes.amount !== undefined || changes.toAmount !== undefined) {
+      // A new amount between currencies needs the matching arriving amount
+      const { fromAccount, toAccount } = await findAccounts(req.user.id, transfer.fromAccount, transfer.toAccount);
+      changes.toAmount = resolveToAmount(fromAccount, toAccount, changes.amount ?? transfer.amount, changes.toAmount);
+    }
+
+    transfer.set(changes);
+    await transfer.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Transfer updated successfully',
+      data: { transfer }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete transfer
+// @route   DELETE /api/transfers/:id
+// @access  Private
+const deleteTransfer = async (req, res, next) => {
+  try {
+    const transfer = await Transfer.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!transfer) return transferNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Transfer deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTransfers,
+  getTransfer,
+  createTransfer,
+  updateTransfer,
+  deleteTransfer
+};
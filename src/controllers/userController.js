@@ -2,6 +2,33 @@ const User = require('../models/User');
 const Income = require('../models/Income');
 const Expense = require('../models/Expense');
 const Goal = require('../models/Goal');
+const AutoContributionRun = require('../models/AutoContributionRun');
+const Budget = require('../models/Budget');
+const BudgetAlert = require('../models/BudgetAlert');
+const Session = require('../models/Session');
+const ExchangeRate = require('../models/ExchangeRate');
+const Category = require('../models/Category');
+const Rule = require('../models/Rule');
+const CategoryCorrection = require('../models/CategoryCorrection');
+const Account = require('../models/Account');
+const Transfer = require('../models/Transfer');
+const Reconciliation = require('../models/Reconciliation');
+const Debt = require('../models/Debt');
+const DebtPayment = require('../models/DebtPayment');
+const NetWorthItem = require('../models/NetWorthItem');
+const NetWorthSnapshot = require('../models/NetWorthSnapshot');
+const Holding = require('../models/Holding');
+const InvestmentTransaction = require('../models/InvestmentTransaction');
+const SecurityPrice = require('../models/SecurityPrice');
+const AnomalyFeedback = require('../models/AnomalyFeedback');
+const Subscription = require('../models/Subscription');
+const InsightCache = require('../models/InsightCache');
+const Notification = require('../models/Notification');
+const NotificationDeadLetter = require('../models/NotificationDeadLetter');
+const PushSubscription = require('../models/PushSubscription');
+const Digest = require('../models/Digest');
+const { deletePrefix } = require('../utils/storage');
+const { sendVerificationEmail, deliverEmail } = require('../utils/authEmails');
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
@@ -37,8 +64,11 @@ const updateProfile = async (req, res, next) => {
   try {
     const { name, email, bio } = req.body;
 
+    const user = await User.findById(req.user.id);
+    const emailChanged = Boolean(email) && email.toLowerCase() !== user.email;
+
     // Check if email is already taken by another user
-    if (email && email !== req.user.email) {
+    if (emailChanged) {
       const existingUser = await User.findOne({ email });
       if (existingUser) {
         return res.status(400).json({
@@ -48,18 +78,23 @@ const updateProfile = async (req, res, next) => {
       }
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      {
-        ...(name && { name }),
-        ...(email && { email }),
-        ...(bio !== undefined && { bio })
-      },
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    if (name) user.name = name;
+    if (bio !== undefined) user.bio = bio;
+
+    // A new address has to be verified on its own
+    let verificationToken;
+    if (emailChanged) {
+      user.email = email;
+      user.isEmailVerified = false;
+      user.emailVerifiedAt = undefined;
+      verificationToken = user.createAuthToken('emailVerification');
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      await deliverEmail(() => sendVerificationEmail(user, verificationToken));
+    }
 
     res.status(200).json({
       success: true,
@@ -210,11 +245,39 @@ const getAchievements = async (req, res, next) => {
 // @access  Private
 const deleteAccount = async (req, res, next) => {
   try {
+    // Remove stored attachments first so a storage failure leaves the account intact
+    await deletePrefix(`${req.user.id}/`);
+
     // Delete all user data
     await Promise.all([
       Income.deleteMany({ user: req.user.id }),
       Expense.deleteMany({ user: req.user.id }),
       Goal.deleteMany({ user: req.user.id }),
+      AutoContributionRun.deleteMany({ user: req.user.id }),
+      Budget.deleteMany({ user: req.user.id }),
+      BudgetAlert.deleteMany({ user: req.user.id }),
+      Session.deleteMany({ user: req.user.id }),
+      ExchangeRate.deleteMany({ user: req.user.id }),
+      Category.deleteMany({ user: req.user.id }),
+      Rule.deleteMany({ user: req.user.id }),
+      CategoryCorrection.deleteMany({ user: req.user.id }),
+      Account.deleteMany({ user: req.user.id }),
+      Transfer.deleteMany({ user: req.user.id }),
+      Reconciliation.deleteMany({ user: req.user.id }),
+      Debt.deleteMany({ user: req.user.id }),
+      DebtPayment.deleteMany({ user: req.user.id }),
+      NetWorthItem.deleteMany({ user: req.user.id }),
+      NetWorthSnapshot.deleteMany({ user: req.user.id }),
+      Holding.deleteMany({ user: req.user.id }),
+      InvestmentTransaction.deleteMany({ user: req.user.id }),
+      SecurityPrice.deleteMany({ user: req.user.id }),
+      AnomalyFeedback.deleteMany({ user: req.user.id }),
+      Subscription.deleteMany({ user: req.user.id }),
+      InsightCache.deleteMany({ user: req.user.id }),
+      Notification.deleteMany({ user: req.user.id }),
+      NotificationDeadLetter.deleteMany({ user: req.user.id }),
+      PushSubscription.deleteMany({ user: req.user.id }),
+      Digest.deleteMany({ user: req.user.id }),
       User.findByIdAndDelete(req.user.id)
     ]);
 
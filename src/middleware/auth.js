@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -13,6 +14,19 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Access tokens are bound to a session that logout or revocation can end
+      const session = decoded.sid && await Session.exists({
+        _id: decoded.sid,
+        user: decoded.id,
+        revokedAt: null
+      });
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized, session expired or revoked'
+        });
+      }
+
       // Get user from token (exclude password)
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -23,6 +37,7 @@ const protect = async (req, res, next) => {
         });
       }
 
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       // Silent token verification error (no console output in production)
@@ -41,10 +56,10 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '24h',
+// Generate short-lived JWT access token for a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
@@ -22,6 +22,18 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Document changed by another request since it was loaded
+  if (err.name === 'VersionError') {
+    const message = 'Resource was modified by another request, please retry';
+    error = { message, statusCode: 409 };
+  }
+
+  // File upload errors
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    error = { message, statusCode: 400 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
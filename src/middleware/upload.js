@@ -0,0 +1,24 @@
+const multer = require('multer');
+
+// Bank statements are parsed in memory and never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 5 * 1024 * 1024,
+    files: 1
+  }
+}).single('file');
+
+// Receipts and documents are checked by content before they reach storage
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE) || 10 * 1024 * 1024,
+    files: 1
+  }
+}).single('file');
+
+module.exports = {
+  statementUpload,
+  attachmentUpload
+};
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { CATEGORY_KEY_PATTERN } = require('../utils/categories');
+const { isPushServiceEndpoint } = require('../utils/notificationChannels');
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -18,6 +20,24 @@ const validate = (schema) => {
   };
 };
 
+// Supported currency codes (mirrors UserSettings.currency)
+const CURRENCY_CODES = [
+  // Major World Currencies
+  'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD',
+  // Asian Currencies
+  'BDT', 'INR', 'PKR', 'LKR', 'NPR', 'CNY', 'HKD', 'SGD', 'MYR', 'THB', 'IDR', 'PHP', 'VND', 'KRW', 'TWD',
+  // Middle Eastern Currencies
+  'AED', 'SAR', 'QAR', 'KWD', 'BHD', 'OMR', 'JOD', 'ILS', 'TRY',
+  // African Currencies
+  'ZAR', 'EGP', 'NGN', 'KES', 'GHS', 'MAD', 'TND',
+  // European Currencies (Non-Euro)
+  'NOK', 'SEK', 'DKK', 'PLN', 'CZK', 'HUF', 'RON', 'BGN', 'HRK', 'RSD', 'RUB', 'UAH',
+  // American Currencies
+  'MXN', 'BRL', 'ARS', 'CLP', 'COP', 'PEN', 'UYU', 'BOB', 'PYG',
+  // Other Major Currencies
+  'RMB', 'XAF', 'XOF', 'XCD', 'XPF'
+];
+
 // User validation schemas
 const userSchemas = {
   register: Joi.object({
@@ -35,17 +55,45 @@ const userSchemas = {
     name: Joi.string().min(2).max(50),
     email: Joi.string().email(),
     bio: Joi.string().max(500)
+  }),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required()
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().required()
   })
 };
 
+// Expense and income categories are per-user; existence is checked against the Category table
+const categoryKey = Joi.string().pattern(CATEGORY_KEY_PATTERN).max(50)
+  .messages({ 'string.pattern.base': 'Category must be a lowercase category key such as "food" or "home-office"' });
+
+const transactionTags = Joi.array().items(Joi.string().trim().min(1).max(50)).max(20);
+
+const accountId = Joi.string().hex().length(24);
+
 // Income validation schemas
 const incomeSchemas = {
   create: Joi.object({
     amount: Joi.number().positive().required(),
+    currency: Joi.string().valid(...CURRENCY_CODES),
+    account: accountId,
     source: Joi.string().min(2).max(100).required(),
-    category: Joi.string().valid('salary', 'freelance', 'investment', 'business', 'other').required(),
+    category: categoryKey,
     date: Joi.date().required(),
     description: Joi.string().max(255),
+    tags: transactionTags,
     isRecurring: Joi.boolean().default(false),
     recurringPeriod: Joi.string().valid('weekly', 'monthly', 'yearly').when('isRecurring', {
       is: true,
@@ -55,25 +103,42 @@ const incomeSchemas = {
   
   update: Joi.object({
     amount: Joi.number().positive(),
+    currency: Joi.string().valid(...CURRENCY_CODES),
+    account: accountId,
     source: Joi.string().min(2).max(100),
-    category: Joi.string().valid('salary', 'freelance', 'investment', 'business', 'other'),
+    category: categoryKey,
     date: Joi.date(),
     description: Joi.string().max(255),
+    tags: transactionTags,
     isRecurring: Joi.boolean(),
     recurringPeriod: Joi.string().valid('weekly', 'monthly', 'yearly')
   })
 };
 
+const expenseLocation = Joi.object({
+  name: Joi.string().trim().max(100),
+  coordinates: Joi.array().items(Joi.number()).length(2)
+});
+
+// Split lines must add up to the expense amount (checked in the controller)
+const expenseSplits = Joi.array().items(Joi.object({
+  category: categoryKey.required(),
+  amount: Joi.number().positive().precision(2).required(),
+  note: Joi.string().max(255).allow('')
+})).max(20);
+
 // Expense validation schemas
 const expenseSchemas = {
   create: Joi.object({
     amount: Joi.number().positive().required(),
-    category: Joi.string().valid(
-      'food', 'transport', 'entertainment', 'bills', 'shopping', 
-      'healthcare', 'education', 'travel', 'other'
-    ).required(),
+    currency: Joi.string().valid(...CURRENCY_CODES),
+    account: accountId,
+    category: categoryKey,
     date: Joi.date().required(),
     description: Joi.string().max(255),
+    tags: transactionTags,
+    location: expenseLocation,
+    splits: expenseSplits,
     isRecurring: Joi.boolean().default(false),
     recurringPeriod: Joi.string().valid('weekly', 'monthly', 'yearly').when('isRecurring', {
       is: true,
@@ -83,18 +148,30 @@ const expenseSchemas = {
   
   update: Joi.object({
     amount: Joi.number().positive(),
-    category: Joi.string().valid(
-      'food', 'transport', 'entertainment', 'bills', 'shopping', 
-      'healthcare', 'education', 'travel', 'other'
-    ),
+    currency: Joi.string().valid(...CURRENCY_CODES),
+    account: accountId,
+    category: categoryKey,
     date: Joi.date(),
     description: Joi.string().max(255),
+    tags: transactionTags,
+    location: expenseLocation,
+    splits: expenseSplits,
     isRecurring: Joi.boolean(),
     recurringPeriod: Joi.string().valid('weekly', 'monthly', 'yearly')
+  }),
+
+  runRecurring: Joi.object({
+    // Catch-up runs may look back, never ahead
+    asOf: Joi.date().max('now')
   })
 };
 
 // Goal validation schemas
+const goalMilestone = Joi.object({
+  amount: Joi.number().positive().required(),
+  description: Joi.string().trim().max(200).allow('')
+});
+
 const goalSchemas = {
   create: Joi.object({
     title: Joi.string().min(2).max(100).required(),
@@ -102,8 +179,11 @@ const goalSchemas = {
     currentAmount: Joi.number().min(0).default(0),
     category: Joi.string().valid('emergency', 'vacation', 'investment', 'purchase', 'other').required(),
     targetDate: Joi.date().greater('now').required(),
-    description: Joi.string().max(500)
-  }),
+    description: Joi.string().max(500),
+    milestones: Joi.array().items(goalMilestone).max(20),
+    // Split the target into this many equal steps, e.g. 4 for 25/50/75%
+    generateMilestones: Joi.number().integer().min(2).max(20)
+  }).oxor('milestones', 'generateMilestones'),
   
   update: Joi.object({
     title: Joi.string().min(2).max(100),
@@ -112,6 +192,382 @@ const goalSchemas = {
     category: Joi.string().valid('emergency', 'vacation', 'investment', 'purchase', 'other'),
     targetDate: Joi.date().greater('now'),
     description: Joi.string().max(500)
+  }),
+
+  autoContribution: Joi.object({
+    enabled: Joi.boolean().default(true),
+    amount: Joi.number().positive().when('enabled', {
+      is: true,
+      then: Joi.required()
+    }),
+    frequency: Joi.string().valid('weekly', 'monthly').default('monthly'),
+    startDate: Joi.date()
+  }),
+
+  runAutoContributions: Joi.object({
+    // Catch-up runs may look back, never ahead
+    asOf: Joi.date().max('now')
+  }),
+
+  milestone: goalMilestone,
+
+  milestoneUpdate: Joi.object({
+    amount: Joi.number().positive(),
+    description: Joi.string().trim().max(200).allow('')
+  }).min(1),
+
+  withdrawal: Joi.object({
+    amount: Joi.number().positive().required(),
+    reason: Joi.string().trim().min(1).max(200).required(),
+    note: Joi.string().max(500).allow(''),
+    date: Joi.date()
+  }),
+
+  contributionUpdate: Joi.object({
+    amount: Joi.number().positive(),
+    date: Joi.date(),
+    source: Joi.string().valid('manual', 'automatic', 'bonus'),
+    note: Joi.string().max(500).allow(''),
+    reason: Joi.string().trim().min(1).max(200)
+  }).min(1)
+};
+
+// Category validation schemas
+const categorySchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    key: categoryKey,
+    type: Joi.string().valid('expense', 'income').required(),
+    icon: Joi.string().max(50),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/),
+    parent: Joi.string().hex().length(24).allow(null)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    icon: Joi.string().max(50).allow(''),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/),
+    parent: Joi.string().hex().length(24).allow(null)
+  })
+};
+
+// Account validation schemas
+const accountTypes = ['cash', 'checking', 'savings', 'credit_card', 'loan'];
+
+const accountSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    type: Joi.string().valid(...accountTypes).required(),
+    currency: Joi.string().valid(...CURRENCY_CODES),
+    openingBalance: Joi.number().precision(2),
+    openingDate: Joi.date(),
+    institution: Joi.string().trim().max(100)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    type: Joi.string().valid(...accountTypes),
+    openingBalance: Joi.number().precision(2),
+    openingDate: Joi.date(),
+    institution: Joi.string().trim().max(100).allow(''),
+    isDefault: Joi.boolean().valid(true),
+    isArchived: Joi.boolean()
+  }),
+
+  reconcile: Joi.object({
+    statementBalance: Joi.number().precision(2).required(),
+    statementDate: Joi.date().required(),
+    note: Joi.string().max(255)
+  })
+};
+
+// Transfer validation schemas
+const transferSchemas = {
+  create: Joi.object({
+    fromAccount: accountId.required(),
+    toAccount: accountId.required(),
+    amount: Joi.number().positive().precision(2).required(),
+    toAmount: Joi.number().positive().precision(2),
+    date: Joi.date().required(),
+    description: Joi.string().max(255)
+  }),
+
+  update: Joi.object({
+    amount: Joi.number().positive().precision(2),
+    toAmount: Joi.number().positive().precision(2),
+    date: Joi.date(),
+    description: Joi.string().max(255).allow('')
+  })
+};
+
+// Debt validation schemas
+const debtTypes = ['credit_card', 'student_loan', 'mortgage', 'auto_loan', 'personal_loan', 'other'];
+
+const debtSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    lender: Joi.string().trim().max(100),
+    type: Joi.string().valid(...debtTypes),
+    principal: Joi.number().positive().precision(2).required(),
+    apr: Joi.number().min(0).max(100).required(),
+    minimumPayment: Joi.number().positive().precision(2).required(),
+    dueDay: Joi.number().integer().min(1).max(31),
+    startDate: Joi.date()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    lender: Joi.string().trim().max(100).allow(''),
+    type: Joi.string().valid(...debtTypes),
+    principal: Joi.number().positive().precision(2),
+    apr: Joi.number().min(0).max(100),
+    minimumPayment: Joi.number().positive().precision(2),
+    dueDay: Joi.number().integer().min(1).max(31).allow(null),
+    startDate: Joi.date()
+  }),
+
+  // Either a new payment (amount) or an existing expense to link
+  payment: Joi.object({
+    amount: Joi.number().positive().precision(2),
+    currency: Joi.string().valid(...CURRENCY_CODES),
+    account: accountId,
+    category: categoryKey,
+    date: Joi.date(),
+    description: Joi.string().max(255),
+    expense: Joi.string().hex().length(24)
+  }).xor('amount', 'expense')
+    .without('expense', ['currency', 'account', 'category', 'date', 'description'])
+};
+
+// Net worth item validation schemas
+const netWorthCategories = ['property', 'vehicle', 'investment', 'cash', 'valuables', 'loan', 'credit', 'other'];
+
+const netWorthItemSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    kind: Joi.string().valid('asset', 'liability').required(),
+    category: Joi.string().valid(...netWorthCategories),
+    value: Joi.number().min(0).precision(2).required(),
+    currency: Joi.string().valid(...CURRENCY_CODES),
+    valuedAt: Joi.date(),
+    notes: Joi.string().max(255)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    category: Joi.string().valid(...netWorthCategories),
+    value: Joi.number().min(0).precision(2),
+    currency: Joi.string().valid(...CURRENCY_CODES),
+    valuedAt: Joi.date(),
+    notes: Joi.string().max(255).allow('')
+  })
+};
+
+// Investment validation schemas
+const assetClasses = ['stock', 'etf', 'fund', 'bond', 'cash', 'crypto', 'real_estate', 'other'];
+const securitySymbol = Joi.string().trim().pattern(/^[A-Za-z0-9.:\-]{1,20}$/);
+
+const investmentSchemas = {
+  createHolding: Joi.object({
+    symbol: securitySymbol.required(),
+    name: Joi.string().trim().max(100),
+    assetClass: Joi.string().valid(...assetClasses),
+    currency: Joi.string().valid(...CURRENCY_CODES)
+  }),
+
+  updateHolding: Joi.object({
+    name: Joi.string().trim().max(100).allow(''),
+    assetClass: Joi.string().valid(...assetClasses)
+  }),
+
+  // Buys and sells take quantity and price; dividends take the cash amount
+  transaction: Joi.object({
+    type: Joi.string().valid('buy', 'sell', 'dividend').required(),
+    date: Joi.date().required(),
+    quantity: Joi.number().positive().when('type', {
+      is: 'dividend',
+      then: Joi.forbidden(),
+      otherwise: Joi.required()
+    }),
+    price: Joi.number().min(0).when('type', {
+      is: 'dividend',
+      then: Joi.forbidden(),
+      otherwise: Joi.required()
+    }),
+    fees: Joi.number().min(0).precision(2),
+    amount: Joi.number().positive().precision(2).when('type', {
+      is: 'dividend',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    account: accountId.when('type', { is: 'dividend', otherwise: Joi.forbidden() }),
+    category: categoryKey.when('type', { is: 'dividend', otherwise: Joi.forbidden() }),
+    notes: Joi.string().max(255)
+  }),
+
+  price: Joi.object({
+    symbol: securitySymbol.required(),
+    date: Joi.date().required(),
+    price: Joi.number().min(0).required()
+  }),
+
+  importPrices: Joi.object({
+    format: Joi.string().valid('csv', 'json'),
+    content: Joi.string()
+  })
+};
+
+// Categorization rule validation schemas
+const ruleConditions = Joi.object({
+  descriptionContains: Joi.string().trim().min(1).max(100),
+  descriptionRegex: Joi.string().min(1).max(100),
+  amountMin: Joi.number().min(0),
+  amountMax: Joi.number().min(0),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).max(20),
+  locationContains: Joi.string().trim().min(1).max(100)
+}).min(1);
+
+const ruleActions = Joi.object({
+  category: categoryKey,
+  addTags: Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).max(20),
+  recurringPeriod: Joi.string().valid('weekly', 'monthly', 'yearly')
+}).min(1);
+
+const ruleSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    type: Joi.string().valid('expense', 'income').required(),
+    conditions: ruleConditions.required(),
+    actions: ruleActions.required(),
+    priority: Joi.number().integer().min(1),
+    stopProcessing: Joi.boolean(),
+    status: Joi.string().valid('active', 'inactive')
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    conditions: ruleConditions,
+    actions: ruleActions,
+    priority: Joi.number().integer().min(1),
+    stopProcessing: Joi.boolean(),
+    status: Joi.string().valid('active', 'inactive')
+  }),
+
+  reorder: Joi.object({
+    ruleIds: Joi.array().items(Joi.string().hex().length(24)).min(1).unique().required()
+  }),
+
+  test: Joi.object({
+    name: Joi.string().trim().max(100),
+    type: Joi.string().valid('expense', 'income').required(),
+    conditions: ruleConditions.required(),
+    actions: ruleActions.required(),
+    days: Joi.number().integer().min(1).max(365).default(90)
+  }),
+
+  testSaved: Joi.object({
+    days: Joi.number().integer().min(1).max(365).default(90)
+  })
+};
+
+// Budget validation schemas
+const budgetSchemas = {
+  create: Joi.object({
+    category: categoryKey.required(),
+    amount: Joi.number().positive().required(),
+    rollover: Joi.string().valid('none', 'unspent', 'all').default('none'),
+    maxRollover: Joi.number().min(0),
+    isActive: Joi.boolean()
+  }),
+
+  update: Joi.object({
+    amount: Joi.number().positive(),
+    rollover: Joi.string().valid('none', 'unspent', 'all'),
+    maxRollover: Joi.number().min(0).allow(null),
+    isActive: Joi.boolean()
+  }),
+
+  adoptSuggestions: Joi.object({
+    targetSavingsRate: Joi.number().min(0).max(100).default(20),
+    categories: Joi.array().items(categoryKey),
+    overwrite: Joi.boolean().default(false)
+  })
+};
+
+// Statement import validation schemas
+const importSchemas = {
+  statement: Joi.object({
+    format: Joi.string().valid('csv', 'ofx', 'qfx', 'qif'),
+    content: Joi.string(),
+    type: Joi.string().valid('auto', 'expense', 'income').default('auto'),
+    mapping: Joi.alternatives().try(Joi.object(), Joi.string()),
+    categoryMap: Joi.alternatives().try(Joi.object(), Joi.string()),
+    dateFormat: Joi.string().max(20),
+    delimiter: Joi.string().length(1),
+    currency: Joi.string().valid(...CURRENCY_CODES),
+    account: accountId,
+    includeDuplicates: Joi.boolean().default(false)
+  })
+};
+
+// Exchange rate validation schemas
+const exchangeRateSchemas = {
+  import: Joi.object({
+    format: Joi.string().valid('csv', 'json'),
+    content: Joi.string()
+  })
+};
+
+// Subscription validation schemas
+const subscriptionSchemas = {
+  confirm: Joi.object({
+    merchant: Joi.string().trim().min(1).max(100).required(),
+    name: Joi.string().trim().min(1).max(100),
+    category: categoryKey
+  }),
+
+  ignore: Joi.object({
+    merchant: Joi.string().trim().min(1).max(100).required()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    category: categoryKey,
+    lastUsedAt: Joi.date(),
+    status: Joi.string().valid('active', 'cancelled')
+  }).min(1)
+};
+
+// Anomaly feedback validation schemas
+const anomalySchemas = {
+  feedback: Joi.object({
+    status: Joi.string().valid('confirmed', 'dismissed').required(),
+    note: Joi.string().max(255).allow(''),
+    // Window the anomaly was listed with
+    days: Joi.number().integer().min(1).max(365)
+  })
+};
+
+// Notification validation schemas
+const notificationSchemas = {
+  pushSubscription: Joi.object({
+    endpoint: Joi.string().uri({ scheme: ['https'] }).max(2048).required()
+      .custom((value, helpers) => isPushServiceEndpoint(value) ? value : helpers.message('"endpoint" must be the URL of a known push service')),
+    keys: Joi.object({
+      p256dh: Joi.string().max(255).required(),
+      auth: Joi.string().max(255).required()
+    }).required()
+  }),
+
+  removePushSubscription: Joi.object({
+    endpoint: Joi.string().uri({ scheme: ['https'] }).max(2048).required()
+  })
+};
+
+// Digest validation schemas
+const digestSchemas = {
+  unsubscribe: Joi.object({
+    token: Joi.string().max(200).required()
   })
 };
 
@@ -120,25 +576,21 @@ const settingsSchemas = {
   update: Joi.object({
     // App Settings
     theme: Joi.string().valid('light', 'dark'),
-    currency: Joi.string().valid(
-      // Major World Currencies
-      'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD',
-      // Asian Currencies  
-      'BDT', 'INR', 'PKR', 'LKR', 'NPR', 'CNY', 'HKD', 'SGD', 'MYR', 'THB', 'IDR', 'PHP', 'VND', 'KRW', 'TWD',
-      // Middle Eastern Currencies
-      'AED', 'SAR', 'QAR', 'KWD', 'BHD', 'OMR', 'JOD', 'ILS', 'TRY',
-      // African Currencies
-      'ZAR', 'EGP', 'NGN', 'KES', 'GHS', 'MAD', 'TND',
-      // European Currencies (Non-Euro)
-      'NOK', 'SEK', 'DKK', 'PLN', 'CZK', 'HUF', 'RON', 'BGN', 'HRK', 'RSD', 'RUB', 'UAH',
-      // American Currencies
-      'MXN', 'BRL', 'ARS', 'CLP', 'COP', 'PEN', 'UYU', 'BOB', 'PYG',
-      // Other Major Currencies
-      'RMB', 'XAF', 'XOF', 'XCD', 'XPF'
-    ),
+    currency: Joi.string().valid(...CURRENCY_CODES),
     notifications: Joi.boolean(),
     budgetAlerts: Joi.boolean(),
     goalReminders: Joi.boolean(),
+    quietHours: Joi.object({
+      enabled: Joi.boolean(),
+      start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({ 'string.pattern.base': 'Quiet hours start must be formatted as HH:mm' }),
+      end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({ 'string.pattern.base': 'Quiet hours end must be formatted as HH:mm' }),
+      timeZone: Joi.string().custom(timeZone => {
+        // Throws a RangeError for unknown IANA zones
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+      }).messages({ 'any.custom': 'Quiet hours time zone must be an IANA time zone, e.g. Europe/Berlin' })
+    }),
+    learnCategoryRules: Joi.boolean(),
     
     // Financial Profile
     financialGoals: Joi.string().max(500),
@@ -184,5 +636,19 @@ module.exports = {
   incomeSchemas,
   expenseSchemas,
   goalSchemas,
+  categorySchemas,
+  accountSchemas,
+  transferSchemas,
+  debtSchemas,
+  netWorthItemSchemas,
+  investmentSchemas,
+  ruleSchemas,
+  budgetSchemas,
+  importSchemas,
+  exchangeRateSchemas,
+  subscriptionSchemas,
+  anomalySchemas,
+  notificationSchemas,
+  digestSchemas,
   settingsSchemas
 };
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Balances are what the user owns: credit cards and loans carry negative
+// balances while money is owed on them
+const accountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [50, 'Account name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Account type is required'],
+    enum: ['cash', 'checking', 'savings', 'credit_card', 'loan']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  openingDate: {
+    type: Date,
+    default: Date.now
+  },
+  institution: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Institution cannot exceed 100 characters']
+  },
+  // Receives transactions created without an account
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Archived accounts keep their history but take no new transactions
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  lastReconciledAt: Date,
+  lastReconciledBalance: Number
+}, {
+  timestamps: true
+});
+
+accountSchema.index({ user: 1, name: 1 });
+// One default account per user
+accountSchema.index(
+  { user: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A user's verdict on a detected anomaly. Dismissed anomalies are hidden, along
+// with similar ones (see utils/anomalyDetector); confirmed outliers and
+// duplicates are left out of future baselines.
+const anomalyFeedbackSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Stable anomaly id, e.g. outlier:<expenseId> or spike:<category>:<YYYY-MM>
+  anomalyId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['outlier', 'spike', 'duplicate', 'new_merchant']
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['confirmed', 'dismissed']
+  },
+  note: {
+    type: String,
+    maxlength: [255, 'Note cannot exceed 255 characters']
+  },
+  // Snapshot of the anomaly the verdict was given on
+  category: String,
+  merchant: String,
+  amount: Number
+}, {
+  timestamps: true
+});
+
+anomalyFeedbackSchema.index({ user: 1, anomalyId: 1 }, { unique: true });
+
+module.exports = mongoose.model('AnomalyFeedback', anomalyFeedbackSchema);
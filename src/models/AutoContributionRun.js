@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const autoContributionRunSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  goal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    required: true
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'skipped'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  reason: String,
+  executedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Each scheduled contribution date is executed at most once per goal
+autoContributionRunSchema.index({ goal: 1, scheduledFor: 1 }, { unique: true });
+autoContributionRunSchema.index({ user: 1, executedAt: -1 });
+
+module.exports = mongoose.model('AutoContributionRun', autoContributionRunSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Budget category is required'],
+    // Key of one of the user's categories (see Category)
+    lowercase: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Monthly limit is required'],
+    min: [0.01, 'Monthly limit must be greater than 0']
+  },
+  // none: every month starts at the limit
+  // unspent: leftover from last month is added to this month's limit
+  // all: leftover is added and overspending is deducted
+  rollover: {
+    type: String,
+    enum: ['none', 'unspent', 'all'],
+    default: 'none'
+  },
+  maxRollover: {
+    type: Number,
+    min: [0, 'Maximum rollover cannot be negative']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'suggestion'],
+    default: 'manual'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One budget per category per user
+budgetSchema.index({ user: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
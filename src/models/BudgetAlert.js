@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const budgetAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  budget: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  // Budget month, formatted YYYY-MM
+  period: {
+    type: String,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    enum: [50, 80, 100],
+    required: true
+  },
+  spent: {
+    type: Number,
+    required: true
+  },
+  limit: {
+    type: Number,
+    required: true
+  },
+  percentUsed: {
+    type: Number,
+    required: true
+  },
+  message: String,
+  isRead: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Each threshold fires at most once per budget and month
+budgetAlertSchema.index({ budget: 1, period: 1, threshold: 1 }, { unique: true });
+budgetAlertSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BudgetAlert', budgetAlertSchema);
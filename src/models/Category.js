@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Transactions and budgets reference a category by its `key`, which never
+// changes; name, icon and color are display settings
+const categorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Category type is required'],
+    enum: ['expense', 'income']
+  },
+  key: {
+    type: String,
+    required: [true, 'Category key is required'],
+    lowercase: true,
+    trim: true,
+    maxlength: [50, 'Category key cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  icon: {
+    type: String,
+    maxlength: [50, 'Icon cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex code such as #4CAF50']
+  },
+  // Sub-categories point at a top-level category of the same type
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ user: 1, type: 1, key: 1 }, { unique: true });
+categorySchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
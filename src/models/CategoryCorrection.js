@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A user moving a transaction to another category, used to propose rules
+const categoryCorrectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['expense', 'income'],
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Normalized description shared by similar transactions
+  pattern: {
+    type: String,
+    required: true
+  },
+  fromCategory: String,
+  toCategory: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Only the latest correction of a transaction counts
+categoryCorrectionSchema.index({ transaction: 1 }, { unique: true });
+categoryCorrectionSchema.index({ user: 1, type: 1, pattern: 1, toCategory: 1 });
+
+module.exports = mongoose.model('CategoryCorrection', categoryCorrectionSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A loan or card balance being paid down, in the user's base currency.
+// `balance` is derived from the principal and the logged payments (see
+// utils/debts.recalculateDebt).
+const debtSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Debt name is required'],
+    trim: true,
+    maxlength: [100, 'Debt name cannot exceed 100 characters']
+  },
+  lender: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Lender cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['credit_card', 'student_loan', 'mortgage', 'auto_loan', 'personal_loan', 'other'],
+    default: 'other'
+  },
+  // Amount owed on startDate
+  principal: {
+    type: Number,
+    required: [true, 'Principal is required'],
+    min: [0.01, 'Principal must be greater than 0']
+  },
+  // Annual percentage rate, e.g. 19.99
+  apr: {
+    type: Number,
+    required: [true, 'APR is required'],
+    min: [0, 'APR cannot be negative'],
+    max: [100, 'APR cannot exceed 100']
+  },
+  minimumPayment: {
+    type: Number,
+    required: [true, 'Minimum payment is required'],
+    min: [0.01, 'Minimum payment must be greater than 0']
+  },
+  // Day of the month the payment is due
+  dueDay: {
+    type: Number,
+    min: [1, 'Due day must be between 1 and 31'],
+    max: [31, 'Due day must be between 1 and 31']
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  balance: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paid_off'],
+    default: 'active'
+  },
+  paidOffAt: Date
+}, {
+  timestamps: true
+});
+
+debtSchema.pre('save', function(next) {
+  if (this.isNew && this.balance === undefined) {
+    this.balance = this.principal;
+  }
+  next();
+});
+
+debtSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('Debt', debtSchema);
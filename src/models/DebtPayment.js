@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A payment towards a debt, recorded as an expense. The interest and
+// principal split is recomputed whenever the debt's payments change.
+const debtPaymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  debt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Debt',
+    required: true
+  },
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: true
+  },
+  // In the base currency, like the debt (the expense's baseAmount)
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  interest: {
+    type: Number,
+    default: 0
+  },
+  principal: {
+    type: Number,
+    default: 0
+  },
+  balanceAfter: Number,
+  // The expense was created for this payment (rather than an existing one linked)
+  createdExpense: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+debtPaymentSchema.index({ debt: 1, date: 1 });
+debtPaymentSchema.index({ expense: 1 }, { unique: true });
+
+module.exports = mongoose.model('DebtPayment', debtPaymentSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A weekly or monthly summary of a user's finances, kept for the in-app
+// archive and emailed to users with weeklyReports enabled
+const digestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    type: String,
+    required: true,
+    enum: ['weekly', 'monthly']
+  },
+  // Period the digest covers, e.g. 2024-W19 or 2024-05
+  periodKey: {
+    type: String,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  // Figures the digest was rendered from
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  email: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'skipped', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    sentAt: Date,
+    lastError: String
+  }
+}, {
+  timestamps: true
+});
+
+digestSchema.index({ user: 1, period: 1, periodKey: 1 }, { unique: true });
+digestSchema.index({ user: 1, periodStart: -1 });
+digestSchema.index({ 'email.status': 1 });
+
+module.exports = mongoose.model('Digest', digestSchema);
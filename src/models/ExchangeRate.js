@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One unit of `base` is worth `rate` units of `quote` on `date`
+const exchangeRateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  base: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter code']
+  },
+  quote: {
+    type: String,
+    required: [true, 'Quote currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Quote currency must be a 3-letter code']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000000001, 'Rate must be greater than 0']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Rate date is required']
+  },
+  source: {
+    type: String,
+    default: 'import'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ user: 1, base: 1, quote: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
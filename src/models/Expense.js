@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { getNextRecurringDate } = require('../utils/recurrence');
+const { BASE_AMOUNT } = require('../utils/currencyAmounts');
+const { SPLIT_LINE_STAGES, categoryCondition } = require('../utils/expenseSplits');
+const { merchantKey } = require('../utils/merchants');
 
 const expenseSchema = new mongoose.Schema({
   user: {
@@ -6,19 +10,51 @@ const expenseSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Account the money left or arrived in (the default account when not given)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
   amount: {
     type: Number,
     required: [true, 'Amount is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
+  // Original currency; when omitted the amount is in the user's base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  // Amount converted into the user's base currency (set when currency is)
+  baseAmount: Number,
+  baseCurrency: String,
+  exchangeRate: Number,
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: {
-      values: ['food', 'transport', 'entertainment', 'bills', 'shopping', 'healthcare', 'education', 'travel', 'other'],
-      message: 'Category must be one of: food, transport, entertainment, bills, shopping, healthcare, education, travel, other'
-    }
+    // Key of one of the user's categories (see Category)
+    lowercase: true,
+    trim: true
   },
+  // Parts of the amount attributed to other categories; lines add up to amount
+  splits: [{
+    category: {
+      type: String,
+      required: [true, 'Split category is required'],
+      lowercase: true,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Split amount is required'],
+      min: [0.01, 'Split amount must be greater than 0']
+    },
+    note: {
+      type: String,
+      maxlength: [255, 'Split note cannot exceed 255 characters']
+    }
+  }],
   date: {
     type: Date,
     required: [true, 'Date is required'],
@@ -28,6 +64,8 @@ const expenseSchema = new mongoose.Schema({
     type: String,
     maxlength: [255, 'Description cannot exceed 255 characters']
   },
+  // Merchant key of the description (see utils/merchants), kept in sync by the hooks below
+  merchant: String,
   isRecurring: {
     type: Boolean,
     default: false
@@ -42,6 +80,10 @@ const expenseSchema = new mongoose.Schema({
   nextRecurringDate: {
     type: Date
   },
+  recurringSource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
   tags: [{
     type: String,
     trim: true
@@ -49,6 +91,9 @@ const expenseSchema = new mongoose.Schema({
   attachments: [{
     filename: String,
     url: String,
+    mimeType: String,
+    size: Number,
+    storageKey: String,
     uploadDate: {
       type: Date,
       default: Date.now
@@ -68,25 +113,39 @@ const expenseSchema = new mongoose.Schema({
 // Indexes for better performance
 expenseSchema.index({ user: 1, date: -1 });
 expenseSchema.index({ user: 1, category: 1 });
+expenseSchema.index({ account: 1, date: 1 });
+expenseSchema.index({ user: 1, 'splits.category': 1 });
 expenseSchema.index({ date: -1 });
 expenseSchema.index({ isRecurring: 1, nextRecurringDate: 1 });
+expenseSchema.index({ user: 1, merchant: 1, date: 1 });
+// One generated occurrence per recurring template and date
+expenseSchema.index(
+  { recurringSource: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringSource: { $exists: true } } }
+);
+
+// Derive the merchant key from the description. Validation also runs for
+// insertMany, so imported expenses get it too.
+expenseSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('description')) {
+    this.merchant = merchantKey(this.description);
+  }
+  next();
+});
+
+expenseSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  const description = update.$set?.description ?? update.description;
+  if (description !== undefined) {
+    this.set('merchant', merchantKey(description));
+  }
+  next();
+});
 
 // Calculate next recurring date before saving
 expenseSchema.pre('save', function(next) {
   if (this.isRecurring && this.recurringPeriod && !this.nextRecurringDate) {
-    const currentDate = new Date(this.date);
-    
-    switch (this.recurringPeriod) {
-      case 'weekly':
-        this.nextRecurringDate = new Date(currentDate.setDate(currentDate.getDate() + 7));
-        break;
-      case 'monthly':
-        this.nextRecurringDate = new Date(currentDate.setMonth(currentDate.getMonth() + 1));
-        break;
-      case 'yearly':
-        this.nextRecurringDate = new Date(currentDate.setFullYear(currentDate.getFullYear() + 1));
-        break;
-    }
+    this.nextRecurringDate = getNextRecurringDate(this.date, this.recurringPeriod);
   }
   next();
 });
@@ -103,12 +162,13 @@ expenseSchema.statics.getExpenseSummary = async function(userId, startDate, endD
         }
       }
     },
+    ...SPLIT_LINE_STAGES,
     {
       $group: {
         _id: '$category',
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: BASE_AMOUNT },
         count: { $sum: 1 },
-        avgAmount: { $avg: '$amount' }
+        avgAmount: { $avg: BASE_AMOUNT }
       }
     },
     {
@@ -119,11 +179,16 @@ expenseSchema.statics.getExpenseSummary = async function(userId, startDate, endD
   return await this.aggregate(pipeline);
 };
 
-// Static method to get monthly expense trend
-expenseSchema.statics.getMonthlyTrend = async function(userId, months = 12) {
+// Static method to get monthly expense trend, optionally for one category
+// (including the matching split lines of other expenses)
+expenseSchema.statics.getMonthlyTrend = async function(userId, months = 12, category) {
   const startDate = new Date();
   startDate.setMonth(startDate.getMonth() - months);
 
+  const categoryStages = category
+    ? [{ $match: categoryCondition(category) }, ...SPLIT_LINE_STAGES, { $match: { category } }]
+    : [];
+
   const pipeline = [
     {
       $match: {
@@ -131,13 +196,14 @@ expenseSchema.statics.getMonthlyTrend = async function(userId, months = 12) {
         date: { $gte: startDate }
       }
     },
+    ...categoryStages,
     {
       $group: {
         _id: {
           year: { $year: '$date' },
           month: { $month: '$date' }
         },
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: BASE_AMOUNT },
         count: { $sum: 1 }
       }
     },
@@ -157,10 +223,11 @@ expenseSchema.statics.getTopCategories = async function(userId, limit = 5) {
         user: new mongoose.Types.ObjectId(userId)
       }
     },
+    ...SPLIT_LINE_STAGES,
     {
       $group: {
         _id: '$category',
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: BASE_AMOUNT },
         count: { $sum: 1 },
         lastExpense: { $max: '$date' }
       }
@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/currencyAmounts');
+
+const sumContributions = (contributions) => contributions.reduce((sum, contribution) => sum + contribution.amount, 0);
+
+// Goals saved before the ledger existed: the untracked part of the balance
+// becomes the opening balance. A balance below the recorded contributions is
+// booked as a withdrawal, so the ledger still adds up to it.
+const backfillOpeningBalance = (goal) => {
+  const untracked = roundAmount(goal.currentAmount - sumContributions(goal.contributions));
+  goal.openingBalance = Math.max(untracked, 0);
+  if (untracked < 0) {
+    goal.contributions.push({
+      amount: untracked,
+      date: goal.updatedAt || new Date(),
+      source: 'withdrawal',
+      reason: 'Balance adjustment'
+    });
+  }
+};
 
 const goalSchema = new mongoose.Schema({
   user: {
@@ -21,11 +40,17 @@ const goalSchema = new mongoose.Schema({
     required: [true, 'Target amount is required'],
     min: [0.01, 'Target amount must be greater than 0']
   },
+  // Derived from the ledger: openingBalance plus all contributions
   currentAmount: {
     type: Number,
     default: 0,
     min: [0, 'Current amount cannot be negative']
   },
+  // Amount already saved when the goal was created
+  openingBalance: {
+    type: Number,
+    min: [0, 'Opening balance cannot be negative']
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -57,20 +82,31 @@ const goalSchema = new mongoose.Schema({
   milestones: [{
     amount: {
       type: Number,
-      required: true
+      required: true,
+      min: [0.01, 'Milestone amount must be greater than 0']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Milestone description cannot exceed 200 characters']
     },
-    description: String,
     achievedAt: Date,
     isAchieved: {
       type: Boolean,
       default: false
     }
   }],
+  // Ledger of money moved in and out; withdrawals are stored as negative amounts
   contributions: [{
     amount: {
       type: Number,
       required: true,
-      min: [0.01, 'Contribution must be greater than 0']
+      validate: {
+        validator: function(value) {
+          return this.source === 'withdrawal' ? value < 0 : value > 0;
+        },
+        message: 'Contribution must be greater than 0'
+      }
     },
     date: {
       type: Date,
@@ -78,10 +114,19 @@ const goalSchema = new mongoose.Schema({
     },
     source: {
       type: String,
-      enum: ['manual', 'automatic', 'bonus'],
+      enum: ['manual', 'automatic', 'bonus', 'withdrawal'],
       default: 'manual'
     },
-    note: String
+    note: String,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters'],
+      required: [
+        function() { return this.source === 'withdrawal'; },
+        'Withdrawal reason is required'
+      ]
+    }
   }],
   autoContribution: {
     enabled: {
@@ -94,16 +139,21 @@ const goalSchema = new mongoose.Schema({
       enum: ['weekly', 'monthly'],
       default: 'monthly'
     },
+    startDate: Date,
     nextContribution: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Ledger changes are read-modify-write; a save based on a stale copy fails
+  // with a VersionError instead of overwriting another request's change
+  optimisticConcurrency: true
 });
 
 // Indexes for better performance
 goalSchema.index({ user: 1, status: 1 });
 goalSchema.index({ user: 1, targetDate: 1 });
 goalSchema.index({ status: 1, targetDate: 1 });
+goalSchema.index({ 'autoContribution.enabled': 1, 'autoContribution.nextContribution': 1 });
 
 // Virtual for progress percentage
 goalSchema.virtual('progressPercentage').get(function() {
@@ -127,36 +177,94 @@ goalSchema.virtual('daysRemaining').get(function() {
 goalSchema.set('toJSON', { virtuals: true });
 goalSchema.set('toObject', { virtuals: true });
 
-// Update goal status based on current amount
+goalSchema.post('init', function() {
+  // Partial loads cannot tell the untracked balance
+  const loaded = ['openingBalance', 'currentAmount', 'contributions'].every(path => this.isSelected(path));
+  if (loaded && this.openingBalance === undefined) {
+    backfillOpeningBalance(this);
+  }
+});
+
+// Derive the current amount from the ledger and update status to match
 goalSchema.pre('save', function(next) {
+  if (this.isNew && this.openingBalance === undefined) {
+    backfillOpeningBalance(this);
+  }
+  this.currentAmount = this.getLedgerBalance();
+
   if (this.currentAmount >= this.targetAmount && this.status === 'active') {
     this.status = 'completed';
+  } else if (this.currentAmount < this.targetAmount && this.status === 'completed' && this.isModified('currentAmount')) {
+    // Funds withdrawn or contributions reversed
+    this.status = 'active';
   }
   
-  // Check and update milestone achievements
+  // Keep milestones in the order they are reached
+  if (this.isModified('milestones')) {
+    this.milestones.sort((a, b) => a.amount - b.amount);
+  }
+
+  // Check and update milestone achievements. Only milestones passed by new
+  // funds count as reached; ones created or moved below the current amount
+  // are marked achieved quietly.
+  const fundsAdded = !this.isNew && this.isModified('currentAmount');
+  this.$locals.reachedMilestones = [];
   this.milestones.forEach(milestone => {
     if (!milestone.isAchieved && this.currentAmount >= milestone.amount) {
       milestone.isAchieved = true;
       milestone.achievedAt = new Date();
+      if (fundsAdded && !milestone.isNew) {
+        this.$locals.reachedMilestones.push(milestone);
+      }
+    } else if (milestone.isAchieved && this.currentAmount < milestone.amount) {
+      milestone.isAchieved = false;
+      milestone.achievedAt = undefined;
     }
   });
   
   next();
 });
 
+// Emit milestone-reached events for this save
+goalSchema.post('save', async function() {
+  const reached = this.$locals.reachedMilestones || [];
+  this.$locals.reachedMilestones = [];
+  if (reached.length === 0) return;
+
+  const { handleMilestonesReached } = require('../utils/goalMilestones');
+  await handleMilestonesReached(this, reached);
+});
+
 // Instance method to add contribution
-goalSchema.methods.addContribution = function(amount, source = 'manual', note = '') {
+goalSchema.methods.addContribution = function(amount, source = 'manual', note = '', date = new Date()) {
   this.contributions.push({
     amount,
     source,
     note,
-    date: new Date()
+    date
   });
   
-  this.currentAmount += amount;
   return this.save();
 };
 
+// Instance method to record a withdrawal
+goalSchema.methods.withdraw = function(amount, reason, note = '', date = new Date()) {
+  this.contributions.push({
+    amount: -amount,
+    source: 'withdrawal',
+    reason,
+    note,
+    date
+  });
+
+  return this.save();
+};
+
+// Balance implied by the ledger, including unsaved changes
+goalSchema.methods.getLedgerBalance = function() {
+  return roundAmount((this.openingBalance || 0) + sumContributions(this.contributions));
+};
+
 // Static method to get goals summary for a user
 goalSchema.statics.getGoalsSummary = async function(userId) {
   const pipeline = [
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A position in one security. Quantity, cost basis, open lots and gains are
+// derived from the holding's transactions (see utils/investments.replayTransactions).
+const holdingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Symbol is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Symbol cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  assetClass: {
+    type: String,
+    enum: ['stock', 'etf', 'fund', 'bond', 'cash', 'crypto', 'real_estate', 'other'],
+    default: 'stock'
+  },
+  // Currency prices and transactions are quoted in
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  // Cost of the open lots, fees included
+  costBasis: {
+    type: Number,
+    default: 0
+  },
+  realizedGain: {
+    type: Number,
+    default: 0
+  },
+  dividends: {
+    type: Number,
+    default: 0
+  },
+  // Open lots, oldest first; sells consume them first in, first out
+  lots: [{
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InvestmentTransaction'
+    },
+    date: Date,
+    quantity: Number,
+    price: Number,
+    cost: Number
+  }]
+}, {
+  timestamps: true
+});
+
+holdingSchema.index({ user: 1, symbol: 1 }, { unique: true });
+
+module.exports = mongoose.model('Holding', holdingSchema);
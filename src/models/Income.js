@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { getNextRecurringDate } = require('../utils/recurrence');
+const { BASE_AMOUNT } = require('../utils/currencyAmounts');
 
 const incomeSchema = new mongoose.Schema({
   user: {
@@ -6,11 +8,26 @@ const incomeSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Account the money left or arrived in (the default account when not given)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
   amount: {
     type: Number,
     required: [true, 'Amount is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
+  // Original currency; when omitted the amount is in the user's base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  // Amount converted into the user's base currency (set when currency is)
+  baseAmount: Number,
+  baseCurrency: String,
+  exchangeRate: Number,
   source: {
     type: String,
     required: [true, 'Income source is required'],
@@ -20,10 +37,9 @@ const incomeSchema = new mongoose.Schema({
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: {
-      values: ['salary', 'freelance', 'investment', 'business', 'other'],
-      message: 'Category must be one of: salary, freelance, investment, business, other'
-    }
+    // Key of one of the user's categories (see Category)
+    lowercase: true,
+    trim: true
   },
   date: {
     type: Date,
@@ -48,6 +64,10 @@ const incomeSchema = new mongoose.Schema({
   nextRecurringDate: {
     type: Date
   },
+  recurringSource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Income'
+  },
   tags: [{
     type: String,
     trim: true
@@ -55,6 +75,9 @@ const incomeSchema = new mongoose.Schema({
   attachments: [{
     filename: String,
     url: String,
+    mimeType: String,
+    size: Number,
+    storageKey: String,
     uploadDate: {
       type: Date,
       default: Date.now
@@ -67,25 +90,19 @@ const incomeSchema = new mongoose.Schema({
 // Indexes for better performance
 incomeSchema.index({ user: 1, date: -1 });
 incomeSchema.index({ user: 1, category: 1 });
+incomeSchema.index({ account: 1, date: 1 });
 incomeSchema.index({ date: -1 });
 incomeSchema.index({ isRecurring: 1, nextRecurringDate: 1 });
+// One generated occurrence per recurring template and date
+incomeSchema.index(
+  { recurringSource: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringSource: { $exists: true } } }
+);
 
 // Calculate next recurring date before saving
 incomeSchema.pre('save', function(next) {
   if (this.isRecurring && this.recurringPeriod && !this.nextRecurringDate) {
-    const currentDate = new Date(this.date);
-    
-    switch (this.recurringPeriod) {
-      case 'weekly':
-        this.nextRecurringDate = new Date(currentDate.setDate(currentDate.getDate() + 7));
-        break;
-      case 'monthly':
-        this.nextRecurringDate = new Date(currentDate.setMonth(currentDate.getMonth() + 1));
-        break;
-      case 'yearly':
-        this.nextRecurringDate = new Date(currentDate.setFullYear(currentDate.getFullYear() + 1));
-        break;
-    }
+    this.nextRecurringDate = getNextRecurringDate(this.date, this.recurringPeriod);
   }
   next();
 });
@@ -105,9 +122,9 @@ incomeSchema.statics.getIncomeSummary = async function(userId, startDate, endDat
     {
       $group: {
         _id: '$category',
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: BASE_AMOUNT },
         count: { $sum: 1 },
-        avgAmount: { $avg: '$amount' }
+        avgAmount: { $avg: BASE_AMOUNT }
       }
     },
     {
@@ -136,7 +153,7 @@ incomeSchema.statics.getMonthlyTrend = async function(userId, months = 12) {
           year: { $year: '$date' },
           month: { $month: '$date' }
         },
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: BASE_AMOUNT },
         count: { $sum: 1 }
       }
     },
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Insights returned by the language model provider for one user, kind and
+// period. Reused while the summary they were generated from is unchanged.
+const insightCacheSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['spending', 'savings', 'health', 'budget']
+  },
+  // Period the insights cover, e.g. 2024-05 or 3m:2024-05
+  period: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the summary sent to the provider
+  summaryHash: {
+    type: String,
+    required: true
+  },
+  provider: String,
+  model: String,
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+insightCacheSchema.index({ user: 1, kind: 1, period: 1 }, { unique: true });
+// Expired entries are removed by MongoDB
+insightCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('InsightCache', insightCacheSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A buy, sell or dividend of a holding, in the holding's currency
+const investmentTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  holding: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Holding',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Transaction type is required'],
+    enum: ['buy', 'sell', 'dividend']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  // Units bought or sold
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Price per unit
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  fees: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fees cannot be negative']
+  },
+  // Cash received from a dividend
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
+  // Gain of a sell against the lots it closed
+  realizedGain: Number,
+  // Income record created for a dividend
+  income: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Income'
+  },
+  notes: {
+    type: String,
+    maxlength: [255, 'Notes cannot exceed 255 characters']
+  }
+}, {
+  timestamps: true
+});
+
+investmentTransactionSchema.index({ holding: 1, date: 1 });
+
+module.exports = mongoose.model('InvestmentTransaction', investmentTransactionSchema);
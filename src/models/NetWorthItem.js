@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A manually valued asset (home, car, ...) or liability (a loan not tracked as a debt)
+const netWorthItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  kind: {
+    type: String,
+    required: [true, 'Kind is required'],
+    enum: ['asset', 'liability']
+  },
+  category: {
+    type: String,
+    enum: ['property', 'vehicle', 'investment', 'cash', 'valuables', 'loan', 'credit', 'other'],
+    default: 'other'
+  },
+  value: {
+    type: Number,
+    required: [true, 'Value is required'],
+    min: [0, 'Value cannot be negative']
+  },
+  // Defaults to the user's base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  // Date the value was last assessed
+  valuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    maxlength: [255, 'Notes cannot exceed 255 characters']
+  }
+}, {
+  timestamps: true
+});
+
+netWorthItemSchema.index({ user: 1, kind: 1 });
+
+module.exports = mongoose.model('NetWorthItem', netWorthItemSchema);
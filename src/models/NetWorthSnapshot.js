@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const amount = { type: Number, default: 0 };
+
+// A user's net worth at the end of a day, in their base currency
+const netWorthSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the (UTC) day the snapshot closes
+  date: {
+    type: Date,
+    required: true
+  },
+  baseCurrency: {
+    type: String,
+    required: true
+  },
+  assets: amount,
+  liabilities: amount,
+  netWorth: amount,
+  breakdown: {
+    assets: {
+      accounts: amount,
+      investments: amount,
+      goals: amount,
+      manual: amount
+    },
+    liabilities: {
+      accounts: amount,
+      debts: amount,
+      manual: amount
+    }
+  }
+}, {
+  timestamps: true
+});
+
+netWorthSnapshotSchema.index({ user: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('NetWorthSnapshot', netWorthSnapshotSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A message in the user's in-app inbox, with the state of its delivery over
+// the external channels (see utils/notifications)
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['achievement_unlocked', 'budget_threshold', 'goal_milestone', 'goal_deadline']
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Event details, e.g. the goal or budget the notification is about
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Identifies the event so it is only notified once
+  dedupeKey: String,
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  deliveries: [{
+    channel: {
+      type: String,
+      enum: ['email', 'push'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'skipped', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // Next attempt; later than now while deferred by quiet hours or a retry delay
+    nextAttemptAt: Date,
+    lastError: String,
+    sentAt: Date,
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
+notificationSchema.index(
+  { user: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A notification delivery that failed on every attempt
+const notificationDeadLetterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'push'],
+    required: true
+  },
+  attempts: {
+    type: Number,
+    required: true
+  },
+  lastError: String,
+  // Copy of the notification content, kept if the notification is removed
+  payload: {
+    type: { type: String },
+    title: String,
+    message: String
+  }
+}, {
+  timestamps: true
+});
+
+notificationDeadLetterSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDeadLetter', notificationDeadLetterSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription (from PushManager.subscribe)
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  keys: {
+    p256dh: String,
+    auth: String
+  },
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A comparison of an account's computed balance with a bank statement
+const reconciliationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  statementDate: {
+    type: Date,
+    required: true
+  },
+  statementBalance: {
+    type: Number,
+    required: true
+  },
+  computedBalance: {
+    type: Number,
+    required: true
+  },
+  // statementBalance - computedBalance
+  difference: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['balanced', 'unbalanced'],
+    required: true
+  },
+  note: {
+    type: String,
+    maxlength: [255, 'Note cannot exceed 255 characters']
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationSchema.index({ account: 1, statementDate: -1 });
+
+module.exports = mongoose.model('Reconciliation', reconciliationSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Auto-categorization rule. Active rules run in ascending priority on new
+// transactions; every condition that is set must match.
+const ruleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Rule type is required'],
+    enum: ['expense', 'income']
+  },
+  conditions: {
+    descriptionContains: String,
+    descriptionRegex: String,
+    amountMin: Number,
+    amountMax: Number,
+    tags: [String],
+    locationContains: String
+  },
+  actions: {
+    category: String,
+    addTags: [String],
+    recurringPeriod: {
+      type: String,
+      enum: ['weekly', 'monthly', 'yearly']
+    }
+  },
+  priority: {
+    type: Number,
+    default: 1,
+    min: [1, 'Priority must be at least 1']
+  },
+  // Skip lower-priority rules once this one matches
+  stopProcessing: {
+    type: Boolean,
+    default: false
+  },
+  // proposed: learned from corrections and waiting for the user to accept
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'proposed'],
+    default: 'active'
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'learned'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+ruleSchema.index({ user: 1, type: 1, status: 1, priority: 1 });
+
+module.exports = mongoose.model('Rule', ruleSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Closing price of a security on a date, in the holding's currency
+const securityPriceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: [true, 'Symbol is required'],
+    uppercase: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Price date is required']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+securityPriceSchema.index({ user: 1, symbol: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('SecurityPrice', securityPriceSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A session is one signed-in device. Its refresh token rotates on every
+// use; all tokens issued to the session form one token family.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 hash of the refresh token currently valid for this session
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of rotated-out refresh tokens, kept to detect reuse
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_change', 'reuse_detected']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
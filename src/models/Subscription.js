@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A periodic charge found in the expense history (see utils/subscriptions).
+// Confirmed subscriptions turn their latest charge into a recurring expense
+// template; ignored ones are kept so they are not proposed again.
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Subscription name is required'],
+    trim: true,
+    maxlength: [100, 'Subscription name cannot exceed 100 characters']
+  },
+  // Normalized description shared by the charges (see anomalyDetector.merchantKey)
+  merchant: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Latest charged amount
+  amount: {
+    type: Number,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  cadence: {
+    type: String,
+    enum: ['weekly', 'monthly', 'yearly']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'ignored'],
+    default: 'active'
+  },
+  // Recurring expense generating the charges
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  // Every amount change, oldest first
+  priceHistory: [{
+    amount: Number,
+    date: Date,
+    _id: false
+  }],
+  lastChargeDate: Date,
+  nextChargeDate: Date,
+  // Last time the user reported using the service
+  lastUsedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, merchant: 1 }, { unique: true });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Money moved between two of a user's accounts; never counted as income or spending
+const transferSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Source account is required']
+  },
+  toAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Destination account is required']
+  },
+  // Amount leaving the source account, in its currency
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  // Amount arriving in the destination account, in its currency
+  toAmount: {
+    type: Number,
+    required: [true, 'Destination amount is required'],
+    min: [0.01, 'Destination amount must be greater than 0']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+    default: Date.now
+  },
+  description: {
+    type: String,
+    maxlength: [255, 'Description cannot exceed 255 characters']
+  }
+}, {
+  timestamps: true
+});
+
+transferSchema.index({ user: 1, date: -1 });
+transferSchema.index({ fromAccount: 1, date: 1 });
+transferSchema.index({ toAccount: 1, date: 1 });
+
+module.exports = mongoose.model('Transfer', transferSchema);
@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { BASE_AMOUNT } = require('../utils/currencyAmounts');
+
+// Single-use tokens sent by email: stored fields and lifetime
+const AUTH_TOKEN_TYPES = {
+  emailVerification: {
+    tokenField: 'emailVerificationToken',
+    expiresField: 'emailVerificationExpires',
+    lifetimeMs: 24 * 60 * 60 * 1000 // 24 hours
+  },
+  passwordReset: {
+    tokenField: 'passwordResetToken',
+    expiresField: 'passwordResetExpires',
+    lifetimeMs: 60 * 60 * 1000 // 1 hour
+  }
+};
+
+const hashAuthToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -111,6 +129,10 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    currency: {
+      type: String,
+      default: 'USD'
+    },
     lastUpdated: {
       type: Date,
       default: Date.now
@@ -120,6 +142,28 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Hashed single-use tokens (see createAuthToken)
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
   }
@@ -129,6 +173,8 @@ const userSchema = new mongoose.Schema({
 
 // Index for better performance (email index is created automatically by unique: true)
 userSchema.index({ createdAt: -1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -150,19 +196,48 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Create a single-use email token; only its hash is stored.
+// Call save() afterwards and send the returned raw token to the user.
+userSchema.methods.createAuthToken = function(type) {
+  const { tokenField, expiresField, lifetimeMs } = AUTH_TOKEN_TYPES[type];
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this[tokenField] = hashAuthToken(token);
+  this[expiresField] = new Date(Date.now() + lifetimeMs);
+
+  return token;
+};
+
+// Atomically use up an email token; returns the user or null when invalid or expired
+userSchema.statics.consumeAuthToken = async function(type, token) {
+  const { tokenField, expiresField } = AUTH_TOKEN_TYPES[type];
+
+  return await this.findOneAndUpdate(
+    {
+      [tokenField]: hashAuthToken(token),
+      [expiresField]: { $gt: new Date() }
+    },
+    { $unset: { [tokenField]: 1, [expiresField]: 1 } },
+    { new: true }
+  );
+};
+
 // Update financial summary
 userSchema.methods.updateFinancialSummary = async function() {
   const Income = require('./Income');
   const Expense = require('./Expense');
+  const UserSettings = require('./UserSettings');
+  
+  const settings = await UserSettings.findOne({ userId: this._id }).select('currency');
   
   const totalIncome = await Income.aggregate([
     { $match: { user: this._id } },
-    { $group: { _id: null, total: { $sum: '$amount' } } }
+    { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
   ]);
   
   const totalExpenses = await Expense.aggregate([
     { $match: { user: this._id } },
-    { $group: { _id: null, total: { $sum: '$amount' } } }
+    { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
   ]);
   
   this.financialSummary.totalIncome = totalIncome[0]?.total || 0;
@@ -171,6 +246,7 @@ userSchema.methods.updateFinancialSummary = async function() {
   this.financialSummary.savingsRate = this.financialSummary.totalIncome > 0 
     ? ((this.financialSummary.currentBalance / this.financialSummary.totalIncome) * 100).toFixed(2)
     : 0;
+  this.financialSummary.currency = settings?.currency || 'USD';
   this.financialSummary.lastUpdated = new Date();
   
   await this.save();
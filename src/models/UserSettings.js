@@ -110,6 +110,32 @@ const userSettingsSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Email and push notifications are held back during quiet hours
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours start must be formatted as HH:mm'],
+      default: '22:00'
+    },
+    end: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours end must be formatted as HH:mm'],
+      default: '07:00'
+    },
+    timeZone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+  // Propose categorization rules from repeated category corrections
+  learnCategoryRules: {
+    type: Boolean,
+    default: true
+  },
   
   // Financial Profile
   financialGoals: {
@@ -132,6 +158,7 @@ const userSettingsSchema = new mongoose.Schema({
     max: 100,
     default: 0
   },
+  // Total debt used in health scoring when no debts are tracked
   debtAmount: {
     type: Number,
     min: 0,
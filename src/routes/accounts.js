@@ -0,0 +1,60 @@
+const express = require('express');
+const {
+  getAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  getRegister,
+  reconcileAccount,
+  getReconciliations
+} = require('../controllers/accountController');
+const { protect } = require('../middleware/auth');
+const { validate, accountSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/accounts
+// @desc    Get accounts with balances and a base-currency total
+// @access  Private
+router.get('/', getAccounts);
+
+// @route   POST /api/accounts
+// @desc    Create an account with an opening balance
+// @access  Private
+router.post('/', validate(accountSchemas.create), createAccount);
+
+// @route   GET /api/accounts/:id/register
+// @desc    Get account activity with a running balance
+// @access  Private
+router.get('/:id/register', getRegister);
+
+// @route   POST /api/accounts/:id/reconcile
+// @desc    Compare the account balance with a statement balance
+// @access  Private
+router.post('/:id/reconcile', validate(accountSchemas.reconcile), reconcileAccount);
+
+// @route   GET /api/accounts/:id/reconciliations
+// @desc    Get reconciliation history
+// @access  Private
+router.get('/:id/reconciliations', getReconciliations);
+
+// @route   GET /api/accounts/:id
+// @desc    Get an account with its balance
+// @access  Private
+router.get('/:id', getAccount);
+
+// @route   PUT /api/accounts/:id
+// @desc    Update an account, make it the default or archive it
+// @access  Private
+router.put('/:id', validate(accountSchemas.update), updateAccount);
+
+// @route   DELETE /api/accounts/:id
+// @desc    Delete an account without activity
+// @access  Private
+router.delete('/:id', deleteAccount);
+
+module.exports = router;
@@ -4,9 +4,12 @@ const {
   getSavingsRecommendations,
   getGoalForecast,
   getFinancialHealthInsights,
-  getBudgetSuggestions
+  getBudgetSuggestions,
+  getAnomalies,
+  setAnomalyFeedback
 } = require('../controllers/aiInsightsController');
 const { protect } = require('../middleware/auth');
+const { validate, anomalySchemas } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -18,5 +21,7 @@ router.get('/savings-recommendations', getSavingsRecommendations);
 router.get('/goal-forecast/:goalId', getGoalForecast);
 router.get('/health-insights', getFinancialHealthInsights);
 router.get('/budget-suggestions', getBudgetSuggestions);
+router.get('/anomalies', getAnomalies);
+router.put('/anomalies/:anomalyId/feedback', validate(anomalySchemas.feedback), setAnomalyFeedback);
 
 module.exports = router;
@@ -1,5 +1,19 @@
 const express = require('express');
-const { register, login, getMe, updatePassword } = require('../controllers/authController');
+const {
+  register,
+  login,
+  getMe,
+  updatePassword,
+  refreshAccessToken,
+  logout,
+  getSessions,
+  revokeSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail
+} = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 const { validate, userSchemas } = require('../middleware/validation');
 
@@ -8,9 +22,18 @@ const router = express.Router();
 // Public routes
 router.post('/register', validate(userSchemas.register), register);
 router.post('/login', validate(userSchemas.login), login);
+router.post('/refresh', validate(userSchemas.refreshToken), refreshAccessToken);
+router.post('/logout', validate(userSchemas.refreshToken), logout);
+router.post('/forgot-password', validate(userSchemas.forgotPassword), forgotPassword);
+router.post('/reset-password', validate(userSchemas.resetPassword), resetPassword);
+router.post('/verify-email', validate(userSchemas.verifyEmail), verifyEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
 router.put('/password', protect, updatePassword);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
 
 module.exports = router;
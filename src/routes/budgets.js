@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  adoptBudgetSuggestions,
+  getBudgetAlerts,
+  markBudgetAlertRead
+} = require('../controllers/budgetController');
+const { protect } = require('../middleware/auth');
+const { validate, budgetSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getBudgets)
+  .post(validate(budgetSchemas.create), createBudget);
+
+router.post('/adopt-suggestions', validate(budgetSchemas.adoptSuggestions), adoptBudgetSuggestions);
+router.get('/alerts', getBudgetAlerts);
+router.put('/alerts/:id/read', markBudgetAlertRead);
+
+router.route('/:id')
+  .get(getBudget)
+  .put(validate(budgetSchemas.update), updateBudget)
+  .delete(deleteBudget);
+
+module.exports = router;
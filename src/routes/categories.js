@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { protect } = require('../middleware/auth');
+const { validate, categorySchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/categories
+// @desc    Get the user's expense and income categories
+// @access  Private
+router.get('/', getCategories);
+
+// @route   POST /api/categories
+// @desc    Create a category or sub-category
+// @access  Private
+router.post('/', validate(categorySchemas.create), createCategory);
+
+// @route   GET /api/categories/:id
+// @desc    Get a category with its sub-categories
+// @access  Private
+router.get('/:id', getCategory);
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category's name, icon, color or parent
+// @access  Private
+router.put('/:id', validate(categorySchemas.update), updateCategory);
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category, moving its transactions to reassignTo
+// @access  Private
+router.delete('/:id', deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const {
+  getDebts,
+  getPayoffPlan,
+  getDebt,
+  createDebt,
+  updateDebt,
+  deleteDebt,
+  getAmortizationSchedule,
+  createDebtPayment,
+  getDebtPayments,
+  deleteDebtPayment
+} = require('../controllers/debtController');
+const { protect } = require('../middleware/auth');
+const { validate, debtSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/debts
+// @desc    Get debts with total balance and minimum payments
+// @access  Private
+router.get('/', getDebts);
+
+// @route   POST /api/debts
+// @desc    Add a debt
+// @access  Private
+router.post('/', validate(debtSchemas.create), createDebt);
+
+// @route   GET /api/debts/payoff-plan
+// @desc    Compare avalanche and snowball payoff for an extra monthly budget
+// @access  Private
+router.get('/payoff-plan', getPayoffPlan);
+
+// @route   GET /api/debts/:id
+// @desc    Get a debt with its payments
+// @access  Private
+router.get('/:id', getDebt);
+
+// @route   PUT /api/debts/:id
+// @desc    Update a debt
+// @access  Private
+router.put('/:id', validate(debtSchemas.update), updateDebt);
+
+// @route   DELETE /api/debts/:id
+// @desc    Delete a debt
+// @access  Private
+router.delete('/:id', deleteDebt);
+
+// @route   GET /api/debts/:id/schedule
+// @desc    Get the amortization schedule at the minimum or a given payment
+// @access  Private
+router.get('/:id/schedule', getAmortizationSchedule);
+
+// @route   GET /api/debts/:id/payments
+// @desc    Get payments logged against a debt
+// @access  Private
+router.get('/:id/payments', getDebtPayments);
+
+// @route   POST /api/debts/:id/payments
+// @desc    Log a payment as a new expense or link an existing one
+// @access  Private
+router.post('/:id/payments', validate(debtSchemas.payment), createDebtPayment);
+
+// @route   DELETE /api/debts/:id/payments/:paymentId
+// @desc    Remove a debt payment
+// @access  Private
+router.delete('/:id/payments/:paymentId', deleteDebtPayment);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { getExchangeRates, importRates } = require('../controllers/exchangeRateController');
+const { protect } = require('../middleware/auth');
+const { statementUpload } = require('../middleware/upload');
+const { validate, exchangeRateSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/exchange-rates
+// @desc    List stored exchange rates
+// @access  Private
+router.get('/', getExchangeRates);
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import historical exchange rates from a CSV or JSON file
+// @access  Private
+router.post('/import', statementUpload, validate(exchangeRateSchemas.import), importRates);
+
+module.exports = router;
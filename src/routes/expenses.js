@@ -8,11 +8,21 @@ const {
   getExpenseSummary,
   getExpenseByCategory,
   getRecurringExpenses,
+  runRecurringTransactions,
   getTopCategories
 } = require('../controllers/expenseController');
+const { createAttachmentHandlers } = require('../controllers/attachmentController');
 const { protect } = require('../middleware/auth');
+const { attachmentUpload } = require('../middleware/upload');
 const { validate, expenseSchemas } = require('../middleware/validation');
 
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = createAttachmentHandlers('expense');
+
 const router = express.Router();
 
 // All routes are protected
@@ -25,6 +35,7 @@ router.route('/')
 router.get('/summary', getExpenseSummary);
 router.get('/by-category', getExpenseByCategory);
 router.get('/recurring', getRecurringExpenses);
+router.post('/recurring/run', validate(expenseSchemas.runRecurring), runRecurringTransactions);
 router.get('/top-categories', getTopCategories);
 
 router.route('/:id')
@@ -32,4 +43,12 @@ router.route('/:id')
   .put(validate(expenseSchemas.update), updateExpense)
   .delete(deleteExpense);
 
+router.route('/:id/attachments')
+  .get(getAttachments)
+  .post(attachmentUpload, uploadAttachment);
+
+router.route('/:id/attachments/:attachmentId')
+  .get(downloadAttachment)
+  .delete(deleteAttachment);
+
 module.exports = router;
@@ -8,7 +8,19 @@ const {
   addContribution,
   getGoalsSummary,
   getGoalsByCategory,
-  updateGoalStatus
+  updateGoalStatus,
+  getAutoContribution,
+  updateAutoContribution,
+  deleteAutoContribution,
+  runAutoContributions,
+  getMilestones,
+  addMilestone,
+  updateMilestone,
+  deleteMilestone,
+  getContributions,
+  withdrawFromGoal,
+  updateContribution,
+  deleteContribution
 } = require('../controllers/goalController');
 const { protect } = require('../middleware/auth');
 const { validate, goalSchemas } = require('../middleware/validation');
@@ -24,6 +36,7 @@ router.route('/')
 
 router.get('/summary', getGoalsSummary);
 router.get('/by-category', getGoalsByCategory);
+router.post('/auto-contributions/run', validate(goalSchemas.runAutoContributions), runAutoContributions);
 
 router.route('/:id')
   .get(getGoal)
@@ -31,6 +44,24 @@ router.route('/:id')
   .delete(deleteGoal);
 
 router.post('/:id/contribute', addContribution);
+router.post('/:id/withdraw', validate(goalSchemas.withdrawal), withdrawFromGoal);
+router.get('/:id/contributions', getContributions);
+router.route('/:id/contributions/:contributionId')
+  .put(validate(goalSchemas.contributionUpdate), updateContribution)
+  .delete(deleteContribution);
 router.put('/:id/status', updateGoalStatus);
 
+router.route('/:id/auto-contribution')
+  .get(getAutoContribution)
+  .put(validate(goalSchemas.autoContribution), updateAutoContribution)
+  .delete(deleteAutoContribution);
+
+router.route('/:id/milestones')
+  .get(getMilestones)
+  .post(validate(goalSchemas.milestone), addMilestone);
+
+router.route('/:id/milestones/:milestoneId')
+  .put(validate(goalSchemas.milestoneUpdate), updateMilestone)
+  .delete(deleteMilestone);
+
 module.exports = router;
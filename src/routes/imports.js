@@ -0,0 +1,22 @@
+const express = require('express');
+const { previewImport, commitStatementImport } = require('../controllers/importController');
+const { protect } = require('../middleware/auth');
+const { statementUpload } = require('../middleware/upload');
+const { validate, importSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   POST /api/imports/preview
+// @desc    Parse a CSV/OFX/QIF statement and preview the rows without saving
+// @access  Private
+router.post('/preview', statementUpload, validate(importSchemas.statement), previewImport);
+
+// @route   POST /api/imports
+// @desc    Import a CSV/OFX/QIF statement into expenses and income
+// @access  Private
+router.post('/', statementUpload, validate(importSchemas.statement), commitStatementImport);
+
+module.exports = router;
@@ -9,9 +9,18 @@ const {
   getIncomeByCategory,
   getRecurringIncomes
 } = require('../controllers/incomeController');
+const { createAttachmentHandlers } = require('../controllers/attachmentController');
 const { protect } = require('../middleware/auth');
+const { attachmentUpload } = require('../middleware/upload');
 const { validate, incomeSchemas } = require('../middleware/validation');
 
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = createAttachmentHandlers('income');
+
 const router = express.Router();
 
 // All routes are protected
@@ -30,4 +39,12 @@ router.route('/:id')
   .put(validate(incomeSchemas.update), updateIncome)
   .delete(deleteIncome);
 
+router.route('/:id/attachments')
+  .get(getAttachments)
+  .post(attachmentUpload, uploadAttachment);
+
+router.route('/:id/attachments/:attachmentId')
+  .get(downloadAttachment)
+  .delete(deleteAttachment);
+
 module.exports = router;
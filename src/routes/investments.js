@@ -0,0 +1,85 @@
+const express = require('express');
+const {
+  getHoldings,
+  getPortfolio,
+  getHolding,
+  createHolding,
+  updateHolding,
+  deleteHolding,
+  getHoldingTransactions,
+  createHoldingTransaction,
+  deleteHoldingTransaction,
+  getPrices,
+  addPrice,
+  importPrices
+} = require('../controllers/investmentController');
+const { protect } = require('../middleware/auth');
+const { statementUpload } = require('../middleware/upload');
+const { validate, investmentSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/investments
+// @desc    Get holdings with market values and gains
+// @access  Private
+router.get('/', getHoldings);
+
+// @route   POST /api/investments
+// @desc    Add a holding
+// @access  Private
+router.post('/', validate(investmentSchemas.createHolding), createHolding);
+
+// @route   GET /api/investments/portfolio
+// @desc    Get portfolio totals, allocation and drift from the target allocation
+// @access  Private
+router.get('/portfolio', getPortfolio);
+
+// @route   GET /api/investments/prices
+// @desc    Get price history
+// @access  Private
+router.get('/prices', getPrices);
+
+// @route   POST /api/investments/prices
+// @desc    Enter a price manually
+// @access  Private
+router.post('/prices', validate(investmentSchemas.price), addPrice);
+
+// @route   POST /api/investments/prices/import
+// @desc    Import prices from a CSV or JSON file
+// @access  Private
+router.post('/prices/import', statementUpload, validate(investmentSchemas.importPrices), importPrices);
+
+// @route   GET /api/investments/:id
+// @desc    Get a holding with its transactions
+// @access  Private
+router.get('/:id', getHolding);
+
+// @route   PUT /api/investments/:id
+// @desc    Update a holding
+// @access  Private
+router.put('/:id', validate(investmentSchemas.updateHolding), updateHolding);
+
+// @route   DELETE /api/investments/:id
+// @desc    Delete a holding and its transactions
+// @access  Private
+router.delete('/:id', deleteHolding);
+
+// @route   GET /api/investments/:id/transactions
+// @desc    Get a holding's transactions
+// @access  Private
+router.get('/:id/transactions', getHoldingTransactions);
+
+// @route   POST /api/investments/:id/transactions
+// @desc    Record a buy, sell or dividend
+// @access  Private
+router.post('/:id/transactions', validate(investmentSchemas.transaction), createHoldingTransaction);
+
+// @route   DELETE /api/investments/:id/transactions/:transactionId
+// @desc    Delete a holding transaction
+// @access  Private
+router.delete('/:id/transactions/:transactionId', deleteHoldingTransaction);
+
+module.exports = router;
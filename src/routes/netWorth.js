@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  getNetWorth,
+  getNetWorthItems,
+  createNetWorthItem,
+  updateNetWorthItem,
+  deleteNetWorthItem
+} = require('../controllers/netWorthController');
+const { protect } = require('../middleware/auth');
+const { validate, netWorthItemSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/net-worth
+// @desc    Get current net worth with its breakdown
+// @access  Private
+router.get('/', getNetWorth);
+
+// @route   GET /api/net-worth/items
+// @desc    Get manual assets and liabilities
+// @access  Private
+router.get('/items', getNetWorthItems);
+
+// @route   POST /api/net-worth/items
+// @desc    Add a manual asset or liability
+// @access  Private
+router.post('/items', validate(netWorthItemSchemas.create), createNetWorthItem);
+
+// @route   PUT /api/net-worth/items/:id
+// @desc    Update a manual asset or liability
+// @access  Private
+router.put('/items/:id', validate(netWorthItemSchemas.update), updateNetWorthItem);
+
+// @route   DELETE /api/net-worth/items/:id
+// @desc    Delete a manual asset or liability
+// @access  Private
+router.delete('/items/:id', deleteNetWorthItem);
+
+module.exports = router;
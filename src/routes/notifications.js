@@ -0,0 +1,54 @@
+const express = require('express');
+const {
+  getNotifications,
+  getNotificationUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPushPublicKey,
+  addPushSubscription,
+  removePushSubscription
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+const { validate, notificationSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/notifications
+// @desc    Get notification inbox with unread count
+// @access  Private
+router.get('/', getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', getNotificationUnreadCount);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', markAllNotificationsRead);
+
+// @route   GET /api/notifications/push-public-key
+// @desc    Get the VAPID public key for browser push subscriptions
+// @access  Private
+router.get('/push-public-key', getPushPublicKey);
+
+// @route   POST /api/notifications/push-subscriptions
+// @desc    Register a browser push subscription
+// @access  Private
+router.post('/push-subscriptions', validate(notificationSchemas.pushSubscription), addPushSubscription);
+
+// @route   DELETE /api/notifications/push-subscriptions
+// @desc    Remove a browser push subscription
+// @access  Private
+router.delete('/push-subscriptions', validate(notificationSchemas.removePushSubscription), removePushSubscription);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark notification as read
+// @access  Private
+router.put('/:id/read', markNotificationRead);
+
+module.exports = router;
@@ -5,13 +5,22 @@ const {
   getCategoryAnalysis,
   getTrendAnalysis,
   getFinancialHealthScore,
+  getNetWorthReport,
+  getCashFlowForecast,
+  getDigests,
+  getDigest,
+  unsubscribeDigests,
   exportData
 } = require('../controllers/reportController');
 const { protect } = require('../middleware/auth');
+const { validate, digestSchemas } = require('../middleware/validation');
 
 const router = express.Router();
 
-// All routes are protected
+// Public: opened from the link in a digest email
+router.post('/digests/unsubscribe', validate(digestSchemas.unsubscribe), unsubscribeDigests);
+
+// All other routes are protected
 router.use(protect);
 
 router.get('/dashboard', getDashboardData);
@@ -19,6 +28,10 @@ router.get('/monthly/:year/:month', getMonthlyReport);
 router.get('/category-analysis', getCategoryAnalysis);
 router.get('/trend-analysis', getTrendAnalysis);
 router.get('/health-score', getFinancialHealthScore);
+router.get('/net-worth', getNetWorthReport);
+router.get('/cash-flow-forecast', getCashFlowForecast);
+router.get('/digests', getDigests);
+router.get('/digests/:id', getDigest);
 router.get('/export', exportData);
 
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  reorderRules,
+  testDraftRule,
+  testSavedRule
+} = require('../controllers/ruleController');
+const { protect } = require('../middleware/auth');
+const { validate, ruleSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getRules)
+  .post(validate(ruleSchemas.create), createRule);
+
+router.put('/reorder', validate(ruleSchemas.reorder), reorderRules);
+router.post('/test', validate(ruleSchemas.test), testDraftRule);
+router.post('/:id/test', validate(ruleSchemas.testSaved), testSavedRule);
+
+router.route('/:id')
+  .get(getRule)
+  .put(validate(ruleSchemas.update), updateRule)
+  .delete(deleteRule);
+
+module.exports = router;
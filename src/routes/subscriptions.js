@@ -0,0 +1,48 @@
+const express = require('express');
+const {
+  getSubscriptions,
+  getDetectedSubscriptions,
+  confirmSubscription,
+  ignoreSubscription,
+  updateSubscription,
+  deleteSubscription
+} = require('../controllers/subscriptionController');
+const { protect } = require('../middleware/auth');
+const { validate, subscriptionSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/subscriptions
+// @desc    Get subscriptions with monthly cost, totals and unused candidates
+// @access  Private
+router.get('/', getSubscriptions);
+
+// @route   POST /api/subscriptions
+// @desc    Confirm a detected subscription as a recurring expense
+// @access  Private
+router.post('/', validate(subscriptionSchemas.confirm), confirmSubscription);
+
+// @route   GET /api/subscriptions/detected
+// @desc    Get periodic charges detected in the expense history
+// @access  Private
+router.get('/detected', getDetectedSubscriptions);
+
+// @route   POST /api/subscriptions/ignore
+// @desc    Stop proposing a detected subscription
+// @access  Private
+router.post('/ignore', validate(subscriptionSchemas.ignore), ignoreSubscription);
+
+// @route   PUT /api/subscriptions/:id
+// @desc    Rename, recategorize, record use of, cancel or resume a subscription
+// @access  Private
+router.put('/:id', validate(subscriptionSchemas.update), updateSubscription);
+
+// @route   DELETE /api/subscriptions/:id
+// @desc    Delete a subscription and stop its recurring expense
+// @access  Private
+router.delete('/:id', deleteSubscription);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  getTransfers,
+  getTransfer,
+  createTransfer,
+  updateTransfer,
+  deleteTransfer
+} = require('../controllers/transferController');
+const { protect } = require('../middleware/auth');
+const { validate, transferSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// @route   GET /api/transfers
+// @desc    Get transfers, optionally for one account
+// @access  Private
+router.get('/', getTransfers);
+
+// @route   POST /api/transfers
+// @desc    Move money between two accounts
+// @access  Private
+router.post('/', validate(transferSchemas.create), createTransfer);
+
+// @route   GET /api/transfers/:id
+// @desc    Get a transfer
+// @access  Private
+router.get('/:id', getTransfer);
+
+// @route   PUT /api/transfers/:id
+// @desc    Update a transfer's amounts, date or description
+// @access  Private
+router.put('/:id', validate(transferSchemas.update), updateTransfer);
+
+// @route   DELETE /api/transfers/:id
+// @desc    Delete a transfer
+// @access  Private
+router.delete('/:id', deleteTransfer);
+
+module.exports = router;
@@ -8,6 +8,11 @@ const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
 const { requestLogger, errorLogger, logServerStart, apiSummaryLogger } = require('./middleware/logger');
 const { concurrencyLimiter } = require('./middleware/concurrencyControl');
+const { startRecurringScheduler } = require('./utils/recurringScheduler');
+const { startAutoContributionScheduler } = require('./utils/autoContributionScheduler');
+const { startNetWorthSnapshotScheduler } = require('./utils/netWorth');
+const { startNotificationScheduler } = require('./utils/notificationScheduler');
+const { startDigestScheduler } = require('./utils/digests');
 
 // Import Routes
 const authRoutes = require('./routes/auth');
@@ -19,6 +24,18 @@ const reportRoutes = require('./routes/reports');
 const aiInsightsRoutes = require('./routes/aiInsights');
 const settingsRoutes = require('./routes/settings');
 const achievementRoutes = require('./routes/achievements');
+const importRoutes = require('./routes/imports');
+const budgetRoutes = require('./routes/budgets');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const categoryRoutes = require('./routes/categories');
+const ruleRoutes = require('./routes/rules');
+const accountRoutes = require('./routes/accounts');
+const transferRoutes = require('./routes/transfers');
+const debtRoutes = require('./routes/debts');
+const netWorthRoutes = require('./routes/netWorth');
+const investmentRoutes = require('./routes/investments');
+const subscriptionRoutes = require('./routes/subscriptions');
+const notificationRoutes = require('./routes/notifications');
 
 const app = express();
 
@@ -123,6 +140,18 @@ app.use('/api/reports', concurrencyLimiter, reportRoutes); // Reports can be res
 app.use('/api/ai-insights', concurrencyLimiter, aiInsightsRoutes); // AI operations are heavy
 app.use('/api/settings', settingsRoutes);
 app.use('/api/achievements', achievementRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/debts', debtRoutes);
+app.use('/api/net-worth', netWorthRoutes);
+app.use('/api/investments', investmentRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // 404 Handler
 app.use('*', (req, res) => {
@@ -151,6 +180,13 @@ if (process.env.NODE_ENV !== 'test') {
   server.on('error', (error) => {
     // Silent server error handling (no console output in production)
   });
+
+  // Background jobs: recurring transactions, goal auto-contributions, net worth snapshots, notifications and digests
+  startRecurringScheduler();
+  startAutoContributionScheduler();
+  startNetWorthSnapshotScheduler();
+  startNotificationScheduler();
+  startDigestScheduler();
 }
 
 module.exports = app;
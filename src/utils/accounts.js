@@ -0,0 +1,234 @@
+const Account = require('../models/Account');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const Transfer = require('../models/Transfer');
+const { BASE_AMOUNT, roundAmount } = require('./currencyAmounts');
+const { getBaseCurrency } = require('./exchangeRates');
+
+// Account created for every user, holding transactions that name no account
+const DEFAULT_ACCOUNT = { name: 'Main account', type: 'checking' };
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Get the user's default account, creating it on first use. Transactions
+ * without an account (created before accounts existed, or by other code
+ * paths) are linked to it.
+ * @param {String} userId - Account owner
+ * @returns {Object} Default account document
+ */
+const ensureDefaultAccount = async (userId) => {
+  let account = await Account.findOne({ user: userId, isDefault: true });
+
+  if (!account) {
+    try {
+      account = await Account.create({
+        ...DEFAULT_ACCOUNT,
+        user: userId,
+        currency: await getBaseCurrency(userId),
+        isDefault: true
+      });
+    } catch (error) {
+      // Created by a concurrent request
+      if (error.code !== 11000) throw error;
+      account = await Account.findOne({ user: userId, isDefault: true });
+    }
+  }
+
+  await Promise.all([Expense, Income].map(Model =>
+    Model.updateMany({ user: userId, account: null }, { account: account._id })
+  ));
+
+  return account;
+};
+
+/**
+ * Account fields to store with a created or updated transaction. Accounts in
+ * the base currency take transactions in any currency (counted by their
+ * converted amount); other accounts only take their own currency.
+ * @param {String} userId - Transaction owner
+ * @param {Object} changes - Submitted fields (account, currency)
+ * @param {Object} [existing] - Stored transaction when updating
+ * @returns {Object} account, plus the account's currency when the transaction has none
+ */
+const resolveAccountFields = async (userId, changes, existing) => {
+  if (existing && changes.account === undefined && changes.currency === undefined) return {};
+
+  let account = null;
+  if (changes.account) {
+    account = await Account.findOne({ _id: changes.account, user: userId });
+    if (!account) throw badRequest('Account not found');
+    if (account.isArchived) throw badRequest(`${account.name} is archived and takes no new transactions`);
+  } else if (existing?.account) {
+    account = await Account.findOne({ _id: existing.account, user: userId });
+  }
+  if (!account) account = await ensureDefaultAccount(userId);
+
+  const fields = { account: account._id };
+  const baseCurrency = await getBaseCurrency(userId);
+  const currency = changes.currency ?? existing?.currency;
+
+  if (account.currency !== baseCurrency) {
+    if (currency && currency !== account.currency) {
+      throw badRequest(`${account.name} holds ${account.currency}, so its transactions must be in ${account.currency}`);
+    }
+    if (!currency) fields.currency = account.currency;
+  }
+
+  return fields;
+};
+
+// Transaction totals per account and original currency
+const sumTransactions = (Model, accountIds, baseCurrency, dateMatch) => Model.aggregate([
+  { $match: { account: { $in: accountIds }, ...dateMatch } },
+  {
+    $group: {
+      _id: { account: '$account', currency: { $ifNull: ['$currency', baseCurrency] } },
+      amount: { $sum: '$amount' },
+      baseAmount: { $sum: BASE_AMOUNT }
+    }
+  }
+]);
+
+const sumTransfers = (field, amountField, accountIds, dateMatch) => Transfer.aggregate([
+  { $match: { [field]: { $in: accountIds }, ...dateMatch } },
+  { $group: { _id: `$${field}`, total: { $sum: `$${amountField}` } } }
+]);
+
+/**
+ * Compute account balances in each account's currency.
+ * @param {String} userId - Account owner
+ * @param {Array<Object>} accounts - Account documents
+ * @param {Date} [asOf] - Only count activity up to this time
+ * @returns {Map} Account id to balance, income, expenses, transfersIn and transfersOut
+ */
+const getAccountBalances = async (userId, accounts, asOf) => {
+  const accountIds = accounts.map(account => account._id);
+  const dateMatch = asOf ? { date: { $lte: asOf } } : {};
+  const baseCurrency = await getBaseCurrency(userId);
+
+  const [income, expenses, transfersOut, transfersIn] = await Promise.all([
+    sumTransactions(Income, accountIds, baseCurrency, dateMatch),
+    sumTransactions(Expense, accountIds, baseCurrency, dateMatch),
+    sumTransfers('fromAccount', 'amount', accountIds, dateMatch),
+    sumTransfers('toAccount', 'toAmount', accountIds, dateMatch)
+  ]);
+
+  const balances = new Map();
+  accounts.forEach(account => {
+    const id = account._id.toString();
+    // Foreign transactions in a base-currency account count at their converted amount
+    const totalFor = (rows) => rows
+      .filter(row => row._id.account.toString() === id)
+      .reduce((sum, row) => sum + (row._id.currency === account.currency ? row.amount : row.baseAmount), 0);
+    const transferTotal = (rows) => rows.find(row => row._id.toString() === id)?.total || 0;
+
+    const totals = {
+      income: totalFor(income),
+      expenses: totalFor(expenses),
+      transfersIn: transferTotal(transfersIn),
+      transfersOut: transferTotal(transfersOut)
+    };
+    const balance = account.openingBalance + totals.income - totals.expenses + totals.transfersIn - totals.transfersOut;
+
+    balances.set(id, {
+      balance: roundAmount(balance),
+      income: roundAmount(totals.income),
+      expenses: roundAmount(totals.expenses),
+      transfersIn: roundAmount(totals.transfersIn),
+      transfersOut: roundAmount(totals.transfersOut)
+    });
+  });
+
+  return balances;
+};
+
+/**
+ * List an account's activity with a running balance.
+ * @param {String} userId - Account owner
+ * @param {Object} account - Account document
+ * @param {Object} [range]
+ * @param {Date} [range.startDate] - First day to list; earlier activity forms the starting balance
+ * @param {Date} [range.endDate] - Last time to list
+ * @returns {Object} startingBalance, endingBalance and entries (oldest first)
+ */
+const getAccountRegister = async (userId, account, { startDate, endDate } = {}) => {
+  const baseCurrency = await getBaseCurrency(userId);
+  const date = {};
+  if (startDate) date.$gte = startDate;
+  if (endDate) date.$lte = endDate;
+  const dateMatch = Object.keys(date).length > 0 ? { date } : {};
+
+  let startingBalance = account.openingBalance;
+  if (startDate) {
+    const before = await getAccountBalances(userId, [account], new Date(startDate.getTime() - 1));
+    startingBalance = before.get(account._id.toString()).balance;
+  }
+
+  const fields = 'amount currency baseAmount date description category';
+  const [income, expenses, transfers] = await Promise.all([
+    Income.find({ account: account._id, ...dateMatch }).select(`${fields} source`).lean(),
+    Expense.find({ account: account._id, ...dateMatch }).select(fields).lean(),
+    Transfer.find({ $or: [{ fromAccount: account._id }, { toAccount: account._id }], ...dateMatch }).lean()
+  ]);
+
+  const inAccountCurrency = (transaction) =>
+    ((transaction.currency || baseCurrency) === account.currency
+      ? transaction.amount
+      : transaction.baseAmount ?? transaction.amount);
+
+  const entries = [
+    ...income.map(item => ({
+      type: 'income',
+      id: item._id,
+      date: item.date,
+      description: item.description || item.source,
+      category: item.category,
+      amount: inAccountCurrency(item)
+    })),
+    ...expenses.map(item => ({
+      type: 'expense',
+      id: item._id,
+      date: item.date,
+      description: item.description,
+      category: item.category,
+      amount: -inAccountCurrency(item)
+    })),
+    ...transfers.map(transfer => {
+      const outgoing = transfer.fromAccount.equals(account._id);
+      return {
+        type: outgoing ? 'transfer_out' : 'transfer_in',
+        id: transfer._id,
+        date: transfer.date,
+        description: transfer.description,
+        counterAccount: outgoing ? transfer.toAccount : transfer.fromAccount,
+        amount: outgoing ? -transfer.amount : transfer.toAmount
+      };
+    })
+  ].sort((a, b) => a.date - b.date || a.id.toString().localeCompare(b.id.toString()));
+
+  let balance = startingBalance;
+  entries.forEach(entry => {
+    balance += entry.amount;
+    entry.amount = roundAmount(entry.amount);
+    entry.balance = roundAmount(balance);
+  });
+
+  return {
+    startingBalance: roundAmount(startingBalance),
+    endingBalance: roundAmount(balance),
+    entries
+  };
+};
+
+module.exports = {
+  DEFAULT_ACCOUNT,
+  ensureDefaultAccount,
+  resolveAccountFields,
+  getAccountBalances,
+  getAccountRegister
+};
@@ -0,0 +1,337 @@
+const moment = require('moment');
+const Expense = require('../models/Expense');
+const AnomalyFeedback = require('../models/AnomalyFeedback');
+const { roundAmount } = require('./currencyAmounts');
+const { getBaseCurrency } = require('./exchangeRates');
+const { merchantKey } = require('./merchants');
+
+// Robust z-score above which an expense is an outlier (Iglewicz and Hoaglin)
+const OUTLIER_Z = 3.5;
+// Fences used when too many amounts are identical for a z-score
+const IQR_FENCE = 3;
+// Fewest other expenses in a category before its outliers are judged
+const MIN_CATEGORY_SAMPLES = 8;
+// A month is a spike above this multiple of its seasonal baseline...
+const SPIKE_RATIO = 1.5;
+// ...and when it exceeds the baseline by at least this much
+const SPIKE_MIN_EXCESS = 50;
+// Months of history behind the trailing baseline
+const TRAILING_MONTHS = 6;
+// Same amount and merchant within this many days is a possible duplicate
+const DUPLICATE_WINDOW_DAYS = 3;
+
+const ANOMALY_TYPES = ['outlier', 'spike', 'duplicate', 'new_merchant'];
+const ANOMALY_ID_PATTERN = /^(outlier|duplicate|new_merchant):[a-f0-9]{24}$|^spike:[a-z0-9-]+:\d{4}-\d{2}$/;
+
+const median = (sorted) => {
+  if (sorted.length === 0) return 0;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const describe = (expense) => expense.description || expense.category;
+
+const summarizeExpense = (expense) => ({
+  _id: expense._id,
+  amount: expense.amount,
+  currency: expense.currency,
+  category: expense.category,
+  description: expense.description,
+  date: expense.date
+});
+
+/**
+ * Score an amount against other amounts of its category.
+ * @param {Number} amount - Amount to judge
+ * @param {Array<Number>} others - Other amounts, sorted ascending
+ * @returns {Object|null} method, score and typical amount when it is an outlier
+ */
+const scoreOutlier = (amount, others) => {
+  const typical = median(others);
+  const mad = median(others.map(value => Math.abs(value - typical)).sort((a, b) => a - b));
+
+  if (mad > 0) {
+    const z = (0.6745 * (amount - typical)) / mad;
+    return z > OUTLIER_Z ? { method: 'robust_z', score: roundAmount(z), typical } : null;
+  }
+
+  const q1 = quantile(others, 0.25);
+  const q3 = quantile(others, 0.75);
+  const iqr = q3 - q1;
+  if (iqr > 0) {
+    return amount > q3 + IQR_FENCE * iqr
+      ? { method: 'iqr', score: roundAmount((amount - q3) / iqr), typical }
+      : null;
+  }
+
+  // Nearly all amounts are the same: flag anything over twice the usual amount
+  return typical > 0 && amount > typical * 2
+    ? { method: 'ratio', score: roundAmount(amount / typical), typical }
+    : null;
+};
+
+const findOutliers = (recent, history, baseCurrency) => {
+  const byCategory = new Map();
+  history.forEach(expense => {
+    if (!byCategory.has(expense.category)) byCategory.set(expense.category, []);
+    byCategory.get(expense.category).push(expense);
+  });
+
+  const flagged = new Set();
+  return recent.flatMap(expense => {
+    const id = `outlier:${expense._id}`;
+    if (flagged.has(id)) return [];
+
+    const others = (byCategory.get(expense.category) || [])
+      .filter(other => other._id.toString() !== expense._id.toString())
+      .map(other => other.value)
+      .sort((a, b) => a - b);
+    if (others.length < MIN_CATEGORY_SAMPLES) return [];
+
+    const outlier = scoreOutlier(expense.value, others);
+    if (!outlier) return [];
+
+    flagged.add(id);
+    const times = roundAmount(expense.value / outlier.typical);
+    return [{
+      id,
+      type: 'outlier',
+      severity: outlier.score >= OUTLIER_Z * 2 ? 'high' : 'medium',
+      title: `Unusually large ${expense.category} expense`,
+      explanation: `${describe(expense)} on ${moment(expense.date).format('MMM D')} was ${roundAmount(expense.value)} ${baseCurrency}, ` +
+        `${times}x your typical ${expense.category} expense of ${roundAmount(outlier.typical)} ${baseCurrency} ` +
+        `(based on ${others.length} expenses).`,
+      date: expense.date,
+      category: expense.category,
+      amount: roundAmount(expense.value),
+      expected: roundAmount(outlier.typical),
+      score: outlier.score,
+      method: outlier.method,
+      expense: summarizeExpense(expense)
+    }];
+  });
+};
+
+/**
+ * Compare this month's spending per category with a seasonal baseline: the
+ * trailing average of the previous months, scaled by how the same month
+ * compared with the rest of last year.
+ */
+const findSpikes = (history, now, baseCurrency, excluded) => {
+  const currentMonth = moment(now).format('YYYY-MM');
+  const totals = new Map();
+  history.forEach(expense => {
+    const month = moment(expense.date).format('YYYY-MM');
+    // Confirmed anomalies stay out of the baseline months
+    if (month !== currentMonth && excluded.has(String(expense._id))) return;
+    if (!totals.has(expense.category)) totals.set(expense.category, new Map());
+    const months = totals.get(expense.category);
+    months.set(month, (months.get(month) || 0) + expense.value);
+  });
+
+  const monthKey = (offset) => moment(now).subtract(offset, 'months').format('YYYY-MM');
+  const anomalies = [];
+
+  totals.forEach((months, category) => {
+    const current = months.get(currentMonth) || 0;
+    const trailing = Array.from({ length: TRAILING_MONTHS }, (_, index) => months.get(monthKey(index + 1)) || 0);
+    const trailingAverage = trailing.reduce((sum, value) => sum + value, 0) / TRAILING_MONTHS;
+
+    // Seasonal factor from last year, when the same month has history
+    const lastYear = Array.from({ length: 12 }, (_, index) => months.get(monthKey(index + 1)) || 0);
+    const lastYearAverage = lastYear.reduce((sum, value) => sum + value, 0) / 12;
+    const sameMonthLastYear = months.get(monthKey(12));
+    const seasonalFactor = sameMonthLastYear !== undefined && lastYearAverage > 0
+      ? Math.min(Math.max(sameMonthLastYear / lastYearAverage, 0.5), 3)
+      : 1;
+
+    const expected = trailingAverage * seasonalFactor;
+    if (expected <= 0 || current < expected * SPIKE_RATIO || current - expected < SPIKE_MIN_EXCESS) return;
+
+    const ratio = roundAmount(current / expected);
+    anomalies.push({
+      id: `spike:${category}:${currentMonth}`,
+      type: 'spike',
+      severity: ratio >= 2.5 ? 'high' : 'medium',
+      title: `${category} spending is up sharply this month`,
+      explanation: `You have spent ${roundAmount(current)} ${baseCurrency} on ${category} so far this month, ` +
+        `${ratio}x the ${roundAmount(expected)} ${baseCurrency} expected from the last ${TRAILING_MONTHS} months` +
+        `${seasonalFactor !== 1 ? ` adjusted for this time of year (x${roundAmount(seasonalFactor)})` : ''}.`,
+      date: moment(now).startOf('month').toDate(),
+      category,
+      amount: roundAmount(current),
+      expected: roundAmount(expected),
+      score: ratio
+    });
+  });
+
+  return anomalies;
+};
+
+const findDuplicates = (recent, baseCurrency) => {
+  const sorted = [...recent].sort((a, b) => a.date - b.date);
+  const anomalies = [];
+
+  sorted.forEach((expense, index) => {
+    const original = sorted.slice(0, index).reverse().find(earlier =>
+      moment(expense.date).diff(earlier.date, 'days', true) <= DUPLICATE_WINDOW_DAYS &&
+      earlier.category === expense.category &&
+      Math.abs(earlier.amount - expense.amount) < 0.005 &&
+      merchantKey(earlier.description) === merchantKey(expense.description) &&
+      // Occurrences of one recurring template are expected to repeat
+      !(earlier.recurringSource && String(earlier.recurringSource) === String(expense.recurringSource))
+    );
+    if (!original) return;
+
+    anomalies.push({
+      id: `duplicate:${expense._id}`,
+      type: 'duplicate',
+      severity: 'medium',
+      title: 'Possible duplicate charge',
+      explanation: `${describe(expense)} for ${roundAmount(expense.value)} ${baseCurrency} on ${moment(expense.date).format('MMM D')} ` +
+        `matches a charge on ${moment(original.date).format('MMM D')}.`,
+      date: expense.date,
+      category: expense.category,
+      amount: roundAmount(expense.value),
+      merchant: merchantKey(expense.description),
+      expense: summarizeExpense(expense),
+      duplicateOf: summarizeExpense(original)
+    });
+  });
+
+  return anomalies;
+};
+
+const findNewMerchants = (recent, history, windowStart, baseCurrency) => {
+  const known = new Set(history
+    .filter(expense => expense.date < windowStart)
+    .map(expense => merchantKey(expense.description))
+    .filter(Boolean));
+  const seen = new Set();
+
+  return [...recent].sort((a, b) => a.date - b.date).flatMap(expense => {
+    const key = merchantKey(expense.description);
+    if (!key || known.has(key) || seen.has(key)) return [];
+    seen.add(key);
+
+    return [{
+      id: `new_merchant:${expense._id}`,
+      type: 'new_merchant',
+      severity: 'low',
+      title: 'First purchase from a new merchant',
+      explanation: `${expense.description} (${roundAmount(expense.value)} ${baseCurrency}) is the first expense from this merchant in your history.`,
+      date: expense.date,
+      category: expense.category,
+      amount: roundAmount(expense.value),
+      merchant: key,
+      expense: summarizeExpense(expense)
+    }];
+  });
+};
+
+/**
+ * Whether a dismissed anomaly covers another one of the same kind: an outlier
+ * or spike no larger in the same category, a duplicate of the same charge at
+ * the same merchant, or the same new merchant.
+ * @param {Object} anomaly - Detected anomaly
+ * @param {Object} dismissal - Dismissed feedback with its anomaly snapshot
+ * @returns {Boolean}
+ */
+const isCoveredBy = (anomaly, dismissal) => {
+  if (dismissal.type !== anomaly.type) return false;
+  switch (anomaly.type) {
+    case 'outlier':
+    case 'spike':
+      return dismissal.category === anomaly.category && anomaly.amount <= dismissal.amount;
+    case 'duplicate':
+      return dismissal.merchant === anomaly.merchant && Math.abs(dismissal.amount - anomaly.amount) < 0.005;
+    case 'new_merchant':
+      return dismissal.merchant === anomaly.merchant;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Detect unusual expenses: per-category outliers, category spikes against a
+ * seasonal baseline, possible duplicate charges and new merchants.
+ * Amounts are compared in the base currency. Feedback tunes detection:
+ * expenses confirmed as outliers or duplicates are left out of the baselines,
+ * and a dismissal also hides similar anomalies (see isCoveredBy).
+ * @param {String} userId - Expense owner
+ * @param {Object} [options]
+ * @param {Number} [options.days] - Recent window checked for outliers, duplicates and new merchants (default 30)
+ * @param {Boolean} [options.includeDismissed] - Keep anomalies the user dismissed
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object} window, anomalies (newest first, with any feedback) and counts per type
+ */
+const detectAnomalies = async (userId, { days = 30, includeDismissed = false, now = new Date() } = {}) => {
+  const windowStart = moment(now).subtract(days, 'days').startOf('day').toDate();
+  // Enough history for last year's same month and the recent window
+  const historyStart = moment.min(
+    moment(now).subtract(12, 'months').startOf('month'),
+    moment(windowStart).subtract(12, 'months')
+  ).toDate();
+
+  const [expenses, feedback, baseCurrency] = await Promise.all([
+    Expense.find({ user: userId, date: { $gte: historyStart, $lte: now } })
+      .select('amount baseAmount currency category splits description date recurringSource')
+      .lean(),
+    AnomalyFeedback.find({ user: userId }).lean(),
+    getBaseCurrency(userId)
+  ]);
+
+  const history = expenses.map(expense => ({ ...expense, value: expense.baseAmount ?? expense.amount }));
+  const recent = history.filter(expense => expense.date >= windowStart);
+  // Category distributions count each split line under its own category
+  const toLines = (expense) => (expense.splits?.length
+    ? expense.splits.map(split => ({
+      ...expense,
+      category: split.category,
+      value: expense.amount > 0 ? split.amount * (expense.value / expense.amount) : split.amount
+    }))
+    : [expense]);
+  const historyLines = history.flatMap(toLines);
+  const recentLines = recent.flatMap(toLines);
+
+  const feedbackById = new Map(feedback.map(item => [item.anomalyId, item]));
+  const confirmedExpenses = new Set(feedback
+    .filter(item => item.status === 'confirmed' && ['outlier', 'duplicate'].includes(item.type))
+    .map(item => item.anomalyId.split(':')[1]));
+  const dismissals = feedback.filter(item => item.status === 'dismissed');
+  const baselineLines = historyLines.filter(line => !confirmedExpenses.has(String(line._id)));
+
+  const anomalies = [
+    ...findOutliers(recentLines, baselineLines, baseCurrency),
+    ...findSpikes(historyLines, now, baseCurrency, confirmedExpenses),
+    ...findDuplicates(recent, baseCurrency),
+    ...findNewMerchants(recent, history, windowStart, baseCurrency)
+  ]
+    .map(anomaly => {
+      const verdict = feedbackById.get(anomaly.id);
+      return { ...anomaly, feedback: verdict ? { status: verdict.status, note: verdict.note } : null };
+    })
+    // Anomalies with their own feedback follow it; others can be covered by a similar dismissal
+    .filter(anomaly => anomaly.feedback || !dismissals.some(dismissal => isCoveredBy(anomaly, dismissal)))
+    .filter(anomaly => includeDismissed || anomaly.feedback?.status !== 'dismissed')
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  return {
+    window: { startDate: windowStart, endDate: now, days },
+    baseCurrency,
+    anomalies,
+    counts: Object.fromEntries(ANOMALY_TYPES.map(type => [type, anomalies.filter(anomaly => anomaly.type === type).length]))
+  };
+};
+
+module.exports = {
+  ANOMALY_ID_PATTERN,
+  detectAnomalies
+};
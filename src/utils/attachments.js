@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const path = require('path');
+const { deleteObject } = require('./storage');
+
+// Attachments kept per transaction
+const MAX_ATTACHMENTS = 10;
+
+// Accepted file types, recognised by their leading bytes rather than the client's MIME type
+const FILE_TYPES = [
+  { mimeType: 'image/jpeg', extension: '.jpg', matches: (buffer) => startsWith(buffer, [0xFF, 0xD8, 0xFF]) },
+  { mimeType: 'image/png', extension: '.png', matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  {
+    mimeType: 'image/webp',
+    extension: '.webp',
+    matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  },
+  {
+    mimeType: 'image/heic',
+    extension: '.heic',
+    matches: (buffer) => buffer.toString('latin1', 4, 8) === 'ftyp' &&
+      ['heic', 'heix', 'heim', 'heis', 'mif1'].includes(buffer.toString('latin1', 8, 12))
+  },
+  { mimeType: 'application/pdf', extension: '.pdf', matches: (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+const ALLOWED_MIME_TYPES = FILE_TYPES.map(type => type.mimeType);
+
+const startsWith = (buffer, bytes) =>
+  buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+
+/**
+ * Identify an uploaded file from its content.
+ * @param {Buffer} buffer - File content
+ * @returns {Object|null} mimeType and extension, or null for unsupported files
+ */
+const detectFileType = (buffer) => {
+  const type = FILE_TYPES.find(candidate => candidate.matches(buffer));
+  return type ? { mimeType: type.mimeType, extension: type.extension } : null;
+};
+
+// Display name without directories or control characters
+const sanitizeFilename = (name, extension) => {
+  const base = path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f"\\/]/g, '').trim();
+  return (base || `attachment${extension}`).slice(0, 255);
+};
+
+/**
+ * Storage key for a new attachment. Keys start with the owner's id so all of
+ * a user's files can be removed by prefix.
+ * @param {String} userId - Transaction owner
+ * @param {String} type - expense or income
+ * @param {String} transactionId - Transaction the file belongs to
+ * @param {String} extension - File extension including the dot
+ * @returns {String} Storage key
+ */
+const buildStorageKey = (userId, type, transactionId, extension) =>
+  `${userId}/${type}/${transactionId}/${crypto.randomBytes(12).toString('hex')}${extension}`;
+
+/**
+ * Remove the stored files of deleted attachments.
+ * @param {Array} attachments - Attachment subdocuments
+ */
+const removeAttachmentBlobs = async (attachments = []) => {
+  for (const attachment of attachments) {
+    if (!attachment.storageKey) continue;
+    try {
+      await deleteObject(attachment.storageKey);
+    } catch (error) {
+      // Silent cleanup error - an orphaned file should not fail the deletion
+    }
+  }
+};
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  ALLOWED_MIME_TYPES,
+  detectFileType,
+  sanitizeFilename,
+  buildStorageKey,
+  removeAttachmentBlobs
+};
@@ -0,0 +1,53 @@
+const { sendMail, escapeHtml } = require('./mailer');
+
+// First configured frontend origin, used to build links in emails
+const getFrontendUrl = () =>
+  (process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0].trim().replace(/\/$/, '');
+
+/**
+ * Email a link that confirms the user's address.
+ * @param {Object} user - Recipient user
+ * @param {String} token - Raw verification token
+ */
+const sendVerificationEmail = async (user, token) => {
+  const link = `${getFrontendUrl()}/verify-email?token=${token}`;
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Verify your HealthyWallet email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. The link expires in 24 hours.\n\n${link}\n\nIf you did not create a HealthyWallet account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address. The link expires in 24 hours.</p><p><a href="${link}">Verify email</a></p><p>If you did not create a HealthyWallet account, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Email a link for choosing a new password.
+ * @param {Object} user - Recipient user
+ * @param {String} token - Raw password reset token
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const link = `${getFrontendUrl()}/reset-password?token=${token}`;
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Reset your HealthyWallet password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one. The link expires in 1 hour and can be used once.\n\n${link}\n\nIf you did not request a password reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. The link expires in 1 hour and can be used once.</p><p><a href="${link}">Reset password</a></p><p>If you did not request a password reset, you can ignore this email.</p>`
+  });
+};
+
+// Email delivery problems must not fail the request that triggered them
+const deliverEmail = async (send) => {
+  try {
+    await send();
+  } catch (error) {
+    // Silent mail delivery error (no console output in production)
+  }
+};
+
+module.exports = {
+  getFrontendUrl,
+  deliverEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
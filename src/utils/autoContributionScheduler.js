@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const AutoContributionRun = require('../models/AutoContributionRun');
+const { getNextRecurringDate } = require('./recurrence');
+const { scheduleJob, stopJob } = require('./jobScheduler');
+const { triggerAchievementCheck } = require('./achievementHelper');
+
+const JOB_NAME = 'goal-auto-contributions';
+
+// Upper bound on scheduled dates handled for one goal in a single run
+const MAX_CATCH_UP_RUNS = 500;
+
+/**
+ * Record a scheduled date in the run log.
+ * @returns {Object|null} The run record, or null if the date was already logged
+ */
+const logRun = async (goal, scheduledFor, status, amount = 0, reason) => {
+  try {
+    return await AutoContributionRun.create({
+      user: goal.user,
+      goal: goal._id,
+      scheduledFor,
+      status,
+      amount,
+      reason
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Apply every auto-contribution of a goal that is due on or before `now`.
+ * The contribution and the next scheduled date are saved in one write,
+ * guarded on the date being applied, so each date is applied exactly once
+ * even if the run log write is lost. Paused goals have their due dates
+ * logged as skipped so they are not back-filled when the goal is resumed;
+ * completed goals move straight past `now` and cancelled goals have their
+ * plan disabled.
+ * @param {Object} goal - Goal document with an enabled plan
+ * @param {Date} now - Reference time for this run
+ * @returns {Object} Applied and skipped counts for the goal
+ */
+const applyDueContributions = async (goal, now) => {
+  const plan = goal.autoContribution;
+  const result = { applied: 0, skipped: 0, amount: 0 };
+
+  let scheduledFor = plan.nextContribution;
+  let runs = 0;
+
+  while (scheduledFor && scheduledFor <= now && runs < MAX_CATCH_UP_RUNS) {
+    const dueDate = { _id: goal._id, 'autoContribution.nextContribution': scheduledFor };
+
+    if (goal.status === 'cancelled') {
+      await Goal.updateOne(dueDate, {
+        $set: { 'autoContribution.enabled': false },
+        $unset: { 'autoContribution.nextContribution': '' }
+      });
+      break;
+    }
+
+    if (goal.status === 'completed') {
+      // Nothing to add until the goal reopens; resume from the next future date
+      await Goal.updateOne(dueDate, {
+        $set: { 'autoContribution.nextContribution': getNextRecurringDate(now, plan.frequency, plan.startDate || scheduledFor) }
+      });
+      break;
+    }
+
+    const nextContribution = getNextRecurringDate(scheduledFor, plan.frequency, plan.startDate || undefined);
+    runs += 1;
+
+    if (goal.status !== 'active') {
+      await logRun(goal, scheduledFor, 'skipped', 0, `Goal is ${goal.status}`);
+      await Goal.updateOne(dueDate, { $set: { 'autoContribution.nextContribution': nextContribution } });
+      result.skipped += 1;
+      scheduledFor = nextContribution;
+      continue;
+    }
+
+    // Never contribute past the target amount
+    const amount = Math.min(plan.amount, goal.targetAmount - goal.currentAmount);
+    if (!(amount > 0)) break;
+
+    goal.autoContribution.nextContribution = nextContribution;
+    goal.$where = { 'autoContribution.nextContribution': scheduledFor };
+    try {
+      await goal.addContribution(amount, 'automatic', 'Automatic contribution', scheduledFor);
+    } catch (error) {
+      // Another run already applied this date, or the goal changed meanwhile;
+      // the date stays due for the next run
+      if (['DocumentNotFoundError', 'VersionError'].includes(error.name)) break;
+      throw error;
+    } finally {
+      goal.$where = undefined;
+    }
+
+    await logRun(goal, scheduledFor, 'applied', amount);
+
+    result.applied += 1;
+    result.amount += amount;
+    scheduledFor = nextContribution;
+  }
+
+  return result;
+};
+
+/**
+ * Find goals with due auto-contribution plans and apply them.
+ * @param {Object} options
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @param {String} [options.userId] - Restrict the run to a single user's goals
+ * @returns {Object} Summary of the run
+ */
+const processAutoContributions = async ({ now = new Date(), userId } = {}) => {
+  const summary = {
+    runAt: now,
+    goalsProcessed: 0,
+    contributionsApplied: 0,
+    contributionsSkipped: 0,
+    amountContributed: 0,
+    failed: 0
+  };
+  const affectedUsers = new Set();
+
+  const query = {
+    'autoContribution.enabled': true,
+    'autoContribution.amount': { $gt: 0 },
+    'autoContribution.nextContribution': { $lte: now }
+  };
+  if (userId) query.user = new mongoose.Types.ObjectId(userId);
+
+  const goals = await Goal.find(query).sort({ 'autoContribution.nextContribution': 1 });
+
+  for (const goal of goals) {
+    try {
+      const result = await applyDueContributions(goal, now);
+
+      summary.goalsProcessed += 1;
+      summary.contributionsApplied += result.applied;
+      summary.contributionsSkipped += result.skipped;
+      summary.amountContributed += result.amount;
+      if (result.applied > 0) affectedUsers.add(goal.user.toString());
+    } catch (error) {
+      // One failing goal must not block the others
+      summary.failed += 1;
+    }
+  }
+
+  for (const affectedUserId of affectedUsers) {
+    await triggerAchievementCheck({ id: affectedUserId });
+  }
+
+  return summary;
+};
+
+/**
+ * Run the goal auto-contribution job on an interval.
+ * @param {Object} options
+ * @param {Number} [options.intervalMs] - Time between runs (defaults to 1 hour)
+ * @param {Function} [options.clock] - Returns the reference time for each run
+ */
+const startAutoContributionScheduler = ({
+  intervalMs = parseInt(process.env.AUTO_CONTRIBUTION_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000,
+  clock
+} = {}) => scheduleJob(JOB_NAME, (now) => processAutoContributions({ now }), { intervalMs, clock });
+
+const stopAutoContributionScheduler = () => stopJob(JOB_NAME);
+
+module.exports = {
+  processAutoContributions,
+  startAutoContributionScheduler,
+  stopAutoContributionScheduler
+};
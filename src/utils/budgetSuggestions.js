@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const { getCategoryDetails } = require('./categories');
+const { SPLIT_LINE_STAGES } = require('./expenseSplits');
+const { BASE_AMOUNT } = require('./currencyAmounts');
+
+// Standard budget percentages (50/30/20 rule adapted)
+const BUDGET_GUIDELINES = {
+  food: 0.15,
+  transport: 0.15,
+  bills: 0.25,
+  entertainment: 0.10,
+  shopping: 0.10,
+  healthcare: 0.05,
+  education: 0.05,
+  travel: 0.05,
+  other: 0.10
+};
+
+// Share used for custom top-level categories
+const DEFAULT_GUIDELINE = 0.05;
+
+// A sub-category splits its parent's share with the parent and its siblings
+const getGuideline = (key, spendingKeys, categories) => {
+  const groupKey = categories.get(key)?.parent || key;
+  const share = BUDGET_GUIDELINES[groupKey] ?? DEFAULT_GUIDELINE;
+  const members = spendingKeys.filter(other =>
+    other === groupKey || categories.get(other)?.parent === groupKey
+  );
+  return share / Math.max(members.length, 1);
+};
+
+const generateBudgetSuggestions = (currentSpending, totalBudget, categories = new Map()) => {
+  const suggestions = {};
+  const spendingKeys = currentSpending.map(category => category._id);
+
+  currentSpending.forEach(category => {
+    const guideline = getGuideline(category._id, spendingKeys, categories);
+    const suggestedAmount = totalBudget * guideline;
+
+    suggestions[category._id] = {
+      name: categories.get(category._id)?.name || category._id,
+      current: Math.round(category.avgMonthlySpending * 100) / 100,
+      suggested: Math.round(suggestedAmount * 100) / 100,
+      difference: Math.round((suggestedAmount - category.avgMonthlySpending) * 100) / 100,
+      status: category.avgMonthlySpending > suggestedAmount ? 'over_budget' : 'within_budget'
+    };
+  });
+
+  return suggestions;
+};
+
+/**
+ * Suggest per-category monthly budgets from the last three months of activity.
+ * @param {String} userId - User to analyse
+ * @param {Number} targetSavingsRate - Percentage of income to keep aside
+ * @returns {Object} Income breakdown, current spending and suggestions keyed by category
+ */
+const buildBudgetSuggestions = async (userId, targetSavingsRate = 20) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const last3Months = moment().subtract(3, 'months').startOf('month').toDate();
+  // Calendar months in the window, so months without activity count as zero
+  const windowMonths = moment().diff(last3Months, 'months') + 1;
+
+  const [avgIncome, categorySpending, categories] = await Promise.all([
+    Income.aggregate([
+      {
+        $match: {
+          user: userObjectId,
+          date: { $gte: last3Months }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalIncome: { $sum: BASE_AMOUNT }
+        }
+      },
+      {
+        $project: {
+          avgMonthlyIncome: { $divide: ['$totalIncome', windowMonths] }
+        }
+      }
+    ]),
+    Expense.aggregate([
+      {
+        $match: {
+          user: userObjectId,
+          date: { $gte: last3Months }
+        }
+      },
+      ...SPLIT_LINE_STAGES,
+      {
+        $group: {
+          _id: '$category',
+          totalSpending: { $sum: BASE_AMOUNT }
+        }
+      },
+      {
+        $project: {
+          avgMonthlySpending: { $divide: ['$totalSpending', windowMonths] },
+          totalSpending: 1
+        }
+      },
+      { $sort: { totalSpending: -1 } }
+    ]),
+    getCategoryDetails(userId, 'expense')
+  ]);
+
+  const savingsRate = parseFloat(targetSavingsRate);
+  const monthlyIncome = avgIncome[0]?.avgMonthlyIncome || 0;
+  const targetSavings = (monthlyIncome * savingsRate) / 100;
+  const budgetForExpenses = monthlyIncome - targetSavings;
+
+  return {
+    income: {
+      avgMonthlyIncome: Math.round(monthlyIncome * 100) / 100,
+      targetSavingsRate: savingsRate,
+      targetSavings: Math.round(targetSavings * 100) / 100,
+      budgetForExpenses: Math.round(budgetForExpenses * 100) / 100
+    },
+    currentSpending: categorySpending,
+    budgetSuggestions: generateBudgetSuggestions(categorySpending, budgetForExpenses, categories)
+  };
+};
+
+module.exports = {
+  buildBudgetSuggestions
+};
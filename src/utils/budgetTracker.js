@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Budget = require('../models/Budget');
+const BudgetAlert = require('../models/BudgetAlert');
+const Expense = require('../models/Expense');
+const UserSettings = require('../models/UserSettings');
+const { BASE_AMOUNT } = require('./currencyAmounts');
+const { notify } = require('./notifications');
+const { SPLIT_LINE_STAGES, categoryCondition, getExpenseCategories } = require('./expenseSplits');
+
+// Percentages of a monthly limit that raise an alert
+const ALERT_THRESHOLDS = [50, 80, 100];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const getMonthWindow = (month) => {
+  const start = moment(month).startOf('month');
+  return {
+    period: start.format('YYYY-MM'),
+    start: start.toDate(),
+    end: start.clone().endOf('month').toDate()
+  };
+};
+
+/**
+ * Parse a YYYY-MM query value.
+ * @param {String} [month] - Month to parse, defaults to the current month
+ * @returns {Date|null} First day of the month, or null when invalid
+ */
+const parseBudgetMonth = (month) => {
+  if (!month) return moment().startOf('month').toDate();
+  const parsed = moment(month, 'YYYY-MM', true);
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+
+const sumSpendingByCategory = async (userId, categories, { start, end }) => {
+  if (categories.length === 0) return {};
+
+  const totals = await Expense.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        ...categoryCondition({ $in: categories }),
+        date: { $gte: start, $lte: end }
+      }
+    },
+    ...SPLIT_LINE_STAGES,
+    { $match: { category: { $in: categories } } },
+    {
+      $group: {
+        _id: '$category',
+        total: { $sum: BASE_AMOUNT }
+      }
+    }
+  ]);
+
+  return totals.reduce((spending, row) => ({ ...spending, [row._id]: row.total }), {});
+};
+
+// Only last month's result against the base limit carries over, so a
+// rollover never snowballs across several months
+const calculateCarryover = (budget, previousSpent) => {
+  const leftover = budget.amount - previousSpent;
+  let carryover = budget.rollover === 'all' ? leftover : Math.max(leftover, 0);
+
+  if (budget.maxRollover !== undefined && budget.maxRollover !== null) {
+    carryover = Math.min(carryover, budget.maxRollover);
+  }
+  return carryover;
+};
+
+const getBudgetStatus = (percentUsed) => {
+  if (percentUsed >= 100) return 'exceeded';
+  if (percentUsed >= 80) return 'warning';
+  return 'on_track';
+};
+
+/**
+ * Compute live spending against each budget for one month.
+ * @param {String} userId - Budget owner
+ * @param {Array<Object>} budgets - Budget documents
+ * @param {Date} [month] - Any date inside the month, defaults to now
+ * @returns {Array<Object>} Budgets with period, spent, carryover, limit, remaining, percentUsed and status
+ */
+const calculateBudgetStatus = async (userId, budgets, month = new Date()) => {
+  const current = getMonthWindow(month);
+  const previous = getMonthWindow(moment(current.start).subtract(1, 'month'));
+
+  // Rollover applies only to budgets that already existed last month
+  const rollsOver = (budget) => budget.rollover !== 'none' && budget.createdAt < current.start;
+
+  const [spending, previousSpending] = await Promise.all([
+    sumSpendingByCategory(userId, budgets.map(budget => budget.category), current),
+    sumSpendingByCategory(userId, budgets.filter(rollsOver).map(budget => budget.category), previous)
+  ]);
+
+  return budgets.map(budget => {
+    const spent = spending[budget.category] || 0;
+    const carryover = rollsOver(budget)
+      ? calculateCarryover(budget, previousSpending[budget.category] || 0)
+      : 0;
+    const limit = Math.max(budget.amount + carryover, 0);
+    let percentUsed = spent > 0 ? 100 : 0;
+    if (limit > 0) percentUsed = (spent / limit) * 100;
+
+    return {
+      ...budget.toObject(),
+      period: current.period,
+      spent: round(spent),
+      carryover: round(carryover),
+      limit: round(limit),
+      remaining: round(limit - spent),
+      percentUsed: round(percentUsed),
+      status: getBudgetStatus(percentUsed)
+    };
+  });
+};
+
+/**
+ * Raise threshold alerts for the budgets covering an expense (one per split
+ * category for split expenses).
+ * Respects the user's budgetAlerts setting and never throws, so expense
+ * writes are not affected by alert failures.
+ * @param {String} userId - Expense owner
+ * @param {Object} expense - Expense with category and date
+ * @returns {Array<Object>} Alerts created by this expense
+ */
+const checkBudgetAlerts = async (userId, expense) => {
+  try {
+    const settings = await UserSettings.findOne({ userId }).select('budgetAlerts');
+    if (settings && settings.budgetAlerts === false) return [];
+
+    const budgets = await Budget.find({
+      user: userId,
+      category: { $in: getExpenseCategories(expense) },
+      isActive: true
+    });
+    if (budgets.length === 0) return [];
+
+    const usages = await calculateBudgetStatus(userId, budgets, expense.date);
+    const alerts = [];
+
+    for (const usage of usages) {
+      for (const threshold of ALERT_THRESHOLDS.filter(value => usage.percentUsed >= value)) {
+        const message = threshold === 100
+          ? `You have exceeded your ${usage.category} budget for ${usage.period}`
+          : `You have used ${threshold}% of your ${usage.category} budget for ${usage.period}`;
+
+        try {
+          alerts.push(await BudgetAlert.create({
+            user: userId,
+            budget: usage._id,
+            category: usage.category,
+            period: usage.period,
+            threshold,
+            spent: usage.spent,
+            limit: usage.limit,
+            percentUsed: usage.percentUsed,
+            message
+          }));
+        } catch (error) {
+          // Threshold already alerted for this month (11000), or the alert
+          // could not be stored; either way move on to the next threshold
+          continue;
+        }
+
+        try {
+          await notify(userId, {
+            type: 'budget_threshold',
+            title: threshold === 100 ? `${usage.category} budget exceeded` : `${threshold}% of ${usage.category} budget used`,
+            message,
+            data: { budget: usage._id, category: usage.category, period: usage.period, threshold },
+            dedupeKey: `budget:${usage._id}:${usage.period}:${threshold}`
+          });
+        } catch (error) {
+          // Silent notification error - the alert is stored either way
+        }
+      }
+    }
+
+    return alerts;
+  } catch (error) {
+    // Silent budget alert error - alerts should not affect expense operations
+    return [];
+  }
+};
+
+module.exports = {
+  ALERT_THRESHOLDS,
+  parseBudgetMonth,
+  calculateBudgetStatus,
+  checkBudgetAlerts
+};
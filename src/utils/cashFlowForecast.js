@@ -0,0 +1,280 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Debt = require('../models/Debt');
+const DebtPayment = require('../models/DebtPayment');
+const Expense = require('../models/Expense');
+const Goal = require('../models/Goal');
+const Income = require('../models/Income');
+const { BASE_AMOUNT, roundAmount } = require('./currencyAmounts');
+const { getBaseCurrency, getExchangeRate } = require('./exchangeRates');
+const { ensureDefaultAccount, getAccountBalances } = require('./accounts');
+const { getNextRecurringDate } = require('./recurrence');
+const { SPLIT_LINE_STAGES } = require('./expenseSplits');
+
+// Accounts whose balance is spendable cash
+const CASH_ACCOUNT_TYPES = ['cash', 'checking', 'savings'];
+
+// Normal quantiles for two-sided 80% and 95% bands
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Spendable balance today: cash, checking and savings accounts in the base currency.
+ * @param {String} userId - User
+ * @param {String} baseCurrency - Base currency
+ * @returns {Object} balance and unconvertedCurrencies
+ */
+const getStartingBalance = async (userId, baseCurrency) => {
+  await ensureDefaultAccount(userId);
+  const accounts = await Account.find({ user: userId, type: { $in: CASH_ACCOUNT_TYPES }, isArchived: false });
+  const balances = await getAccountBalances(userId, accounts);
+
+  let balance = 0;
+  const unconverted = new Set();
+  for (const account of accounts) {
+    const rate = await getExchangeRate(userId, account.currency, baseCurrency, new Date());
+    if (rate) {
+      balance += balances.get(account._id.toString()).balance * rate;
+    } else {
+      unconverted.add(account.currency);
+    }
+  }
+
+  return { balance: roundAmount(balance), unconvertedCurrencies: [...unconverted] };
+};
+
+// Every date of a series from `first` that falls in [start, end]; overdue dates land on `start`
+const seriesDates = (first, period, anchor, start, end) => {
+  const dates = [];
+  let date = first;
+  while (date && date <= end && dates.length < 400) {
+    dates.push(date < start ? start : date);
+    date = getNextRecurringDate(date, period, anchor);
+  }
+  return dates;
+};
+
+/**
+ * Scheduled items inside the forecast window: recurring income and expense
+ * templates, goal auto-contributions and debt minimum payments.
+ * @returns {Array<Object>} date, type, description, amount (signed: inflows positive)
+ */
+const getScheduledItems = async (userId, start, end) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const [incomeTemplates, expenseTemplates, goals, debts, paidThisMonth] = await Promise.all([
+    Income.find({ user: userId, isRecurring: true, recurringPeriod: { $exists: true }, nextRecurringDate: { $lte: end } }),
+    Expense.find({ user: userId, isRecurring: true, recurringPeriod: { $exists: true }, nextRecurringDate: { $lte: end } }),
+    Goal.find({ user: userId, status: 'active', 'autoContribution.enabled': true, 'autoContribution.nextContribution': { $lte: end } }),
+    Debt.find({ user: userId, status: 'active' }),
+    DebtPayment.distinct('debt', { user: userObjectId, date: { $gte: moment(start).startOf('month').toDate() } })
+  ]);
+  const items = [];
+
+  incomeTemplates.forEach(template => {
+    seriesDates(template.nextRecurringDate, template.recurringPeriod, template.date, start, end).forEach(date => {
+      items.push({
+        date,
+        type: 'income',
+        description: template.source || template.description,
+        category: template.category,
+        amount: template.baseAmount ?? template.amount
+      });
+    });
+  });
+
+  expenseTemplates.forEach(template => {
+    seriesDates(template.nextRecurringDate, template.recurringPeriod, template.date, start, end).forEach(date => {
+      items.push({
+        date,
+        type: 'expense',
+        description: template.description || template.category,
+        category: template.category,
+        amount: -(template.baseAmount ?? template.amount)
+      });
+    });
+  });
+
+  goals.forEach(goal => {
+    const plan = goal.autoContribution;
+    let remaining = goal.targetAmount - goal.currentAmount;
+    seriesDates(plan.nextContribution, plan.frequency, plan.startDate || undefined, start, end).forEach(date => {
+      // Contributions stop at the target
+      const amount = Math.min(plan.amount, remaining);
+      if (!(amount > 0)) return;
+      remaining -= amount;
+      items.push({ date, type: 'goal_contribution', description: goal.title, amount: -amount });
+    });
+  });
+
+  const paid = new Set(paidThisMonth.map(id => id.toString()));
+  debts.forEach(debt => {
+    const dueDay = debt.dueDay || moment(debt.startDate).date();
+    let balance = debt.balance;
+    const month = moment(start).startOf('month');
+    while (month.isSameOrBefore(end) && balance > 0) {
+      const due = month.clone().date(Math.min(dueDay, month.daysInMonth())).toDate();
+      const alreadyPaid = month.isSame(start, 'month') && paid.has(debt._id.toString());
+      if (due >= start && due <= end && !alreadyPaid) {
+        const amount = Math.min(debt.minimumPayment, balance);
+        balance -= amount;
+        items.push({ date: due, type: 'debt_payment', description: debt.name, amount: -amount });
+      }
+      month.add(1, 'month');
+    }
+  });
+
+  return items;
+};
+
+/**
+ * Daily mean and variance of discretionary spending per category over the
+ * lookback window. Recurring templates and their occurrences, and debt
+ * payments, are scheduled separately and left out.
+ * @returns {Array<Object>} category, dailyAverage, dailyStdDev and observedDays
+ */
+const getDiscretionaryBaseline = async (userId, now, lookbackDays) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const lookbackStart = moment(now).subtract(lookbackDays, 'days').startOf('day').toDate();
+  const debtExpenses = await DebtPayment.distinct('expense', { user: userObjectId });
+
+  const [first] = await Expense.find({ user: userId, date: { $gte: lookbackStart, $lte: now } })
+    .sort({ date: 1 }).limit(1).select('date');
+  if (!first) return [];
+
+  // Days of history actually covered, so new users are not averaged over empty days
+  const observedDays = Math.max(moment(now).diff(moment(first.date).startOf('day'), 'days') + 1, 1);
+
+  const rows = await Expense.aggregate([
+    {
+      $match: {
+        user: userObjectId,
+        date: { $gte: lookbackStart, $lte: now },
+        isRecurring: { $ne: true },
+        recurringSource: null,
+        _id: { $nin: debtExpenses }
+      }
+    },
+    ...SPLIT_LINE_STAGES,
+    {
+      $group: {
+        _id: { category: '$category', day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } } },
+        total: { $sum: BASE_AMOUNT }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.category',
+        sum: { $sum: '$total' },
+        sumOfSquares: { $sum: { $multiply: ['$total', '$total'] } }
+      }
+    }
+  ]);
+
+  return rows.map(row => {
+    const mean = row.sum / observedDays;
+    // Days without spending count as zero
+    const variance = Math.max(row.sumOfSquares / observedDays - mean * mean, 0);
+    return {
+      category: row._id,
+      dailyAverage: roundAmount(mean),
+      dailyStdDev: roundAmount(Math.sqrt(variance)),
+      variance,
+      observedDays
+    };
+  }).sort((a, b) => b.dailyAverage - a.dailyAverage);
+};
+
+/**
+ * Project the daily spendable balance over the next `days` days.
+ * Scheduled items are certain; discretionary spending adds its daily average
+ * and widens the confidence bands by its accumulated variance.
+ * @param {String} userId - User
+ * @param {Object} [options]
+ * @param {Number} [options.days] - Forecast horizon (default 90)
+ * @param {Number} [options.lookbackDays] - History used for the baseline (default 90)
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object} startingBalance, daily projection, negative-balance flags, totals and baseline
+ */
+const buildCashFlowForecast = async (userId, { days = 90, lookbackDays = 90, now = new Date() } = {}) => {
+  const baseCurrency = await getBaseCurrency(userId);
+  const start = moment(now).add(1, 'day').startOf('day');
+  const end = start.clone().add(days - 1, 'days').endOf('day');
+
+  const [starting, items, baseline] = await Promise.all([
+    getStartingBalance(userId, baseCurrency),
+    getScheduledItems(userId, start.toDate(), end.toDate()),
+    getDiscretionaryBaseline(userId, now, lookbackDays)
+  ]);
+
+  const itemsByDay = new Map();
+  items.forEach(item => {
+    const day = moment(item.date).format(DAY_FORMAT);
+    if (!itemsByDay.has(day)) itemsByDay.set(day, []);
+    itemsByDay.get(day).push({ ...item, amount: roundAmount(item.amount) });
+  });
+
+  const dailyDiscretionary = baseline.reduce((sum, line) => sum + line.dailyAverage, 0);
+  const dailyVariance = baseline.reduce((sum, line) => sum + line.variance, 0);
+
+  const totals = { income: 0, expenses: 0, goalContributions: 0, debtPayments: 0, discretionary: 0 };
+  const totalKeys = { income: 'income', expense: 'expenses', goal_contribution: 'goalContributions', debt_payment: 'debtPayments' };
+  const daily = [];
+  let balance = starting.balance;
+
+  for (let index = 0; index < days; index += 1) {
+    const date = start.clone().add(index, 'days');
+    const events = itemsByDay.get(date.format(DAY_FORMAT)) || [];
+
+    const inflow = events.filter(event => event.amount > 0).reduce((sum, event) => sum + event.amount, 0);
+    const scheduledOut = events.filter(event => event.amount < 0).reduce((sum, event) => sum - event.amount, 0);
+    events.forEach(event => {
+      totals[totalKeys[event.type]] += Math.abs(event.amount);
+    });
+    totals.discretionary += dailyDiscretionary;
+
+    balance += inflow - scheduledOut - dailyDiscretionary;
+    const spread = Math.sqrt(dailyVariance * (index + 1));
+
+    daily.push({
+      date: date.format(DAY_FORMAT),
+      inflow: roundAmount(inflow),
+      outflow: roundAmount(scheduledOut + dailyDiscretionary),
+      balance: roundAmount(balance),
+      lower80: roundAmount(balance - Z_80 * spread),
+      upper80: roundAmount(balance + Z_80 * spread),
+      lower95: roundAmount(balance - Z_95 * spread),
+      upper95: roundAmount(balance + Z_95 * spread),
+      isNegative: balance < 0,
+      events: events.map(({ date: eventDate, ...event }) => event)
+    });
+  }
+
+  const negativeDays = daily.filter(day => day.isNegative);
+  const atRisk = daily.find(day => day.lower80 < 0);
+  const lowest = daily.reduce((min, day) => (!min || day.balance < min.balance ? day : min), null);
+
+  return {
+    baseCurrency,
+    startDate: start.format(DAY_FORMAT),
+    endDate: end.format(DAY_FORMAT),
+    days,
+    startingBalance: starting.balance,
+    endingBalance: daily.length > 0 ? daily[daily.length - 1].balance : starting.balance,
+    lowestBalance: lowest ? { date: lowest.date, balance: lowest.balance } : null,
+    negativeDays: negativeDays.map(day => ({ date: day.date, balance: day.balance })),
+    firstNegativeDate: negativeDays[0]?.date || null,
+    // First day the 80% band dips below zero
+    firstAtRiskDate: atRisk?.date || null,
+    totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundAmount(value)])),
+    baseline: baseline.map(({ variance, ...line }) => line),
+    unconvertedCurrencies: starting.unconvertedCurrencies,
+    daily
+  };
+};
+
+module.exports = {
+  buildCashFlowForecast
+};
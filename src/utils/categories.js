@@ -0,0 +1,139 @@
+const Category = require('../models/Category');
+
+// Category keys are lowercase words joined by hyphens, e.g. "home-office"
+const CATEGORY_KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Catch-all category used when nothing else matches; it cannot be deleted
+const FALLBACK_CATEGORY = 'other';
+
+// Categories every user starts with (the former built-in enums)
+const DEFAULT_CATEGORIES = {
+  expense: [
+    { key: 'food', name: 'Food & Dining', icon: '🍔', color: '#FF7043' },
+    { key: 'transport', name: 'Transport', icon: '🚗', color: '#42A5F5' },
+    { key: 'entertainment', name: 'Entertainment', icon: '🎬', color: '#AB47BC' },
+    { key: 'bills', name: 'Bills & Utilities', icon: '🧾', color: '#78909C' },
+    { key: 'shopping', name: 'Shopping', icon: '🛍️', color: '#EC407A' },
+    { key: 'healthcare', name: 'Healthcare', icon: '🏥', color: '#EF5350' },
+    { key: 'education', name: 'Education', icon: '🎓', color: '#5C6BC0' },
+    { key: 'travel', name: 'Travel', icon: '✈️', color: '#26A69A' },
+    { key: 'other', name: 'Other', icon: '📦', color: '#BDBDBD' }
+  ],
+  income: [
+    { key: 'salary', name: 'Salary', icon: '💼', color: '#66BB6A' },
+    { key: 'freelance', name: 'Freelance', icon: '💻', color: '#29B6F6' },
+    { key: 'investment', name: 'Investment', icon: '📈', color: '#FFA726' },
+    { key: 'business', name: 'Business', icon: '🏢', color: '#8D6E63' },
+    { key: 'other', name: 'Other', icon: '📦', color: '#BDBDBD' }
+  ]
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Derive a category key from a display name ("Home Office" -> "home-office").
+ * @param {String} name - Category name
+ * @returns {String} Key, empty when the name has no usable characters
+ */
+const toCategoryKey = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, 50)
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Seed the default categories the first time a user's categories are needed.
+ * @param {String} userId - Category owner
+ */
+const ensureDefaultCategories = async (userId) => {
+  if (await Category.exists({ user: userId })) return;
+
+  const defaults = Object.entries(DEFAULT_CATEGORIES).flatMap(([type, categories]) =>
+    categories.map(category => ({ ...category, type, user: userId, isDefault: true }))
+  );
+
+  try {
+    await Category.insertMany(defaults, { ordered: false });
+  } catch (error) {
+    // A concurrent request seeded the same defaults first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Get a user's categories, seeding the defaults when needed.
+ * @param {String} userId - Category owner
+ * @param {String} [type] - expense or income, all types when omitted
+ * @returns {Array<Object>} Categories sorted by type and name
+ */
+const getUserCategories = async (userId, type) => {
+  await ensureDefaultCategories(userId);
+
+  const query = { user: userId };
+  if (type) query.type = type;
+
+  return await Category.find(query).sort({ type: 1, name: 1 });
+};
+
+/**
+ * Reject a category key the user has not defined.
+ * @param {String} userId - Transaction owner
+ * @param {String} type - expense or income
+ * @param {String} [key] - Category key, nothing is checked when omitted
+ */
+const assertCategory = async (userId, type, key) => {
+  if (key === undefined) return;
+
+  await ensureDefaultCategories(userId);
+  if (!await Category.exists({ user: userId, type, key })) {
+    throw badRequest(`Unknown ${type} category "${key}", create it first`);
+  }
+};
+
+/**
+ * Display details for each of a user's categories, keyed by category key.
+ * @param {String} userId - Category owner
+ * @param {String} type - expense or income
+ * @returns {Map} key -> { key, name, icon, color, parent }
+ */
+const getCategoryDetails = async (userId, type) => {
+  const categories = await getUserCategories(userId, type);
+  const keysById = new Map(categories.map(category => [category._id.toString(), category.key]));
+
+  return new Map(categories.map(category => [category.key, {
+    key: category.key,
+    name: category.name,
+    icon: category.icon,
+    color: category.color,
+    parent: category.parent ? keysById.get(category.parent.toString()) || null : null
+  }]));
+};
+
+/**
+ * Add category display details to aggregation rows grouped by category key.
+ * @param {Array<Object>} rows - Rows with the category key in `_id`
+ * @param {Map} details - Result of getCategoryDetails
+ * @returns {Array<Object>} Rows with a `categoryDetails` field
+ */
+const withCategoryDetails = (rows, details) => rows.map(row => ({
+  ...row,
+  categoryDetails: details.get(row._id) || null
+}));
+
+module.exports = {
+  CATEGORY_KEY_PATTERN,
+  FALLBACK_CATEGORY,
+  DEFAULT_CATEGORIES,
+  toCategoryKey,
+  ensureDefaultCategories,
+  getUserCategories,
+  assertCategory,
+  getCategoryDetails,
+  withCategoryDetails
+};
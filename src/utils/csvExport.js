@@ -0,0 +1,167 @@
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Goal = require('../models/Goal');
+
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : '');
+const joinTags = (tags) => (tags && tags.length ? tags.join(';') : '');
+
+// Transactions without a currency are recorded in the base currency
+const transactionCurrency = (doc, ctx) => doc.currency || ctx.currency;
+const transactionBaseAmount = (doc) => doc.baseAmount ?? doc.amount;
+const transactionBaseCurrency = (doc, ctx) => doc.baseCurrency || ctx.currency;
+
+/**
+ * Escape a single CSV cell (RFC 4180).
+ * Text starting with a formula character is prefixed with an apostrophe so
+ * spreadsheet applications do not evaluate it.
+ * @param {*} value - Cell value
+ * @returns {String} Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+// Column definitions per exported entity: [header, value getter]
+const CSV_COLUMNS = {
+  income: [
+    ['id', (doc) => doc._id],
+    ['date', (doc) => toIsoDate(doc.date)],
+    ['amount', (doc) => doc.amount],
+    ['currency', transactionCurrency],
+    ['baseAmount', transactionBaseAmount],
+    ['baseCurrency', transactionBaseCurrency],
+    ['source', (doc) => doc.source],
+    ['category', (doc) => doc.category],
+    ['description', (doc) => doc.description],
+    ['isRecurring', (doc) => doc.isRecurring],
+    ['recurringPeriod', (doc) => doc.recurringPeriod],
+    ['tags', (doc) => joinTags(doc.tags)]
+  ],
+  expenses: [
+    ['id', (doc) => doc._id],
+    ['date', (doc) => toIsoDate(doc.date)],
+    ['amount', (doc) => doc.amount],
+    ['currency', transactionCurrency],
+    ['baseAmount', transactionBaseAmount],
+    ['baseCurrency', transactionBaseCurrency],
+    ['category', (doc) => doc.category],
+    ['description', (doc) => doc.description],
+    ['isRecurring', (doc) => doc.isRecurring],
+    ['recurringPeriod', (doc) => doc.recurringPeriod],
+    ['location', (doc) => doc.location?.name],
+    ['tags', (doc) => joinTags(doc.tags)]
+  ],
+  goals: [
+    ['id', (doc) => doc._id],
+    ['title', (doc) => doc.title],
+    ['category', (doc) => doc.category],
+    ['status', (doc) => doc.status],
+    ['priority', (doc) => doc.priority],
+    ['targetAmount', (doc) => doc.targetAmount],
+    ['currentAmount', (doc) => doc.currentAmount],
+    ['currency', (doc, ctx) => ctx.currency],
+    ['targetDate', (doc) => toIsoDate(doc.targetDate)],
+    ['createdAt', (doc) => toIsoDate(doc.createdAt)],
+    ['description', (doc) => doc.description]
+  ],
+  contributions: [
+    ['goalId', (doc) => doc.goal._id],
+    ['goalTitle', (doc) => doc.goal.title],
+    ['date', (doc) => toIsoDate(doc.date)],
+    ['amount', (doc) => doc.amount],
+    ['currency', (doc, ctx) => ctx.currency],
+    ['source', (doc) => doc.source],
+    ['note', (doc) => doc.note],
+    ['reason', (doc) => doc.reason]
+  ]
+};
+
+const CSV_ENTITIES = Object.keys(CSV_COLUMNS);
+
+// Yield the documents of one entity for the export window
+async function* findEntityRows(entity, { userId, start, end }) {
+  const dateRange = { $gte: start, $lte: end };
+
+  if (entity === 'income' || entity === 'expenses') {
+    const Model = entity === 'income' ? Income : Expense;
+    yield* Model.find({ user: userId, date: dateRange }).sort({ date: -1 }).lean().cursor();
+    return;
+  }
+
+  const goals = Goal.find({ user: userId }).sort({ createdAt: 1 }).lean().cursor();
+
+  for await (const goal of goals) {
+    if (entity === 'goals') {
+      yield goal;
+      continue;
+    }
+
+    for (const contribution of goal.contributions || []) {
+      const date = new Date(contribution.date);
+      if (date >= start && date <= end) {
+        yield { ...contribution, goal };
+      }
+    }
+  }
+}
+
+/**
+ * Create a readable stream of CSV text for one entity.
+ * @param {String} entity - One of income, expenses, goals, contributions
+ * @param {Object} options
+ * @param {String} options.userId - Owner of the exported records
+ * @param {Date} options.start - Start of the export window
+ * @param {Date} options.end - End of the export window
+ * @param {String} options.currency - Base currency, used for rows without their own
+ * @returns {Readable} CSV stream
+ */
+const createCsvStream = (entity, options) => {
+  const columns = CSV_COLUMNS[entity];
+
+  async function* generateCsv() {
+    yield toCsvRow(columns.map(([header]) => header));
+
+    for await (const doc of findEntityRows(entity, options)) {
+      yield toCsvRow(columns.map(([, getValue]) => getValue(doc, options)));
+    }
+  }
+
+  return Readable.from(generateCsv());
+};
+
+/**
+ * Create a zip archive stream containing one CSV file per entity.
+ * @param {Object} options - Same options as createCsvStream
+ * @returns {Object} Archiver stream, already finalized
+ */
+const createCsvArchive = (options) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  CSV_ENTITIES.forEach(entity => {
+    archive.append(createCsvStream(entity, options), { name: `${entity}.csv` });
+  });
+  archive.finalize();
+
+  return archive;
+};
+
+module.exports = {
+  CSV_ENTITIES,
+  escapeCsvValue,
+  createCsvStream,
+  createCsvArchive
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Aggregation expression for a transaction amount in the user's base currency.
+// Transactions without a currency are already in the base currency.
+const BASE_AMOUNT = { $ifNull: ['$baseAmount', '$amount'] };
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Total a user's transactions per original currency.
+ * @param {Object} Model - Expense or Income model
+ * @param {String} userId - Transaction owner
+ * @param {String} baseCurrency - User's base currency
+ * @param {Date} [startDate] - Start of the window
+ * @param {Date} [endDate] - End of the window
+ * @returns {Array<Object>} currency, amount (original), convertedAmount (base) and count
+ */
+const getCurrencyBreakdown = async (Model, userId, baseCurrency, startDate, endDate) => {
+  const match = { user: new mongoose.Types.ObjectId(userId) };
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = new Date(startDate);
+    if (endDate) match.date.$lte = new Date(endDate);
+  }
+
+  const totals = await Model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ['$currency', baseCurrency] },
+        amount: { $sum: '$amount' },
+        convertedAmount: { $sum: BASE_AMOUNT },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { convertedAmount: -1 } }
+  ]);
+
+  return totals.map(total => ({
+    currency: total._id,
+    amount: roundAmount(total.amount),
+    convertedAmount: roundAmount(total.convertedAmount),
+    count: total.count
+  }));
+};
+
+module.exports = {
+  BASE_AMOUNT,
+  roundAmount,
+  getCurrencyBreakdown
+};
@@ -0,0 +1,31 @@
+// Display symbol of each supported currency code
+const CURRENCY_SYMBOLS = {
+  // Major World Currencies
+  'USD': '$', 'EUR': '€', 'GBP': '£', 'JPY': '¥', 'CHF': 'CHF', 'CAD': 'C$', 'AUD': 'A$', 'NZD': 'NZ$',
+  // Asian Currencies
+  'BDT': '৳', 'INR': '₹', 'PKR': '₨', 'LKR': '₨', 'NPR': '₨', 'CNY': '¥', 'HKD': 'HK$', 'SGD': 'S$',
+  'MYR': 'RM', 'THB': '฿', 'IDR': 'Rp', 'PHP': '₱', 'VND': '₫', 'KRW': '₩', 'TWD': 'NT$',
+  // Middle Eastern Currencies
+  'AED': 'د.إ', 'SAR': '﷼', 'QAR': '﷼', 'KWD': 'د.ك', 'BHD': '.د.ب', 'OMR': '﷼', 'JOD': 'د.ا', 'ILS': '₪', 'TRY': '₺',
+  // African Currencies
+  'ZAR': 'R', 'EGP': '£', 'NGN': '₦', 'KES': 'KSh', 'GHS': '¢', 'MAD': 'د.م.', 'TND': 'د.ت',
+  // European Currencies (Non-Euro)
+  'NOK': 'kr', 'SEK': 'kr', 'DKK': 'kr', 'PLN': 'zł', 'CZK': 'Kč', 'HUF': 'Ft', 'RON': 'lei',
+  'BGN': 'лв', 'HRK': 'kn', 'RSD': 'дин', 'RUB': '₽', 'UAH': '₴',
+  // American Currencies
+  'MXN': '$', 'BRL': 'R$', 'ARS': '$', 'CLP': '$', 'COP': '$', 'PEN': 'S/', 'UYU': '$U', 'BOB': '$b', 'PYG': 'Gs',
+  // Other Major Currencies
+  'RMB': '¥', 'XAF': 'FCFA', 'XOF': 'CFA', 'XCD': '$', 'XPF': '₣'
+};
+
+/**
+ * Display symbol for a currency code, e.g. $ for USD.
+ * @param {String} currency - ISO currency code
+ * @returns {String} Symbol ($ for unknown codes)
+ */
+const getCurrencySymbol = (currency) => CURRENCY_SYMBOLS[currency] || '$';
+
+module.exports = {
+  CURRENCY_SYMBOLS,
+  getCurrencySymbol
+};
@@ -0,0 +1,188 @@
+const moment = require('moment');
+const { roundAmount } = require('./currencyAmounts');
+
+// Longest schedule simulated (50 years of monthly payments)
+const MAX_MONTHS = 600;
+
+const monthlyRate = (apr) => apr / 100 / 12;
+
+const dailyRate = (apr) => apr / 100 / 365;
+
+/**
+ * Split a payment into interest and principal against a balance, charging
+ * one month of interest, or `days` of daily interest when given.
+ * @param {Number} balance - Outstanding balance before the payment
+ * @param {Number} apr - Annual percentage rate
+ * @param {Number} amount - Payment amount
+ * @param {Number} [days] - Days of interest accrued since the previous payment
+ * @returns {Object} interest, principal and balance after the payment
+ */
+const applyPayment = (balance, apr, amount, days) => {
+  const rate = days === undefined ? monthlyRate(apr) : dailyRate(apr) * days;
+  const interest = Math.min(roundAmount(balance * rate), amount);
+  const principal = Math.min(roundAmount(amount - interest), balance);
+  return {
+    interest,
+    principal,
+    balance: roundAmount(balance - principal)
+  };
+};
+
+/**
+ * Month-by-month amortization of a balance at a fixed payment.
+ * @param {Object} debt - balance, apr
+ * @param {Number} payment - Monthly payment
+ * @param {Date} [startDate] - Date of the first payment, defaults to a month from now
+ * @returns {Object|null} schedule rows, months, payoffDate, totalInterest and totalPaid, or null when the payment never clears the balance
+ */
+const buildAmortizationSchedule = ({ balance, apr }, payment, startDate) => {
+  const firstPayment = moment(startDate || moment().add(1, 'month'));
+  const schedule = [];
+  let remaining = balance;
+  let totalInterest = 0;
+  let totalPaid = 0;
+
+  while (remaining > 0 && schedule.length < MAX_MONTHS) {
+    const interestDue = roundAmount(remaining * monthlyRate(apr));
+    if (payment <= interestDue) return null;
+
+    const amount = Math.min(payment, roundAmount(remaining + interestDue));
+    const result = applyPayment(remaining, apr, amount);
+    remaining = result.balance;
+    totalInterest += result.interest;
+    totalPaid += amount;
+
+    schedule.push({
+      month: schedule.length + 1,
+      date: firstPayment.clone().add(schedule.length, 'months').toDate(),
+      payment: roundAmount(amount),
+      interest: result.interest,
+      principal: result.principal,
+      balance: remaining
+    });
+  }
+
+  if (remaining > 0) return null;
+
+  return {
+    schedule,
+    months: schedule.length,
+    payoffDate: schedule.length > 0 ? schedule[schedule.length - 1].date : null,
+    totalInterest: roundAmount(totalInterest),
+    totalPaid: roundAmount(totalPaid)
+  };
+};
+
+// Order in which extra money is aimed at debts
+const STRATEGIES = {
+  // Highest interest rate first: least total interest
+  avalanche: (a, b) => b.apr - a.apr || a.balance - b.balance,
+  // Smallest balance first: fastest individual payoffs
+  snowball: (a, b) => a.balance - b.balance || b.apr - a.apr
+};
+
+/**
+ * Simulate paying off several debts: minimums on every debt, and the extra
+ * budget plus the minimums of paid-off debts on the strategy's target.
+ * @param {Array<Object>} debts - id, name, balance, apr, minimumPayment
+ * @param {Number} extraPayment - Monthly amount on top of the minimums
+ * @param {String} strategy - avalanche or snowball
+ * @param {Date} [startDate] - Date of the first payment
+ * @returns {Object} months, payoffDate, totalInterest, totalPaid and per-debt payoff order
+ */
+const simulatePayoff = (debts, extraPayment, strategy, startDate) => {
+  const firstPayment = moment(startDate || moment().add(1, 'month'));
+  const open = debts
+    .filter(debt => debt.balance > 0)
+    .map(debt => ({ ...debt, remaining: debt.balance, interest: 0 }))
+    .sort(STRATEGIES[strategy]);
+  const budget = open.reduce((sum, debt) => sum + debt.minimumPayment, 0) + extraPayment;
+  const order = [];
+  let month = 0;
+
+  // A budget that cannot outpace the interest never finishes
+  const firstInterest = open.reduce((sum, debt) => sum + debt.balance * monthlyRate(debt.apr), 0);
+  if (budget <= firstInterest) month = MAX_MONTHS;
+
+  let totalInterest = 0;
+  let totalPaid = 0;
+
+  while (open.some(debt => debt.remaining > 0) && month < MAX_MONTHS) {
+    const date = firstPayment.clone().add(month, 'months').toDate();
+    month += 1;
+
+    // Interest accrues on every open debt
+    const active = open.filter(debt => debt.remaining > 0);
+    active.forEach(debt => {
+      const interest = roundAmount(debt.remaining * monthlyRate(debt.apr));
+      debt.remaining = roundAmount(debt.remaining + interest);
+      debt.interest += interest;
+      totalInterest += interest;
+    });
+
+    // Minimums first, then whatever is left goes down the strategy order
+    let available = budget;
+    active.forEach(debt => {
+      const payment = Math.min(debt.minimumPayment, debt.remaining, available);
+      debt.remaining = roundAmount(debt.remaining - payment);
+      available -= payment;
+    });
+    for (const debt of active) {
+      if (available <= 0) break;
+      const payment = Math.min(debt.remaining, available);
+      debt.remaining = roundAmount(debt.remaining - payment);
+      available -= payment;
+    }
+    totalPaid += budget - available;
+
+    active.filter(debt => debt.remaining <= 0).forEach(debt => {
+      order.push({
+        id: debt.id,
+        name: debt.name,
+        months: month,
+        payoffDate: date,
+        totalInterest: roundAmount(debt.interest)
+      });
+    });
+  }
+
+  const paidOff = open.every(debt => debt.remaining <= 0);
+
+  return {
+    strategy,
+    paidOff,
+    months: paidOff ? month : null,
+    payoffDate: paidOff && order.length > 0 ? order[order.length - 1].payoffDate : null,
+    totalInterest: roundAmount(totalInterest),
+    totalPaid: roundAmount(totalPaid),
+    monthlyBudget: roundAmount(budget),
+    order
+  };
+};
+
+/**
+ * Compare the avalanche and snowball strategies.
+ * @param {Array<Object>} debts - id, name, balance, apr, minimumPayment
+ * @param {Number} extraPayment - Monthly amount on top of the minimums
+ * @param {Date} [startDate] - Date of the first payment
+ * @returns {Object} avalanche and snowball results, interest difference and recommendation
+ */
+const comparePayoffStrategies = (debts, extraPayment, startDate) => {
+  const avalanche = simulatePayoff(debts, extraPayment, 'avalanche', startDate);
+  const snowball = simulatePayoff(debts, extraPayment, 'snowball', startDate);
+
+  return {
+    extraPayment: roundAmount(extraPayment),
+    avalanche,
+    snowball,
+    interestSavedByAvalanche: roundAmount(snowball.totalInterest - avalanche.totalInterest),
+    recommended: snowball.totalInterest < avalanche.totalInterest ? 'snowball' : 'avalanche'
+  };
+};
+
+module.exports = {
+  applyPayment,
+  buildAmortizationSchedule,
+  simulatePayoff,
+  comparePayoffStrategies
+};
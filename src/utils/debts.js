@@ -0,0 +1,169 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Debt = require('../models/Debt');
+const DebtPayment = require('../models/DebtPayment');
+const Income = require('../models/Income');
+const UserSettings = require('../models/UserSettings');
+const { BASE_AMOUNT, roundAmount } = require('./currencyAmounts');
+const { applyPayment } = require('./debtPlanner');
+
+// Months of income averaged for the debt-to-income ratio
+const INCOME_MONTHS = 3;
+
+/**
+ * Replay a debt's payments in date order, storing each payment's interest and
+ * principal split and the resulting balance and status on the debt. Interest
+ * is charged for the days elapsed since the previous payment.
+ * @param {Object} debt - Debt document
+ * @returns {Object} Saved debt
+ */
+const recalculateDebt = async (debt) => {
+  const payments = await DebtPayment.find({ debt: debt._id }).sort({ date: 1, createdAt: 1 });
+
+  let balance = debt.principal;
+  let paidOffAt = null;
+  // Interest accrues daily from the start date, then from each payment
+  let accruedFrom = debt.startDate || debt.createdAt;
+  const operations = payments.map(payment => {
+    const days = Math.max(moment.utc(payment.date).diff(moment.utc(accruedFrom), 'days'), 0);
+    const result = applyPayment(balance, debt.apr, payment.amount, days);
+    balance = result.balance;
+    if (payment.date > accruedFrom) accruedFrom = payment.date;
+    if (balance <= 0 && !paidOffAt) paidOffAt = payment.date;
+
+    return {
+      updateOne: {
+        filter: { _id: payment._id },
+        update: {
+          $set: {
+            interest: result.interest,
+            principal: result.principal,
+            balanceAfter: balance
+          }
+        }
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await DebtPayment.bulkWrite(operations, { ordered: false });
+  }
+
+  debt.balance = balance;
+  debt.status = balance <= 0 ? 'paid_off' : 'active';
+  debt.paidOffAt = paidOffAt || undefined;
+  return await debt.save();
+};
+
+// Debts are kept in the base currency, so payments count the converted amount
+const getPaymentAmount = (expense) => expense.baseAmount ?? expense.amount;
+
+const recalculatePaymentDebts = async (payments) => {
+  const debts = await Debt.find({ _id: { $in: payments.map(payment => payment.debt) } });
+  for (const debt of debts) {
+    await recalculateDebt(debt);
+  }
+};
+
+/**
+ * Carry an edited expense's amount and date over to the debt payment it records.
+ * @param {Object} expense - Updated expense
+ */
+const syncExpensePayments = async (expense) => {
+  const payments = await DebtPayment.find({ expense: expense._id });
+  if (payments.length === 0) return;
+
+  await DebtPayment.updateMany({ expense: expense._id }, { amount: getPaymentAmount(expense), date: expense.date });
+  await recalculatePaymentDebts(payments);
+};
+
+/**
+ * Drop the debt payments recorded by an expense, e.g. when it is deleted.
+ * @param {String} expenseId - Deleted expense
+ */
+const removeExpensePayments = async (expenseId) => {
+  const payments = await DebtPayment.find({ expense: expenseId });
+  if (payments.length === 0) return;
+
+  await DebtPayment.deleteMany({ expense: expenseId });
+  await recalculatePaymentDebts(payments);
+};
+
+/**
+ * Total debt and debt-to-income ratio for health scoring.
+ * When no debts are tracked the `debtAmount` setting stands in for the total.
+ * @param {String} userId - Debt owner
+ * @returns {Object} totalDebt, monthlyPayments, monthlyIncome, debtToIncome (percent, null without income), activeDebts and source
+ */
+const getDebtSummary = async (userId) => {
+  const [debts, incomeData] = await Promise.all([
+    Debt.find({ user: userId, status: 'active' }).select('balance minimumPayment'),
+    Income.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId),
+          date: { $gte: moment().subtract(INCOME_MONTHS, 'months').toDate() }
+        }
+      },
+      { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
+    ])
+  ]);
+
+  const monthlyIncome = roundAmount((incomeData[0]?.total || 0) / INCOME_MONTHS);
+  const totalDebt = roundAmount(debts.reduce((sum, debt) => sum + debt.balance, 0));
+  const monthlyPayments = roundAmount(debts.reduce((sum, debt) => sum + debt.minimumPayment, 0));
+
+  if (debts.length === 0) {
+    const settings = await UserSettings.findOne({ userId }).select('debtAmount');
+    if (settings?.debtAmount > 0) {
+      // Payments are unknown, so there is no debt-to-income ratio
+      return {
+        totalDebt: settings.debtAmount,
+        monthlyPayments: null,
+        monthlyIncome,
+        debtToIncome: null,
+        activeDebts: 0,
+        source: 'settings'
+      };
+    }
+  }
+
+  return {
+    totalDebt,
+    monthlyPayments,
+    monthlyIncome,
+    debtToIncome: monthlyIncome > 0 ? roundAmount((monthlyPayments / monthlyIncome) * 100) : null,
+    activeDebts: debts.length,
+    source: 'debts'
+  };
+};
+
+/**
+ * Rate a debt summary on the same excellent/good/fair/poor scale as the other
+ * health factors. Debt-to-income bands follow common lending guidance; a debt
+ * total without payments is compared with a year of income instead.
+ * @param {Object} summary - Result of getDebtSummary
+ * @returns {String} excellent, good, fair or poor
+ */
+const rateDebtLoad = ({ totalDebt, monthlyIncome, debtToIncome }) => {
+  if (totalDebt <= 0) return 'excellent';
+  if (debtToIncome === null) {
+    const yearsOfIncome = monthlyIncome > 0 ? totalDebt / (monthlyIncome * 12) : Infinity;
+    if (yearsOfIncome < 0.5) return 'good';
+    if (yearsOfIncome < 1) return 'fair';
+    return 'poor';
+  }
+  if (debtToIncome < 20) return 'excellent';
+  if (debtToIncome < 36) return 'good';
+  if (debtToIncome < 50) return 'fair';
+  return 'poor';
+};
+
+module.exports = {
+  getPaymentAmount,
+  recalculateDebt,
+  syncExpensePayments,
+  removeExpensePayments,
+  getDebtSummary,
+  rateDebtLoad
+};
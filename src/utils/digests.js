@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const Digest = require('../models/Digest');
+const Expense = require('../models/Expense');
+const Goal = require('../models/Goal');
+const Income = require('../models/Income');
+const User = require('../models/User');
+const { roundAmount } = require('./currencyAmounts');
+const { getBaseCurrency } = require('./exchangeRates');
+const { getCategoryDetails } = require('./categories');
+const { sendMail, escapeHtml } = require('./mailer');
+const { getFrontendUrl } = require('./authEmails');
+const { scheduleJob, stopJob } = require('./jobScheduler');
+
+const JOB_NAME = 'digests';
+
+// Email sends per digest before it is marked failed
+const MAX_EMAIL_ATTEMPTS = 3;
+
+// Calendar unit, key format and wording of each digest period
+const DIGEST_PERIODS = {
+  weekly: { unit: 'isoWeek', step: 'week', keyFormat: 'GGGG-[W]WW', label: 'week', title: 'Weekly' },
+  monthly: { unit: 'month', step: 'month', keyFormat: 'YYYY-MM', label: 'month', title: 'Monthly' }
+};
+
+// Category spending change that is worth pointing out
+const CATEGORY_CHANGE_RATIO = 0.25;
+const CATEGORY_CHANGE_MIN = 20;
+const MAX_INSIGHTS = 3;
+
+/**
+ * Last complete period before `now` (UTC), e.g. last Monday-Sunday week.
+ * @param {String} period - weekly or monthly
+ * @param {Date} now - Reference time
+ * @returns {Object} key, start and end of the period
+ */
+const getDigestPeriod = (period, now) => {
+  const { unit, step, keyFormat } = DIGEST_PERIODS[period];
+  const start = moment.utc(now).subtract(1, step).startOf(unit);
+
+  return {
+    key: start.format(keyFormat),
+    start: start.toDate(),
+    end: start.clone().endOf(unit).toDate()
+  };
+};
+
+const signUnsubscribe = (userId) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`digest-unsubscribe:${userId}`)
+  .digest('base64url');
+
+/**
+ * Token for the unsubscribe link in digest emails. It does not expire, so
+ * links in old digests keep working.
+ * @param {String} userId - Recipient
+ * @returns {String} Token
+ */
+const createUnsubscribeToken = (userId) => `${userId}.${signUnsubscribe(userId)}`;
+
+/**
+ * User an unsubscribe token was issued for.
+ * @param {String} token - Token from createUnsubscribeToken
+ * @returns {String|null} User id, or null when the token is invalid
+ */
+const verifyUnsubscribeToken = (token) => {
+  const [userId, signature] = String(token || '').split('.');
+  if (!/^[a-f0-9]{24}$/.test(userId || '') || !signature) return null;
+
+  const expected = Buffer.from(signUnsubscribe(userId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return userId;
+};
+
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+};
+
+const sumTotals = (rows) => roundAmount(rows.reduce((sum, row) => sum + row.totalAmount, 0));
+
+// Goal progress during the period, from the contributions made in it
+const summarizeGoals = (goals, start, end) => goals.map(goal => {
+  const contributed = (goal.contributions || [])
+    .filter(contribution => contribution.date >= start && contribution.date <= end)
+    .reduce((sum, contribution) => sum + contribution.amount, 0);
+
+  return {
+    title: goal.title,
+    status: goal.status,
+    currentAmount: roundAmount(goal.currentAmount),
+    targetAmount: roundAmount(goal.targetAmount),
+    progress: goal.targetAmount > 0 ? Math.min(Math.round((goal.currentAmount / goal.targetAmount) * 100), 100) : 0,
+    contributed: roundAmount(contributed)
+  };
+}).filter(goal => goal.status === 'active' || goal.contributed > 0);
+
+// A few rule-based observations on the period, most important first
+const buildInsights = ({ income, expenses, previousExpenses, savingsRate, categories, goals }, { label, currency }) => {
+  const insights = [];
+
+  if (income > 0 && savingsRate < 0) {
+    insights.push({ type: 'overspending', severity: 'warning', message: `You spent more than you earned this ${label}.` });
+  } else if (income > 0 && savingsRate >= 20) {
+    insights.push({ type: 'savings_rate', severity: 'success', message: `You saved ${savingsRate}% of your income this ${label}.` });
+  }
+
+  if (previousExpenses > 0) {
+    const change = Math.round(((expenses - previousExpenses) / previousExpenses) * 100);
+    if (Math.abs(change) >= 10) {
+      insights.push({
+        type: 'spending_change',
+        severity: change > 0 ? 'warning' : 'success',
+        message: `Spending was ${Math.abs(change)}% ${change > 0 ? 'higher' : 'lower'} than the previous ${label}.`
+      });
+    }
+  }
+
+  const increases = categories
+    .filter(category => category.change >= CATEGORY_CHANGE_MIN &&
+      category.previous > 0 && category.change / category.previous >= CATEGORY_CHANGE_RATIO)
+    .sort((a, b) => b.change - a.change);
+  if (increases.length > 0) {
+    const [top] = increases;
+    insights.push({
+      type: 'category_increase',
+      category: top.category,
+      severity: 'info',
+      message: `${top.name} spending rose by ${formatMoney(top.change, currency)} compared with the previous ${label}.`
+    });
+  }
+
+  const nearlyThere = goals.filter(goal => goal.status === 'active' && goal.progress >= 90);
+  if (nearlyThere.length > 0) {
+    insights.push({
+      type: 'goal_near_completion',
+      severity: 'success',
+      message: `"${nearlyThere[0].title}" is ${nearlyThere[0].progress}% funded.`
+    });
+  }
+
+  return insights.slice(0, MAX_INSIGHTS);
+};
+
+/**
+ * Figures for a digest: income, spending by category compared with the
+ * previous period, goal progress, achievements earned and top insights.
+ * @param {Object} user - User document (with achievements)
+ * @param {String} period - weekly or monthly
+ * @param {Object} range - start and end of the period
+ * @returns {Object} Digest summary
+ */
+const buildDigestSummary = async (user, period, { start, end }) => {
+  const userId = user._id.toString();
+  const { step, label } = DIGEST_PERIODS[period];
+  const previousStart = moment.utc(start).subtract(1, step).toDate();
+  const previousEnd = moment.utc(start).subtract(1, 'millisecond').toDate();
+
+  const [incomeRows, expenseRows, previousExpenseRows, goals, details, currency] = await Promise.all([
+    Income.getIncomeSummary(userId, start, end),
+    Expense.getExpenseSummary(userId, start, end),
+    Expense.getExpenseSummary(userId, previousStart, previousEnd),
+    Goal.find({ user: userId, status: { $in: ['active', 'completed'] } }).sort({ targetDate: 1 }),
+    getCategoryDetails(userId, 'expense'),
+    getBaseCurrency(userId)
+  ]);
+
+  const income = sumTotals(incomeRows);
+  const expenses = sumTotals(expenseRows);
+  const previousExpenses = sumTotals(previousExpenseRows);
+  const previousByCategory = new Map(previousExpenseRows.map(row => [row._id, row.totalAmount]));
+
+  const categories = expenseRows.map(row => {
+    const previous = roundAmount(previousByCategory.get(row._id) || 0);
+    return {
+      category: row._id,
+      name: details.get(row._id)?.name || row._id,
+      amount: roundAmount(row.totalAmount),
+      count: row.count,
+      share: expenses > 0 ? Math.round((row.totalAmount / expenses) * 100) : 0,
+      previous,
+      change: roundAmount(row.totalAmount - previous)
+    };
+  });
+
+  const goalProgress = summarizeGoals(goals, start, end);
+  const achievements = (user.achievements || [])
+    .filter(achievement => achievement.earnedAt >= start && achievement.earnedAt <= end)
+    .map(achievement => ({ name: achievement.name, description: achievement.description, points: achievement.points }));
+
+  const net = roundAmount(income - expenses);
+  const savingsRate = income > 0 ? Math.round((net / income) * 100) : 0;
+
+  return {
+    currency,
+    totals: { income, expenses, net, savingsRate, previousExpenses },
+    categories,
+    goals: goalProgress,
+    achievements,
+    insights: buildInsights({ income, expenses, previousExpenses, savingsRate, categories, goals: goalProgress }, { label, currency })
+  };
+};
+
+/**
+ * Subject, plain text and HTML of a digest email.
+ * @param {Object} user - Recipient
+ * @param {String} period - weekly or monthly
+ * @param {Object} range - start and end of the period
+ * @param {Object} summary - Result of buildDigestSummary
+ * @returns {Object} subject, text and html
+ */
+const renderDigest = (user, period, { start, end }, summary) => {
+  const { title, label } = DIGEST_PERIODS[period];
+  const money = (amount) => formatMoney(amount, summary.currency);
+  const range = period === 'monthly'
+    ? moment.utc(start).format('MMMM YYYY')
+    : `${moment.utc(start).format('MMM D')} - ${moment.utc(end).format('MMM D, YYYY')}`;
+  const unsubscribeLink = `${getFrontendUrl()}/unsubscribe?token=${createUnsubscribeToken(user._id.toString())}`;
+  const { totals } = summary;
+
+  const subject = `Your HealthyWallet ${title.toLowerCase()} summary: ${range}`;
+
+  const text = [
+    `Hi ${user.name},`,
+    '',
+    `Here is your ${label} in numbers (${range}).`,
+    '',
+    `Income: ${money(totals.income)}`,
+    `Spending: ${money(totals.expenses)}`,
+    `Net: ${money(totals.net)}${totals.income > 0 ? ` (${totals.savingsRate}% saved)` : ''}`,
+    '',
+    'Spending by category:',
+    ...(summary.categories.length > 0
+      ? summary.categories.map(category => `- ${category.name}: ${money(category.amount)} (${category.share}%)`)
+      : ['- No spending recorded']),
+    ...(summary.goals.length > 0
+      ? ['', 'Goals:', ...summary.goals.map(goal =>
+        `- ${goal.title}: ${goal.progress}% of ${money(goal.targetAmount)}${goal.contributed > 0 ? `, +${money(goal.contributed)} this ${label}` : ''}`)]
+      : []),
+    ...(summary.achievements.length > 0
+      ? ['', 'Achievements earned:', ...summary.achievements.map(achievement => `- ${achievement.name} (${achievement.points} points)`)]
+      : []),
+    ...(summary.insights.length > 0
+      ? ['', 'Insights:', ...summary.insights.map(insight => `- ${insight.message}`)]
+      : []),
+    '',
+    `To stop these emails, open ${unsubscribeLink}`,
+    '',
+    'HealthyWallet'
+  ].join('\n');
+
+  const row = (name, value) => `<tr><td style="padding:4px 12px 4px 0">${escapeHtml(name)}</td><td style="padding:4px 0;text-align:right">${escapeHtml(value)}</td></tr>`;
+  const section = (heading, body) => `<h3 style="margin:24px 0 8px">${escapeHtml(heading)}</h3>${body}`;
+  const list = (items) => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+  const html = [
+    `<p>Hi ${escapeHtml(user.name)},</p>`,
+    `<p>Here is your ${label} in numbers (${escapeHtml(range)}).</p>`,
+    `<table>${row('Income', money(totals.income))}${row('Spending', money(totals.expenses))}${row('Net', money(totals.net))}</table>`,
+    section('Spending by category', summary.categories.length > 0
+      ? `<table>${summary.categories.map(category => row(category.name, `${money(category.amount)} (${category.share}%)`)).join('')}</table>`
+      : '<p>No spending recorded.</p>'),
+    summary.goals.length > 0
+      ? section('Goals', list(summary.goals.map(goal =>
+        `${goal.title}: ${goal.progress}% of ${money(goal.targetAmount)}${goal.contributed > 0 ? `, +${money(goal.contributed)} this ${label}` : ''}`)))
+      : '',
+    summary.achievements.length > 0
+      ? section('Achievements earned', list(summary.achievements.map(achievement => `${achievement.name} (${achievement.points} points)`)))
+      : '',
+    summary.insights.length > 0 ? section('Insights', list(summary.insights.map(insight => insight.message))) : '',
+    `<p style="margin-top:24px;font-size:12px;color:#666">You receive this email because weekly reports are on. <a href="${unsubscribeLink}">Unsubscribe</a></p>`
+  ].join('');
+
+  return { subject, text, html };
+};
+
+// Email a stored digest when the user still wants reports
+const sendDigest = async (digest, user) => {
+  if (user.settings?.notifications?.weeklyReports === false || !user.email) {
+    digest.email.status = 'skipped';
+    return await digest.save();
+  }
+
+  digest.email.attempts += 1;
+  try {
+    await sendMail({ to: user.email, subject: digest.subject, text: digest.text, html: digest.html });
+    digest.email.status = 'sent';
+    digest.email.sentAt = new Date();
+    digest.email.lastError = undefined;
+  } catch (error) {
+    digest.email.lastError = error.message;
+    // Left pending for the next run until the attempts are used up
+    if (digest.email.attempts >= MAX_EMAIL_ATTEMPTS) digest.email.status = 'failed';
+  }
+  return await digest.save();
+};
+
+/**
+ * Compose, store and email one user's digest for the last complete period.
+ * Each period is only generated once per user.
+ * @param {String} userId - User
+ * @param {String} period - weekly or monthly
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object|null} Digest, or null when it already existed
+ */
+const generateDigest = async (userId, period, { now = new Date() } = {}) => {
+  const user = await User.findById(userId).select('name email settings.notifications achievements');
+  if (!user) return null;
+
+  const range = getDigestPeriod(period, now);
+  const summary = await buildDigestSummary(user, period, range);
+
+  let digest;
+  try {
+    digest = await Digest.create({
+      user: user._id,
+      period,
+      periodKey: range.key,
+      periodStart: range.start,
+      periodEnd: range.end,
+      summary,
+      ...renderDigest(user, period, range, summary)
+    });
+  } catch (error) {
+    // Generated by an earlier or concurrent run
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return await sendDigest(digest, user);
+};
+
+/**
+ * Generate the weekly and monthly digests that are due for every user who
+ * existed during the period, and retry digest emails that failed to send.
+ * Safe to run repeatedly.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for this run
+ * @param {String} [options.userId] - Restrict the run to a single user
+ * @returns {Object} Summary of the run
+ */
+const processDigests = async ({ now = new Date(), userId } = {}) => {
+  const summary = { runAt: now, generated: 0, retried: 0, failed: 0 };
+
+  // Emails that failed on an earlier run
+  const retryQuery = { 'email.status': 'pending', 'email.attempts': { $gt: 0 } };
+  if (userId) retryQuery.user = userId;
+  for (const digest of await Digest.find(retryQuery)) {
+    const user = await User.findById(digest.user).select('name email settings.notifications');
+    if (!user) continue;
+    await sendDigest(digest, user);
+    summary.retried += 1;
+  }
+
+  for (const period of Object.keys(DIGEST_PERIODS)) {
+    const range = getDigestPeriod(period, now);
+    const done = new Set((await Digest.distinct('user', { period, periodKey: range.key })).map(id => id.toString()));
+    const userQuery = { createdAt: { $lte: range.end } };
+    if (userId) userQuery._id = userId;
+    const users = User.find(userQuery).select('_id').lean().cursor();
+
+    for await (const user of users) {
+      if (done.has(user._id.toString())) continue;
+
+      try {
+        if (await generateDigest(user._id.toString(), period, { now })) summary.generated += 1;
+      } catch (error) {
+        // Retried on the next run
+        summary.failed += 1;
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Run the digest job on an interval. Each run generates the digests of the
+ * last complete week and month that do not exist yet.
+ * @param {Object} options
+ * @param {Number} [options.intervalMs] - Time between runs (defaults to 1 hour)
+ * @param {Function} [options.clock] - Returns the reference time for each run
+ */
+const startDigestScheduler = ({
+  intervalMs = parseInt(process.env.DIGEST_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000,
+  clock
+} = {}) => scheduleJob(JOB_NAME, (now) => processDigests({ now }), { intervalMs, clock });
+
+const stopDigestScheduler = () => stopJob(JOB_NAME);
+
+module.exports = {
+  DIGEST_PERIODS: Object.keys(DIGEST_PERIODS),
+  getDigestPeriod,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  generateDigest,
+  processDigests,
+  startDigestScheduler,
+  stopDigestScheduler
+};
@@ -0,0 +1,299 @@
+const moment = require('moment');
+const ExchangeRate = require('../models/ExchangeRate');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const UserSettings = require('../models/UserSettings');
+const { splitCsv } = require('./importParsers');
+const { roundAmount } = require('./currencyAmounts');
+
+// Upper bound on rates accepted from a single file
+const MAX_RATE_ROWS = 20000;
+
+// Currency used to chain two rates when no direct pair exists
+const getPivotCurrency = () => process.env.EXCHANGE_RATE_PIVOT || 'USD';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const formatDay = (date) => moment.utc(date).format('YYYY-MM-DD');
+
+/**
+ * Get the user's base (reporting) currency.
+ * @param {String} userId - User
+ * @returns {String} Currency code, USD when no settings exist
+ */
+const getBaseCurrency = async (userId) => {
+  const settings = await UserSettings.findOne({ userId }).select('currency');
+  return settings?.currency || 'USD';
+};
+
+// Closest rate on or before the date, otherwise the earliest one after it
+const findPairRate = async (userId, base, quote, date) => {
+  const before = await ExchangeRate.findOne({ user: userId, base, quote, date: { $lte: date } })
+    .sort({ date: -1 });
+  if (before) return before.rate;
+
+  const after = await ExchangeRate.findOne({ user: userId, base, quote, date: { $gt: date } })
+    .sort({ date: 1 });
+  return after ? after.rate : null;
+};
+
+const findDirectRate = async (userId, from, to, date) => {
+  const rate = await findPairRate(userId, from, to, date);
+  if (rate) return rate;
+
+  const inverse = await findPairRate(userId, to, from, date);
+  return inverse ? 1 / inverse : null;
+};
+
+/**
+ * Rate that converts one unit of `from` into `to` on a date.
+ * Uses the stored pair in either direction, or chains two rates through the
+ * pivot currency (EXCHANGE_RATE_PIVOT).
+ * @param {String} userId - Owner of the rate table
+ * @param {String} from - Source currency
+ * @param {String} to - Target currency
+ * @param {Date} date - Transaction date
+ * @param {Map} [cache] - Lookup cache shared across calls
+ * @returns {Number|null} Rate, or null when no rate is available
+ */
+const getExchangeRate = async (userId, from, to, date, cache) => {
+  if (from === to) return 1;
+
+  const key = `${from}|${to}|${formatDay(date)}`;
+  if (cache && cache.has(key)) return cache.get(key);
+
+  let rate = await findDirectRate(userId, from, to, date);
+  const pivot = getPivotCurrency();
+  if (!rate && from !== pivot && to !== pivot) {
+    const [toPivot, fromPivot] = await Promise.all([
+      findDirectRate(userId, from, pivot, date),
+      findDirectRate(userId, pivot, to, date)
+    ]);
+    if (toPivot && fromPivot) rate = toPivot * fromPivot;
+  }
+
+  if (cache) cache.set(key, rate);
+  return rate;
+};
+
+/**
+ * Compute the base-currency fields for a transaction in a given currency.
+ * @param {String} userId - Transaction owner
+ * @param {Object} transaction - amount, currency and date
+ * @param {String} [baseCurrency] - Base currency, looked up when omitted
+ * @param {Map} [cache] - Rate lookup cache shared across calls
+ * @returns {Object} currency, baseCurrency, exchangeRate and baseAmount
+ */
+const convertTransaction = async (userId, { amount, currency, date }, baseCurrency, cache) => {
+  const base = baseCurrency || await getBaseCurrency(userId);
+  const transactionDate = date ? new Date(date) : new Date();
+  const rate = await getExchangeRate(userId, currency, base, transactionDate, cache);
+
+  if (!rate) {
+    throw badRequest(`No exchange rate from ${currency} to ${base} is available, import rates first`);
+  }
+
+  return {
+    currency,
+    baseCurrency: base,
+    exchangeRate: rate,
+    baseAmount: roundAmount(amount * rate)
+  };
+};
+
+/**
+ * Conversion fields to store with a created or updated transaction.
+ * @param {String} userId - Transaction owner
+ * @param {Object} changes - Submitted fields
+ * @param {Object} [existing] - Stored transaction when updating
+ * @returns {Object} Fields to merge into the write (empty when no currency is involved)
+ */
+const resolveConversion = async (userId, changes, existing) => {
+  const currency = changes.currency || existing?.currency;
+  if (!currency) return {};
+
+  const affectsConversion = ['currency', 'amount', 'date'].some(field => changes[field] !== undefined);
+  if (existing && !affectsConversion) return {};
+
+  return await convertTransaction(userId, {
+    amount: changes.amount ?? existing?.amount,
+    currency,
+    date: changes.date ?? existing?.date
+  });
+};
+
+/**
+ * Re-convert every foreign-currency transaction of a user into a base currency.
+ * @param {String} userId - Transaction owner
+ * @param {String} baseCurrency - Target base currency
+ * @param {Object} [options]
+ * @param {Boolean} [options.requireAll] - Fail without writing when any rate is missing
+ * @param {String} [options.untaggedCurrency] - Currency of transactions stored without one
+ *   (the outgoing base currency); they are converted too and tagged with it
+ * @returns {Object} Number of updated transactions and missing currency pairs
+ */
+const recalculateBaseAmounts = async (userId, baseCurrency, { requireAll = false, untaggedCurrency } = {}) => {
+  const cache = new Map();
+  const missing = new Set();
+  const writes = [];
+
+  for (const Model of [Expense, Income]) {
+    const operations = [];
+    const query = { user: userId };
+    if (!untaggedCurrency) query.currency = { $exists: true, $ne: null };
+    const transactions = Model.find(query)
+      .select('amount currency date')
+      .lean()
+      .cursor();
+
+    for await (const transaction of transactions) {
+      const currency = transaction.currency || untaggedCurrency;
+      const rate = await getExchangeRate(userId, currency, baseCurrency, transaction.date, cache);
+      if (!rate) {
+        missing.add(`${currency}/${baseCurrency}`);
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: transaction._id },
+          update: {
+            $set: {
+              currency,
+              baseCurrency,
+              exchangeRate: rate,
+              baseAmount: roundAmount(transaction.amount * rate)
+            }
+          }
+        }
+      });
+    }
+
+    writes.push([Model, operations]);
+  }
+
+  if (requireAll && missing.size > 0) {
+    throw badRequest(`Missing exchange rates for ${[...missing].join(', ')}, import rates first`);
+  }
+
+  let updated = 0;
+  for (const [Model, operations] of writes) {
+    if (operations.length === 0) continue;
+    await Model.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+  }
+
+  return { updated, missing: [...missing] };
+};
+
+const parseRateDate = (value) => {
+  const parsed = moment.utc(String(value || '').trim(), [moment.ISO_8601, 'YYYY-MM-DD'], true);
+  return parsed.isValid() ? parsed.startOf('day').toDate() : null;
+};
+
+// CSV columns: date, base, quote, rate (from/to and currency are accepted aliases)
+const parseRatesCsv = (content) => {
+  const [header = [], ...records] = splitCsv(content);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const column = (...names) => columns.findIndex(name => names.includes(name));
+
+  const indexes = {
+    date: column('date'),
+    base: column('base', 'from'),
+    quote: column('quote', 'to', 'currency'),
+    rate: column('rate')
+  };
+  if (Object.values(indexes).some(index => index < 0)) {
+    throw badRequest('Rate CSV needs date, base, quote and rate columns');
+  }
+
+  return records.map(cells => ({
+    date: cells[indexes.date],
+    base: cells[indexes.base],
+    quote: cells[indexes.quote],
+    rate: cells[indexes.rate]
+  }));
+};
+
+// JSON: an array of { date, base, quote, rate } rows, or { date, base, rates: { EUR: 0.9 } } snapshots
+const parseRatesJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw badRequest('Rate file is not valid JSON');
+  }
+
+  const entries = Array.isArray(data) ? data : [data];
+  return entries.flatMap(entry => {
+    if (entry && entry.rates && typeof entry.rates === 'object') {
+      return Object.entries(entry.rates).map(([quote, rate]) => ({
+        date: entry.date,
+        base: entry.base,
+        quote,
+        rate
+      }));
+    }
+    return [entry || {}];
+  });
+};
+
+/**
+ * Import historical exchange rates into the user's rate table.
+ * Rows for an existing base/quote/date are replaced.
+ * @param {String} userId - Owner of the rate table
+ * @param {String} format - csv or json
+ * @param {String} content - File content
+ * @returns {Object} Imported count and per-row errors
+ */
+const importExchangeRates = async (userId, format, content) => {
+  const rows = format === 'json' ? parseRatesJson(content) : parseRatesCsv(content);
+  if (rows.length > MAX_RATE_ROWS) {
+    throw badRequest(`Rate files are limited to ${MAX_RATE_ROWS} rows`);
+  }
+
+  const errors = [];
+  const operations = [];
+
+  rows.forEach((row, index) => {
+    const base = String(row.base || '').trim().toUpperCase();
+    const quote = String(row.quote || '').trim().toUpperCase();
+    const rate = parseFloat(row.rate);
+    const date = parseRateDate(row.date);
+
+    if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote) || base === quote || !(rate > 0) || !date) {
+      errors.push({ row: index + 1, message: 'Each rate needs a date, two different 3-letter currencies and a positive rate' });
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { user: userId, base, quote, date },
+        update: { $set: { rate, source: 'import' } },
+        upsert: true
+      }
+    });
+  });
+
+  if (operations.length > 0) {
+    await ExchangeRate.bulkWrite(operations, { ordered: false });
+  }
+
+  return {
+    imported: operations.length,
+    errors
+  };
+};
+
+module.exports = {
+  getBaseCurrency,
+  getExchangeRate,
+  convertTransaction,
+  resolveConversion,
+  recalculateBaseAmounts,
+  importExchangeRates
+};
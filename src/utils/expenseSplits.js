@@ -0,0 +1,105 @@
+const { BASE_AMOUNT, roundAmount } = require('./currencyAmounts');
+const { assertCategory } = require('./categories');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Aggregation stages that turn each expense into one document per category
+// line: its split lines when it has any, otherwise the expense itself. Each
+// line replaces category, amount and baseAmount, so later stages can keep
+// grouping by '$category' and summing '$amount' or BASE_AMOUNT.
+const SPLIT_LINE_STAGES = [
+  {
+    $addFields: {
+      categoryLines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          {
+            $map: {
+              input: '$splits',
+              as: 'split',
+              in: {
+                category: '$$split.category',
+                amount: '$$split.amount',
+                // Same conversion rate as the parent expense
+                baseAmount: { $multiply: ['$$split.amount', { $divide: [BASE_AMOUNT, '$amount'] }] }
+              }
+            }
+          },
+          [{ category: '$category', amount: '$amount', baseAmount: BASE_AMOUNT }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$categoryLines' },
+  {
+    $addFields: {
+      category: '$categoryLines.category',
+      amount: '$categoryLines.amount',
+      baseAmount: '$categoryLines.baseAmount'
+    }
+  },
+  { $project: { categoryLines: 0 } }
+];
+
+/**
+ * Query matching expenses with a category as their own or in a split line.
+ * @param {String|Object} category - Category key or query condition (e.g. { $in: [...] })
+ * @returns {Object} Mongo query fragment
+ */
+const categoryCondition = (category) => ({
+  $or: [{ category }, { 'splits.category': category }]
+});
+
+/**
+ * Validate split lines for a created or updated expense. Lines must use the
+ * user's expense categories and add up to the expense amount.
+ * @param {String} userId - Expense owner
+ * @param {Object} changes - Submitted fields
+ * @param {Object} [existing] - Stored expense when updating
+ * @returns {Object} Fields to merge into the write: the largest line's category when none was sent
+ */
+const resolveSplits = async (userId, changes, existing) => {
+  if (changes.splits === undefined && changes.amount === undefined) return {};
+
+  const splits = changes.splits ?? existing?.splits ?? [];
+  if (splits.length === 0) return {};
+
+  const amount = changes.amount ?? existing.amount;
+  const total = roundAmount(splits.reduce((sum, split) => sum + split.amount, 0));
+  if (Math.abs(total - amount) >= 0.005) {
+    throw badRequest(`Split amounts add up to ${total} but the expense amount is ${amount}`);
+  }
+
+  for (const category of new Set(splits.map(split => split.category))) {
+    await assertCategory(userId, 'expense', category);
+  }
+
+  if (changes.splits && !changes.category) {
+    const largest = splits.reduce((top, split) => (split.amount > top.amount ? split : top));
+    return { category: largest.category };
+  }
+  return {};
+};
+
+/**
+ * Categories an expense is attributed to.
+ * @param {Object} expense - Expense with category and splits
+ * @returns {Array<String>} Split categories, or the expense category
+ */
+const getExpenseCategories = (expense) => {
+  if (expense.splits && expense.splits.length > 0) {
+    return [...new Set(expense.splits.map(split => split.category))];
+  }
+  return [expense.category];
+};
+
+module.exports = {
+  SPLIT_LINE_STAGES,
+  categoryCondition,
+  resolveSplits,
+  getExpenseCategories
+};
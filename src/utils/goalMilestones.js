@@ -0,0 +1,51 @@
+const { roundAmount } = require('./currencyAmounts');
+const { notify } = require('./notifications');
+
+// Upper bound on milestones per goal, generated or added by hand
+const MAX_MILESTONES = 20;
+
+/**
+ * Build evenly spaced milestones for a target, e.g. 4 steps gives 25/50/75%.
+ * The target itself is left out since reaching it completes the goal.
+ * @param {Number} targetAmount - Goal target
+ * @param {Number} steps - Number of equal steps to split the target into
+ * @returns {Array} Milestones ({ amount, description }) in ascending order
+ */
+const generateMilestones = (targetAmount, steps) => {
+  const milestones = [];
+  for (let step = 1; step < steps; step++) {
+    const amount = roundAmount((targetAmount * step) / steps);
+    // Tiny targets can round two steps onto the same amount
+    if (amount > 0 && amount < targetAmount && !milestones.some(milestone => milestone.amount === amount)) {
+      milestones.push({
+        amount,
+        description: `${Math.round((step / steps) * 100)}% of goal`
+      });
+    }
+  }
+  return milestones;
+};
+
+/**
+ * Milestone-reached event: notify the owner.
+ * Called after the goal is saved; never throws.
+ * @param {Object} goal - Saved goal
+ * @param {Array} milestones - Milestones reached by that save
+ */
+const handleMilestonesReached = async (goal, milestones) => {
+  for (const milestone of milestones) {
+    await notify(goal.user, {
+      type: 'goal_milestone',
+      title: `Milestone reached: ${goal.title}`,
+      message: `Your goal "${goal.title}" reached ${milestone.amount}${milestone.description ? ` (${milestone.description})` : ''}.`,
+      data: { goal: goal._id, milestone: milestone._id, amount: milestone.amount },
+      dedupeKey: `goal_milestone:${goal._id}:${milestone._id}`
+    });
+  }
+};
+
+module.exports = {
+  MAX_MILESTONES,
+  generateMilestones,
+  handleMilestonesReached
+};
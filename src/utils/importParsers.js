@@ -0,0 +1,272 @@
+const moment = require('moment');
+
+// Date formats tried, in order, when a statement does not name one
+const DEFAULT_DATE_FORMATS = [
+  moment.ISO_8601,
+  'YYYY-MM-DD',
+  'MM/DD/YYYY',
+  'M/D/YYYY',
+  'DD.MM.YYYY',
+  'YYYYMMDD',
+  "M/D'YY",
+  "M/D'YYYY",
+  'M/D/YY'
+];
+
+const parseDate = (value, dateFormat) => {
+  if (!value) return null;
+  const formats = dateFormat ? [dateFormat] : DEFAULT_DATE_FORMATS;
+  const parsed = moment.utc(String(value).trim(), formats, true);
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+
+// Accepts "1,234.56", "1.234,56", "(12.00)", "-12", "$ 12.50"
+const parseAmount = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  let text = String(value).trim();
+  const isNegative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  text = text.replace(/[^0-9.,]/g, '');
+
+  // Decimal comma: "12,50" or "1.234,56"
+  if (/,\d{1,2}$/.test(text) && text.lastIndexOf(',') > text.lastIndexOf('.')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+  text = text.replace(/,/g, '');
+  if (!text) return null;
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+  return isNegative ? -amount : amount;
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting).
+ * @param {String} text - Raw CSV content
+ * @param {String} [delimiter] - Cell delimiter (defaults to comma)
+ * @returns {Array<Array<String>>} Rows
+ */
+const splitCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse a CSV bank statement.
+ * The mapping names the column (header text or zero-based index) holding each field:
+ * date, amount, description, payee, category, type, debit, credit.
+ * A separate debit/credit pair may be mapped instead of a signed amount.
+ * @param {String} text - Raw CSV content
+ * @param {Object} options
+ * @param {Object} [options.mapping] - Field to column mapping
+ * @param {String} [options.dateFormat] - moment format of the date column
+ * @param {String} [options.delimiter] - Cell delimiter
+ * @returns {Array<Object>} Normalized statement rows
+ */
+const parseCsv = (text, { mapping = {}, dateFormat, delimiter } = {}) => {
+  const [header = [], ...records] = splitCsv(text, delimiter);
+  const headerIndex = {};
+  header.forEach((name, index) => {
+    headerIndex[name.trim().toLowerCase()] = index;
+  });
+
+  const fieldMapping = {
+    date: 'date',
+    amount: 'amount',
+    description: 'description',
+    ...mapping
+  };
+
+  const columnIndex = (field) => {
+    const column = fieldMapping[field];
+    if (column === undefined || column === null) return -1;
+    if (typeof column === 'number') return column;
+    if (/^\d+$/.test(String(column))) return parseInt(column);
+    const index = headerIndex[String(column).trim().toLowerCase()];
+    return index === undefined ? -1 : index;
+  };
+
+  const read = (cells, field) => {
+    const index = columnIndex(field);
+    return index >= 0 && index < cells.length ? cells[index].trim() : undefined;
+  };
+
+  return records.map(cells => {
+    let amount = parseAmount(read(cells, 'amount'));
+    const debit = parseAmount(read(cells, 'debit'));
+    const credit = parseAmount(read(cells, 'credit'));
+    if (amount === null && (debit || credit)) {
+      amount = (credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0);
+    }
+
+    return {
+      date: parseDate(read(cells, 'date'), dateFormat),
+      rawDate: read(cells, 'date'),
+      amount,
+      description: read(cells, 'description') || read(cells, 'payee'),
+      payee: read(cells, 'payee'),
+      category: read(cells, 'category'),
+      type: read(cells, 'type')
+    };
+  });
+};
+
+// Read an OFX tag value; OFX 1.x (SGML) leaves leaf tags unclosed
+const readOfxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+};
+
+/**
+ * Parse an OFX/QFX statement (SGML or XML flavour).
+ * @param {String} text - Raw OFX content
+ * @returns {Array<Object>} Normalized statement rows
+ */
+const parseOfx = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map(block => {
+    const postedAt = readOfxTag(block, 'DTPOSTED');
+    const name = readOfxTag(block, 'NAME');
+    const memo = readOfxTag(block, 'MEMO');
+
+    return {
+      date: postedAt ? parseDate(postedAt.slice(0, 8), 'YYYYMMDD') : null,
+      rawDate: postedAt,
+      amount: parseAmount(readOfxTag(block, 'TRNAMT')),
+      description: name || memo,
+      payee: name,
+      memo,
+      externalId: readOfxTag(block, 'FITID'),
+      type: readOfxTag(block, 'TRNTYPE')
+    };
+  });
+};
+
+/**
+ * Parse a QIF statement.
+ * @param {String} text - Raw QIF content
+ * @param {Object} options
+ * @param {String} [options.dateFormat] - moment format of the D lines
+ * @returns {Array<Object>} Normalized statement rows
+ */
+const parseQif = (text, { dateFormat } = {}) => {
+  const rows = [];
+  let current = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    const code = line.charAt(0);
+    const value = line.slice(1).trim();
+
+    switch (code) {
+      case '!':
+        break;
+      case 'D':
+        current.rawDate = value;
+        current.date = parseDate(value.replace(/\s/g, ''), dateFormat);
+        break;
+      case 'T':
+      case 'U':
+        current.amount = parseAmount(value);
+        break;
+      case 'P':
+        current.payee = value;
+        break;
+      case 'M':
+        current.memo = value;
+        break;
+      case 'L':
+        current.category = value;
+        break;
+      case 'N':
+        current.externalId = value;
+        break;
+      case '^':
+        rows.push({
+          ...current,
+          description: current.payee || current.memo
+        });
+        current = {};
+        break;
+      default:
+        break;
+    }
+  });
+
+  return rows;
+};
+
+const STATEMENT_PARSERS = {
+  csv: parseCsv,
+  ofx: parseOfx,
+  qfx: parseOfx,
+  qif: parseQif
+};
+
+/**
+ * Parse a bank statement into normalized rows.
+ * @param {String} format - One of csv, ofx, qfx, qif
+ * @param {String} text - Raw statement content
+ * @param {Object} [options] - Parser options (mapping, dateFormat, delimiter)
+ * @returns {Array<Object>} Rows with date, amount (signed), description, payee, category
+ */
+const parseStatement = (format, text, options = {}) => {
+  const parser = STATEMENT_PARSERS[format];
+  if (!parser) {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+  return parser(text, options);
+};
+
+/**
+ * Guess the statement format from a file name.
+ * @param {String} filename - Uploaded file name
+ * @returns {String|undefined} Format key
+ */
+const detectFormat = (filename = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  return STATEMENT_PARSERS[extension] ? extension : undefined;
+};
+
+module.exports = {
+  IMPORT_FORMATS: Object.keys(STATEMENT_PARSERS),
+  splitCsv,
+  parseStatement,
+  detectFormat
+};
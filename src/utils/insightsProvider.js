@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const InsightCache = require('../models/InsightCache');
+const User = require('../models/User');
+
+/**
+ * Insight providers. A provider with complete(messages) returns the text of a
+ * chat completion for a list of { role, content } messages; the rules
+ * provider has none and keeps the built-in rule engine.
+ */
+const PROVIDERS = {
+  // Built-in rules only
+  rules: () => ({ name: 'rules' }),
+
+  // Any OpenAI-compatible chat completions endpoint (OpenAI, a local server, ...)
+  openai: () => {
+    const baseUrl = (process.env.INSIGHTS_API_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const model = process.env.INSIGHTS_MODEL || 'gpt-4o-mini';
+    const timeoutMs = parseInt(process.env.INSIGHTS_TIMEOUT_MS || '15000');
+
+    return {
+      name: 'openai',
+      model,
+      complete: async (messages) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.INSIGHTS_API_KEY) headers.Authorization = `Bearer ${process.env.INSIGHTS_API_KEY}`;
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            model,
+            messages,
+            temperature: 0.2,
+            response_format: { type: 'json_object' }
+          }),
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        if (!response.ok) {
+          throw new Error(`Insights provider responded with ${response.status}`);
+        }
+
+        const body = await response.json();
+        return body.choices?.[0]?.message?.content;
+      }
+    };
+  }
+};
+
+const message = Joi.string().trim().min(1).max(500);
+const insightCategory = Joi.string().max(50);
+
+// Output expected for each kind of insight: the JSON shape described to the
+// model and the schema its reply must pass
+const INSIGHT_KINDS = {
+  spending: {
+    shape: '{"insights": [{"type": string, "category"?: string, "message": string, "severity": "info" | "warning" | "success"}]}',
+    schema: Joi.object({
+      insights: Joi.array().max(10).items(Joi.object({
+        type: Joi.string().max(50).required(),
+        category: insightCategory,
+        message: message.required(),
+        severity: Joi.string().valid('info', 'warning', 'success').required()
+      })).required()
+    })
+  },
+  savings: {
+    shape: '{"recommendations": [{"type": string, "category"?: string, "message": string, "priority": "low" | "medium" | "high", "potentialSavings"?: number (per month)}]}',
+    schema: Joi.object({
+      recommendations: Joi.array().max(10).items(Joi.object({
+        type: Joi.string().max(50).required(),
+        category: insightCategory,
+        message: message.required(),
+        priority: Joi.string().valid('low', 'medium', 'high').required(),
+        potentialSavings: Joi.number().min(0)
+      })).required()
+    })
+  },
+  health: {
+    shape: '{"strengths": [string], "concerns": [string], "actionItems": [string]}',
+    schema: Joi.object({
+      strengths: Joi.array().max(10).items(message).required(),
+      concerns: Joi.array().max(10).items(message).required(),
+      actionItems: Joi.array().max(10).items(message).required()
+    })
+  },
+  budget: {
+    shape: '{"suggestions": [{"category": string (one of the summary categories), "suggested": number (monthly budget), "reason": string}]}',
+    schema: Joi.object({
+      suggestions: Joi.array().max(50).items(Joi.object({
+        category: insightCategory.required(),
+        suggested: Joi.number().min(0).required(),
+        reason: message.required()
+      })).required()
+    })
+  }
+};
+
+let activeProvider = null;
+
+const getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.INSIGHTS_PROVIDER || 'rules';
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown insights provider: ${name}`);
+    }
+    activeProvider = PROVIDERS[name]();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active provider, e.g. with a stub in tests.
+ * @param {String|Object|null} provider - Provider name, object with name and complete(messages), or null to reset
+ */
+const setInsightsProvider = (provider) => {
+  activeProvider = typeof provider === 'string' ? PROVIDERS[provider]() : provider;
+};
+
+const getCacheTtlMs = () => parseInt(process.env.INSIGHTS_CACHE_TTL_MS || String(24 * 60 * 60 * 1000));
+
+const buildMessages = (kind, summary, rules) => [
+  {
+    role: 'system',
+    content: 'You are the financial insights assistant of a personal finance app. ' +
+      'You receive an anonymized summary of one user\'s finances and the insights the app\'s rules produced. ' +
+      'Write short, specific advice based only on the numbers given; do not invent figures. ' +
+      `Reply with one JSON object and nothing else, shaped like ${INSIGHT_KINDS[kind].shape}.`
+  },
+  {
+    role: 'user',
+    content: JSON.stringify({ kind, summary, ruleBasedInsights: rules })
+  }
+];
+
+// Parse a completion, tolerating a fenced ```json block
+const parseCompletion = (kind, content) => {
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const { error, value } = INSIGHT_KINDS[kind].schema.validate(JSON.parse(text), { stripUnknown: true });
+  if (error) throw error;
+  return value;
+};
+
+/**
+ * Insights from the configured provider (INSIGHTS_PROVIDER), falling back to
+ * the rule engine's result when the provider is rules, the user has not
+ * enabled privacy.dataSharing, or the provider fails or returns JSON that
+ * does not match the kind's schema. An unknown INSIGHTS_PROVIDER also falls
+ * back. Provider results are cached per user, kind and period until the
+ * summary, provider or model changes or INSIGHTS_CACHE_TTL_MS passes.
+ * @param {String} userId - User the insights are for
+ * @param {String} kind - spending, savings, health or budget
+ * @param {Object} options
+ * @param {String} options.period - Period key the insights cover
+ * @param {Object} options.summary - Anonymized aggregates sent to the provider
+ * @param {Object} options.rules - Rule engine result, in the kind's shape
+ * @param {Object} [options.sharedRules] - Rule result as sent to the provider, when rules holds details that must not be shared
+ * @returns {Object} result (in the kind's shape) and source (provider, model, cached, fallbackReason)
+ */
+const resolveInsights = async (userId, kind, { period, summary, rules, sharedRules = rules }) => {
+  const fallback = (fallbackReason) => ({ result: rules, source: { provider: 'rules', fallbackReason } });
+
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    // Misconfigured INSIGHTS_PROVIDER
+    return fallback('provider_error');
+  }
+  if (!provider.complete) {
+    return { result: rules, source: { provider: 'rules' } };
+  }
+
+  const user = await User.findById(userId).select('settings.privacy');
+  if (!user?.settings?.privacy?.dataSharing) return fallback('data_sharing_disabled');
+
+  const summaryHash = crypto.createHash('sha256').update(JSON.stringify(summary)).digest('hex');
+  const cached = await InsightCache.findOne({
+    user: userId,
+    kind,
+    period,
+    summaryHash,
+    provider: provider.name,
+    model: provider.model,
+    expiresAt: { $gt: new Date() }
+  });
+  if (cached) {
+    return { result: cached.result, source: { provider: cached.provider, model: cached.model, cached: true } };
+  }
+
+  let result;
+  try {
+    result = parseCompletion(kind, await provider.complete(buildMessages(kind, summary, sharedRules)));
+  } catch (error) {
+    return fallback(error.isJoi || error instanceof SyntaxError ? 'invalid_response' : 'provider_error');
+  }
+
+  try {
+    await InsightCache.findOneAndUpdate(
+      { user: userId, kind, period },
+      {
+        summaryHash,
+        provider: provider.name,
+        model: provider.model,
+        result,
+        expiresAt: new Date(Date.now() + getCacheTtlMs())
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent request cached the same user, kind and period first
+    if (error.code !== 11000) throw error;
+  }
+
+  return { result, source: { provider: provider.name, model: provider.model, cached: false } };
+};
+
+module.exports = {
+  resolveInsights,
+  setInsightsProvider
+};
@@ -0,0 +1,372 @@
+const moment = require('moment');
+const Holding = require('../models/Holding');
+const InvestmentTransaction = require('../models/InvestmentTransaction');
+const SecurityPrice = require('../models/SecurityPrice');
+const UserSettings = require('../models/UserSettings');
+const { splitCsv } = require('./importParsers');
+const { roundAmount } = require('./currencyAmounts');
+const { getBaseCurrency, getExchangeRate } = require('./exchangeRates');
+
+// Upper bound on prices accepted from a single file
+const MAX_PRICE_ROWS = 20000;
+
+// Asset classes grouped the way target allocations are expressed
+const ALLOCATION_GROUPS = {
+  stock: 'equities',
+  etf: 'equities',
+  fund: 'equities',
+  bond: 'bonds',
+  cash: 'cash',
+  crypto: 'alternatives',
+  real_estate: 'alternatives',
+  other: 'alternatives'
+};
+
+// Target allocation (percent per group) for each UserSettings.riskTolerance
+const TARGET_ALLOCATIONS = {
+  conservative: { equities: 30, bonds: 55, cash: 10, alternatives: 5 },
+  moderate: { equities: 55, bonds: 35, cash: 5, alternatives: 5 },
+  aggressive: { equities: 75, bonds: 15, cash: 5, alternatives: 5 },
+  'very-aggressive': { equities: 85, bonds: 5, cash: 0, alternatives: 10 }
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Fractional units (funds, crypto) are kept to 8 decimals
+const roundQuantity = (quantity) => Math.round(quantity * 1e8) / 1e8;
+
+/**
+ * Replay a holding's transactions in date order. Buys open lots, sells close
+ * them first in, first out, and dividends add up.
+ * @param {Array<Object>} transactions - Buy, sell and dividend transactions
+ * @returns {Object} quantity, costBasis, realizedGain, dividends, open lots and the realized gain of each sell (by transaction id)
+ */
+const replayTransactions = (transactions) => {
+  const ordered = [...transactions].sort((a, b) =>
+    new Date(a.date) - new Date(b.date) || (a.type === 'sell') - (b.type === 'sell'));
+  const lots = [];
+  const sellGains = new Map();
+  let realizedGain = 0;
+  let dividends = 0;
+
+  ordered.forEach(transaction => {
+    const fees = transaction.fees || 0;
+
+    if (transaction.type === 'buy') {
+      lots.push({
+        transaction: transaction._id,
+        date: transaction.date,
+        quantity: transaction.quantity,
+        price: transaction.price,
+        cost: transaction.quantity * transaction.price + fees
+      });
+    } else if (transaction.type === 'sell') {
+      const open = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      if (roundQuantity(transaction.quantity - open) > 0) {
+        throw badRequest(`Cannot sell ${transaction.quantity} units on ${moment(transaction.date).format('YYYY-MM-DD')}, only ${roundQuantity(open)} are held`);
+      }
+
+      let remaining = transaction.quantity;
+      let cost = 0;
+      while (roundQuantity(remaining) > 0) {
+        const lot = lots[0];
+        const used = Math.min(lot.quantity, remaining);
+        const usedCost = lot.cost * (used / lot.quantity);
+        cost += usedCost;
+        lot.cost -= usedCost;
+        lot.quantity = roundQuantity(lot.quantity - used);
+        remaining -= used;
+        if (lot.quantity <= 0) lots.shift();
+      }
+
+      const gain = transaction.quantity * transaction.price - fees - cost;
+      sellGains.set(String(transaction._id), roundAmount(gain));
+      realizedGain += gain;
+    } else {
+      dividends += transaction.amount || 0;
+    }
+  });
+
+  return {
+    quantity: roundQuantity(lots.reduce((sum, lot) => sum + lot.quantity, 0)),
+    costBasis: roundAmount(lots.reduce((sum, lot) => sum + lot.cost, 0)),
+    realizedGain: roundAmount(realizedGain),
+    dividends: roundAmount(dividends),
+    lots: lots.map(lot => ({ ...lot, cost: roundAmount(lot.cost) })),
+    sellGains
+  };
+};
+
+/**
+ * Store a replayed state on the holding and on its sell transactions.
+ * @param {Object} holding - Holding document
+ * @param {Object} state - Result of replayTransactions
+ * @returns {Object} Saved holding
+ */
+const saveHoldingState = async (holding, { sellGains, ...state }) => {
+  const operations = [...sellGains].map(([id, realizedGain]) => ({
+    updateOne: { filter: { _id: id }, update: { $set: { realizedGain } } }
+  }));
+  if (operations.length > 0) {
+    await InvestmentTransaction.bulkWrite(operations, { ordered: false });
+  }
+
+  holding.set(state);
+  return await holding.save();
+};
+
+/**
+ * Latest price of each symbol on or before a date. Symbols without a stored
+ * price fall back to the price of their most recent buy or sell.
+ * @param {String} userId - Owner of the price history
+ * @param {Array<Object>} holdings - Holding documents
+ * @param {Date} [asOf] - Price date, defaults to now
+ * @returns {Map} holding id → { price, date, source }
+ */
+const getLatestPrices = async (userId, holdings, asOf = new Date()) => {
+  const prices = new Map();
+
+  for (const holding of holdings) {
+    const stored = await SecurityPrice.findOne({ user: userId, symbol: holding.symbol, date: { $lte: asOf } })
+      .sort({ date: -1 });
+    if (stored) {
+      prices.set(holding._id.toString(), { price: stored.price, date: stored.date, source: stored.source });
+      continue;
+    }
+
+    const trade = await InvestmentTransaction.findOne({
+      holding: holding._id,
+      type: { $in: ['buy', 'sell'] },
+      date: { $lte: asOf }
+    }).sort({ date: -1 });
+    if (trade) {
+      prices.set(holding._id.toString(), { price: trade.price, date: trade.date, source: 'transaction' });
+    }
+  }
+
+  return prices;
+};
+
+/**
+ * Market value and unrealized gain of holdings, in their own and the base currency.
+ * @param {String} userId - Holdings owner
+ * @param {Array<Object>} holdings - Holding documents
+ * @param {Date} [asOf] - Valuation date, defaults to now
+ * @returns {Object} valued holdings, baseCurrency and unconvertedCurrencies
+ */
+const valueHoldings = async (userId, holdings, asOf = new Date()) => {
+  const baseCurrency = await getBaseCurrency(userId);
+  const prices = await getLatestPrices(userId, holdings, asOf);
+  const cache = new Map();
+  const unconverted = new Set();
+  const valued = [];
+
+  for (const holding of holdings) {
+    const quote = prices.get(holding._id.toString());
+    const marketValue = quote ? roundAmount(holding.quantity * quote.price) : null;
+    const rate = await getExchangeRate(userId, holding.currency, baseCurrency, asOf, cache);
+    if (!rate) unconverted.add(holding.currency);
+
+    valued.push({
+      ...holding.toObject(),
+      price: quote?.price ?? null,
+      priceDate: quote?.date ?? null,
+      priceSource: quote?.source ?? null,
+      marketValue,
+      unrealizedGain: marketValue !== null ? roundAmount(marketValue - holding.costBasis) : null,
+      unrealizedGainPercent: marketValue !== null && holding.costBasis > 0
+        ? roundAmount(((marketValue - holding.costBasis) / holding.costBasis) * 100)
+        : null,
+      // Base-currency figures used for totals and allocation
+      base: rate
+        ? {
+          marketValue: marketValue !== null ? roundAmount(marketValue * rate) : null,
+          costBasis: roundAmount(holding.costBasis * rate),
+          realizedGain: roundAmount(holding.realizedGain * rate),
+          dividends: roundAmount(holding.dividends * rate)
+        }
+        : null
+    });
+  }
+
+  return { holdings: valued, baseCurrency, unconvertedCurrencies: [...unconverted] };
+};
+
+/**
+ * Portfolio totals, allocation by asset class and drift from the target
+ * allocation for the user's risk tolerance.
+ * @param {String} userId - Holdings owner
+ * @returns {Object} baseCurrency, totals, allocation, target (riskTolerance, groups with drift) and unconvertedCurrencies
+ */
+const getPortfolio = async (userId) => {
+  const [holdings, settings] = await Promise.all([
+    Holding.find({ user: userId }),
+    UserSettings.findOne({ userId }).select('riskTolerance')
+  ]);
+  const { holdings: valued, baseCurrency, unconvertedCurrencies } = await valueHoldings(userId, holdings);
+
+  const totals = { marketValue: 0, costBasis: 0, realizedGain: 0, dividends: 0 };
+  const byClass = {};
+  valued.forEach(holding => {
+    if (!holding.base) return;
+    totals.costBasis += holding.base.costBasis;
+    totals.realizedGain += holding.base.realizedGain;
+    totals.dividends += holding.base.dividends;
+    if (holding.base.marketValue !== null) {
+      totals.marketValue += holding.base.marketValue;
+      byClass[holding.assetClass] = (byClass[holding.assetClass] || 0) + holding.base.marketValue;
+    }
+  });
+
+  const percentOf = (value) => totals.marketValue > 0 ? roundAmount((value / totals.marketValue) * 100) : 0;
+
+  const allocation = Object.entries(byClass)
+    .map(([assetClass, value]) => ({ assetClass, value: roundAmount(value), percent: percentOf(value) }))
+    .sort((a, b) => b.value - a.value);
+
+  const riskTolerance = settings?.riskTolerance || 'moderate';
+  const groupValues = {};
+  Object.entries(byClass).forEach(([assetClass, value]) => {
+    const group = ALLOCATION_GROUPS[assetClass];
+    groupValues[group] = (groupValues[group] || 0) + value;
+  });
+  const groups = Object.entries(TARGET_ALLOCATIONS[riskTolerance]).map(([group, target]) => {
+    const actual = percentOf(groupValues[group] || 0);
+    return {
+      group,
+      target,
+      actual,
+      drift: roundAmount(actual - target),
+      // Positive: buy this much to reach the target; negative: sell
+      rebalanceAmount: roundAmount((target / 100) * totals.marketValue - (groupValues[group] || 0))
+    };
+  });
+
+  return {
+    baseCurrency,
+    totals: {
+      marketValue: roundAmount(totals.marketValue),
+      costBasis: roundAmount(totals.costBasis),
+      unrealizedGain: roundAmount(totals.marketValue - totals.costBasis),
+      realizedGain: roundAmount(totals.realizedGain),
+      dividends: roundAmount(totals.dividends)
+    },
+    allocation,
+    target: { riskTolerance, groups },
+    unconvertedCurrencies
+  };
+};
+
+/**
+ * Market value of all holdings in the base currency, for net worth.
+ * @param {String} userId - Holdings owner
+ * @param {Date} [asOf] - Valuation date
+ * @returns {Object} value and unconvertedCurrencies
+ */
+const getInvestmentsValue = async (userId, asOf) => {
+  const holdings = await Holding.find({ user: userId, quantity: { $gt: 0 } });
+  const { holdings: valued, unconvertedCurrencies } = await valueHoldings(userId, holdings, asOf);
+
+  return {
+    value: roundAmount(valued.reduce((sum, holding) => sum + (holding.base?.marketValue || 0), 0)),
+    unconvertedCurrencies
+  };
+};
+
+const parsePriceDate = (value) => {
+  const parsed = moment.utc(String(value || '').trim(), [moment.ISO_8601, 'YYYY-MM-DD'], true);
+  return parsed.isValid() ? parsed.startOf('day').toDate() : null;
+};
+
+// CSV columns: date, symbol, price (close is an accepted alias)
+const parsePricesCsv = (content) => {
+  const [header = [], ...records] = splitCsv(content);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const column = (...names) => columns.findIndex(name => names.includes(name));
+
+  const indexes = {
+    date: column('date'),
+    symbol: column('symbol', 'ticker'),
+    price: column('price', 'close')
+  };
+  if (Object.values(indexes).some(index => index < 0)) {
+    throw badRequest('Price CSV needs date, symbol and price columns');
+  }
+
+  return records.map(cells => ({
+    date: cells[indexes.date],
+    symbol: cells[indexes.symbol],
+    price: cells[indexes.price]
+  }));
+};
+
+// JSON: an array of { date, symbol, price } rows
+const parsePricesJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw badRequest('Price file is not valid JSON');
+  }
+  return (Array.isArray(data) ? data : [data]).map(entry => entry || {});
+};
+
+/**
+ * Import closing prices into the user's price history.
+ * Rows for an existing symbol/date are replaced.
+ * @param {String} userId - Owner of the price history
+ * @param {String} format - csv or json
+ * @param {String} content - File content
+ * @returns {Object} Imported count and per-row errors
+ */
+const importPrices = async (userId, format, content) => {
+  const rows = format === 'json' ? parsePricesJson(content) : parsePricesCsv(content);
+  if (rows.length > MAX_PRICE_ROWS) {
+    throw badRequest(`Price files are limited to ${MAX_PRICE_ROWS} rows`);
+  }
+
+  const errors = [];
+  const operations = [];
+
+  rows.forEach((row, index) => {
+    const symbol = String(row.symbol || '').trim().toUpperCase();
+    const price = parseFloat(row.price);
+    const date = parsePriceDate(row.date);
+
+    if (!symbol || symbol.length > 20 || !(price >= 0) || !date) {
+      errors.push({ row: index + 1, message: 'Each price needs a date, a symbol and a non-negative price' });
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { user: userId, symbol, date },
+        update: { $set: { price, source: 'import' } },
+        upsert: true
+      }
+    });
+  });
+
+  if (operations.length > 0) {
+    await SecurityPrice.bulkWrite(operations, { ordered: false });
+  }
+
+  return {
+    imported: operations.length,
+    errors
+  };
+};
+
+module.exports = {
+  TARGET_ALLOCATIONS,
+  replayTransactions,
+  saveHoldingState,
+  valueHoldings,
+  getPortfolio,
+  getInvestmentsValue,
+  importPrices
+};
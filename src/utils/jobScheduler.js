@@ -0,0 +1,54 @@
+// Registry of running background jobs, keyed by job name
+const jobs = new Map();
+
+/**
+ * Run a background task on an interval.
+ * Overlapping runs are skipped so a slow run never overlaps the next one,
+ * and the timer is unref'd so it never keeps the process alive on its own.
+ * @param {String} name - Unique job name
+ * @param {Function} task - Async function receiving the reference time of the run
+ * @param {Object} options
+ * @param {Number} options.intervalMs - Time between runs
+ * @param {Function} [options.clock] - Returns the reference time for each run
+ * @param {Boolean} [options.runOnStart] - Run immediately to catch up after downtime
+ */
+const scheduleJob = (name, task, { intervalMs, clock = () => new Date(), runOnStart = true }) => {
+  if (jobs.has(name)) return jobs.get(name).timer;
+
+  const job = { timer: null, isRunning: false };
+
+  const tick = async () => {
+    if (job.isRunning) return;
+    job.isRunning = true;
+
+    try {
+      await task(clock());
+    } catch (error) {
+      // Silent job error (no console output in production)
+      // The next tick retries
+    } finally {
+      job.isRunning = false;
+    }
+  };
+
+  job.timer = setInterval(tick, intervalMs);
+  job.timer.unref();
+  jobs.set(name, job);
+
+  if (runOnStart) tick();
+
+  return job.timer;
+};
+
+const stopJob = (name) => {
+  const job = jobs.get(name);
+  if (job) {
+    clearInterval(job.timer);
+    jobs.delete(name);
+  }
+};
+
+module.exports = {
+  scheduleJob,
+  stopJob
+};
@@ -0,0 +1,120 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Messages captured by the memory transport
+const sentMail = [];
+
+/**
+ * Mail transports. Each exposes send(message) for a message with
+ * from, to, subject, text and html.
+ */
+const TRANSPORTS = {
+  // Deliver through an SMTP server
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { id: info.messageId };
+      }
+    };
+  },
+
+  // Write each message as a JSON file, for local development
+  file: () => {
+    const directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+    return {
+      send: async (message) => {
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(
+          path.join(directory, `${id}.json`),
+          JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+        );
+        return { id };
+      }
+    };
+  },
+
+  // Keep messages in memory, for tests
+  memory: () => ({
+    send: async (message) => {
+      const id = `${sentMail.length + 1}`;
+      sentMail.push({ id, ...message, sentAt: new Date() });
+      return { id };
+    }
+  })
+};
+
+let activeTransport = null;
+
+const getDefaultTransportName = () => {
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return process.env.SMTP_HOST ? 'smtp' : 'file';
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || getDefaultTransportName();
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = TRANSPORTS[name]();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport (MAIL_TRANSPORT).
+ * @param {Object} message
+ * @param {String} message.to - Recipient address
+ * @param {String} message.subject - Subject line
+ * @param {String} message.text - Plain text body
+ * @param {String} [message.html] - HTML body
+ * @returns {Object} Transport result with a message id
+ */
+const sendMail = async (message) => {
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || 'HealthyWallet <no-reply@healthywallet.app>',
+    ...message
+  });
+};
+
+// Escape text interpolated into an HTML body
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Replace the active transport, e.g. with a stub in tests.
+ * @param {Object|null} transport - Object with send(message), or null to reset
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getSentMail = () => [...sentMail];
+
+const clearSentMail = () => {
+  sentMail.length = 0;
+};
+
+module.exports = {
+  sendMail,
+  escapeHtml,
+  setTransport,
+  getSentMail,
+  clearSentMail
+};
@@ -0,0 +1,18 @@
+/**
+ * Merchant key of an expense description: lower case letters of its first
+ * three words, so "AMAZON MKTP #1234" and "Amazon Mktp 998" match.
+ * Stored on expenses as `merchant` so charges can be looked up by merchant.
+ * @param {String} description - Expense description
+ * @returns {String} Merchant key, empty when the description has no words
+ */
+const merchantKey = (description) => String(description || '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 3)
+  .join(' ');
+
+module.exports = {
+  merchantKey
+};
@@ -0,0 +1,210 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Debt = require('../models/Debt');
+const Goal = require('../models/Goal');
+const NetWorthItem = require('../models/NetWorthItem');
+const NetWorthSnapshot = require('../models/NetWorthSnapshot');
+const User = require('../models/User');
+const { roundAmount } = require('./currencyAmounts');
+const { getBaseCurrency, getExchangeRate } = require('./exchangeRates');
+const { ensureDefaultAccount, getAccountBalances } = require('./accounts');
+const { getInvestmentsValue } = require('./investments');
+const { scheduleJob, stopJob } = require('./jobScheduler');
+
+const JOB_NAME = 'net-worth-snapshots';
+
+// Series intervals: moment unit each snapshot is grouped by and the period label
+const INTERVALS = {
+  day: { unit: 'day', format: 'YYYY-MM-DD' },
+  week: { unit: 'isoWeek', format: 'GGGG-[W]WW' },
+  month: { unit: 'month', format: 'YYYY-MM' }
+};
+
+const roundBreakdown = (breakdown) => Object.fromEntries(
+  Object.entries(breakdown).map(([side, parts]) => [
+    side,
+    Object.fromEntries(Object.entries(parts).map(([name, value]) => [name, roundAmount(value)]))
+  ])
+);
+
+/**
+ * Compute a user's net worth in their base currency.
+ * Assets are positive account balances, investment holdings at their latest
+ * price, goal savings and manual assets;
+ * liabilities are overdrawn or owed account balances, active debts and
+ * manual liabilities. Accounts and manual items without an exchange rate
+ * are left out and listed in unconvertedCurrencies.
+ * @param {String} userId - User
+ * @param {Date} [asOf] - Account balances include activity up to this time
+ * @returns {Object} assets, liabilities, netWorth, breakdown, baseCurrency and unconvertedCurrencies
+ */
+const calculateNetWorth = async (userId, asOf = new Date()) => {
+  await ensureDefaultAccount(userId);
+
+  const baseCurrency = await getBaseCurrency(userId);
+  const cache = new Map();
+  const unconverted = new Set();
+  const breakdown = {
+    assets: { accounts: 0, investments: 0, goals: 0, manual: 0 },
+    liabilities: { accounts: 0, debts: 0, manual: 0 }
+  };
+
+  const toBase = async (value, currency) => {
+    const rate = await getExchangeRate(userId, currency || baseCurrency, baseCurrency, asOf, cache);
+    if (!rate) unconverted.add(currency);
+    return rate ? value * rate : null;
+  };
+
+  const [accounts, investments, goals, debts, items] = await Promise.all([
+    Account.find({ user: userId }),
+    getInvestmentsValue(userId, asOf),
+    Goal.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), status: { $ne: 'cancelled' } } },
+      { $group: { _id: null, total: { $sum: '$currentAmount' } } }
+    ]),
+    Debt.find({ user: userId, status: 'active' }).select('balance'),
+    NetWorthItem.find({ user: userId })
+  ]);
+
+  const balances = await getAccountBalances(userId, accounts, asOf);
+  for (const account of accounts) {
+    // The opening balance only counts from the account's opening date
+    const opening = account.openingDate > asOf ? account.openingBalance : 0;
+    const value = await toBase(balances.get(account._id.toString()).balance - opening, account.currency);
+    if (value === null) continue;
+    if (value >= 0) {
+      breakdown.assets.accounts += value;
+    } else {
+      breakdown.liabilities.accounts -= value;
+    }
+  }
+
+  breakdown.assets.investments = investments.value;
+  investments.unconvertedCurrencies.forEach(currency => unconverted.add(currency));
+  breakdown.assets.goals = goals[0]?.total || 0;
+  breakdown.liabilities.debts = debts.reduce((sum, debt) => sum + debt.balance, 0);
+
+  for (const item of items) {
+    const value = await toBase(item.value, item.currency);
+    if (value === null) continue;
+    breakdown[item.kind === 'asset' ? 'assets' : 'liabilities'].manual += value;
+  }
+
+  const sum = (parts) => Object.values(parts).reduce((total, value) => total + value, 0);
+  const assets = roundAmount(sum(breakdown.assets));
+  const liabilities = roundAmount(sum(breakdown.liabilities));
+
+  return {
+    baseCurrency,
+    assets,
+    liabilities,
+    netWorth: roundAmount(assets - liabilities),
+    breakdown: roundBreakdown(breakdown),
+    unconvertedCurrencies: [...unconverted]
+  };
+};
+
+/**
+ * Store the net worth at the end of a day, replacing an earlier snapshot of that day.
+ * @param {String} userId - User
+ * @param {Date} day - Any time on the (UTC) day to snapshot
+ * @returns {Object} Snapshot document
+ */
+const takeNetWorthSnapshot = async (userId, day) => {
+  const date = moment.utc(day).startOf('day');
+  const { unconvertedCurrencies, ...netWorth } = await calculateNetWorth(userId, date.clone().endOf('day').toDate());
+
+  return await NetWorthSnapshot.findOneAndUpdate(
+    { user: userId, date: date.toDate() },
+    netWorth,
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Snapshot the previous day's closing net worth for every user that has no
+ * snapshot for it yet, so running more than once a day is safe.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for this run
+ * @param {String} [options.userId] - Restrict the run to a single user
+ * @returns {Object} Summary of the run
+ */
+const processNetWorthSnapshots = async ({ now = new Date(), userId } = {}) => {
+  const date = moment.utc(now).subtract(1, 'day').startOf('day').toDate();
+  const summary = { runAt: now, date, snapshotsCreated: 0, failed: 0 };
+
+  const done = new Set((await NetWorthSnapshot.distinct('user', { date })).map(id => id.toString()));
+  const users = User.find(userId ? { _id: userId } : {}).select('_id').lean().cursor();
+
+  for await (const user of users) {
+    if (done.has(user._id.toString())) continue;
+
+    try {
+      await takeNetWorthSnapshot(user._id.toString(), date);
+      summary.snapshotsCreated += 1;
+    } catch (error) {
+      // Retried on the next run
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Net worth over time from stored snapshots, keeping the last snapshot of each interval.
+ * @param {String} userId - User
+ * @param {Object} range
+ * @param {Date} range.from - First day included
+ * @param {Date} range.to - Last day included
+ * @param {String} range.interval - day, week or month
+ * @returns {Array<Object>} period, date, assets, liabilities, netWorth and breakdown (oldest first)
+ */
+const getNetWorthSeries = async (userId, { from, to, interval }) => {
+  const { unit, format } = INTERVALS[interval];
+  const snapshots = await NetWorthSnapshot.find({
+    user: userId,
+    date: { $gte: moment.utc(from).startOf('day').toDate(), $lte: to }
+  }).sort({ date: 1 }).lean();
+
+  const periods = new Map();
+  snapshots.forEach(snapshot => {
+    const period = moment.utc(snapshot.date).startOf(unit).format(format);
+    periods.set(period, {
+      period,
+      date: snapshot.date,
+      assets: snapshot.assets,
+      liabilities: snapshot.liabilities,
+      netWorth: snapshot.netWorth,
+      breakdown: snapshot.breakdown
+    });
+  });
+
+  return [...periods.values()];
+};
+
+/**
+ * Run the net worth snapshot job on an interval. Each run snapshots the
+ * previous day once per user, so the default hourly interval yields one
+ * snapshot per night.
+ * @param {Object} options
+ * @param {Number} [options.intervalMs] - Time between runs (defaults to 1 hour)
+ * @param {Function} [options.clock] - Returns the reference time for each run
+ */
+const startNetWorthSnapshotScheduler = ({
+  intervalMs = parseInt(process.env.NET_WORTH_SNAPSHOT_INTERVAL_MS) || 60 * 60 * 1000,
+  clock
+} = {}) => scheduleJob(JOB_NAME, (now) => processNetWorthSnapshots({ now }), { intervalMs, clock });
+
+const stopNetWorthSnapshotScheduler = () => stopJob(JOB_NAME);
+
+module.exports = {
+  NET_WORTH_INTERVALS: Object.keys(INTERVALS),
+  calculateNetWorth,
+  takeNetWorthSnapshot,
+  processNetWorthSnapshots,
+  getNetWorthSeries,
+  startNetWorthSnapshotScheduler,
+  stopNetWorthSnapshotScheduler
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { sendMail, escapeHtml } = require('./mailer');
+
+// Pushes captured by the memory transport
+const sentPush = [];
+
+// Hosts of the browsers' push services (Chrome, Firefox, Edge, Safari);
+// PUSH_SERVICE_HOSTS adds more, comma-separated. Subdomains are included.
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'push.services.mozilla.com', 'notify.windows.com', 'push.apple.com'];
+
+/**
+ * Whether an endpoint belongs to a known push service, so the server never
+ * posts to hosts a client picked (internal addresses in particular).
+ * @param {String} endpoint - Push subscription endpoint
+ * @returns {Boolean}
+ */
+const isPushServiceEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port) return false;
+
+  const extraHosts = (process.env.PUSH_SERVICE_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  return [...PUSH_SERVICE_HOSTS, ...extraHosts].some(host =>
+    url.hostname === host || url.hostname.endsWith(`.${host}`)
+  );
+};
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// VAPID authorization header for a push service origin (RFC 8292)
+const vapidHeader = (endpoint) => {
+  const publicKey = Buffer.from(process.env.VAPID_PUBLIC_KEY, 'base64url');
+  const key = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: process.env.VAPID_PRIVATE_KEY,
+      x: base64url(publicKey.subarray(1, 33)),
+      y: base64url(publicKey.subarray(33, 65))
+    }
+  });
+
+  const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: process.env.VAPID_SUBJECT || 'mailto:no-reply@healthywallet.app'
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `vapid t=${header}.${claims}.${base64url(signature)}, k=${process.env.VAPID_PUBLIC_KEY}`;
+};
+
+/**
+ * Transports for each external channel. Each exposes
+ * send({ user, notification, subscriptions }) and resolves to
+ * { skipped: true } when nothing could be sent, or, for push,
+ * { expired: [endpoint] } for subscriptions the push service dropped.
+ * Failures throw and are retried by the dispatcher.
+ */
+const TRANSPORTS = {
+  email: {
+    // Send through the mailer (MAIL_TRANSPORT)
+    mail: () => ({
+      send: async ({ user, notification }) => {
+        if (!user.email) return { skipped: true };
+
+        await sendMail({
+          to: user.email,
+          subject: notification.title,
+          text: `Hi ${user.name},\n\n${notification.message}\n\nHealthyWallet`,
+          html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(notification.message)}</p><p>HealthyWallet</p>`
+        });
+        return {};
+      }
+    })
+  },
+
+  push: {
+    // Web Push without a payload: the service worker fetches the inbox when woken
+    webpush: () => ({
+      send: async ({ subscriptions }) => {
+        const expired = [];
+        let delivered = 0;
+        let lastError = null;
+
+        for (const subscription of subscriptions) {
+          // Stored before endpoints were checked: drop it like an expired one
+          if (!isPushServiceEndpoint(subscription.endpoint)) {
+            expired.push(subscription.endpoint);
+            continue;
+          }
+
+          let response;
+          try {
+            response = await fetch(subscription.endpoint, {
+              method: 'POST',
+              headers: {
+                TTL: String(24 * 60 * 60),
+                Urgency: 'normal',
+                Authorization: vapidHeader(subscription.endpoint)
+              },
+              redirect: 'error',
+              signal: AbortSignal.timeout(10000)
+            });
+          } catch (error) {
+            // One unreachable push service must not stop the other subscriptions
+            lastError = error;
+            continue;
+          }
+
+          if (response.ok) {
+            delivered += 1;
+          } else if (response.status === 404 || response.status === 410) {
+            expired.push(subscription.endpoint);
+          } else {
+            lastError = new Error(`Push service responded with ${response.status}`);
+          }
+        }
+
+        if (delivered === 0 && lastError) throw lastError;
+        return { expired, skipped: delivered === 0 };
+      }
+    }),
+
+    // Keep pushes in memory, for tests
+    memory: () => ({
+      send: async ({ user, notification, subscriptions }) => {
+        subscriptions.forEach(subscription => {
+          sentPush.push({
+            user: user._id,
+            endpoint: subscription.endpoint,
+            notification: notification._id,
+            title: notification.title,
+            sentAt: new Date()
+          });
+        });
+        return {};
+      }
+    }),
+
+    // Push is not configured (no VAPID keys)
+    disabled: () => ({
+      send: async () => ({ skipped: true })
+    })
+  }
+};
+
+const activeTransports = {};
+
+const getDefaultTransportName = (channel) => {
+  if (channel === 'email') return 'mail';
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY ? 'webpush' : 'disabled';
+};
+
+/**
+ * Transport for a channel (PUSH_TRANSPORT selects the push transport).
+ * @param {String} channel - email or push
+ * @returns {Object} Transport with send()
+ */
+const getChannelTransport = (channel) => {
+  if (!activeTransports[channel]) {
+    const name = (channel === 'push' && process.env.PUSH_TRANSPORT) || getDefaultTransportName(channel);
+    if (!TRANSPORTS[channel]?.[name]) {
+      throw new Error(`Unknown ${channel} transport: ${name}`);
+    }
+    activeTransports[channel] = TRANSPORTS[channel][name]();
+  }
+  return activeTransports[channel];
+};
+
+/**
+ * Replace a channel's transport, e.g. with a failing stub in tests.
+ * @param {String} channel - email or push
+ * @param {Object|null} transport - Object with send(), or null to reset
+ */
+const setChannelTransport = (channel, transport) => {
+  activeTransports[channel] = transport;
+};
+
+const getSentPush = () => [...sentPush];
+
+const clearSentPush = () => {
+  sentPush.length = 0;
+};
+
+module.exports = {
+  isPushServiceEndpoint,
+  getChannelTransport,
+  setChannelTransport,
+  getSentPush,
+  clearSentPush
+};
@@ -0,0 +1,85 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const { notify, processPendingDeliveries } = require('./notifications');
+const { scheduleJob, stopJob } = require('./jobScheduler');
+
+const JOB_NAME = 'notifications';
+
+// Days before a goal's target date that its deadline reminder is sent
+const getDeadlineReminderDays = () => parseInt(process.env.GOAL_DEADLINE_REMINDER_DAYS || '7');
+
+/**
+ * Remind users of active goals whose target date is close and that are not
+ * funded yet. Each goal is reminded once per target date.
+ * @param {Object} options
+ * @param {Date} [options.now] - Reference time
+ * @param {String} [options.userId] - Restrict the run to one user's goals
+ * @returns {Number} Number of reminders sent
+ */
+const processGoalDeadlineReminders = async ({ now = new Date(), userId } = {}) => {
+  const days = getDeadlineReminderDays();
+  const query = {
+    status: 'active',
+    targetDate: { $gt: now, $lte: moment(now).add(days, 'days').toDate() },
+    $expr: { $lt: ['$currentAmount', '$targetAmount'] }
+  };
+  if (userId) query.user = new mongoose.Types.ObjectId(userId);
+
+  const goals = await Goal.find(query).select('user title targetAmount currentAmount targetDate');
+  let sent = 0;
+
+  for (const goal of goals) {
+    const daysLeft = Math.max(Math.ceil(moment(goal.targetDate).diff(now, 'days', true)), 1);
+    const remaining = Math.round((goal.targetAmount - goal.currentAmount) * 100) / 100;
+
+    const notification = await notify(goal.user, {
+      type: 'goal_deadline',
+      title: `${goal.title} is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+      message: `Your goal "${goal.title}" reaches its target date on ${moment(goal.targetDate).format('MMM D, YYYY')} and still needs ${remaining}.`,
+      data: { goal: goal._id, targetDate: goal.targetDate, remaining },
+      dedupeKey: `goal_deadline:${goal._id}:${moment(goal.targetDate).format('YYYY-MM-DD')}`
+    }, { now });
+    if (notification) sent += 1;
+  }
+
+  return sent;
+};
+
+/**
+ * Send goal deadline reminders, then deliveries that are due.
+ * @param {Object} options
+ * @param {Date} [options.now] - Reference time
+ * @param {String} [options.userId] - Restrict the run to one user
+ * @returns {Object} Summary of the run
+ */
+const processNotifications = async ({ now = new Date(), userId } = {}) => {
+  const deadlineReminders = await processGoalDeadlineReminders({ now, userId });
+  const deliveries = await processPendingDeliveries({ now, userId });
+
+  return {
+    runAt: now,
+    deadlineReminders,
+    deliveries
+  };
+};
+
+/**
+ * Run the notification job on an interval.
+ * @param {Object} options
+ * @param {Number} [options.intervalMs] - Time between runs (defaults to 1 minute)
+ * @param {Function} [options.clock] - Returns the reference time for each run
+ */
+const startNotificationScheduler = ({
+  intervalMs = parseInt(process.env.NOTIFICATION_SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  clock
+} = {}) => scheduleJob(JOB_NAME, (now) => processNotifications({ now }), { intervalMs, clock });
+
+const stopNotificationScheduler = () => stopJob(JOB_NAME);
+
+module.exports = {
+  processGoalDeadlineReminders,
+  processNotifications,
+  startNotificationScheduler,
+  stopNotificationScheduler
+};
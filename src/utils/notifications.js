@@ -0,0 +1,251 @@
+const Notification = require('../models/Notification');
+const NotificationDeadLetter = require('../models/NotificationDeadLetter');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const UserSettings = require('../models/UserSettings');
+const { getChannelTransport } = require('./notificationChannels');
+
+// Delay before each retry of a failed delivery; after the last one the
+// delivery is dead-lettered
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// How long a claimed delivery is reserved for the process sending it
+const CLAIM_MS = 10 * 60 * 1000;
+
+// Setting in User.settings.notifications and UserSettings that must allow each event type
+const TYPE_PREFERENCES = {
+  achievement_unlocked: null,
+  budget_threshold: 'budgetAlerts',
+  goal_milestone: 'goalReminders',
+  goal_deadline: 'goalReminders'
+};
+
+const parseClock = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes past midnight in a time zone
+const localMinutes = (now, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const part = (type) => parseInt(parts.find(entry => entry.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+/**
+ * End of the quiet hours `now` falls in.
+ * @param {Object} quietHours - enabled, start and end (HH:mm) and timeZone
+ * @param {Date} now - Reference time
+ * @returns {Date|null} When external channels may send again, or null outside quiet hours
+ */
+const getQuietHoursEnd = (quietHours, now) => {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return null;
+
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  if (start === end) return null;
+
+  const current = localMinutes(now, quietHours.timeZone || 'UTC');
+  const quiet = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!quiet) return null;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+};
+
+const loadPreferences = async (userId) => {
+  const [user, settings] = await Promise.all([
+    User.findById(userId).select('name email settings.notifications'),
+    UserSettings.findOne({ userId }).select('notifications budgetAlerts goalReminders quietHours')
+  ]);
+  return { user, settings };
+};
+
+// External channels the user wants for an event type
+const selectChannels = async ({ user, settings }, type) => {
+  const preference = TYPE_PREFERENCES[type];
+  if (preference && (settings?.[preference] === false || user.settings?.notifications?.[preference] === false)) {
+    return null;
+  }
+  if (settings?.notifications === false) return [];
+
+  const channels = [];
+  if (user.settings?.notifications?.email !== false && user.email) channels.push('email');
+  if (user.settings?.notifications?.push !== false && await PushSubscription.exists({ user: user._id })) {
+    channels.push('push');
+  }
+  return channels;
+};
+
+const setDelivery = (notificationId, channel, fields) => Notification.updateOne(
+  { _id: notificationId, 'deliveries.channel': channel },
+  { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`deliveries.$.${key}`, value])) }
+);
+
+/**
+ * Try one due delivery of a notification. Deliveries falling in quiet hours
+ * are deferred to their end; failures are retried after RETRY_DELAYS_MS and
+ * dead-lettered after MAX_ATTEMPTS.
+ * @param {Object} notification - Notification document
+ * @param {String} channel - email or push
+ * @param {Date} now - Reference time
+ * @returns {String|null} Resulting status, or null when the delivery was not due
+ */
+const attemptDelivery = async (notification, channel, now) => {
+  const preferences = await loadPreferences(notification.user);
+  if (!preferences.user) return null;
+
+  const quietEnd = getQuietHoursEnd(preferences.settings?.quietHours, now);
+  if (quietEnd) {
+    await setDelivery(notification._id, channel, { nextAttemptAt: quietEnd });
+    return 'pending';
+  }
+
+  // Claim the delivery so a concurrent run does not send it twice
+  const claimed = await Notification.findOneAndUpdate(
+    {
+      _id: notification._id,
+      deliveries: { $elemMatch: { channel, status: 'pending', nextAttemptAt: { $lte: now } } }
+    },
+    {
+      $set: { 'deliveries.$.nextAttemptAt': new Date(now.getTime() + CLAIM_MS) },
+      $inc: { 'deliveries.$.attempts': 1 }
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const { attempts } = claimed.deliveries.find(delivery => delivery.channel === channel);
+  try {
+    const subscriptions = channel === 'push'
+      ? await PushSubscription.find({ user: claimed.user })
+      : [];
+    const result = await getChannelTransport(channel).send({
+      user: preferences.user,
+      notification: claimed,
+      subscriptions
+    }) || {};
+
+    if (result.expired?.length) {
+      await PushSubscription.deleteMany({ endpoint: { $in: result.expired } });
+    }
+
+    const status = result.skipped ? 'skipped' : 'sent';
+    await setDelivery(claimed._id, channel, { status, sentAt: now, lastError: null });
+    return status;
+  } catch (error) {
+    if (attempts >= MAX_ATTEMPTS) {
+      await setDelivery(claimed._id, channel, { status: 'failed', lastError: error.message });
+      await NotificationDeadLetter.create({
+        user: claimed.user,
+        notification: claimed._id,
+        channel,
+        attempts,
+        lastError: error.message,
+        payload: { type: claimed.type, title: claimed.title, message: claimed.message }
+      });
+      return 'failed';
+    }
+
+    await setDelivery(claimed._id, channel, {
+      nextAttemptAt: new Date(now.getTime() + RETRY_DELAYS_MS[attempts - 1]),
+      lastError: error.message
+    });
+    return 'pending';
+  }
+};
+
+/**
+ * Notify a user of an event: add it to the in-app inbox with a pending
+ * delivery for each email and push channel their preferences allow. The
+ * notification job sends them (processPendingDeliveries), so the operation
+ * that raised the event does not wait on a channel.
+ * Never throws, so the operation that raised the event is not affected.
+ * @param {String} userId - User to notify
+ * @param {Object} event
+ * @param {String} event.type - achievement_unlocked, budget_threshold, goal_milestone or goal_deadline
+ * @param {String} event.title - Short title, also the email subject
+ * @param {String} event.message - Notification text
+ * @param {Object} [event.data] - Details for the client, e.g. { goal }
+ * @param {String} [event.dedupeKey] - Events with the same key are only notified once
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object|null} Notification, or null when it was muted or already sent
+ */
+const notify = async (userId, { type, title, message, data, dedupeKey }, { now = new Date() } = {}) => {
+  try {
+    const preferences = await loadPreferences(userId);
+    if (!preferences.user) return null;
+
+    const channels = await selectChannels(preferences, type);
+    if (!channels) return null;
+
+    try {
+      return await Notification.create({
+        user: userId,
+        type,
+        title,
+        message,
+        data,
+        dedupeKey,
+        deliveries: channels.map(channel => ({ channel, nextAttemptAt: now }))
+      });
+    } catch (error) {
+      // Already notified
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  } catch (error) {
+    // Silent notification error - notifications should not affect the triggering operation
+    return null;
+  }
+};
+
+/**
+ * Send deliveries that are due: new ones, retries and deliveries deferred by
+ * quiet hours.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @param {String} [options.userId] - Restrict the run to one user
+ * @returns {Object} Number of attempts and their outcomes
+ */
+const processPendingDeliveries = async ({ now = new Date(), userId } = {}) => {
+  const query = {
+    deliveries: { $elemMatch: { status: 'pending', nextAttemptAt: { $lte: now } } }
+  };
+  if (userId) query.user = userId;
+
+  const summary = { attempted: 0, sent: 0, skipped: 0, pending: 0, failed: 0 };
+  const notifications = await Notification.find(query).sort({ createdAt: 1 });
+
+  for (const notification of notifications) {
+    const due = notification.deliveries.filter(delivery =>
+      delivery.status === 'pending' && delivery.nextAttemptAt <= now
+    );
+    for (const delivery of due) {
+      const status = await attemptDelivery(notification, delivery.channel, now);
+      if (!status) continue;
+      summary.attempted += 1;
+      summary[status] += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  getQuietHoursEnd,
+  notify,
+  processPendingDeliveries
+};
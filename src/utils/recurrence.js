@@ -0,0 +1,70 @@
+const moment = require('moment');
+
+const PERIOD_UNITS = {
+  weekly: 'weeks',
+  monthly: 'months',
+  yearly: 'years'
+};
+
+/**
+ * Calculate the date of the next occurrence for a recurring period.
+ * Month and year steps are clamped to the end of shorter months
+ * (Jan 31 -> Feb 28). When an anchor date is given, occurrences are
+ * counted from the anchor so a clamped month does not shift every
+ * later occurrence (Jan 31 -> Feb 28 -> Mar 31).
+ * @param {Date} date - Date of the current occurrence
+ * @param {String} period - One of weekly, monthly, yearly
+ * @param {Date} [anchor] - Date of the first occurrence in the series
+ * @returns {Date|null} Next occurrence date, or null for an unknown period
+ */
+const getNextRecurringDate = (date, period, anchor) => {
+  const unit = PERIOD_UNITS[period];
+  if (!unit) return null;
+
+  if (!anchor) {
+    return moment(date).add(1, unit).toDate();
+  }
+
+  const current = moment(date);
+  let steps = Math.max(current.diff(moment(anchor), unit), 0) + 1;
+  let next = moment(anchor).add(steps, unit);
+
+  while (!next.isAfter(current)) {
+    steps += 1;
+    next = moment(anchor).add(steps, unit);
+  }
+
+  return next.toDate();
+};
+
+/**
+ * Update fields that keep a transaction's recurrence schedule in step with
+ * an edit. Turning recurrence on or changing the period or date schedules
+ * the next occurrence after now on the transaction's date grid, so past
+ * dates are not back-filled; turning it off clears the schedule.
+ * @param {Object} changes - Fields being updated (isRecurring, recurringPeriod, date)
+ * @param {Object} existing - Transaction before the update
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Update fields to merge into the update (may be empty)
+ */
+const resolveRecurrenceUpdate = (changes, existing, now = new Date()) => {
+  const isRecurring = changes.isRecurring ?? existing.isRecurring;
+  if (!isRecurring) {
+    return existing.nextRecurringDate ? { $unset: { nextRecurringDate: 1 } } : {};
+  }
+
+  const period = changes.recurringPeriod ?? existing.recurringPeriod;
+  const date = changes.date !== undefined ? new Date(changes.date) : existing.date;
+  const rescheduled = !existing.isRecurring ||
+    !existing.nextRecurringDate ||
+    period !== existing.recurringPeriod ||
+    date.getTime() !== new Date(existing.date).getTime();
+  if (!rescheduled || !PERIOD_UNITS[period]) return {};
+
+  return { nextRecurringDate: getNextRecurringDate(date > now ? date : now, period, date) };
+};
+
+module.exports = {
+  getNextRecurringDate,
+  resolveRecurrenceUpdate
+};
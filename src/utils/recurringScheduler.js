@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const User = require('../models/User');
+const { getNextRecurringDate } = require('./recurrence');
+const { convertTransaction } = require('./exchangeRates');
+const { refreshSubscriptions } = require('./subscriptions');
+const { scheduleJob, stopJob } = require('./jobScheduler');
+
+const JOB_NAME = 'recurring-transactions';
+
+// Upper bound on occurrences generated for one template in a single run
+const MAX_CATCH_UP_OCCURRENCES = 500;
+
+// Fields copied from a recurring template onto each generated occurrence
+const TEMPLATE_FIELDS = {
+  Expense: ['user', 'account', 'amount', 'currency', 'category', 'description', 'merchant', 'tags', 'location', 'splits'],
+  Income: ['user', 'account', 'amount', 'currency', 'source', 'category', 'description', 'tags']
+};
+
+// Convert a foreign-currency occurrence at the rate for its own date,
+// keeping the template's conversion when no rate is stored
+const convertOccurrence = async (template, date) => {
+  try {
+    return await convertTransaction(template.user, {
+      amount: template.amount,
+      currency: template.currency,
+      date
+    });
+  } catch (error) {
+    return {
+      baseCurrency: template.baseCurrency,
+      exchangeRate: template.exchangeRate,
+      baseAmount: template.baseAmount
+    };
+  }
+};
+
+/**
+ * Create every occurrence of a recurring template that is due on or before `now`
+ * and move the template's nextRecurringDate past `now`.
+ * Occurrences are upserted on (recurringSource, date) so re-running is safe.
+ * @param {mongoose.Model} Model - Expense or Income
+ * @param {Object} template - Recurring template document
+ * @param {Date} now - Reference time for this run
+ * @returns {Number} Number of occurrences created
+ */
+const materializeTemplate = async (Model, template, now) => {
+  const source = template.toObject();
+  const baseData = {};
+  TEMPLATE_FIELDS[Model.modelName].forEach(field => {
+    if (source[field] !== undefined) baseData[field] = source[field];
+  });
+
+  let created = 0;
+  let occurrences = 0;
+  let occurrenceDate = template.nextRecurringDate;
+
+  while (occurrenceDate && occurrenceDate <= now && occurrences < MAX_CATCH_UP_OCCURRENCES) {
+    try {
+      const conversion = baseData.currency
+        ? await convertOccurrence(template, occurrenceDate)
+        : {};
+
+      const result = await Model.updateOne(
+        { recurringSource: template._id, date: occurrenceDate },
+        {
+          $setOnInsert: {
+            ...baseData,
+            ...conversion,
+            date: occurrenceDate,
+            isRecurring: false,
+            recurringSource: template._id
+          }
+        },
+        { upsert: true }
+      );
+      created += result.upsertedCount || 0;
+    } catch (error) {
+      // A concurrent run inserted the same occurrence first
+      if (error.code !== 11000) throw error;
+    }
+
+    occurrences += 1;
+    occurrenceDate = getNextRecurringDate(occurrenceDate, template.recurringPeriod, template.date);
+  }
+
+  // Only advance if no other run has moved the template in the meantime
+  await Model.updateOne(
+    { _id: template._id, nextRecurringDate: template.nextRecurringDate },
+    { $set: { nextRecurringDate: occurrenceDate } }
+  );
+
+  return created;
+};
+
+/**
+ * Find due recurring Expense and Income templates and materialize their
+ * occurrences, then catch subscriptions up with the charges recorded.
+ * @param {Object} options
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @param {String} [options.userId] - Restrict the run to a single user's templates
+ * @returns {Object} Summary of the run
+ */
+const processRecurringTransactions = async ({ now = new Date(), userId } = {}) => {
+  const summary = {
+    runAt: now,
+    templatesProcessed: 0,
+    expensesCreated: 0,
+    incomeCreated: 0,
+    subscriptionsUpdated: 0,
+    usersUpdated: 0
+  };
+  const affectedUsers = new Set();
+
+  for (const Model of [Expense, Income]) {
+    const query = {
+      isRecurring: true,
+      recurringPeriod: { $exists: true },
+      nextRecurringDate: { $lte: now }
+    };
+    if (userId) query.user = new mongoose.Types.ObjectId(userId);
+
+    const templates = await Model.find(query).sort({ nextRecurringDate: 1 });
+
+    for (const template of templates) {
+      const created = await materializeTemplate(Model, template, now);
+
+      summary.templatesProcessed += 1;
+      if (Model === Expense) {
+        summary.expensesCreated += created;
+      } else {
+        summary.incomeCreated += created;
+      }
+      if (created > 0) affectedUsers.add(template.user.toString());
+    }
+  }
+
+  // Track new charges and prices of confirmed subscriptions
+  summary.subscriptionsUpdated = await refreshSubscriptions({ now, userId });
+
+  // Refresh cached totals for users that received new transactions
+  for (const affectedUserId of affectedUsers) {
+    const user = await User.findById(affectedUserId);
+    if (user) {
+      await user.updateFinancialSummary();
+      summary.usersUpdated += 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Run the recurring transaction job on an interval.
+ * @param {Object} options
+ * @param {Number} [options.intervalMs] - Time between runs (defaults to 1 hour)
+ * @param {Function} [options.clock] - Returns the reference time for each run
+ */
+const startRecurringScheduler = ({
+  intervalMs = parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000,
+  clock
+} = {}) => scheduleJob(JOB_NAME, (now) => processRecurringTransactions({ now }), { intervalMs, clock });
+
+const stopRecurringScheduler = () => stopJob(JOB_NAME);
+
+module.exports = {
+  processRecurringTransactions,
+  startRecurringScheduler,
+  stopRecurringScheduler
+};
@@ -0,0 +1,401 @@
+const moment = require('moment');
+const Rule = require('../models/Rule');
+const CategoryCorrection = require('../models/CategoryCorrection');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const UserSettings = require('../models/UserSettings');
+const { assertCategory } = require('./categories');
+
+// Corrections of similar transactions to one category before a rule is proposed
+const LEARN_MIN_CORRECTIONS = 3;
+
+// Leading description words that identify similar transactions
+const LEARNED_PATTERN_WORDS = 3;
+
+// Upper bounds for dry runs
+const MAX_TEST_TRANSACTIONS = 5000;
+const MAX_TEST_RESULTS = 100;
+
+// Limits that keep descriptionRegex matching fast: a short pattern, few
+// repeats and a bounded input (see findUnsafeRegex)
+const MAX_REGEX_LENGTH = 100;
+const MAX_REGEX_REPEATS = 3;
+const MAX_REGEX_INPUT = 150;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Lowercase words separated by single spaces: "UBER *Trip-4411" -> "uber trip 4411"
+const normalizeText = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const describeTransaction = (transaction) =>
+  [transaction.description, transaction.source].filter(Boolean).join(' ');
+
+/**
+ * Check a pattern for the constructs that make backtracking regexes slow:
+ * repeating a group that itself repeats, alternates or has optional parts
+ * ((a+)+, (a|a)+, (a?b)*), backreferences, and more than a few repeats in a
+ * row (.*.*.*.*). Deliberately conservative: some harmless patterns are refused.
+ * @param {String} pattern - Regular expression source
+ * @returns {String|null} Why the pattern is refused, or null when it is safe
+ */
+const findUnsafeRegex = (pattern) => {
+  if (pattern.length > MAX_REGEX_LENGTH) return `cannot exceed ${MAX_REGEX_LENGTH} characters`;
+
+  // Whether each open group (the pattern itself first) repeats, alternates or has optional parts
+  const groups = [{ risky: false }];
+  let lastAtom = null;
+  let repeats = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) return 'cannot use backreferences';
+      i += 1;
+      lastAtom = { risky: false };
+    } else if (char === '[') {
+      // Character classes match one character whatever they contain
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') i += 1;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i += 1;
+        i += 1;
+      }
+      lastAtom = { risky: false };
+    } else if (char === '(') {
+      // Skip the (?:, (?=, (?!, (?<=, (?<! and (?<name> prefixes
+      if (pattern[i + 1] === '?') {
+        const named = pattern[i + 2] === '<' && !'=!'.includes(pattern[i + 3]);
+        i = named ? pattern.indexOf('>', i) : i + (pattern[i + 2] === '<' ? 3 : 2);
+        if (i < 0) return 'is not a valid regular expression';
+      }
+      groups.push({ risky: false });
+      lastAtom = null;
+    } else if (char === ')') {
+      if (groups.length === 1) return 'is not a valid regular expression';
+      lastAtom = groups.pop();
+      if (lastAtom.risky) groups[groups.length - 1].risky = true;
+    } else if (char === '|') {
+      current.risky = true;
+      lastAtom = null;
+    } else if ('*+?{'.includes(char)) {
+      let repeating = char !== '?';
+      if (char === '{') {
+        const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+        if (!bounds) {
+          // A literal brace
+          lastAtom = { risky: false };
+          continue;
+        }
+        repeating = bounds[2] !== undefined && (bounds[3] === '' || parseInt(bounds[3]) > 1);
+        i += bounds[0].length - 1;
+      }
+      if (pattern[i + 1] === '?') i += 1;
+
+      if (repeating) {
+        repeats += 1;
+        if (lastAtom?.risky) return 'cannot repeat a group that repeats, alternates or has optional parts';
+        if (repeats > MAX_REGEX_REPEATS) return `can repeat at most ${MAX_REGEX_REPEATS} times (*, + or {n,m})`;
+      }
+      current.risky = true;
+      lastAtom = null;
+    } else {
+      lastAtom = { risky: false };
+    }
+  }
+
+  return null;
+};
+
+const regexCache = new Map();
+
+const getRegex = (pattern) => {
+  if (!regexCache.has(pattern)) {
+    if (regexCache.size > 500) regexCache.clear();
+    let regex = null;
+    try {
+      // Unsafe patterns saved before the check never match
+      if (!findUnsafeRegex(pattern)) regex = new RegExp(pattern, 'i');
+    } catch (error) {
+      // Invalid patterns never match
+    }
+    regexCache.set(pattern, regex);
+  }
+  return regexCache.get(pattern);
+};
+
+const mergeTags = (tags = [], addTags = []) => {
+  const existing = tags.map(tag => tag.toLowerCase());
+  return [...tags, ...addTags.filter(tag => !existing.includes(tag.toLowerCase()))];
+};
+
+/**
+ * Check a rule definition beyond its schema: a usable regex, a sensible
+ * amount range and a category the user has.
+ * @param {String} userId - Rule owner
+ * @param {Object} rule - type, conditions and actions
+ */
+const validateRuleDefinition = async (userId, { type, conditions = {}, actions = {} }) => {
+  const { descriptionRegex, amountMin, amountMax } = conditions;
+
+  if (descriptionRegex !== undefined) {
+    const problem = findUnsafeRegex(descriptionRegex) || (!getRegex(descriptionRegex) && 'is not a valid regular expression');
+    if (problem) throw badRequest(`descriptionRegex ${problem}`);
+  }
+
+  if (amountMin !== undefined && amountMax !== undefined && amountMin > amountMax) {
+    throw badRequest('amountMin cannot be greater than amountMax');
+  }
+
+  await assertCategory(userId, type, actions.category);
+};
+
+/**
+ * Whether every condition set on a rule matches a transaction.
+ * @param {Object} rule - Rule with conditions
+ * @param {Object} transaction - Expense or income fields
+ * @returns {Boolean}
+ */
+const matchesRule = (rule, transaction) => {
+  const conditions = rule.conditions || {};
+  const description = describeTransaction(transaction);
+
+  if (conditions.descriptionContains &&
+      !normalizeText(description).includes(normalizeText(conditions.descriptionContains))) {
+    return false;
+  }
+
+  if (conditions.descriptionRegex &&
+      !getRegex(conditions.descriptionRegex)?.test(description.slice(0, MAX_REGEX_INPUT))) {
+    return false;
+  }
+
+  if (conditions.amountMin != null && !(transaction.amount >= conditions.amountMin)) return false;
+  if (conditions.amountMax != null && !(transaction.amount <= conditions.amountMax)) return false;
+
+  if (conditions.tags?.length) {
+    const tags = (transaction.tags || []).map(tag => tag.toLowerCase());
+    if (!conditions.tags.some(tag => tags.includes(tag.toLowerCase()))) return false;
+  }
+
+  if (conditions.locationContains &&
+      !normalizeText(transaction.location?.name).includes(normalizeText(conditions.locationContains))) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Run rules over a transaction in order. The first matching rule that sets a
+ * category or recurrence wins; tags from every matching rule are collected.
+ * @param {Array<Object>} rules - Rules sorted by priority
+ * @param {Object} transaction - Expense or income fields
+ * @returns {Object} category, addTags, recurringPeriod and matchedRules
+ */
+const evaluateRules = (rules, transaction) => {
+  const result = { category: undefined, addTags: [], recurringPeriod: undefined, matchedRules: [] };
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, transaction)) continue;
+
+    const actions = rule.actions || {};
+    result.matchedRules.push({ _id: rule._id, name: rule.name });
+    if (actions.category && !result.category) result.category = actions.category;
+    if (actions.recurringPeriod && !result.recurringPeriod) result.recurringPeriod = actions.recurringPeriod;
+    result.addTags = mergeTags(result.addTags, actions.addTags);
+
+    if (rule.stopProcessing) break;
+  }
+
+  return result;
+};
+
+/**
+ * Apply evaluated rule actions to a transaction. Values already on the
+ * transaction win: rules only fill a missing category or recurrence.
+ * @param {Object} transaction - Expense or income fields
+ * @param {Object} result - Result of evaluateRules
+ * @param {Object} [options]
+ * @param {Boolean} [options.allowRecurring] - Apply the recurrence action
+ * @returns {Object} Transaction fields with the actions applied
+ */
+const applyRuleResult = (transaction, result, { allowRecurring = true } = {}) => {
+  const applied = { ...transaction };
+
+  if (!applied.category && result.category) applied.category = result.category;
+  if (result.addTags.length > 0) applied.tags = mergeTags(applied.tags, result.addTags);
+
+  if (allowRecurring && result.recurringPeriod && applied.isRecurring === undefined) {
+    applied.isRecurring = true;
+    applied.recurringPeriod = result.recurringPeriod;
+  }
+
+  return applied;
+};
+
+/**
+ * Get a user's active rules in the order they run.
+ * @param {String} userId - Rule owner
+ * @param {String} type - expense or income
+ * @returns {Array<Object>} Lean rules
+ */
+const getActiveRules = async (userId, type) => {
+  return await Rule.find({ user: userId, type, status: 'active' })
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+};
+
+/**
+ * Run the user's active rules over a new transaction.
+ * @param {String} userId - Transaction owner
+ * @param {String} type - expense or income
+ * @param {Object} transaction - Submitted fields
+ * @returns {Object} transaction with rule actions applied, and matchedRules
+ */
+const applyRules = async (userId, type, transaction) => {
+  const rules = await getActiveRules(userId, type);
+  const result = evaluateRules(rules, transaction);
+
+  return {
+    transaction: applyRuleResult(transaction, result),
+    matchedRules: result.matchedRules
+  };
+};
+
+/**
+ * Priority that places a new rule after the user's existing rules.
+ * @param {String} userId - Rule owner
+ * @param {String} type - expense or income
+ * @returns {Number}
+ */
+const getNextPriority = async (userId, type) => {
+  const last = await Rule.findOne({ user: userId, type }).sort({ priority: -1 }).select('priority');
+  return last ? last.priority + 1 : 1;
+};
+
+/**
+ * Dry-run a rule against recent transactions without changing them.
+ * @param {String} userId - Transaction owner
+ * @param {Object} rule - type, conditions and actions
+ * @param {Number} [days] - How far back to look
+ * @returns {Object} Scanned and matched counts with the changes per matching transaction
+ */
+const testRule = async (userId, rule, days = 90) => {
+  const Model = rule.type === 'expense' ? Expense : Income;
+  const since = moment().subtract(days, 'days').startOf('day').toDate();
+  const actions = rule.actions || {};
+
+  const transactions = await Model.find({ user: userId, date: { $gte: since } })
+    .sort({ date: -1 })
+    .limit(MAX_TEST_TRANSACTIONS)
+    .lean();
+
+  const matches = transactions.filter(transaction => matchesRule(rule, transaction)).map(transaction => {
+    const changes = {};
+    if (actions.category && actions.category !== transaction.category) {
+      changes.category = { from: transaction.category, to: actions.category };
+    }
+
+    const tags = transaction.tags || [];
+    const addedTags = mergeTags(tags, actions.addTags).slice(tags.length);
+    if (addedTags.length > 0) changes.addTags = addedTags;
+
+    if (actions.recurringPeriod && !transaction.isRecurring) {
+      changes.recurringPeriod = actions.recurringPeriod;
+    }
+
+    return {
+      _id: transaction._id,
+      date: transaction.date,
+      description: transaction.description,
+      source: transaction.source,
+      amount: transaction.amount,
+      category: transaction.category,
+      changes
+    };
+  });
+
+  return {
+    days,
+    scanned: transactions.length,
+    matched: matches.length,
+    wouldChange: matches.filter(match => Object.keys(match.changes).length > 0).length,
+    transactions: matches.slice(0, MAX_TEST_RESULTS)
+  };
+};
+
+// Leading words without digits: "UBER *TRIP 4411 HELP.UBER.COM" -> "uber trip help"
+const toLearnedPattern = (description) => normalizeText(description)
+  .split(' ')
+  .filter(word => word && !/\d/.test(word))
+  .slice(0, LEARNED_PATTERN_WORDS)
+  .join(' ');
+
+/**
+ * Record that a user moved a transaction to another category and propose a
+ * rule once similar transactions were moved to the same category
+ * LEARN_MIN_CORRECTIONS times. Honors the learnCategoryRules setting.
+ * @param {String} userId - Transaction owner
+ * @param {String} type - expense or income
+ * @param {Object} transaction - Transaction before the update
+ * @param {String} toCategory - Category chosen by the user
+ * @returns {Object|null} Newly proposed rule
+ */
+const learnFromCorrection = async (userId, type, transaction, toCategory) => {
+  try {
+    if (!toCategory || toCategory === transaction.category) return null;
+
+    const settings = await UserSettings.findOne({ userId }).select('learnCategoryRules');
+    if (settings?.learnCategoryRules === false) return null;
+
+    const pattern = toLearnedPattern(describeTransaction(transaction));
+    if (pattern.length < 3) return null;
+
+    await CategoryCorrection.findOneAndUpdate(
+      { transaction: transaction._id },
+      { user: userId, type, pattern, fromCategory: transaction.category, toCategory },
+      { upsert: true }
+    );
+
+    const corrections = await CategoryCorrection.countDocuments({ user: userId, type, pattern, toCategory });
+    if (corrections < LEARN_MIN_CORRECTIONS) return null;
+
+    // Already covered by a rule or an earlier proposal, accepted or not
+    if (await Rule.exists({ user: userId, type, 'conditions.descriptionContains': pattern })) return null;
+
+    return await Rule.create({
+      user: userId,
+      name: `Move "${pattern}" to ${toCategory}`,
+      type,
+      conditions: { descriptionContains: pattern },
+      actions: { category: toCategory },
+      priority: await getNextPriority(userId, type),
+      status: 'proposed',
+      source: 'learned'
+    });
+  } catch (error) {
+    // Silent learning error - rule proposals should not affect transaction updates
+    return null;
+  }
+};
+
+module.exports = {
+  validateRuleDefinition,
+  matchesRule,
+  evaluateRules,
+  applyRuleResult,
+  getActiveRules,
+  applyRules,
+  getNextPriority,
+  testRule,
+  learnFromCorrection
+};
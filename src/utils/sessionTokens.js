@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken } = require('../middleware/auth');
+
+// Number of rotated-out token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const getRefreshTokenLifetimeMs = () =>
+  parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30') * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Start a new session for a signed-in user.
+ * @param {String} userId - Authenticated user
+ * @param {Object} req - Express request, used to describe the device
+ * @returns {Object} Access token, refresh token and the session
+ */
+const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent')?.slice(0, 500),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenLifetimeMs())
+  });
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting a token that was already rotated out means it leaked, so the
+ * whole session (token family) is revoked.
+ * @param {String} refreshToken - Refresh token issued by createSession or a previous rotation
+ * @returns {Object} New access token, refresh token and the session
+ */
+const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  // Compare-and-set on the current hash so concurrent refreshes cannot both win
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTokenLifetimeMs())
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      token: generateToken(session.user, session._id),
+      refreshToken: nextRefreshToken,
+      session
+    };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHashes: tokenHash, revokedAt: null },
+    { revokedAt: now, revokedReason: 'reuse_detected' }
+  );
+  if (reused) {
+    throw authError('Refresh token reuse detected, session revoked');
+  }
+
+  throw authError('Invalid or expired refresh token');
+};
+
+/**
+ * Revoke the session a refresh token belongs to.
+ * @param {String} refreshToken - Current or rotated-out refresh token
+ * @returns {Object|null} Revoked session, or null when the token is unknown
+ */
+const revokeSessionByToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  return await Session.findOneAndUpdate(
+    {
+      $or: [{ tokenHash }, { previousTokenHashes: tokenHash }],
+      revokedAt: null
+    },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+};
+
+/**
+ * Revoke every active session of a user.
+ * @param {String} userId - Session owner
+ * @param {String} reason - Revocation reason
+ * @param {String} [exceptSessionId] - Session to keep signed in
+ * @returns {Number} Number of revoked sessions
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeUserSessions
+};
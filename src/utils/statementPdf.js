@@ -0,0 +1,248 @@
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+
+const BRAND_COLOR = '#2E7D32';
+const BRAND_LIGHT = '#E8F5E9';
+const TEXT_COLOR = '#212121';
+const MUTED_COLOR = '#757575';
+const ROW_SHADE = '#F5F5F5';
+const CHART_COLORS = ['#43A047', '#1E88E5', '#FB8C00', '#8E24AA', '#E53935', '#00ACC1', '#FDD835', '#6D4C41'];
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const ROW_HEIGHT = 20;
+// Categories drawn in the chart before the rest are grouped as Other
+const MAX_CHART_CATEGORIES = 8;
+
+// The built-in Helvetica only covers Windows-1252; other symbols need PDF_FONT_PATH
+const isWinAnsi = (text) => /^[\x20-\x7E\u00A0-\u00FF\u20AC]*$/.test(text);
+
+const getFonts = () => {
+  if (!process.env.PDF_FONT_PATH) {
+    return { regular: 'Helvetica', bold: 'Helvetica-Bold', unicode: false };
+  }
+  return {
+    regular: process.env.PDF_FONT_PATH,
+    bold: process.env.PDF_BOLD_FONT_PATH || process.env.PDF_FONT_PATH,
+    unicode: true
+  };
+};
+
+/**
+ * Render a monthly statement as a PDF: summary, income and expense tables,
+ * a spending-by-category chart and goal progress.
+ * @param {Object} report - Monthly report (period, summary, incomeByCategory, expensesByCategory, goalProgress)
+ * @param {Object} options
+ * @param {Object} options.user - Statement holder (name, email)
+ * @param {String} options.currencySymbol - Symbol of the base currency
+ * @param {Date} [options.generatedAt] - Generation time printed on the statement
+ * @returns {PDFDocument} Finished document, readable as a stream
+ */
+const createMonthlyStatement = (report, { user, currencySymbol, generatedAt = new Date() }) => {
+  const fonts = getFonts();
+  const { summary } = report;
+  const symbol = fonts.unicode || isWinAnsi(currencySymbol) ? currencySymbol : `${summary.baseCurrency} `;
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `HealthyWallet statement ${report.period.monthName}`,
+      Author: 'HealthyWallet',
+      Subject: `Monthly statement for ${user.name}`
+    }
+  });
+  if (fonts.unicode) {
+    doc.registerFont('Regular', fonts.regular);
+    doc.registerFont('Bold', fonts.bold);
+  }
+  const regular = fonts.unicode ? 'Regular' : fonts.regular;
+  const bold = fonts.unicode ? 'Bold' : fonts.bold;
+
+  const width = doc.page.width - MARGIN * 2;
+  const bottom = () => doc.page.height - MARGIN - FOOTER_HEIGHT;
+
+  const money = (amount) => {
+    const formatted = Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${amount < 0 ? '-' : ''}${symbol}${formatted}`;
+  };
+  const percent = (value) => `${Math.round(value)}%`;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      doc.y = MARGIN;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(60);
+    doc.moveDown(0.8);
+    doc.font(bold).fontSize(13).fillColor(BRAND_COLOR).text(text, MARGIN, doc.y);
+    doc.moveTo(MARGIN, doc.y + 2).lineTo(MARGIN + width, doc.y + 2).lineWidth(1).strokeColor(BRAND_COLOR).stroke();
+    doc.y += 10;
+  };
+
+  // Columns: { label, width (share of the table), align }
+  const table = (columns, rows, emptyText) => {
+    const widths = columns.map(column => column.width * width);
+    const drawRow = (cells, { header = false, shade = false } = {}) => {
+      ensureSpace(ROW_HEIGHT);
+      const y = doc.y;
+      if (header || shade) {
+        doc.rect(MARGIN, y, width, ROW_HEIGHT).fill(header ? BRAND_LIGHT : ROW_SHADE);
+      }
+      let x = MARGIN;
+      cells.forEach((cell, index) => {
+        doc.font(header ? bold : regular).fontSize(9).fillColor(TEXT_COLOR)
+          .text(String(cell), x + 6, y + 6, { width: widths[index] - 12, align: columns[index].align || 'left', lineBreak: false, ellipsis: true });
+        x += widths[index];
+      });
+      doc.y = y + ROW_HEIGHT;
+    };
+
+    drawRow(columns.map(column => column.label), { header: true });
+    if (rows.length === 0) {
+      drawRow([emptyText, ...columns.slice(1).map(() => '')]);
+      return;
+    }
+    rows.forEach((row, index) => drawRow(row, { shade: index % 2 === 1 }));
+  };
+
+  const categoryRows = (rows, total) => rows.map(row => [
+    row.categoryDetails?.name || row._id,
+    row.count,
+    money(row.totalAmount),
+    percent(total > 0 ? (row.totalAmount / total) * 100 : 0)
+  ]);
+  const categoryColumns = [
+    { label: 'Category', width: 0.46 },
+    { label: 'Transactions', width: 0.16, align: 'right' },
+    { label: 'Amount', width: 0.24, align: 'right' },
+    { label: 'Share', width: 0.14, align: 'right' }
+  ];
+
+  // Header band
+  doc.rect(0, 0, doc.page.width, 96).fill(BRAND_COLOR);
+  doc.font(bold).fontSize(22).fillColor('#FFFFFF').text('HealthyWallet', MARGIN, 30);
+  doc.font(regular).fontSize(11).text('Monthly Statement', MARGIN, 58);
+  doc.font(bold).fontSize(16).text(report.period.monthName, MARGIN, 34, { width, align: 'right' });
+
+  // Statement details
+  const periodStart = moment.utc([report.period.year, report.period.month - 1, 1]);
+  const details = [
+    ['Prepared for', user.email ? `${user.name} (${user.email})` : user.name],
+    ['Statement period', `${periodStart.format('D MMM YYYY')} - ${periodStart.clone().endOf('month').format('D MMM YYYY')}`],
+    ['Currency', summary.baseCurrency],
+    ['Generated', moment(generatedAt).format('D MMM YYYY, HH:mm')]
+  ];
+  doc.y = 116;
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font(bold).fontSize(9).fillColor(MUTED_COLOR).text(label, MARGIN, y, { width: 110 });
+    doc.font(regular).fontSize(9).fillColor(TEXT_COLOR).text(value, MARGIN + 110, y, { width: width - 110 });
+    doc.y = y + 15;
+  });
+
+  // Summary cards
+  heading('Summary');
+  const cards = [
+    ['Total income', money(summary.totalIncome)],
+    ['Total expenses', money(summary.totalExpenses)],
+    ['Net savings', money(summary.netSavings)],
+    ['Savings rate', percent(summary.savingsRate)]
+  ];
+  const gap = 10;
+  const cardWidth = (width - gap * (cards.length - 1)) / cards.length;
+  const cardTop = doc.y;
+  cards.forEach(([label, value], index) => {
+    const x = MARGIN + index * (cardWidth + gap);
+    doc.roundedRect(x, cardTop, cardWidth, 52, 4).fill(BRAND_LIGHT);
+    doc.font(regular).fontSize(8).fillColor(MUTED_COLOR).text(label, x + 8, cardTop + 10, { width: cardWidth - 16 });
+    doc.font(bold).fontSize(12).fillColor(TEXT_COLOR).text(value, x + 8, cardTop + 26, { width: cardWidth - 16, lineBreak: false, ellipsis: true });
+  });
+  doc.y = cardTop + 52;
+
+  heading('Income');
+  table(categoryColumns, categoryRows(report.incomeByCategory, summary.totalIncome), 'No income recorded');
+
+  heading('Expenses');
+  table(categoryColumns, categoryRows(report.expensesByCategory, summary.totalExpenses), 'No expenses recorded');
+
+  // Spending by category chart
+  if (report.expensesByCategory.length > 0) {
+    heading('Spending by Category');
+    const bars = report.expensesByCategory.slice(0, MAX_CHART_CATEGORIES).map((row, index) => ({
+      label: row.categoryDetails?.name || row._id,
+      amount: row.totalAmount,
+      color: row.categoryDetails?.color || CHART_COLORS[index % CHART_COLORS.length]
+    }));
+    const rest = report.expensesByCategory.slice(MAX_CHART_CATEGORIES);
+    if (rest.length > 0) {
+      bars.push({ label: 'Other', amount: rest.reduce((sum, row) => sum + row.totalAmount, 0), color: '#BDBDBD' });
+    }
+
+    const labelWidth = 130;
+    const valueWidth = 90;
+    const barArea = width - labelWidth - valueWidth - 10;
+    const largest = Math.max(...bars.map(bar => bar.amount), 0.01);
+    bars.forEach(bar => {
+      ensureSpace(18);
+      const y = doc.y;
+      doc.font(regular).fontSize(9).fillColor(TEXT_COLOR)
+        .text(bar.label, MARGIN, y + 2, { width: labelWidth - 8, lineBreak: false, ellipsis: true });
+      doc.rect(MARGIN + labelWidth, y, Math.max((bar.amount / largest) * barArea, 1), 12).fill(bar.color);
+      doc.font(regular).fontSize(9).fillColor(TEXT_COLOR)
+        .text(money(bar.amount), MARGIN + width - valueWidth, y + 2, { width: valueWidth, align: 'right', lineBreak: false });
+      doc.y = y + 18;
+    });
+  }
+
+  // Goal progress
+  heading('Goal Progress');
+  if (report.goalProgress.length === 0) {
+    doc.font(regular).fontSize(9).fillColor(MUTED_COLOR).text('No active goals', MARGIN, doc.y);
+  }
+  report.goalProgress.forEach(goal => {
+    ensureSpace(46);
+    const y = doc.y;
+    const progress = Math.min(goal.progress, 100);
+    doc.font(bold).fontSize(10).fillColor(TEXT_COLOR)
+      .text(goal.title, MARGIN, y, { width: width * 0.6, lineBreak: false, ellipsis: true });
+    doc.font(regular).fontSize(9).fillColor(MUTED_COLOR)
+      .text(`${money(goal.currentAmount)} of ${money(goal.targetAmount)} (${percent(progress)})`, MARGIN + width * 0.4, y + 1, { width: width * 0.6, align: 'right' });
+    doc.roundedRect(MARGIN, y + 16, width, 8, 4).fill('#E0E0E0');
+    if (progress > 0) {
+      doc.roundedRect(MARGIN, y + 16, Math.max((progress / 100) * width, 8), 8, 4).fill(BRAND_COLOR);
+    }
+    if (goal.contributed > 0) {
+      doc.font(regular).fontSize(8).fillColor(MUTED_COLOR)
+        .text(`Contributed this month: ${money(goal.contributed)}`, MARGIN, y + 27);
+    }
+    doc.y = y + 46;
+  });
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const { margins } = doc.page;
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins = { ...margins, bottom: 0 };
+    doc.font(regular).fontSize(8).fillColor(MUTED_COLOR).text(
+      `HealthyWallet monthly statement - ${report.period.monthName} - Amounts in ${summary.baseCurrency} - Page ${index + 1} of ${range.count}`,
+      MARGIN,
+      doc.page.height - MARGIN,
+      { width, align: 'center', lineBreak: false }
+    );
+    doc.page.margins = margins;
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  createMonthlyStatement
+};
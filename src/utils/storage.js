@@ -0,0 +1,202 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Objects kept by the memory driver
+const memoryObjects = new Map();
+
+/**
+ * Storage drivers. Each exposes put(key, body, options), get(key),
+ * delete(key) and deletePrefix(prefix). get resolves to { stream, size,
+ * contentType } or null when the object does not exist.
+ */
+const DRIVERS = {
+  // Files under STORAGE_LOCAL_DIR
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'));
+
+    const resolveKey = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      put: async (key, body) => {
+        const file = resolveKey(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, body);
+      },
+      get: async (key) => {
+        const file = resolveKey(key);
+        try {
+          const stats = await fs.stat(file);
+          return { stream: createReadStream(file), size: stats.size };
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      },
+      delete: async (key) => {
+        await fs.rm(resolveKey(key), { force: true });
+      },
+      deletePrefix: async (prefix) => {
+        await fs.rm(resolveKey(prefix), { recursive: true, force: true });
+      }
+    };
+  },
+
+  // Any S3-compatible service (AWS S3, MinIO, R2, ...)
+  s3: () => {
+    // Loaded on demand so the SDK is only required when this driver is used
+    const {
+      S3Client,
+      PutObjectCommand,
+      GetObjectCommand,
+      DeleteObjectCommand,
+      DeleteObjectsCommand,
+      ListObjectsV2Command
+    } = require('@aws-sdk/client-s3');
+
+    const bucket = process.env.S3_BUCKET;
+    const endpoint = process.env.S3_ENDPOINT || undefined;
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint,
+      // Self-hosted services usually only support path-style bucket addressing
+      forcePathStyle: endpoint ? process.env.S3_FORCE_PATH_STYLE !== 'false' : false,
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+
+    return {
+      put: async (key, body, { contentType } = {}) => {
+        await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+      },
+      get: async (key) => {
+        try {
+          const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+          return { stream: result.Body, size: result.ContentLength, contentType: result.ContentType };
+        } catch (error) {
+          if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+          throw error;
+        }
+      },
+      delete: async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      },
+      deletePrefix: async (prefix) => {
+        let continuationToken;
+        do {
+          const page = await client.send(new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+          }));
+
+          const objects = (page.Contents || []).map(object => ({ Key: object.Key }));
+          if (objects.length > 0) {
+            await client.send(new DeleteObjectsCommand({
+              Bucket: bucket,
+              Delete: { Objects: objects, Quiet: true }
+            }));
+          }
+
+          continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+      }
+    };
+  },
+
+  // Keep objects in memory, for tests
+  memory: () => ({
+    put: async (key, body, { contentType } = {}) => {
+      memoryObjects.set(key, { body: Buffer.from(body), contentType });
+    },
+    get: async (key) => {
+      const object = memoryObjects.get(key);
+      if (!object) return null;
+      return { stream: Readable.from([object.body]), size: object.body.length, contentType: object.contentType };
+    },
+    delete: async (key) => {
+      memoryObjects.delete(key);
+    },
+    deletePrefix: async (prefix) => {
+      [...memoryObjects.keys()]
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => memoryObjects.delete(key));
+    }
+  })
+};
+
+let activeDriver = null;
+
+const getDefaultDriverName = () => (process.env.NODE_ENV === 'test' ? 'memory' : 'local');
+
+const getDriver = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || getDefaultDriverName();
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    activeDriver = DRIVERS[name]();
+  }
+  return activeDriver;
+};
+
+/**
+ * Store an object through the configured driver (STORAGE_DRIVER).
+ * @param {String} key - Object key, e.g. userId/expense/transactionId/file.pdf
+ * @param {Buffer} body - Object content
+ * @param {Object} [options]
+ * @param {String} [options.contentType] - MIME type
+ */
+const putObject = async (key, body, options) => {
+  await getDriver().put(key, body, options);
+};
+
+/**
+ * Read an object.
+ * @param {String} key - Object key
+ * @returns {Object|null} stream and size, or null when the object does not exist
+ */
+const getObject = async (key) => {
+  return await getDriver().get(key);
+};
+
+const deleteObject = async (key) => {
+  await getDriver().delete(key);
+};
+
+/**
+ * Delete every object whose key starts with a prefix.
+ * @param {String} prefix - Key prefix ending in "/"
+ */
+const deletePrefix = async (prefix) => {
+  await getDriver().deletePrefix(prefix);
+};
+
+/**
+ * Replace the active driver, e.g. to point tests at another driver.
+ * @param {String|Object|null} driver - Driver name, driver object, or null to reset
+ */
+const setDriver = (driver) => {
+  activeDriver = typeof driver === 'string' ? DRIVERS[driver]() : driver;
+};
+
+const clearMemoryObjects = () => {
+  memoryObjects.clear();
+};
+
+module.exports = {
+  putObject,
+  getObject,
+  deleteObject,
+  deletePrefix,
+  setDriver,
+  clearMemoryObjects
+};
@@ -0,0 +1,382 @@
+const moment = require('moment');
+const Expense = require('../models/Expense');
+const Subscription = require('../models/Subscription');
+const UserSettings = require('../models/UserSettings');
+const { roundAmount } = require('./currencyAmounts');
+const { getBaseCurrency, getExchangeRate } = require('./exchangeRates');
+const { getNextRecurringDate } = require('./recurrence');
+const { merchantKey } = require('./merchants');
+
+// Interval between charges (days), allowed drift and cost per month of each cadence
+const CADENCES = {
+  weekly: { days: 7, tolerance: 2, perMonth: 52 / 12, minCharges: 3 },
+  monthly: { days: 30.44, tolerance: 4, perMonth: 1, minCharges: 3 },
+  yearly: { days: 365.25, tolerance: 10, perMonth: 1 / 12, minCharges: 2 }
+};
+
+// Months of history scanned, enough for two yearly charges
+const LOOKBACK_MONTHS = 25;
+// Share of intervals that must match the cadence
+const MIN_CADENCE_FIT = 0.75;
+// Share of charges that may differ from the previous amount (by more than
+// 5%); one price change is always allowed, varying purchases are not
+const MAX_AMOUNT_CHANGES = 0.25;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const sameAmount = (a, b) => Math.abs(a - b) <= Math.max(a, b) * 0.05;
+
+/**
+ * Decide whether a merchant's charges repeat on a weekly, monthly or yearly cadence.
+ * @param {Array<Object>} charges - Expenses of one merchant, oldest first
+ * @param {Date} now - Reference time; series whose next charge is long overdue have lapsed
+ * @returns {Object|null} cadence, amounts, dates, price changes and confidence
+ */
+const analyzeCharges = (charges, now) => {
+  if (charges.length < 2) return null;
+
+  const intervals = charges.slice(1).map((charge, index) =>
+    moment(charge.date).diff(charges[index].date, 'days', true)
+  );
+  const typicalInterval = median(intervals);
+  const cadence = Object.keys(CADENCES).find(name =>
+    Math.abs(typicalInterval - CADENCES[name].days) <= CADENCES[name].tolerance
+  );
+  if (!cadence || charges.length < CADENCES[cadence].minCharges) return null;
+
+  const { days, tolerance, perMonth } = CADENCES[cadence];
+  const cadenceFit = intervals.filter(interval => Math.abs(interval - days) <= tolerance).length / intervals.length;
+  const repeated = charges.slice(1).filter((charge, index) => sameAmount(charge.amount, charges[index].amount)).length;
+  const allowedChanges = Math.max(1, Math.floor(intervals.length * MAX_AMOUNT_CHANGES));
+  if (cadenceFit < MIN_CADENCE_FIT || intervals.length - repeated > allowedChanges) return null;
+
+  const last = charges[charges.length - 1];
+  const nextChargeDate = getNextRecurringDate(last.date, cadence);
+  if (moment(now).isAfter(moment(nextChargeDate).add(tolerance * 2, 'days'))) return null;
+
+  const priceChanges = charges.slice(1).flatMap((charge, index) => {
+    const previous = charges[index].amount;
+    return Math.abs(charge.amount - previous) >= 0.01
+      ? [{ date: charge.date, from: previous, to: charge.amount, change: roundAmount(charge.amount - previous) }]
+      : [];
+  });
+
+  return {
+    cadence,
+    amount: last.amount,
+    currency: last.currency,
+    chargeCount: charges.length,
+    firstChargeDate: charges[0].date,
+    lastChargeDate: last.date,
+    nextChargeDate,
+    monthlyCost: roundAmount((last.baseAmount ?? last.amount) * perMonth),
+    priceChanges,
+    confidence: roundAmount(cadenceFit * (repeated / intervals.length))
+  };
+};
+
+const findProposals = async (userId, now) => {
+  const [expenses, known] = await Promise.all([
+    Expense.find({
+      user: userId,
+      date: { $gte: moment(now).subtract(LOOKBACK_MONTHS, 'months').toDate(), $lte: now },
+      // Charges already generated by a recurring template are tracked
+      isRecurring: { $ne: true },
+      recurringSource: { $exists: false }
+    })
+      .select('amount baseAmount currency category description date')
+      .sort({ date: 1 })
+      .lean(),
+    Subscription.find({ user: userId }).select('merchant')
+  ]);
+
+  const knownMerchants = new Set(known.map(subscription => subscription.merchant));
+  const byMerchant = new Map();
+  expenses.forEach(expense => {
+    const merchant = merchantKey(expense.description);
+    if (!merchant || knownMerchants.has(merchant)) return;
+    if (!byMerchant.has(merchant)) byMerchant.set(merchant, []);
+    byMerchant.get(merchant).push(expense);
+  });
+
+  const proposals = [];
+  byMerchant.forEach((charges, merchant) => {
+    const analysis = analyzeCharges(charges, now);
+    if (!analysis) return;
+
+    const last = charges[charges.length - 1];
+    proposals.push({
+      merchant,
+      name: last.description,
+      category: last.category,
+      ...analysis,
+      expenses: charges.map(charge => charge._id),
+      latestExpense: last._id
+    });
+  });
+
+  return proposals.sort((a, b) => b.monthlyCost - a.monthlyCost);
+};
+
+/**
+ * Scan the expense history for periodic charges that are not tracked yet.
+ * Charges are grouped by merchant (normalized description); merchants that
+ * already have a subscription, confirmed or ignored, are skipped.
+ * @param {String} userId - Expense owner
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @returns {Array<Object>} Proposals, most expensive first
+ */
+const detectSubscriptions = async (userId, { now = new Date() } = {}) => {
+  const proposals = await findProposals(userId, now);
+  return proposals.map(({ latestExpense, ...proposal }) => proposal);
+};
+
+const findProposal = async (userId, merchant, now) => {
+  const proposal = (await findProposals(userId, now)).find(candidate => candidate.merchant === merchant);
+  if (!proposal) {
+    throw notFound('No detected subscription for this merchant');
+  }
+  return proposal;
+};
+
+/**
+ * Confirm a detected subscription. Its latest charge becomes a recurring
+ * expense template, so the scheduler records the next charges.
+ * @param {String} userId - Expense owner
+ * @param {String} merchant - Merchant of a current proposal
+ * @param {Object} [fields] - name and category overrides
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Subscription document
+ */
+const confirmSubscription = async (userId, merchant, { name, category } = {}, now = new Date()) => {
+  const proposal = await findProposal(userId, merchant, now);
+
+  const template = await Expense.findOneAndUpdate(
+    { _id: proposal.latestExpense, user: userId },
+    {
+      isRecurring: true,
+      recurringPeriod: proposal.cadence,
+      nextRecurringDate: proposal.nextChargeDate,
+      ...(category && { category })
+    },
+    { new: true }
+  );
+
+  const firstAmount = proposal.priceChanges.length > 0 ? proposal.priceChanges[0].from : proposal.amount;
+  return await Subscription.create({
+    user: userId,
+    name: name || proposal.name || merchant,
+    merchant,
+    category: template.category,
+    amount: proposal.amount,
+    currency: proposal.currency,
+    cadence: proposal.cadence,
+    template: template._id,
+    priceHistory: [
+      { amount: firstAmount, date: proposal.firstChargeDate },
+      ...proposal.priceChanges.map(change => ({ amount: change.to, date: change.date }))
+    ],
+    lastChargeDate: proposal.lastChargeDate,
+    nextChargeDate: proposal.nextChargeDate
+  });
+};
+
+/**
+ * Stop proposing a detected subscription.
+ * @param {String} userId - Expense owner
+ * @param {String} merchant - Merchant of a current proposal
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Ignored subscription document
+ */
+const ignoreSubscription = async (userId, merchant, now = new Date()) => {
+  const proposal = await findProposal(userId, merchant, now);
+
+  return await Subscription.create({
+    user: userId,
+    name: proposal.name || merchant,
+    merchant,
+    category: proposal.category,
+    amount: proposal.amount,
+    currency: proposal.currency,
+    cadence: proposal.cadence,
+    status: 'ignored'
+  });
+};
+
+/**
+ * Stop a subscription's template from generating further charges.
+ * @param {Object} subscription - Subscription document
+ */
+const stopTemplate = async (subscription) => {
+  if (!subscription.template) return;
+
+  await Expense.updateOne(
+    { _id: subscription.template, user: subscription.user },
+    { isRecurring: false, $unset: { nextRecurringDate: 1 } }
+  );
+};
+
+/**
+ * Restart a cancelled subscription's template from its next date after now.
+ * @param {Object} subscription - Subscription document
+ * @param {Date} [now] - Reference time
+ */
+const resumeTemplate = async (subscription, now = new Date()) => {
+  if (!subscription.template) return;
+
+  const template = await Expense.findOne({ _id: subscription.template, user: subscription.user });
+  if (!template) return;
+
+  template.isRecurring = true;
+  template.recurringPeriod = subscription.cadence;
+  template.nextRecurringDate = getNextRecurringDate(now, subscription.cadence, template.date);
+  await template.save();
+  subscription.nextChargeDate = template.nextRecurringDate;
+};
+
+/**
+ * Catch a subscription up with charges recorded since its last charge.
+ * A new amount is added to the price history and, when the charge is not the
+ * template, the template moves to that charge so later charges use the new price.
+ * @param {Object} subscription - Active subscription document
+ * @param {Date} now - Reference time; later charges are left for a later run
+ * @returns {Boolean} Whether the subscription changed and was saved
+ */
+const refreshSubscription = async (subscription, now) => {
+  const charges = await Expense.find({
+    user: subscription.user,
+    merchant: subscription.merchant,
+    date: { $gt: subscription.lastChargeDate, $lte: now }
+  })
+    .select('amount currency date')
+    .sort({ date: 1 })
+    .lean();
+  if (charges.length === 0) return false;
+
+  let priceChanged = false;
+  charges.forEach(charge => {
+    if (Math.abs(charge.amount - subscription.amount) >= 0.01) {
+      subscription.priceHistory.push({ amount: charge.amount, date: charge.date });
+      subscription.amount = charge.amount;
+      priceChanged = true;
+    }
+  });
+
+  const last = charges[charges.length - 1];
+  subscription.lastChargeDate = last.date;
+
+  const template = subscription.template && await Expense.findById(subscription.template).select('nextRecurringDate');
+  let nextChargeDate = template?.nextRecurringDate;
+  if (priceChanged && template && last._id.toString() !== template._id.toString()) {
+    await stopTemplate(subscription);
+    nextChargeDate = nextChargeDate && nextChargeDate > last.date
+      ? nextChargeDate
+      : getNextRecurringDate(last.date, subscription.cadence);
+    await Expense.updateOne(
+      { _id: last._id },
+      { isRecurring: true, recurringPeriod: subscription.cadence, nextRecurringDate: nextChargeDate }
+    );
+    subscription.template = last._id;
+  }
+  subscription.nextChargeDate = nextChargeDate || getNextRecurringDate(last.date, subscription.cadence);
+
+  await subscription.save();
+  return true;
+};
+
+/**
+ * Catch active subscriptions up with their charges. Run by the recurring
+ * transaction job after it generates the due charges.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @param {String} [options.userId] - Restrict the run to a single user's subscriptions
+ * @returns {Number} Number of subscriptions updated
+ */
+const refreshSubscriptions = async ({ now = new Date(), userId } = {}) => {
+  const query = { status: 'active' };
+  if (userId) query.user = userId;
+
+  let updated = 0;
+  for (const subscription of await Subscription.find(query)) {
+    if (await refreshSubscription(subscription, now)) updated += 1;
+  }
+  return updated;
+};
+
+/**
+ * Confirmed subscriptions with their monthly cost, totals and the ones not
+ * used for a number of months.
+ * @param {String} userId - Subscription owner
+ * @param {Object} [options]
+ * @param {Number} [options.unusedMonths] - Months without reported use before a subscription is listed as unused (default 3)
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object} subscriptions, summary and unused
+ */
+const getSubscriptionOverview = async (userId, { unusedMonths = 3, now = new Date() } = {}) => {
+  const [stored, baseCurrency, settings] = await Promise.all([
+    Subscription.find({ user: userId, status: { $ne: 'ignored' } }).sort({ name: 1 }),
+    getBaseCurrency(userId),
+    UserSettings.findOne({ userId }).select('subscriptions')
+  ]);
+
+  const cache = new Map();
+  const unconverted = new Set();
+  const subscriptions = [];
+  for (const subscription of stored) {
+    const rate = await getExchangeRate(userId, subscription.currency || baseCurrency, baseCurrency, now, cache);
+    if (!rate) unconverted.add(subscription.currency);
+
+    const monthlyCost = rate ? roundAmount(subscription.amount * rate * CADENCES[subscription.cadence].perMonth) : null;
+    const lastUsed = subscription.lastUsedAt || subscription.createdAt;
+    subscriptions.push({
+      ...subscription.toObject(),
+      monthlyCost,
+      monthsSinceUse: Math.floor(moment(now).diff(lastUsed, 'months', true))
+    });
+  }
+
+  const active = subscriptions.filter(subscription => subscription.status === 'active');
+  const unused = active.filter(subscription => subscription.monthsSinceUse >= unusedMonths);
+  const monthlyTotal = active.reduce((sum, subscription) => sum + (subscription.monthlyCost || 0), 0);
+
+  return {
+    subscriptions,
+    summary: {
+      activeCount: active.length,
+      monthlyTotal: roundAmount(monthlyTotal),
+      yearlyTotal: roundAmount(monthlyTotal * 12),
+      baseCurrency,
+      // Estimate entered in settings before subscriptions were tracked
+      manualEstimate: settings?.subscriptions || 0,
+      unconvertedCurrencies: [...unconverted]
+    },
+    unused: {
+      months: unusedMonths,
+      subscriptions: unused,
+      potentialMonthlySavings: roundAmount(unused.reduce((sum, subscription) => sum + (subscription.monthlyCost || 0), 0))
+    }
+  };
+};
+
+module.exports = {
+  CADENCES,
+  analyzeCharges,
+  detectSubscriptions,
+  confirmSubscription,
+  ignoreSubscription,
+  stopTemplate,
+  resumeTemplate,
+  refreshSubscriptions,
+  getSubscriptionOverview
+};
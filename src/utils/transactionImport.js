@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const { expenseSchemas, incomeSchemas } = require('../middleware/validation');
+const { parseStatement } = require('./importParsers');
+const { getBaseCurrency, convertTransaction } = require('./exchangeRates');
+const { FALLBACK_CATEGORY, getUserCategories } = require('./categories');
+const { getActiveRules, evaluateRules, applyRuleResult } = require('./rulesEngine');
+const { resolveAccountFields } = require('./accounts');
+
+// Upper bound on rows accepted from a single statement
+const MAX_IMPORT_ROWS = 5000;
+
+// Keywords used to guess a category from bank descriptions
+const EXPENSE_CATEGORY_KEYWORDS = {
+  food: ['grocery', 'groceries', 'supermarket', 'restaurant', 'cafe', 'coffee', 'starbucks', 'mcdonald', 'pizza', 'bakery', 'food', 'dining', 'uber eats', 'doordash'],
+  transport: ['uber', 'lyft', 'taxi', 'fuel', 'gas station', 'petrol', 'shell', 'parking', 'metro', 'train', 'bus', 'transit', 'toll', 'auto'],
+  entertainment: ['netflix', 'spotify', 'cinema', 'movie', 'theater', 'concert', 'steam', 'playstation', 'xbox', 'entertainment'],
+  bills: ['electric', 'utility', 'utilities', 'water', 'internet', 'phone', 'mobile', 'rent', 'insurance', 'mortgage', 'bill'],
+  shopping: ['amazon', 'walmart', 'target', 'ikea', 'store', 'shop', 'mall', 'clothing', 'shopping'],
+  healthcare: ['pharmacy', 'doctor', 'hospital', 'clinic', 'dental', 'medical', 'health'],
+  education: ['tuition', 'school', 'university', 'college', 'course', 'udemy', 'book', 'education'],
+  travel: ['hotel', 'airbnb', 'airline', 'airways', 'flight', 'booking.com', 'expedia', 'travel']
+};
+
+const INCOME_CATEGORY_KEYWORDS = {
+  salary: ['salary', 'payroll', 'wage', 'direct dep', 'paycheck'],
+  freelance: ['invoice', 'upwork', 'fiverr', 'freelance', 'consulting', 'contract'],
+  investment: ['dividend', 'interest', 'brokerage', 'capital gain', 'investment'],
+  business: ['business', 'sales', 'stripe', 'square', 'shopify']
+};
+
+const DEBIT_TYPES = /^(debit|dr|expense|withdrawal|pos|atm|payment|fee|check|srvchg)$/i;
+const CREDIT_TYPES = /^(credit|cr|income|deposit|dep|int|div|directdep)$/i;
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+const truncate = (value, length) => (value ? String(value).slice(0, length) : value);
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const containsWord = (text, word) => new RegExp(`\\b${escapeRegExp(word)}s?\\b`).test(text);
+
+/**
+ * Decide whether a statement row is an expense or income.
+ * An explicit import type wins, then the row's own type column, then the amount sign.
+ */
+const resolveType = (row, importType) => {
+  if (importType === 'expense' || importType === 'income') return importType;
+  if (row.type && DEBIT_TYPES.test(row.type)) return 'expense';
+  if (row.type && CREDIT_TYPES.test(row.type)) return 'income';
+  return row.amount < 0 ? 'expense' : 'income';
+};
+
+// Category the user mapped this row to through the categoryMap option
+const findMappedCategory = (row, categoryMap = {}, keys = []) => {
+  const rawCategory = normalizeText(row.category);
+  const description = normalizeText(row.description);
+
+  const mapped = Object.keys(categoryMap).find(key => {
+    const needle = normalizeText(key);
+    return needle && (rawCategory === needle || description.includes(needle));
+  });
+  return mapped && keys.includes(categoryMap[mapped]) ? categoryMap[mapped] : null;
+};
+
+/**
+ * Map a statement row onto one of the user's categories.
+ * Order: user-supplied category map, the row's own category when it matches a
+ * category key or name, keyword match on category and description, then other.
+ */
+const resolveCategory = (type, row, categoryMap = {}, categories = []) => {
+  const keywords = type === 'expense' ? EXPENSE_CATEGORY_KEYWORDS : INCOME_CATEGORY_KEYWORDS;
+  const keys = categories.map(category => category.key);
+  const keysByName = new Map(categories.flatMap(category => [
+    [category.key, category.key],
+    [normalizeText(category.name), category.key]
+  ]));
+  const rawCategory = normalizeText(row.category);
+  const description = normalizeText(row.description);
+
+  const mapped = findMappedCategory(row, categoryMap, keys);
+  if (mapped) return mapped;
+
+  // QIF categories are hierarchical ("Food:Groceries"); prefer the most specific match
+  const directMatch = rawCategory.split(':').reverse()
+    .map(part => keysByName.get(part.trim()))
+    .find(Boolean);
+  if (directMatch) return directMatch;
+
+  const haystack = `${rawCategory} ${description}`;
+  const guessed = Object.keys(keywords).find(category =>
+    keys.includes(category) && keywords[category].some(keyword => containsWord(haystack, keyword))
+  );
+
+  return guessed || FALLBACK_CATEGORY;
+};
+
+const toPayload = (type, row, category, currency) => {
+  const payload = {
+    amount: row.amount === null || row.amount === undefined ? undefined : Math.abs(row.amount),
+    category,
+    date: row.date || undefined
+  };
+
+  if (currency) payload.currency = currency;
+
+  const description = truncate(row.description || row.memo, 255);
+  if (description) payload.description = description;
+
+  if (type === 'income') {
+    payload.source = truncate(row.payee || row.description || 'Imported transaction', 100);
+  }
+
+  return payload;
+};
+
+const duplicateKey = (type, date, amount, description) =>
+  `${type}|${moment.utc(date).format('YYYY-MM-DD')}|${Number(amount).toFixed(2)}|${normalizeText(description)}`;
+
+// Build lookup keys for existing records that could collide with the statement
+const loadExistingKeys = async (userId, rows) => {
+  const dates = rows.map(row => row.data.date).filter(Boolean);
+  const keys = new Set();
+  if (dates.length === 0) return keys;
+
+  const start = moment.utc(Math.min(...dates)).startOf('day').toDate();
+  const end = moment.utc(Math.max(...dates)).endOf('day').toDate();
+  const query = { user: userId, date: { $gte: start, $lte: end } };
+
+  const [expenses, income] = await Promise.all([
+    Expense.find(query).select('date amount description').lean(),
+    Income.find(query).select('date amount description source').lean()
+  ]);
+
+  expenses.forEach(expense => {
+    keys.add(duplicateKey('expense', expense.date, expense.amount, expense.description));
+  });
+  income.forEach(entry => {
+    keys.add(duplicateKey('income', entry.date, entry.amount, entry.description || entry.source));
+  });
+
+  return keys;
+};
+
+/**
+ * Parse a statement and prepare every row for import.
+ * Rows are validated with the same Joi rules as POST /api/expenses and
+ * POST /api/income, then checked against existing records for duplicates.
+ * @param {String} userId - Importing user
+ * @param {String} format - Statement format
+ * @param {String} content - Raw statement content
+ * @param {Object} options - type, mapping, dateFormat, delimiter, categoryMap, currency, account
+ * @returns {Object} Prepared rows and a status summary
+ */
+const prepareImport = async (userId, format, content, options = {}) => {
+  const parsedRows = parseStatement(format, content, options);
+
+  if (parsedRows.length > MAX_IMPORT_ROWS) {
+    const error = new Error(`Statements are limited to ${MAX_IMPORT_ROWS} rows`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Rows go to the statement's account; accounts in another currency set the statement currency
+  const accountFields = await resolveAccountFields(userId, { account: options.account, currency: options.currency });
+  const currency = options.currency || accountFields.currency;
+
+  const userCategories = await getUserCategories(userId);
+  const categoriesByType = {
+    expense: userCategories.filter(category => category.type === 'expense'),
+    income: userCategories.filter(category => category.type === 'income')
+  };
+
+  const rules = {
+    expense: await getActiveRules(userId, 'expense'),
+    income: await getActiveRules(userId, 'income')
+  };
+
+  const rows = parsedRows.map((parsed, index) => {
+    const type = resolveType(parsed, options.type);
+    const categories = categoriesByType[type];
+    const guessedCategory = resolveCategory(type, parsed, options.categoryMap, categories);
+    const payload = toPayload(type, parsed, guessedCategory, currency);
+
+    // Rules beat guessed categories but not the user's categoryMap; imported
+    // rows are past transactions, so rules never mark them recurring
+    const mappedCategory = findMappedCategory(parsed, options.categoryMap, categories.map(category => category.key));
+    const ruleResult = evaluateRules(rules[type], payload);
+    const data = applyRuleResult(
+      { ...payload, category: mappedCategory || undefined },
+      ruleResult,
+      { allowRecurring: false }
+    );
+    data.category = data.category || guessedCategory;
+
+    const schema = type === 'expense' ? expenseSchemas.create : incomeSchemas.create;
+    const { error, value } = schema.validate(data, { abortEarly: false });
+
+    return {
+      row: index + 1,
+      type,
+      status: error ? 'invalid' : 'ready',
+      data: error ? data : value,
+      errors: error ? error.details.map(detail => detail.message) : []
+    };
+  });
+
+  // Statements in a foreign currency are converted row by row at each date's rate
+  if (currency) {
+    const baseCurrency = await getBaseCurrency(userId);
+    const cache = new Map();
+    for (const row of rows) {
+      if (row.status !== 'ready') continue;
+      try {
+        Object.assign(row.data, await convertTransaction(userId, row.data, baseCurrency, cache));
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        row.status = 'invalid';
+        row.errors.push(error.message);
+      }
+    }
+  }
+
+  rows.forEach(row => {
+    row.data.account = accountFields.account;
+  });
+
+  const existingKeys = await loadExistingKeys(userId, rows.filter(row => row.status === 'ready'));
+  // First row of the statement with each key
+  const statementKeys = new Map();
+  rows.forEach(row => {
+    if (row.status !== 'ready') return;
+    const description = row.data.description || row.data.source;
+    const key = duplicateKey(row.type, row.data.date, row.data.amount, description);
+    if (existingKeys.has(key)) {
+      row.status = 'duplicate';
+      row.errors.push('Matches an existing transaction with the same date, amount and description');
+    } else if (statementKeys.has(key)) {
+      row.status = 'duplicate';
+      row.errors.push(`Repeats row ${statementKeys.get(key)} of this statement`);
+    } else {
+      statementKeys.set(key, row.row);
+    }
+  });
+
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      ready: rows.filter(row => row.status === 'ready').length,
+      duplicates: rows.filter(row => row.status === 'duplicate').length,
+      invalid: rows.filter(row => row.status === 'invalid').length
+    }
+  };
+};
+
+/**
+ * Insert prepared rows in one unordered batch per model. A failed row does
+ * not stop the others; every row is reported as imported or failed, and rows
+ * that made it in are flagged as duplicates when the statement is retried.
+ * @param {String} userId - Importing user
+ * @param {Array<Object>} rows - Rows returned by prepareImport
+ * @param {Object} options
+ * @param {Boolean} [options.includeDuplicates] - Also import rows flagged as duplicates
+ * @returns {Array<Object>} Per-row report: imported (with id), failed, duplicate or invalid
+ */
+const commitImport = async (userId, rows, { includeDuplicates = false } = {}) => {
+  const importable = rows.filter(row =>
+    row.status === 'ready' || (includeDuplicates && row.status === 'duplicate')
+  );
+
+  for (const [type, Model] of [['expense', Expense], ['income', Income]]) {
+    const batch = importable.filter(row => row.type === type);
+    if (batch.length === 0) continue;
+
+    // Ids are assigned up front so the outcome of each row can be looked up
+    const docs = batch.map(row => ({ ...row.data, user: userId, _id: new mongoose.Types.ObjectId() }));
+    let rowErrors = new Map();
+    let insertedIds;
+    try {
+      // Resolves with the documents that passed validation and were saved
+      const created = await Model.insertMany(docs, { ordered: false });
+      insertedIds = new Set(created.map(doc => doc._id.toString()));
+    } catch (error) {
+      rowErrors = new Map((error.writeErrors || []).map(writeError => [writeError.index, writeError.errmsg]));
+      const inserted = await Model.find({ _id: { $in: docs.map(doc => doc._id) } }).select('_id').lean();
+      insertedIds = new Set(inserted.map(doc => doc._id.toString()));
+    }
+
+    batch.forEach((row, index) => {
+      if (insertedIds.has(docs[index]._id.toString())) {
+        row.id = docs[index]._id;
+        row.status = 'imported';
+      } else {
+        row.status = 'failed';
+        row.errors.push(rowErrors.get(index) || 'Could not be saved; import the statement again to retry');
+      }
+    });
+  }
+
+  return rows.map(row => ({
+    row: row.row,
+    type: row.type,
+    status: row.status,
+    ...(row.id && { id: row.id }),
+    errors: row.errors
+  }));
+};
+
+module.exports = {
+  prepareImport,
+  commitImport
+};
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const { createAuthenticatedUser, createTestExpense, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Account = require('../src/models/Account');
+const Expense = require('../src/models/Expense');
+
+describe('Account Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  const createAccount = (data) => request(app())
+    .post('/api/accounts')
+    .set(getAuthHeaders(authData.token))
+    .send(data);
+
+  const postTransaction = (path, data) => request(app())
+    .post(path)
+    .set(getAuthHeaders(authData.token))
+    .send({ date: '2024-03-10', ...data });
+
+  describe('GET /api/accounts', () => {
+    test('Should create a default account holding existing transactions', async () => {
+      const expense = await createTestExpense(authData.userId, { amount: 40 });
+
+      const response = await request(app())
+        .get('/api/accounts')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.accounts).toHaveLength(1);
+      expect(response.body.data.accounts[0]).toMatchObject({
+        name: 'Main account',
+        isDefault: true,
+        balance: -40
+      });
+
+      const linked = await Expense.findById(expense._id);
+      expect(linked.account.toString()).toBe(response.body.data.accounts[0]._id);
+    });
+  });
+
+  describe('POST /api/accounts', () => {
+    test('Should compute balances from the opening balance and activity', async () => {
+      const created = await createAccount({ name: 'Savings', type: 'savings', openingBalance: 1000 });
+      const accountId = created.body.data.account._id;
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.account).toMatchObject({ currency: 'USD', balance: 1000 });
+
+      await postTransaction('/api/income', { amount: 250, source: 'Interest', category: 'investment', account: accountId });
+      await postTransaction('/api/expenses', { amount: 100, category: 'bills', account: accountId });
+
+      const response = await request(app())
+        .get(`/api/accounts/${accountId}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.body.data.account).toMatchObject({ balance: 1150, income: 250, expenses: 100 });
+    });
+
+    test('Should validate account fields', async () => {
+      const response = await createAccount({ name: 'Wallet', type: 'piggy_bank' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should reject transactions in another currency on a foreign account', async () => {
+      const created = await createAccount({ name: 'Euro card', type: 'credit_card', currency: 'EUR' });
+
+      const response = await postTransaction('/api/expenses', {
+        amount: 20,
+        currency: 'GBP',
+        category: 'food',
+        account: created.body.data.account._id
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/accounts/:id/register', () => {
+    test('Should list activity with a running balance', async () => {
+      const created = await createAccount({ name: 'Wallet', type: 'cash', openingBalance: 50 });
+      const accountId = created.body.data.account._id;
+
+      await postTransaction('/api/expenses', { amount: 20, category: 'food', account: accountId, date: '2024-03-01' });
+      await postTransaction('/api/income', { amount: 30, source: 'Gift', category: 'other', account: accountId, date: '2024-03-05' });
+
+      const response = await request(app())
+        .get(`/api/accounts/${accountId}/register`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.startingBalance).toBe(50);
+      expect(response.body.data.entries.map(entry => [entry.type, entry.amount, entry.balance])).toEqual([
+        ['expense', -20, 30],
+        ['income', 30, 60]
+      ]);
+      expect(response.body.data.endingBalance).toBe(60);
+    });
+  });
+
+  describe('POST /api/accounts/:id/reconcile', () => {
+    test('Should report a difference and mark balanced statements', async () => {
+      const created = await createAccount({ name: 'Checking', type: 'checking', openingBalance: 500 });
+      const accountId = created.body.data.account._id;
+      await postTransaction('/api/expenses', { amount: 75, category: 'bills', account: accountId, date: '2024-03-02' });
+
+      const unbalanced = await request(app())
+        .post(`/api/accounts/${accountId}/reconcile`)
+        .set(getAuthHeaders(authData.token))
+        .send({ statementBalance: 400, statementDate: '2024-03-31' });
+
+      expect(unbalanced.status).toBe(201);
+      expect(unbalanced.body.data.reconciliation).toMatchObject({
+        computedBalance: 425,
+        difference: -25,
+        status: 'unbalanced'
+      });
+      expect(unbalanced.body.data.unreconciledEntries).toHaveLength(1);
+
+      const balanced = await request(app())
+        .post(`/api/accounts/${accountId}/reconcile`)
+        .set(getAuthHeaders(authData.token))
+        .send({ statementBalance: 425, statementDate: '2024-03-31' });
+
+      expect(balanced.body.data.reconciliation.status).toBe('balanced');
+      expect((await Account.findById(accountId)).lastReconciledBalance).toBe(425);
+
+      const history = await request(app())
+        .get(`/api/accounts/${accountId}/reconciliations`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(history.body.data.reconciliations).toHaveLength(2);
+    });
+  });
+
+  describe('PUT and DELETE /api/accounts/:id', () => {
+    test('Should move the default to another account', async () => {
+      const created = await createAccount({ name: 'Checking', type: 'checking' });
+
+      const response = await request(app())
+        .put(`/api/accounts/${created.body.data.account._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ isDefault: true });
+
+      expect(response.status).toBe(200);
+      expect(await Account.countDocuments({ user: authData.userId, isDefault: true })).toBe(1);
+      expect(response.body.data.account.isDefault).toBe(true);
+    });
+
+    test('Should only delete accounts without activity', async () => {
+      const created = await createAccount({ name: 'Old card', type: 'credit_card' });
+      const accountId = created.body.data.account._id;
+      await postTransaction('/api/expenses', { amount: 10, category: 'food', account: accountId });
+
+      const blocked = await request(app())
+        .delete(`/api/accounts/${accountId}`)
+        .set(getAuthHeaders(authData.token));
+      expect(blocked.status).toBe(400);
+
+      const archived = await request(app())
+        .put(`/api/accounts/${accountId}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ isArchived: true });
+      expect(archived.body.data.account.isArchived).toBe(true);
+
+      const rejected = await postTransaction('/api/expenses', { amount: 5, category: 'food', account: accountId });
+      expect(rejected.status).toBe(400);
+    });
+  });
+
+  test('Should require authentication', async () => {
+    const response = await request(app()).get('/api/accounts');
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -1,5 +1,10 @@
 const request = require('supertest');
-const { createAuthenticatedUser, createTestData, createTestGoal, getAuthHeaders, app } = require('./helpers/testHelpers');
+const moment = require('moment');
+const mongoose = require('mongoose');
+const { createAuthenticatedUser, createTestData, createTestGoal, createTestExpense, createTestIncome, getAuthHeaders, app } = require('./helpers/testHelpers');
+const AnomalyFeedback = require('../src/models/AnomalyFeedback');
+const User = require('../src/models/User');
+const { setInsightsProvider } = require('../src/utils/insightsProvider');
 
 describe('AI Insights Endpoints', () => {
   let authData;
@@ -99,10 +104,10 @@ describe('AI Insights Endpoints', () => {
     test('Should get goal achievement forecast', async () => {
       const goal = await createTestGoal(authData.userId, {
         targetAmount: 10000,
-        currentAmount: 2000
+        currentAmount: 500
       });
 
-      // Add some contribution history
+      // Add some contribution history, bringing the balance to 2000
       goal.contributions.push(
         { amount: 500, date: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), source: 'manual' },
         { amount: 500, date: new Date(Date.now() - 60 * 24 * 60 * 60 * 1000), source: 'manual' },
@@ -271,6 +276,27 @@ describe('AI Insights Endpoints', () => {
       }
     });
 
+    test('Should average over every month of the window', async () => {
+      const thisMonth = moment().startOf('month').add(1, 'day').toDate();
+      const lastMonth = moment().subtract(1, 'month').startOf('month').add(1, 'day').toDate();
+      await createTestIncome(authData.userId, { amount: 2000, date: thisMonth });
+      await createTestIncome(authData.userId, { amount: 2000, date: thisMonth });
+      await createTestIncome(authData.userId, { amount: 3000, date: lastMonth });
+      for (let i = 0; i < 3; i++) {
+        await createTestExpense(authData.userId, { amount: 100, category: 'food', date: thisMonth });
+      }
+      await createTestExpense(authData.userId, { amount: 500, category: 'food', date: lastMonth });
+
+      const response = await request(app())
+        .get('/api/ai-insights/budget-suggestions')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      // Four calendar months in the window, two of them without activity
+      expect(response.body.data.income.avgMonthlyIncome).toBe(1750);
+      expect(response.body.data.budgetSuggestions.food.current).toBe(200);
+    });
+
     test('Should handle user with no spending data', async () => {
       const response = await request(app())
         .get('/api/ai-insights/budget-suggestions')
@@ -282,6 +308,355 @@ describe('AI Insights Endpoints', () => {
     });
   });
 
+  describe('GET /api/ai-insights/anomalies', () => {
+    const getAnomalies = (query = '') => request(app())
+      .get(`/api/ai-insights/anomalies${query}`)
+      .set(getAuthHeaders(authData.token));
+
+    const ofType = (response, type) => response.body.data.anomalies.filter(anomaly => anomaly.type === type);
+
+    test('Should flag an expense far outside its category', async () => {
+      for (let i = 0; i < 10; i++) {
+        await createTestExpense(authData.userId, {
+          amount: 20 + i * 2,
+          description: 'Corner Grocer',
+          date: moment().subtract(40 + i * 5, 'days').toDate()
+        });
+      }
+      const large = await createTestExpense(authData.userId, { amount: 400, description: 'Corner Grocer' });
+
+      const response = await getAnomalies();
+
+      expect(response.status).toBe(200);
+      const outliers = ofType(response, 'outlier');
+      expect(outliers).toHaveLength(1);
+      expect(outliers[0]).toMatchObject({
+        id: `outlier:${large._id}`,
+        category: 'food',
+        amount: 400,
+        expected: 29,
+        severity: 'high'
+      });
+      expect(outliers[0].explanation).toContain('typical food expense');
+      expect(response.body.data.counts.outlier).toBe(1);
+    });
+
+    test('Should flag a category spike against the trailing baseline', async () => {
+      for (let i = 1; i <= 6; i++) {
+        await createTestExpense(authData.userId, {
+          amount: 100,
+          category: 'transport',
+          date: moment().subtract(i, 'months').date(10).toDate()
+        });
+      }
+      await createTestExpense(authData.userId, { amount: 500, category: 'transport' });
+
+      const response = await getAnomalies();
+
+      const spikes = ofType(response, 'spike');
+      expect(spikes).toHaveLength(1);
+      expect(spikes[0]).toMatchObject({
+        id: `spike:transport:${moment().format('YYYY-MM')}`,
+        amount: 500,
+        expected: 100,
+        score: 5,
+        severity: 'high'
+      });
+    });
+
+    test('Should flag possible duplicate charges and new merchants', async () => {
+      await createTestExpense(authData.userId, {
+        amount: 45,
+        description: 'Coffee Shop',
+        date: moment().subtract(90, 'days').toDate()
+      });
+      await createTestExpense(authData.userId, { amount: 12, description: 'Coffee shop #12', date: moment().subtract(5, 'days').toDate() });
+      const first = await createTestExpense(authData.userId, {
+        amount: 15.99,
+        category: 'entertainment',
+        description: 'STREAMFLIX 1234',
+        date: moment().subtract(2, 'days').toDate()
+      });
+      const second = await createTestExpense(authData.userId, {
+        amount: 15.99,
+        category: 'entertainment',
+        description: 'Streamflix 9876'
+      });
+
+      const response = await getAnomalies();
+
+      const duplicates = ofType(response, 'duplicate');
+      expect(duplicates).toHaveLength(1);
+      expect(duplicates[0].id).toBe(`duplicate:${second._id}`);
+      expect(duplicates[0].duplicateOf._id).toBe(first._id.toString());
+
+      const newMerchants = ofType(response, 'new_merchant');
+      expect(newMerchants.map(anomaly => anomaly.id)).toEqual([`new_merchant:${first._id}`]);
+    });
+
+    test('Should hide dismissed anomalies and keep confirmed ones', async () => {
+      const expense = await createTestExpense(authData.userId, { description: 'Brand New Store' });
+      const anomalyId = `new_merchant:${expense._id}`;
+
+      const dismissed = await request(app())
+        .put(`/api/ai-insights/anomalies/${anomalyId}/feedback`)
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'dismissed', note: 'I know this shop' });
+
+      expect(dismissed.status).toBe(200);
+      expect(dismissed.body.data.feedback).toMatchObject({ anomalyId, type: 'new_merchant', status: 'dismissed' });
+
+      const hidden = await getAnomalies();
+      expect(hidden.body.data.anomalies).toHaveLength(0);
+
+      const included = await getAnomalies('?includeDismissed=true');
+      expect(included.body.data.anomalies[0].feedback).toEqual({ status: 'dismissed', note: 'I know this shop' });
+
+      await request(app())
+        .put(`/api/ai-insights/anomalies/${anomalyId}/feedback`)
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'confirmed' });
+
+      const confirmed = await getAnomalies();
+      expect(confirmed.body.data.anomalies[0].feedback.status).toBe('confirmed');
+      expect(await AnomalyFeedback.countDocuments({ user: authData.userId })).toBe(1);
+    });
+
+    test('Should hide later duplicates similar to a dismissed one', async () => {
+      const charge = { amount: 15.99, category: 'entertainment', description: 'STREAMFLIX 1234' };
+      await createTestExpense(authData.userId, { ...charge, date: moment().subtract(4, 'days').toDate() });
+      const repeat = await createTestExpense(authData.userId, { ...charge, date: moment().subtract(2, 'days').toDate() });
+
+      const dismissed = await request(app())
+        .put(`/api/ai-insights/anomalies/duplicate:${repeat._id}/feedback`)
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'dismissed', note: 'Two profiles' });
+      expect(dismissed.status).toBe(200);
+      expect(dismissed.body.data.feedback).toMatchObject({ merchant: 'streamflix', amount: 15.99 });
+
+      await createTestExpense(authData.userId, charge);
+
+      const response = await getAnomalies();
+      expect(ofType(response, 'duplicate')).toHaveLength(0);
+    });
+
+    test('Should only accept feedback for detected anomalies', async () => {
+      const response = await request(app())
+        .put(`/api/ai-insights/anomalies/outlier:${new mongoose.Types.ObjectId()}/feedback`)
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'confirmed' });
+
+      expect(response.status).toBe(404);
+      expect(await AnomalyFeedback.countDocuments({ user: authData.userId })).toBe(0);
+    });
+
+    test('Should validate feedback and query parameters', async () => {
+      const badId = await request(app())
+        .put('/api/ai-insights/anomalies/unknown:123/feedback')
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'dismissed' });
+      expect(badId.status).toBe(400);
+
+      const badStatus = await request(app())
+        .put(`/api/ai-insights/anomalies/spike:food:${moment().format('YYYY-MM')}/feedback`)
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'ignored' });
+      expect(badStatus.status).toBe(400);
+
+      const badDays = await getAnomalies('?days=0');
+      expect(badDays.status).toBe(400);
+    });
+  });
+
+  describe('Insights provider', () => {
+    let calls;
+
+    // Provider stub replying with a fixed completion (or throwing an error)
+    const useProvider = (reply, model = 'stub-model') => {
+      calls = [];
+      setInsightsProvider({
+        name: 'stub',
+        model,
+        complete: async (messages) => {
+          calls.push(messages);
+          if (reply instanceof Error) throw reply;
+          return typeof reply === 'string' ? reply : JSON.stringify(reply);
+        }
+      });
+    };
+
+    const enableDataSharing = () => User.updateOne(
+      { _id: authData.userId },
+      { 'settings.privacy.dataSharing': true }
+    );
+
+    const getSpendingAnalysis = () => request(app())
+      .get('/api/ai-insights/spending-analysis')
+      .set(getAuthHeaders(authData.token));
+
+    const providerInsights = {
+      insights: [{ type: 'tip', category: 'food', message: 'Cook at home twice more a week', severity: 'info' }]
+    };
+
+    afterEach(() => {
+      setInsightsProvider(null);
+    });
+
+    test('Should use the rule engine by default', async () => {
+      const response = await getSpendingAnalysis();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.insightSource).toEqual({ provider: 'rules' });
+    });
+
+    test('Should not send data when data sharing is disabled', async () => {
+      useProvider(providerInsights);
+      await createTestExpense(authData.userId, { amount: 80 });
+
+      const response = await getSpendingAnalysis();
+
+      expect(response.body.data.insightSource).toEqual({ provider: 'rules', fallbackReason: 'data_sharing_disabled' });
+      expect(response.body.data.insights[0].type).toBe('spending_pattern');
+      expect(calls).toHaveLength(0);
+    });
+
+    test('Should use and cache provider insights built from an anonymized summary', async () => {
+      useProvider(providerInsights);
+      await enableDataSharing();
+      await createTestExpense(authData.userId, { amount: 80, description: 'Dinner with Alice' });
+
+      const first = await getSpendingAnalysis();
+
+      expect(first.body.data.insights).toEqual(providerInsights.insights);
+      expect(first.body.data.insightSource).toEqual({ provider: 'stub', model: 'stub-model', cached: false });
+      expect(calls).toHaveLength(1);
+      const sent = calls[0].map(message => message.content).join('\n');
+      expect(sent).toContain('"category":"food"');
+      expect(sent).not.toContain('Alice');
+      expect(sent).not.toContain(authData.userId.toString());
+
+      const second = await getSpendingAnalysis();
+      expect(second.body.data.insightSource.cached).toBe(true);
+      expect(calls).toHaveLength(1);
+
+      // New spending changes the summary, so the provider is asked again
+      await createTestExpense(authData.userId, { amount: 20 });
+      await getSpendingAnalysis();
+      expect(calls).toHaveLength(2);
+    });
+
+    test('Should fall back to the rules on invalid replies and provider errors', async () => {
+      await enableDataSharing();
+      await createTestExpense(authData.userId, { amount: 80 });
+
+      useProvider({ insights: [{ type: 'tip', message: 'Hi', severity: 'urgent' }] });
+      const invalid = await getSpendingAnalysis();
+      expect(invalid.status).toBe(200);
+      expect(invalid.body.data.insightSource.fallbackReason).toBe('invalid_response');
+      expect(invalid.body.data.insights[0].type).toBe('spending_pattern');
+
+      useProvider('not json');
+      const unparsable = await getSpendingAnalysis();
+      expect(unparsable.body.data.insightSource.fallbackReason).toBe('invalid_response');
+
+      useProvider(new Error('connect ECONNREFUSED'));
+      const failed = await getSpendingAnalysis();
+      expect(failed.status).toBe(200);
+      expect(failed.body.data.insightSource.fallbackReason).toBe('provider_error');
+    });
+
+    test('Should fall back to the rules when the configured provider is unknown', async () => {
+      const previous = process.env.INSIGHTS_PROVIDER;
+      process.env.INSIGHTS_PROVIDER = 'unknown';
+      setInsightsProvider(null);
+
+      try {
+        const response = await getSpendingAnalysis();
+        expect(response.status).toBe(200);
+        expect(response.body.data.insightSource).toEqual({ provider: 'rules', fallbackReason: 'provider_error' });
+      } finally {
+        if (previous === undefined) delete process.env.INSIGHTS_PROVIDER;
+        else process.env.INSIGHTS_PROVIDER = previous;
+      }
+    });
+
+    test('Should keep anomaly details in rule insights but not send them', async () => {
+      await enableDataSharing();
+      for (let i = 0; i < 10; i++) {
+        await createTestExpense(authData.userId, {
+          amount: 20 + i * 2,
+          description: 'Corner Grocer',
+          date: moment().subtract(40 + i * 5, 'days').toDate()
+        });
+      }
+      const large = await createTestExpense(authData.userId, { amount: 400, description: 'Corner Grocer' });
+
+      useProvider(new Error('connect ECONNREFUSED'));
+      const fallback = await getSpendingAnalysis();
+      const unusual = fallback.body.data.insights.find(insight => insight.type === 'unusual_spending');
+      expect(unusual.anomalies).toEqual([`outlier:${large._id}`]);
+      expect(unusual.message).toContain('Corner Grocer');
+
+      const sent = calls[0].map(message => message.content).join('\n');
+      expect(sent).toContain('unusual_spending');
+      expect(sent).not.toContain('Corner Grocer');
+      expect(sent).not.toContain(large._id.toString());
+    });
+
+    test('Should not reuse insights cached for another model', async () => {
+      useProvider(providerInsights);
+      await enableDataSharing();
+      await createTestExpense(authData.userId, { amount: 80 });
+      await getSpendingAnalysis();
+
+      useProvider(providerInsights, 'stub-model-2');
+      const response = await getSpendingAnalysis();
+
+      expect(response.body.data.insightSource).toEqual({ provider: 'stub', model: 'stub-model-2', cached: false });
+      expect(calls).toHaveLength(1);
+    });
+
+    test('Should keep the rule-based health score with provider narrative', async () => {
+      useProvider({ strengths: ['Steady income'], concerns: [], actionItems: ['Automate savings'] });
+      await enableDataSharing();
+
+      const response = await request(app())
+        .get('/api/ai-insights/health-insights')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.overallHealthScore).toBe(75);
+      expect(response.body.data.strengths).toEqual(['Steady income']);
+      expect(response.body.data.actionItems).toEqual(['Automate savings']);
+    });
+
+    test('Should merge provider budget suggestions for known categories', async () => {
+      useProvider({
+        suggestions: [
+          { category: 'food', suggested: 700, reason: 'Your food spending is steady' },
+          { category: 'yachts', suggested: 5000, reason: 'Not a category of this user' }
+        ]
+      });
+      await enableDataSharing();
+      await createTestIncome(authData.userId, { amount: 5000 });
+      await createTestExpense(authData.userId, { amount: 900, category: 'food' });
+
+      const response = await request(app())
+        .get('/api/ai-insights/budget-suggestions')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.budgetSuggestions.food).toMatchObject({
+        current: 900,
+        suggested: 700,
+        difference: -200,
+        status: 'over_budget',
+        reason: 'Your food spending is steady'
+      });
+      expect(response.body.data.budgetSuggestions.yachts).toBeUndefined();
+    });
+  });
+
   describe('Authentication required for all AI endpoints', () => {
     test('Should require authentication for spending analysis', async () => {
       const response = await request(app())
@@ -316,6 +691,13 @@ describe('AI Insights Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
 
+    test('Should require authentication for anomalies', async () => {
+      const response = await request(app())
+        .get('/api/ai-insights/anomalies');
+
+      expect(response.status).toBe(401);
+    });
+
     test('Should require authentication for budget suggestions', async () => {
       const response = await request(app())
         .get('/api/ai-insights/budget-suggestions');
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const { createAuthenticatedUser, createTestExpense, createTestIncome, getAuthHeaders, app } = require('./helpers/testHelpers');
+const { startS3StandIn } = require('./helpers/s3StandIn');
+const storage = require('../src/utils/storage');
+const Expense = require('../src/models/Expense');
+
+const PNG_FILE = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+  Buffer.from('receipt image data')
+]);
+const PDF_FILE = Buffer.from('%PDF-1.4\nsalary slip\n%%EOF');
+
+// Reads a binary response body as a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Attachment Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    storage.clearMemoryObjects();
+    authData = await createAuthenticatedUser();
+  });
+
+  const upload = (path, file, filename) => request(app())
+    .post(path)
+    .set(getAuthHeaders(authData.token))
+    .attach('file', file, filename);
+
+  describe('POST /api/expenses/:id/attachments', () => {
+    test('Should store a receipt and list it on the expense', async () => {
+      const expense = await createTestExpense(authData.userId);
+
+      const response = await upload(`/api/expenses/${expense._id}/attachments`, PNG_FILE, 'receipt.png');
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.attachment).toMatchObject({
+        filename: 'receipt.png',
+        mimeType: 'image/png',
+        size: PNG_FILE.length
+      });
+      expect(response.body.data.attachment.url)
+        .toBe(`/api/expenses/${expense._id}/attachments/${response.body.data.attachment._id}`);
+
+      const listed = await request(app())
+        .get(`/api/expenses/${expense._id}/attachments`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(listed.status).toBe(200);
+      expect(listed.body.data.attachments).toHaveLength(1);
+    });
+
+    test('Should reject files that are not images or PDFs', async () => {
+      const expense = await createTestExpense(authData.userId);
+
+      const response = await upload(`/api/expenses/${expense._id}/attachments`, Buffer.from('MZ executable'), 'receipt.png');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect((await Expense.findById(expense._id)).attachments).toHaveLength(0);
+    });
+
+    test('Should reject a request without a file', async () => {
+      const expense = await createTestExpense(authData.userId);
+
+      const response = await request(app())
+        .post(`/api/expenses/${expense._id}/attachments`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(400);
+    });
+
+    test('Should not attach files to expenses of other users', async () => {
+      const otherUser = await createAuthenticatedUser({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+      const expense = await createTestExpense(otherUser.userId);
+
+      const response = await upload(`/api/expenses/${expense._id}/attachments`, PNG_FILE, 'receipt.png');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET and DELETE /api/income/:id/attachments/:attachmentId', () => {
+    test('Should download an attachment with authentication only', async () => {
+      const income = await createTestIncome(authData.userId);
+      const uploaded = await upload(`/api/income/${income._id}/attachments`, PDF_FILE, 'payslip.pdf');
+      const { url } = uploaded.body.data.attachment;
+
+      const unauthenticated = await request(app()).get(url);
+      expect(unauthenticated.status).toBe(401);
+
+      const response = await request(app())
+        .get(url)
+        .set(getAuthHeaders(authData.token))
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toContain('payslip.pdf');
+      expect(response.body.equals(PDF_FILE)).toBe(true);
+    });
+
+    test('Should delete the attachment and its stored file', async () => {
+      const income = await createTestIncome(authData.userId);
+      const uploaded = await upload(`/api/income/${income._id}/attachments`, PDF_FILE, 'payslip.pdf');
+      const { url } = uploaded.body.data.attachment;
+
+      const response = await request(app())
+        .delete(url)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+
+      const download = await request(app())
+        .get(url)
+        .set(getAuthHeaders(authData.token));
+      expect(download.status).toBe(404);
+    });
+  });
+
+  test('Should remove stored files when the transaction is deleted', async () => {
+    const expense = await createTestExpense(authData.userId);
+    const uploaded = await upload(`/api/expenses/${expense._id}/attachments`, PNG_FILE, 'receipt.png');
+    const saved = await Expense.findById(expense._id);
+    const { storageKey } = saved.attachments.id(uploaded.body.data.attachment._id);
+
+    await request(app())
+      .delete(`/api/expenses/${expense._id}`)
+      .set(getAuthHeaders(authData.token));
+
+    expect(await storage.getObject(storageKey)).toBeNull();
+  });
+
+  describe('S3-compatible storage', () => {
+    let s3;
+
+    beforeAll(async () => {
+      s3 = await startS3StandIn();
+      Object.assign(process.env, {
+        S3_ENDPOINT: s3.endpoint,
+        S3_BUCKET: 'attachments',
+        S3_ACCESS_KEY_ID: 'test',
+        S3_SECRET_ACCESS_KEY: 'test'
+      });
+      storage.setDriver('s3');
+    });
+
+    afterAll(async () => {
+      storage.setDriver(null);
+      await s3.close();
+    });
+
+    test('Should upload to the bucket and remove all blobs when the account is deleted', async () => {
+      const expense = await createTestExpense(authData.userId);
+      const income = await createTestIncome(authData.userId);
+
+      await upload(`/api/expenses/${expense._id}/attachments`, PNG_FILE, 'receipt.png');
+      await upload(`/api/income/${income._id}/attachments`, PDF_FILE, 'payslip.pdf');
+
+      expect(s3.objects.size).toBe(2);
+      expect([...s3.objects.keys()].every(key => key.startsWith(`attachments/${authData.userId}/`))).toBe(true);
+
+      const response = await request(app())
+        .delete('/api/users/account')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(s3.objects.size).toBe(0);
+    });
+  });
+});
@@ -1,5 +1,13 @@
 const request = require('supertest');
 const { testUser, testUser2, createAuthenticatedUser, getAuthHeaders, app } = require('./helpers/testHelpers');
+const { getSentMail, clearSentMail } = require('../src/utils/mailer');
+const User = require('../src/models/User');
+
+// Pull the emailed token out of the most recent message to an address
+const getEmailedToken = (email) => {
+  const message = getSentMail().filter(mail => mail.to === email).pop();
+  return message && message.text.match(/token=([a-f0-9]+)/)[1];
+};
 
 describe('Authentication Endpoints', () => {
   describe('POST /api/auth/register', () => {
@@ -225,4 +233,275 @@ describe('Authentication Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('Refresh tokens and sessions', () => {
+    const login = () => request(app())
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+
+    const refresh = (refreshToken) => request(app())
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    test('Should issue a refresh token on register and login', async () => {
+      const registerResponse = await request(app())
+        .post('/api/auth/register')
+        .send(testUser);
+      const loginResponse = await login();
+
+      expect(registerResponse.body.data.refreshToken).toBeDefined();
+      expect(loginResponse.body.data.refreshToken).toBeDefined();
+      expect(loginResponse.body.data.refreshToken).not.toBe(registerResponse.body.data.refreshToken);
+    });
+
+    test('Should rotate the refresh token', async () => {
+      const { refreshToken } = (await request(app()).post('/api/auth/register').send(testUser)).body.data;
+
+      const response = await refresh(refreshToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+      const meResponse = await request(app())
+        .get('/api/auth/me')
+        .set(getAuthHeaders(response.body.data.token));
+      expect(meResponse.status).toBe(200);
+    });
+
+    test('Should revoke the whole token family when a refresh token is reused', async () => {
+      const { refreshToken } = (await request(app()).post('/api/auth/register').send(testUser)).body.data;
+      const rotated = await refresh(refreshToken);
+
+      const reuse = await refresh(refreshToken);
+      expect(reuse.status).toBe(401);
+      expect(reuse.body.message).toContain('reuse detected');
+
+      // The legitimate successor token and its access token are dead too
+      const successor = await refresh(rotated.body.data.refreshToken);
+      expect(successor.status).toBe(401);
+
+      const meResponse = await request(app())
+        .get('/api/auth/me')
+        .set(getAuthHeaders(rotated.body.data.token));
+      expect(meResponse.status).toBe(401);
+    });
+
+    test('Should reject unknown refresh tokens', async () => {
+      const response = await refresh('not-a-real-token');
+
+      expect(response.status).toBe(401);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should logout and invalidate the session', async () => {
+      const { token, refreshToken } = (await request(app()).post('/api/auth/register').send(testUser)).body.data;
+
+      const response = await request(app())
+        .post('/api/auth/logout')
+        .send({ refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const meResponse = await request(app())
+        .get('/api/auth/me')
+        .set(getAuthHeaders(token));
+      expect(meResponse.status).toBe(401);
+
+      expect((await refresh(refreshToken)).status).toBe(401);
+    });
+
+    test('Should list sessions and revoke other devices', async () => {
+      const { token } = await createAuthenticatedUser();
+      const otherDevice = (await login()).body.data;
+
+      const listResponse = await request(app())
+        .get('/api/auth/sessions')
+        .set(getAuthHeaders(token));
+
+      expect(listResponse.status).toBe(200);
+      expect(listResponse.body.data.sessions).toHaveLength(2);
+      expect(listResponse.body.data.sessions.filter(session => session.current)).toHaveLength(1);
+
+      const revokeResponse = await request(app())
+        .delete('/api/auth/sessions')
+        .set(getAuthHeaders(token));
+
+      expect(revokeResponse.status).toBe(200);
+      expect(revokeResponse.body.data.revoked).toBe(1);
+
+      const otherMe = await request(app())
+        .get('/api/auth/me')
+        .set(getAuthHeaders(otherDevice.token));
+      expect(otherMe.status).toBe(401);
+
+      const currentMe = await request(app())
+        .get('/api/auth/me')
+        .set(getAuthHeaders(token));
+      expect(currentMe.status).toBe(200);
+    });
+
+    test('Should revoke a single session', async () => {
+      const { token } = await createAuthenticatedUser();
+      const otherDevice = (await login()).body.data;
+
+      const listResponse = await request(app())
+        .get('/api/auth/sessions')
+        .set(getAuthHeaders(token));
+      const other = listResponse.body.data.sessions.find(session => !session.current);
+
+      const response = await request(app())
+        .delete(`/api/auth/sessions/${other.id}`)
+        .set(getAuthHeaders(token));
+
+      expect(response.status).toBe(200);
+      expect((await refresh(otherDevice.refreshToken)).status).toBe(401);
+    });
+
+    test('Should revoke all sessions when the password changes', async () => {
+      const { token } = await createAuthenticatedUser();
+      const otherDevice = (await login()).body.data;
+
+      const response = await request(app())
+        .put('/api/auth/password')
+        .set(getAuthHeaders(token))
+        .send({
+          currentPassword: testUser.password,
+          newPassword: 'newpassword123'
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toBeDefined();
+
+      for (const oldToken of [token, otherDevice.token]) {
+        const meResponse = await request(app())
+          .get('/api/auth/me')
+          .set(getAuthHeaders(oldToken));
+        expect(meResponse.status).toBe(401);
+      }
+
+      const newMe = await request(app())
+        .get('/api/auth/me')
+        .set(getAuthHeaders(response.body.data.token));
+      expect(newMe.status).toBe(200);
+    });
+  });
+
+  describe('Password reset and email verification', () => {
+    beforeEach(() => {
+      clearSentMail();
+    });
+
+    test('Should send a verification email on register and verify it once', async () => {
+      await createAuthenticatedUser();
+      const token = getEmailedToken(testUser.email);
+      expect(token).toBeDefined();
+
+      const response = await request(app())
+        .post('/api/auth/verify-email')
+        .send({ token });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect((await User.findOne({ email: testUser.email })).isEmailVerified).toBe(true);
+
+      const reuse = await request(app())
+        .post('/api/auth/verify-email')
+        .send({ token });
+      expect(reuse.status).toBe(400);
+    });
+
+    test('Should not store verification tokens in plain text', async () => {
+      await createAuthenticatedUser();
+      const token = getEmailedToken(testUser.email);
+
+      const user = await User.findOne({ email: testUser.email }).select('+emailVerificationToken');
+      expect(user.emailVerificationToken).toBeDefined();
+      expect(user.emailVerificationToken).not.toBe(token);
+    });
+
+    test('Should answer forgot-password the same way for unknown emails', async () => {
+      await createAuthenticatedUser();
+      clearSentMail();
+
+      const known = await request(app())
+        .post('/api/auth/forgot-password')
+        .send({ email: testUser.email });
+      const unknown = await request(app())
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(known.status).toBe(200);
+      expect(unknown.status).toBe(200);
+      expect(unknown.body).toEqual(known.body);
+      expect(getSentMail()).toHaveLength(1);
+    });
+
+    test('Should reset the password with a single-use token and end sessions', async () => {
+      const { token: accessToken } = await createAuthenticatedUser();
+      await request(app())
+        .post('/api/auth/forgot-password')
+        .send({ email: testUser.email });
+      const resetToken = getEmailedToken(testUser.email);
+
+      const response = await request(app())
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'brandnew123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const loginResponse = await request(app())
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'brandnew123' });
+      expect(loginResponse.status).toBe(200);
+      expect(loginResponse.body.data.user.isEmailVerified).toBe(true);
+
+      const meResponse = await request(app())
+        .get('/api/auth/me')
+        .set(getAuthHeaders(accessToken));
+      expect(meResponse.status).toBe(401);
+
+      const reuse = await request(app())
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'another123' });
+      expect(reuse.status).toBe(400);
+    });
+
+    test('Should reject expired reset tokens', async () => {
+      await createAuthenticatedUser();
+      await request(app())
+        .post('/api/auth/forgot-password')
+        .send({ email: testUser.email });
+      const resetToken = getEmailedToken(testUser.email);
+
+      await User.updateOne({ email: testUser.email }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+      const response = await request(app())
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'brandnew123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Invalid or expired');
+    });
+
+    test('Should resend the verification email', async () => {
+      const { token } = await createAuthenticatedUser();
+      const firstToken = getEmailedToken(testUser.email);
+
+      const response = await request(app())
+        .post('/api/auth/verify-email/resend')
+        .set(getAuthHeaders(token));
+
+      expect(response.status).toBe(200);
+      const secondToken = getEmailedToken(testUser.email);
+      expect(secondToken).not.toBe(firstToken);
+
+      const stale = await request(app())
+        .post('/api/auth/verify-email')
+        .send({ token: firstToken });
+      expect(stale.status).toBe(400);
+    });
+  });
 });
@@ -0,0 +1,272 @@
+const request = require('supertest');
+const moment = require('moment');
+const { createAuthenticatedUser, createTestExpense, createTestIncome, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Budget = require('../src/models/Budget');
+const BudgetAlert = require('../src/models/BudgetAlert');
+const UserSettings = require('../src/models/UserSettings');
+
+describe('Budget Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  const createBudget = (data) => request(app())
+    .post('/api/budgets')
+    .set(getAuthHeaders(authData.token))
+    .send(data);
+
+  const postExpense = (data) => request(app())
+    .post('/api/expenses')
+    .set(getAuthHeaders(authData.token))
+    .send({ category: 'food', date: new Date().toISOString(), ...data });
+
+  describe('POST /api/budgets', () => {
+    test('Should create a monthly category budget', async () => {
+      const response = await createBudget({ category: 'food', amount: 400 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.budget).toMatchObject({
+        category: 'food',
+        amount: 400,
+        rollover: 'none',
+        spent: 0,
+        limit: 400,
+        remaining: 400,
+        status: 'on_track'
+      });
+    });
+
+    test('Should reject a second budget for the same category', async () => {
+      await createBudget({ category: 'food', amount: 400 });
+      const response = await createBudget({ category: 'food', amount: 200 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should validate budget fields', async () => {
+      const response = await createBudget({ category: 'salary', amount: -5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/budgets', () => {
+    test('Should compute live spent and remaining from expenses', async () => {
+      await createBudget({ category: 'food', amount: 400 });
+      await createTestExpense(authData.userId, { amount: 100, category: 'food' });
+      await createTestExpense(authData.userId, { amount: 50, category: 'food' });
+      await createTestExpense(authData.userId, { amount: 75, category: 'transport' });
+
+      const response = await request(app())
+        .get('/api/budgets')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.period).toBe(moment().format('YYYY-MM'));
+      expect(response.body.data.budgets).toHaveLength(1);
+      expect(response.body.data.budgets[0]).toMatchObject({ spent: 150, remaining: 250, percentUsed: 37.5 });
+      expect(response.body.data.totals).toEqual({ limit: 400, spent: 150, remaining: 250 });
+    });
+
+    test('Should carry unspent amounts into the next month', async () => {
+      await createBudget({ category: 'food', amount: 500, rollover: 'unspent', maxRollover: 300 });
+      await createTestExpense(authData.userId, { amount: 100, category: 'food' });
+
+      const nextMonth = moment().add(1, 'month').format('YYYY-MM');
+      const response = await request(app())
+        .get(`/api/budgets?month=${nextMonth}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.budgets[0]).toMatchObject({ carryover: 300, limit: 800, spent: 0 });
+    });
+
+    test('Should deduct overspending when rollover is all', async () => {
+      await createBudget({ category: 'food', amount: 100, rollover: 'all' });
+      await createTestExpense(authData.userId, { amount: 130, category: 'food' });
+
+      const nextMonth = moment().add(1, 'month').format('YYYY-MM');
+      const response = await request(app())
+        .get(`/api/budgets?month=${nextMonth}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.body.data.budgets[0]).toMatchObject({ carryover: -30, limit: 70 });
+    });
+
+    test('Should reject an invalid month', async () => {
+      const response = await request(app())
+        .get('/api/budgets?month=2024-13')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('PUT /api/budgets/:id and DELETE /api/budgets/:id', () => {
+    test('Should update and delete a budget', async () => {
+      const created = await createBudget({ category: 'bills', amount: 900 });
+      const budgetId = created.body.data.budget._id;
+
+      const updated = await request(app())
+        .put(`/api/budgets/${budgetId}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 1000, rollover: 'unspent' });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.budget).toMatchObject({ amount: 1000, rollover: 'unspent' });
+
+      const deleted = await request(app())
+        .delete(`/api/budgets/${budgetId}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(deleted.status).toBe(200);
+      expect(await Budget.countDocuments({ user: authData.userId })).toBe(0);
+    });
+
+    test('Should not expose budgets of other users', async () => {
+      const otherUser = await createAuthenticatedUser({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+      const budget = await Budget.create({ user: otherUser.userId, category: 'food', amount: 100 });
+
+      const response = await request(app())
+        .get(`/api/budgets/${budget._id}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Budget alerts', () => {
+    test('Should raise each threshold once as expenses accumulate', async () => {
+      await createBudget({ category: 'food', amount: 100 });
+
+      const first = await postExpense({ amount: 55 });
+      expect(first.status).toBe(201);
+      expect(first.body.data.budgetAlerts.map(alert => alert.threshold)).toEqual([50]);
+
+      const second = await postExpense({ amount: 10 });
+      expect(second.body.data.budgetAlerts).toEqual([]);
+
+      const third = await postExpense({ amount: 50 });
+      expect(third.body.data.budgetAlerts.map(alert => alert.threshold)).toEqual([80, 100]);
+
+      const response = await request(app())
+        .get('/api/budgets/alerts')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.alerts).toHaveLength(3);
+      expect(response.body.data.alerts[0].isRead).toBe(false);
+    });
+
+    test('Should raise alerts when an expense update crosses a threshold', async () => {
+      await createBudget({ category: 'travel', amount: 200 });
+      const expense = await createTestExpense(authData.userId, { amount: 20, category: 'food' });
+
+      const response = await request(app())
+        .put(`/api/expenses/${expense._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ category: 'travel', amount: 170 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.budgetAlerts.map(alert => alert.threshold)).toEqual([50, 80]);
+    });
+
+    test('Should keep raising thresholds after one alert fails', async () => {
+      await createBudget({ category: 'food', amount: 100 });
+      const create = jest.spyOn(BudgetAlert, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+      try {
+        const response = await postExpense({ amount: 150 });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.budgetAlerts.map(alert => alert.threshold)).toEqual([80, 100]);
+      } finally {
+        create.mockRestore();
+      }
+    });
+
+    test('Should honor the budgetAlerts setting', async () => {
+      await UserSettings.create({ userId: authData.userId, budgetAlerts: false });
+      await createBudget({ category: 'food', amount: 100 });
+
+      const response = await postExpense({ amount: 150 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.budgetAlerts).toEqual([]);
+      expect(await BudgetAlert.countDocuments({ user: authData.userId })).toBe(0);
+    });
+
+    test('Should mark an alert as read', async () => {
+      await createBudget({ category: 'food', amount: 100 });
+      const expense = await postExpense({ amount: 60 });
+      const alertId = expense.body.data.budgetAlerts[0]._id;
+
+      const response = await request(app())
+        .put(`/api/budgets/alerts/${alertId}/read`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.alert.isRead).toBe(true);
+    });
+  });
+
+  describe('POST /api/budgets/adopt-suggestions', () => {
+    test('Should save suggested amounts as budgets', async () => {
+      // Averaged over the four calendar months of the suggestion window: 5000 a month
+      await createTestIncome(authData.userId, { amount: 20000 });
+      await createTestExpense(authData.userId, { amount: 900, category: 'food' });
+
+      const response = await request(app())
+        .post('/api/budgets/adopt-suggestions')
+        .set(getAuthHeaders(authData.token))
+        .send({ targetSavingsRate: 20 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.budgets).toHaveLength(1);
+      expect(response.body.data.budgets[0]).toMatchObject({
+        category: 'food',
+        amount: 600,
+        source: 'suggestion',
+        spent: 900,
+        status: 'exceeded'
+      });
+    });
+
+    test('Should keep existing budgets unless overwrite is set', async () => {
+      await createTestIncome(authData.userId, { amount: 20000 });
+      await createTestExpense(authData.userId, { amount: 900, category: 'food' });
+      await createBudget({ category: 'food', amount: 450 });
+
+      const kept = await request(app())
+        .post('/api/budgets/adopt-suggestions')
+        .set(getAuthHeaders(authData.token))
+        .send({});
+
+      expect(kept.body.data.budgets).toHaveLength(0);
+      expect(kept.body.data.skipped).toEqual([{ category: 'food', reason: 'Budget already exists' }]);
+
+      const overwritten = await request(app())
+        .post('/api/budgets/adopt-suggestions')
+        .set(getAuthHeaders(authData.token))
+        .send({ overwrite: true });
+
+      expect(overwritten.body.data.budgets[0].amount).toBe(600);
+    });
+  });
+
+  test('Should require authentication', async () => {
+    const response = await request(app()).get('/api/budgets');
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const { createAuthenticatedUser, createTestExpense, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Budget = require('../src/models/Budget');
+const Category = require('../src/models/Category');
+const Expense = require('../src/models/Expense');
+
+describe('Category Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  const createCategory = (data) => request(app())
+    .post('/api/categories')
+    .set(getAuthHeaders(authData.token))
+    .send(data);
+
+  const findCategory = async (key, type = 'expense') => {
+    const response = await request(app())
+      .get(`/api/categories?type=${type}`)
+      .set(getAuthHeaders(authData.token));
+    return response.body.data.categories.find(category => category.key === key);
+  };
+
+  describe('GET /api/categories', () => {
+    test('Should seed the default categories', async () => {
+      const response = await request(app())
+        .get('/api/categories')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      const keys = response.body.data.categories.map(category => `${category.type}:${category.key}`);
+      expect(keys).toEqual(expect.arrayContaining(['expense:food', 'expense:other', 'income:salary', 'income:other']));
+      expect(response.body.data.categories).toHaveLength(14);
+    });
+
+    test('Should filter by type', async () => {
+      const response = await request(app())
+        .get('/api/categories?type=income')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.categories.every(category => category.type === 'income')).toBe(true);
+    });
+  });
+
+  describe('POST /api/categories', () => {
+    test('Should create a sub-category with a key derived from its name', async () => {
+      const food = await findCategory('food');
+
+      const response = await createCategory({
+        name: 'Groceries & Markets',
+        type: 'expense',
+        icon: '🛒',
+        color: '#4CAF50',
+        parent: food._id
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.category).toMatchObject({
+        key: 'groceries-markets',
+        name: 'Groceries & Markets',
+        parent: food._id
+      });
+    });
+
+    test('Should reject a duplicate key', async () => {
+      const response = await createCategory({ name: 'Food', type: 'expense' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should reject nesting deeper than one level', async () => {
+      const food = await findCategory('food');
+      const groceries = await createCategory({ name: 'Groceries', type: 'expense', parent: food._id });
+
+      const response = await createCategory({
+        name: 'Organic',
+        type: 'expense',
+        parent: groceries.body.data.category._id
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('Should reject a parent of another type', async () => {
+      const salary = await findCategory('salary', 'income');
+
+      const response = await createCategory({ name: 'Pets', type: 'expense', parent: salary._id });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Transactions with custom categories', () => {
+    test('Should accept a custom category and reject unknown ones', async () => {
+      await createCategory({ name: 'Pets', type: 'expense' });
+
+      const accepted = await request(app())
+        .post('/api/expenses')
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 40, category: 'pets', date: '2024-01-15' });
+
+      expect(accepted.status).toBe(201);
+
+      const rejected = await request(app())
+        .post('/api/expenses')
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 40, category: 'garden', date: '2024-01-15' });
+
+      expect(rejected.status).toBe(400);
+    });
+
+    test('Should include category details in by-category results', async () => {
+      await createCategory({ name: 'Pets', type: 'expense', icon: '🐶' });
+      await createTestExpense(authData.userId, { amount: 40, category: 'pets' });
+
+      const response = await request(app())
+        .get('/api/expenses/by-category')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.expenseByCategory[0].categoryDetails).toMatchObject({
+        key: 'pets',
+        name: 'Pets',
+        icon: '🐶',
+        parent: null
+      });
+    });
+  });
+
+  describe('PUT /api/categories/:id', () => {
+    test('Should update display fields but keep the key', async () => {
+      const created = await createCategory({ name: 'Pets', type: 'expense' });
+
+      const response = await request(app())
+        .put(`/api/categories/${created.body.data.category._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ name: 'Pet Care', color: '#795548' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.category).toMatchObject({ key: 'pets', name: 'Pet Care', color: '#795548' });
+    });
+  });
+
+  describe('DELETE /api/categories/:id', () => {
+    test('Should require reassignment when transactions use the category', async () => {
+      const created = await createCategory({ name: 'Pets', type: 'expense' });
+      await createTestExpense(authData.userId, { amount: 40, category: 'pets' });
+
+      const response = await request(app())
+        .delete(`/api/categories/${created.body.data.category._id}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(400);
+      expect(await Category.exists({ _id: created.body.data.category._id })).toBeTruthy();
+    });
+
+    test('Should move transactions and budgets to the replacement category', async () => {
+      const created = await createCategory({ name: 'Pets', type: 'expense' });
+      await createTestExpense(authData.userId, { amount: 40, category: 'pets' });
+      await Budget.create({ user: authData.userId, category: 'pets', amount: 100 });
+
+      const response = await request(app())
+        .delete(`/api/categories/${created.body.data.category._id}?reassignTo=shopping`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reassigned).toBe(1);
+      expect(await Expense.countDocuments({ user: authData.userId, category: 'shopping' })).toBe(1);
+      expect(await Budget.exists({ user: authData.userId, category: 'shopping' })).toBeTruthy();
+      expect(await Category.exists({ _id: created.body.data.category._id })).toBeFalsy();
+    });
+
+    test('Should not delete the fallback category', async () => {
+      const other = await findCategory('other');
+
+      const response = await request(app())
+        .delete(`/api/categories/${other._id}?reassignTo=food`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  test('Should require authentication', async () => {
+    const response = await request(app()).get('/api/categories');
+
+    expect(response.status).toBe(401);
+  });
+});
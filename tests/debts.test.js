@@ -0,0 +1,236 @@
+const request = require('supertest');
+const { createAuthenticatedUser, createTestExpense, createTestIncome, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Debt = require('../src/models/Debt');
+const DebtPayment = require('../src/models/DebtPayment');
+const Expense = require('../src/models/Expense');
+const UserSettings = require('../src/models/UserSettings');
+
+describe('Debt Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  const createDebt = (data) => request(app())
+    .post('/api/debts')
+    .set(getAuthHeaders(authData.token))
+    .send({ name: 'Visa', principal: 1000, apr: 12, minimumPayment: 100, ...data });
+
+  const logPayment = (debtId, data) => request(app())
+    .post(`/api/debts/${debtId}/payments`)
+    .set(getAuthHeaders(authData.token))
+    .send(data);
+
+  describe('POST /api/debts', () => {
+    test('Should create a debt with its balance set to the principal', async () => {
+      const response = await createDebt({ lender: 'Bank', type: 'credit_card', dueDay: 15 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.debt).toMatchObject({
+        name: 'Visa',
+        lender: 'Bank',
+        principal: 1000,
+        balance: 1000,
+        status: 'active',
+        dueDay: 15
+      });
+    });
+
+    test('Should validate debt fields', async () => {
+      const response = await createDebt({ apr: 150, dueDay: 40 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/debts/:id/schedule', () => {
+    test('Should amortize the balance at the minimum payment', async () => {
+      const created = await createDebt();
+
+      const response = await request(app())
+        .get(`/api/debts/${created.body.data.debt._id}/schedule`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.months).toBe(11);
+      expect(response.body.data.totalInterest).toBe(58.98);
+      expect(response.body.data.schedule[0]).toMatchObject({ payment: 100, interest: 10, principal: 90, balance: 910 });
+      expect(response.body.data.schedule[10].balance).toBe(0);
+    });
+
+    test('Should reject a payment that never covers the interest', async () => {
+      const created = await createDebt({ principal: 10000, apr: 24, minimumPayment: 150 });
+
+      const response = await request(app())
+        .get(`/api/debts/${created.body.data.debt._id}/schedule?payment=200`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Debt payments', () => {
+    test('Should record a payment as an expense and reduce the balance', async () => {
+      const created = await createDebt({ startDate: '2024-01-31' });
+      const debtId = created.body.data.debt._id;
+
+      const response = await logPayment(debtId, { amount: 100, date: '2024-03-01' });
+
+      // 30 days of interest at 12% APR
+      expect(response.status).toBe(201);
+      expect(response.body.data.payment).toMatchObject({ amount: 100, interest: 9.86, principal: 90.14, balanceAfter: 909.86 });
+      expect(response.body.data.debt.balance).toBe(909.86);
+      expect(response.body.data.expense).toMatchObject({ amount: 100, category: 'bills', description: 'Payment: Visa' });
+    });
+
+    test('Should link an existing expense once', async () => {
+      const created = await createDebt({ startDate: '2024-01-31' });
+      const debtId = created.body.data.debt._id;
+      const expense = await createTestExpense(authData.userId, { amount: 250, category: 'bills', date: new Date('2024-03-01') });
+
+      const linked = await logPayment(debtId, { expense: expense._id.toString() });
+      expect(linked.status).toBe(201);
+      expect(linked.body.data.debt.balance).toBe(759.86);
+      expect(await Expense.countDocuments({ user: authData.userId })).toBe(1);
+
+      const again = await logPayment(debtId, { expense: expense._id.toString() });
+      expect(again.status).toBe(400);
+    });
+
+    test('Should replay payments when the expense is edited or deleted', async () => {
+      const created = await createDebt({ startDate: '2024-01-31' });
+      const debtId = created.body.data.debt._id;
+      const payment = await logPayment(debtId, { amount: 100, date: '2024-03-01' });
+      const expenseId = payment.body.data.expense._id;
+
+      await request(app())
+        .put(`/api/expenses/${expenseId}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 210 });
+      expect((await Debt.findById(debtId)).balance).toBe(799.86);
+
+      await request(app())
+        .delete(`/api/expenses/${expenseId}`)
+        .set(getAuthHeaders(authData.token));
+      expect((await Debt.findById(debtId)).balance).toBe(1000);
+      expect(await DebtPayment.countDocuments({ debt: debtId })).toBe(0);
+    });
+
+    test('Should accrue interest for the days between payments', async () => {
+      const created = await createDebt({ principal: 3650, apr: 10, startDate: '2024-01-01' });
+      const debtId = created.body.data.debt._id;
+
+      await logPayment(debtId, { amount: 200, date: '2024-01-11' });
+      const second = await logPayment(debtId, { amount: 200, date: '2024-01-12' });
+
+      // 10 days, then 1 day, of interest at 10% APR
+      const payments = await DebtPayment.find({ debt: debtId }).sort({ date: 1 });
+      expect(payments.map(payment => payment.interest)).toEqual([10, 0.95]);
+      expect(second.body.data.debt.balance).toBe(3260.95);
+    });
+
+    test('Should reduce the balance by the converted amount of a foreign payment', async () => {
+      await request(app())
+        .post('/api/exchange-rates/import')
+        .set(getAuthHeaders(authData.token))
+        .send({ format: 'csv', content: 'date,base,quote,rate\n2024-03-01,EUR,USD,1.1' });
+      const created = await createDebt({ apr: 0 });
+      const debtId = created.body.data.debt._id;
+
+      const response = await logPayment(debtId, { amount: 100, currency: 'EUR', date: '2024-03-10' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.payment.amount).toBe(110);
+      expect(response.body.data.debt.balance).toBe(890);
+    });
+
+    test('Should mark a debt paid off and delete created expenses with the payment', async () => {
+      const created = await createDebt({ principal: 200, apr: 0, minimumPayment: 50 });
+      const debtId = created.body.data.debt._id;
+
+      const payment = await logPayment(debtId, { amount: 200 });
+      expect(payment.body.data.debt.status).toBe('paid_off');
+
+      const response = await request(app())
+        .delete(`/api/debts/${debtId}/payments/${payment.body.data.payment._id}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.debt).toMatchObject({ balance: 200, status: 'active' });
+      expect(await Expense.countDocuments({ user: authData.userId })).toBe(0);
+    });
+  });
+
+  describe('GET /api/debts/payoff-plan', () => {
+    test('Should compare avalanche and snowball', async () => {
+      await createDebt({ name: 'Card', principal: 5000, apr: 22, minimumPayment: 150 });
+      await createDebt({ name: 'Car', principal: 2000, apr: 6, minimumPayment: 100 });
+      await createDebt({ name: 'Store', principal: 800, apr: 15, minimumPayment: 40 });
+
+      const response = await request(app())
+        .get('/api/debts/payoff-plan?extraPayment=200')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      const { plan } = response.body.data;
+      expect(plan.avalanche.order.map(debt => debt.name)).toEqual(['Card', 'Store', 'Car']);
+      expect(plan.snowball.order.map(debt => debt.name)).toEqual(['Store', 'Car', 'Card']);
+      expect(plan.avalanche.totalInterest).toBeLessThan(plan.snowball.totalInterest);
+      expect(plan.avalanche.payoffDate).toBeDefined();
+      expect(plan.recommended).toBe('avalanche');
+    });
+
+    test('Should reject a negative extra payment', async () => {
+      const response = await request(app())
+        .get('/api/debts/payoff-plan?extraPayment=-5')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Financial health', () => {
+    test('Should score debt-to-income in the health score', async () => {
+      await createTestIncome(authData.userId, { amount: 3000 });
+      await createDebt({ principal: 20000, apr: 7, minimumPayment: 600 });
+
+      const response = await request(app())
+        .get('/api/reports/health-score')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.debt).toEqual({ totalDebt: 20000, debtToIncome: 60 });
+      expect(response.body.data.factors).toContainEqual({ name: 'Debt Load', score: 0, status: 'poor' });
+      expect(response.body.data.recommendations.map(item => item.type)).toContain('debt');
+    });
+
+    test('Should fall back to the debtAmount setting in health insights', async () => {
+      await UserSettings.create({ userId: authData.userId, debtAmount: 5000 });
+
+      const response = await request(app())
+        .get('/api/ai-insights/health-insights')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.debt).toMatchObject({ totalDebt: 5000, source: 'settings', debtToIncome: null });
+      expect(response.body.data.concerns).toContain('High debt relative to income');
+    });
+  });
+
+  test('Should not expose debts of other users', async () => {
+    const otherUser = await createAuthenticatedUser({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+    const debt = await Debt.create({ user: otherUser.userId, name: 'Loan', principal: 100, apr: 5, minimumPayment: 10 });
+
+    const response = await request(app())
+      .get(`/api/debts/${debt._id}`)
+      .set(getAuthHeaders(authData.token));
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const moment = require('moment');
+const { createAuthenticatedUser, createTestExpense, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Expense = require('../src/models/Expense');
+const User = require('../src/models/User');
+const ExchangeRate = require('../src/models/ExchangeRate');
+const UserSettings = require('../src/models/UserSettings');
+
+describe('Exchange Rate Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  const importRates = (data) => request(app())
+    .post('/api/exchange-rates/import')
+    .set(getAuthHeaders(authData.token))
+    .send(data);
+
+  const postExpense = (data) => request(app())
+    .post('/api/expenses')
+    .set(getAuthHeaders(authData.token))
+    .send({ category: 'food', date: '2024-03-10', ...data });
+
+  describe('POST /api/exchange-rates/import', () => {
+    test('Should import rates from CSV and replace rates for the same date', async () => {
+      const first = await importRates({
+        format: 'csv',
+        content: 'date,base,quote,rate\n2024-03-01,EUR,USD,1.08\n2024-03-01,GBP,USD,1.27\nbad,EUR,USD,x'
+      });
+
+      expect(first.status).toBe(201);
+      expect(first.body.data.imported).toBe(2);
+      expect(first.body.data.errors).toHaveLength(1);
+
+      await importRates({ format: 'csv', content: 'date,from,to,rate\n2024-03-01,EUR,USD,1.1' });
+
+      const rates = await ExchangeRate.find({ user: authData.userId, base: 'EUR' });
+      expect(rates).toHaveLength(1);
+      expect(rates[0].rate).toBe(1.1);
+    });
+
+    test('Should import JSON rate snapshots', async () => {
+      const response = await importRates({
+        format: 'json',
+        content: JSON.stringify([{ date: '2024-03-01', base: 'USD', rates: { EUR: 0.92, JPY: 150 } }])
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.imported).toBe(2);
+
+      const list = await request(app())
+        .get('/api/exchange-rates?base=USD')
+        .set(getAuthHeaders(authData.token));
+
+      expect(list.status).toBe(200);
+      expect(list.body.data.baseCurrency).toBe('USD');
+      expect(list.body.data.rates).toHaveLength(2);
+    });
+
+    test('Should require rate content', async () => {
+      const response = await importRates({ format: 'csv' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Foreign-currency transactions', () => {
+    beforeEach(async () => {
+      await importRates({
+        format: 'csv',
+        content: 'date,base,quote,rate\n2024-03-01,EUR,USD,1.1\n2024-04-01,EUR,USD,1.2\n2024-03-01,USD,GBP,0.8'
+      });
+    });
+
+    test('Should convert an expense at the rate for its date', async () => {
+      const march = await postExpense({ amount: 100, currency: 'EUR' });
+      const april = await postExpense({ amount: 100, currency: 'EUR', date: '2024-04-15' });
+
+      expect(march.status).toBe(201);
+      expect(march.body.data.expense).toMatchObject({
+        amount: 100,
+        currency: 'EUR',
+        baseCurrency: 'USD',
+        exchangeRate: 1.1,
+        baseAmount: 110
+      });
+      expect(april.body.data.expense.baseAmount).toBe(120);
+    });
+
+    test('Should use the inverse pair when only the opposite rate is stored', async () => {
+      const response = await postExpense({ amount: 80, currency: 'GBP' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.expense.baseAmount).toBe(100);
+    });
+
+    test('Should reject a currency without a stored rate', async () => {
+      const response = await postExpense({ amount: 100, currency: 'JPY' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should re-convert when the amount of an expense changes', async () => {
+      const created = await postExpense({ amount: 100, currency: 'EUR' });
+
+      const response = await request(app())
+        .put(`/api/expenses/${created.body.data.expense._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 50 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.expense.baseAmount).toBe(55);
+    });
+
+    test('Should report original and converted amounts in the expense summary', async () => {
+      await postExpense({ amount: 100, currency: 'EUR' });
+      await createTestExpense(authData.userId, { amount: 40, category: 'food', date: new Date('2024-03-12') });
+
+      const response = await request(app())
+        .get('/api/expenses/summary?startDate=2024-03-01&endDate=2024-03-31')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.totalExpenses).toBe(150);
+      expect(response.body.data.summary.baseCurrency).toBe('USD');
+      expect(response.body.data.summary.byCurrency).toEqual(expect.arrayContaining([
+        { currency: 'EUR', amount: 100, convertedAmount: 110, count: 1 },
+        { currency: 'USD', amount: 40, convertedAmount: 40, count: 1 }
+      ]));
+    });
+
+    test('Should convert the monthly report and financial summary', async () => {
+      await postExpense({ amount: 100, currency: 'EUR' });
+
+      const report = await request(app())
+        .get('/api/reports/monthly/2024/3')
+        .set(getAuthHeaders(authData.token));
+
+      expect(report.status).toBe(200);
+      expect(report.body.data.summary).toMatchObject({ baseCurrency: 'USD', totalExpenses: 110 });
+      expect(report.body.data.currencyBreakdown.expenses[0]).toMatchObject({ currency: 'EUR', amount: 100 });
+
+      const user = await User.findById(authData.userId);
+      expect(user.financialSummary).toMatchObject({ totalExpenses: 110, currency: 'USD' });
+    });
+
+    test('Should re-convert stored transactions when the base currency changes', async () => {
+      await postExpense({ amount: 100, currency: 'EUR' });
+
+      const response = await request(app())
+        .put('/api/settings')
+        .set(getAuthHeaders(authData.token))
+        .send({ currency: 'GBP' });
+
+      expect(response.status).toBe(200);
+
+      // EUR -> USD -> GBP through the pivot currency
+      const expense = await Expense.findOne({ user: authData.userId });
+      expect(expense.baseCurrency).toBe('GBP');
+      expect(expense.baseAmount).toBe(88);
+    });
+
+    test('Should convert transactions stored without a currency from the old base currency', async () => {
+      await createTestExpense(authData.userId, { amount: 50, date: new Date('2024-03-10T00:00:00Z') });
+
+      const response = await request(app())
+        .put('/api/settings')
+        .set(getAuthHeaders(authData.token))
+        .send({ currency: 'GBP' });
+
+      expect(response.status).toBe(200);
+
+      const expense = await Expense.findOne({ user: authData.userId });
+      expect(expense.currency).toBe('USD');
+      expect(expense.baseCurrency).toBe('GBP');
+      expect(expense.baseAmount).toBe(40);
+    });
+
+    test('Should refuse a base currency without rates for existing transactions', async () => {
+      await postExpense({ amount: 100, currency: 'EUR' });
+
+      const response = await request(app())
+        .put('/api/settings')
+        .set(getAuthHeaders(authData.token))
+        .send({ currency: 'JPY' });
+
+      expect(response.status).toBe(400);
+      const settings = await UserSettings.findOne({ userId: authData.userId });
+      expect(settings?.currency || 'USD').toBe('USD');
+    });
+  });
+
+  test('Should keep dashboard totals in the base currency', async () => {
+    await importRates({
+      format: 'csv',
+      content: `date,base,quote,rate\n${moment().startOf('month').format('YYYY-MM-DD')},EUR,USD,2`
+    });
+    await postExpense({ amount: 10, currency: 'EUR', date: new Date().toISOString() });
+
+    const response = await request(app())
+      .get('/api/reports/dashboard')
+      .set(getAuthHeaders(authData.token));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.monthlyOverview.expenses).toBe(20);
+    expect(response.body.data.currency.base).toBe('USD');
+  });
+
+  test('Should require authentication', async () => {
+    const response = await request(app()).get('/api/exchange-rates');
+
+    expect(response.status).toBe(401);
+  });
+});
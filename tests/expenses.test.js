@@ -1,5 +1,7 @@
 const request = require('supertest');
-const { createAuthenticatedUser, createTestExpense, getAuthHeaders, app } = require('./helpers/testHelpers');
+const { createAuthenticatedUser, createTestExpense, createTestIncome, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Expense = require('../src/models/Expense');
+const User = require('../src/models/User');
 
 describe('Expense Management Endpoints', () => {
   let authData;
@@ -182,6 +184,44 @@ describe('Expense Management Endpoints', () => {
       expect(response.body.data.expense.amount).toBe(updateData.amount);
       expect(response.body.data.expense.description).toBe(updateData.description);
     });
+
+    test('Should schedule an expense made recurring by an update', async () => {
+      const expense = await createTestExpense(authData.userId, { date: new Date('2024-01-15T12:00:00Z') });
+
+      const response = await request(app())
+        .put(`/api/expenses/${expense._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ isRecurring: true, recurringPeriod: 'monthly' });
+
+      expect(response.status).toBe(200);
+      const nextDate = new Date(response.body.data.expense.nextRecurringDate);
+      // Next 15th after now, so past months are not back-filled
+      expect(nextDate > new Date()).toBe(true);
+      expect(nextDate.getUTCDate()).toBe(15);
+    });
+
+    test('Should reschedule a recurring expense when its period or date changes', async () => {
+      const template = await createTestExpense(authData.userId, { isRecurring: true, recurringPeriod: 'monthly' });
+      const weekFromNow = Date.now() + 7 * 24 * 60 * 60 * 1000;
+
+      const weekly = await request(app())
+        .put(`/api/expenses/${template._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ recurringPeriod: 'weekly' });
+      expect(new Date(weekly.body.data.expense.nextRecurringDate).getTime()).toBeLessThanOrEqual(weekFromNow);
+
+      const moved = await request(app())
+        .put(`/api/expenses/${template._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ date: new Date(weekFromNow) });
+      expect(new Date(moved.body.data.expense.nextRecurringDate).getTime()).toBe(weekFromNow + 7 * 24 * 60 * 60 * 1000);
+
+      const stopped = await request(app())
+        .put(`/api/expenses/${template._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ isRecurring: false });
+      expect(stopped.body.data.expense.nextRecurringDate).toBeUndefined();
+    });
   });
 
   describe('DELETE /api/expenses/:id', () => {
@@ -216,4 +256,184 @@ describe('Expense Management Endpoints', () => {
       expect(response.body.data.recurringExpenses.every(expense => expense.isRecurring)).toBe(true);
     });
   });
+
+  describe('POST /api/expenses/recurring/run', () => {
+    test('Should create due occurrences and advance the template', async () => {
+      const template = await createTestExpense(authData.userId, {
+        amount: 100,
+        date: new Date('2024-01-15T12:00:00Z'),
+        isRecurring: true,
+        recurringPeriod: 'monthly'
+      });
+
+      const response = await request(app())
+        .post('/api/expenses/recurring/run')
+        .set(getAuthHeaders(authData.token))
+        .send({ asOf: '2024-04-01T00:00:00Z' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.summary.expensesCreated).toBe(2);
+
+      const occurrences = await Expense.find({ recurringSource: template._id }).sort({ date: 1 });
+      expect(occurrences.length).toBe(2);
+      expect(occurrences[0].date.toISOString()).toBe('2024-02-15T12:00:00.000Z');
+      expect(occurrences[1].date.toISOString()).toBe('2024-03-15T12:00:00.000Z');
+      expect(occurrences.every(expense => !expense.isRecurring)).toBe(true);
+
+      const updatedTemplate = await Expense.findById(template._id);
+      expect(updatedTemplate.nextRecurringDate.toISOString()).toBe('2024-04-15T12:00:00.000Z');
+
+      const user = await User.findById(authData.userId);
+      expect(user.financialSummary.totalExpenses).toBe(300);
+    });
+
+    test('Should not duplicate occurrences when run twice', async () => {
+      const template = await createTestExpense(authData.userId, {
+        date: new Date('2024-01-01T12:00:00Z'),
+        isRecurring: true,
+        recurringPeriod: 'weekly'
+      });
+
+      for (let i = 0; i < 2; i++) {
+        await request(app())
+          .post('/api/expenses/recurring/run')
+          .set(getAuthHeaders(authData.token))
+          .send({ asOf: '2024-01-20T00:00:00Z' });
+      }
+
+      const occurrences = await Expense.countDocuments({ recurringSource: template._id });
+      expect(occurrences).toBe(2);
+    });
+
+    test('Should also process recurring income', async () => {
+      await createTestIncome(authData.userId, {
+        date: new Date('2024-01-01T12:00:00Z'),
+        isRecurring: true,
+        recurringPeriod: 'monthly'
+      });
+
+      const response = await request(app())
+        .post('/api/expenses/recurring/run')
+        .set(getAuthHeaders(authData.token))
+        .send({ asOf: '2024-02-10T00:00:00Z' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.incomeCreated).toBe(1);
+    });
+
+    test('Should validate the reference date', async () => {
+      const response = await request(app())
+        .post('/api/expenses/recurring/run')
+        .set(getAuthHeaders(authData.token))
+        .send({ asOf: 'not-a-date' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should not run ahead of the current date', async () => {
+      const template = await createTestExpense(authData.userId, { isRecurring: true, recurringPeriod: 'weekly' });
+
+      const response = await request(app())
+        .post('/api/expenses/recurring/run')
+        .set(getAuthHeaders(authData.token))
+        .send({ asOf: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) });
+
+      expect(response.status).toBe(400);
+      expect(await Expense.countDocuments({ recurringSource: template._id })).toBe(0);
+    });
+  });
+
+  describe('Split expenses', () => {
+    const receipt = {
+      amount: 100,
+      date: new Date().toISOString(),
+      description: 'Supermarket',
+      splits: [
+        { category: 'food', amount: 60 },
+        { category: 'healthcare', amount: 25, note: 'Pharmacy' },
+        { category: 'shopping', amount: 15 }
+      ]
+    };
+
+    const postExpense = (data) => request(app())
+      .post('/api/expenses')
+      .set(getAuthHeaders(authData.token))
+      .send(data);
+
+    test('Should store split lines and take the largest line as category', async () => {
+      const response = await postExpense(receipt);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.expense.category).toBe('food');
+      expect(response.body.data.expense.splits).toHaveLength(3);
+    });
+
+    test('Should reject splits that do not add up to the amount', async () => {
+      const response = await postExpense({ ...receipt, amount: 90 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should require new splits when only the amount changes', async () => {
+      const created = await postExpense(receipt);
+
+      const response = await request(app())
+        .put(`/api/expenses/${created.body.data.expense._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 120 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('Should attribute amounts by split in summaries and top categories', async () => {
+      await postExpense(receipt);
+      await createTestExpense(authData.userId, { amount: 40, category: 'healthcare' });
+
+      const summary = await request(app())
+        .get('/api/expenses/summary')
+        .set(getAuthHeaders(authData.token));
+
+      const byCategory = Object.fromEntries(
+        summary.body.data.summary.byCategory.map(row => [row._id, row.totalAmount])
+      );
+      expect(byCategory).toMatchObject({ food: 60, healthcare: 65, shopping: 15 });
+      expect(summary.body.data.summary.totalExpenses).toBe(140);
+
+      const top = await request(app())
+        .get('/api/expenses/top-categories?limit=1')
+        .set(getAuthHeaders(authData.token));
+
+      expect(top.body.data.topCategories[0]).toMatchObject({ _id: 'healthcare', totalAmount: 65 });
+    });
+
+    test('Should count split lines against category budgets', async () => {
+      await request(app())
+        .post('/api/budgets')
+        .set(getAuthHeaders(authData.token))
+        .send({ category: 'healthcare', amount: 50 });
+
+      const response = await postExpense(receipt);
+
+      expect(response.body.data.budgetAlerts.map(alert => alert.threshold)).toEqual([50]);
+
+      const budgets = await request(app())
+        .get('/api/budgets')
+        .set(getAuthHeaders(authData.token));
+
+      expect(budgets.body.data.budgets[0]).toMatchObject({ category: 'healthcare', spent: 25 });
+    });
+
+    test('Should find split expenses when filtering by a line category', async () => {
+      await postExpense(receipt);
+
+      const response = await request(app())
+        .get('/api/expenses?category=shopping')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.body.data.expenses).toHaveLength(1);
+    });
+  });
 });
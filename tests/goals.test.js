@@ -1,5 +1,11 @@
 const request = require('supertest');
 const { createAuthenticatedUser, createTestGoal, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Goal = require('../src/models/Goal');
+const AutoContributionRun = require('../src/models/AutoContributionRun');
+const Notification = require('../src/models/Notification');
+const User = require('../src/models/User');
+
+const DAY = 24 * 60 * 60 * 1000;
 
 describe('Goal Management Endpoints', () => {
   let authData;
@@ -304,4 +310,429 @@ describe('Goal Management Endpoints', () => {
       expect(response.body.message).toContain('deleted successfully');
     });
   });
+
+  describe('PUT /api/goals/:id/auto-contribution', () => {
+    test('Should configure auto-contribution plan', async () => {
+      const goal = await createTestGoal(authData.userId);
+      const startDate = new Date(Date.now() + 7 * DAY).toISOString();
+
+      const response = await request(app())
+        .put(`/api/goals/${goal._id}/auto-contribution`)
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 200, frequency: 'weekly', startDate });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.autoContribution.enabled).toBe(true);
+      expect(response.body.data.autoContribution.amount).toBe(200);
+      expect(response.body.data.autoContribution.frequency).toBe('weekly');
+      expect(response.body.data.autoContribution.nextContribution).toBe(startDate);
+    });
+
+    test('Should require an amount when enabling', async () => {
+      const goal = await createTestGoal(authData.userId);
+
+      const response = await request(app())
+        .put(`/api/goals/${goal._id}/auto-contribution`)
+        .set(getAuthHeaders(authData.token))
+        .send({ frequency: 'monthly' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should validate frequency', async () => {
+      const goal = await createTestGoal(authData.userId);
+
+      const response = await request(app())
+        .put(`/api/goals/${goal._id}/auto-contribution`)
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 100, frequency: 'daily' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/goals/:id/auto-contribution', () => {
+    test('Should disable auto-contribution plan', async () => {
+      const goal = await createTestGoal(authData.userId, {
+        autoContribution: { enabled: true, amount: 100, frequency: 'monthly', nextContribution: new Date() }
+      });
+
+      const response = await request(app())
+        .delete(`/api/goals/${goal._id}/auto-contribution`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.autoContribution.enabled).toBe(false);
+    });
+  });
+
+  describe('POST /api/goals/auto-contributions/run', () => {
+    const runAutoContributions = () => request(app())
+      .post('/api/goals/auto-contributions/run')
+      .set(getAuthHeaders(authData.token))
+      .send({});
+
+    test('Should not apply contributions ahead of the current date', async () => {
+      const goal = await createTestGoal(authData.userId, {
+        autoContribution: { enabled: true, amount: 100, frequency: 'weekly', nextContribution: new Date(Date.now() + DAY) }
+      });
+
+      const response = await request(app())
+        .post('/api/goals/auto-contributions/run')
+        .set(getAuthHeaders(authData.token))
+        .send({ asOf: new Date(Date.now() + 30 * DAY) });
+
+      expect(response.status).toBe(400);
+      expect((await Goal.findById(goal._id)).contributions).toHaveLength(0);
+    });
+
+    test('Should apply each missed contribution exactly once', async () => {
+      const startDate = new Date(Date.now() - 20 * DAY);
+      const goal = await createTestGoal(authData.userId, {
+        currentAmount: 1000,
+        autoContribution: { enabled: true, amount: 100, frequency: 'weekly', startDate, nextContribution: startDate }
+      });
+
+      const firstRun = await runAutoContributions();
+      expect(firstRun.status).toBe(200);
+      expect(firstRun.body.data.summary.contributionsApplied).toBe(3);
+
+      const secondRun = await runAutoContributions();
+      expect(secondRun.body.data.summary.contributionsApplied).toBe(0);
+
+      const updatedGoal = await Goal.findById(goal._id);
+      expect(updatedGoal.currentAmount).toBe(1300);
+      expect(updatedGoal.contributions.length).toBe(3);
+      expect(updatedGoal.contributions.every(c => c.source === 'automatic')).toBe(true);
+      expect(updatedGoal.autoContribution.nextContribution.getTime()).toBeGreaterThan(Date.now());
+      expect(await AutoContributionRun.countDocuments({ goal: goal._id, status: 'applied' })).toBe(3);
+    });
+
+    test('Should stop at the target amount', async () => {
+      const startDate = new Date(Date.now() - 70 * DAY);
+      const goal = await createTestGoal(authData.userId, {
+        targetAmount: 10000,
+        currentAmount: 9900,
+        autoContribution: { enabled: true, amount: 500, frequency: 'monthly', startDate, nextContribution: startDate }
+      });
+
+      const response = await runAutoContributions();
+      expect(response.body.data.summary.amountContributed).toBe(100);
+
+      const updatedGoal = await Goal.findById(goal._id);
+      expect(updatedGoal.currentAmount).toBe(10000);
+      expect(updatedGoal.status).toBe('completed');
+    });
+
+    test('Should skip paused goals without back-filling', async () => {
+      const startDate = new Date(Date.now() - 10 * DAY);
+      const goal = await createTestGoal(authData.userId, {
+        status: 'paused',
+        autoContribution: { enabled: true, amount: 100, frequency: 'weekly', startDate, nextContribution: startDate }
+      });
+
+      const response = await runAutoContributions();
+      expect(response.body.data.summary.contributionsApplied).toBe(0);
+      expect(response.body.data.summary.contributionsSkipped).toBe(2);
+
+      const updatedGoal = await Goal.findById(goal._id);
+      expect(updatedGoal.contributions.length).toBe(0);
+      expect(updatedGoal.autoContribution.nextContribution.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('Should apply a date whose run was logged but never applied', async () => {
+      const startDate = new Date(Date.now() - DAY);
+      const goal = await createTestGoal(authData.userId, {
+        autoContribution: { enabled: true, amount: 100, frequency: 'monthly', startDate, nextContribution: startDate }
+      });
+      // Left behind by a run that stopped before saving the goal
+      await AutoContributionRun.create({ user: authData.userId, goal: goal._id, scheduledFor: startDate, status: 'applied', amount: 100 });
+
+      const response = await runAutoContributions();
+      expect(response.body.data.summary.contributionsApplied).toBe(1);
+
+      const updatedGoal = await Goal.findById(goal._id);
+      expect(updatedGoal.currentAmount).toBe(1100);
+      expect(updatedGoal.autoContribution.nextContribution.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('Should disable the plan of cancelled goals', async () => {
+      const startDate = new Date(Date.now() - 10 * DAY);
+      const goal = await createTestGoal(authData.userId, {
+        status: 'cancelled',
+        autoContribution: { enabled: true, amount: 100, frequency: 'weekly', startDate, nextContribution: startDate }
+      });
+
+      await runAutoContributions();
+
+      const updatedGoal = await Goal.findById(goal._id);
+      expect(updatedGoal.autoContribution.enabled).toBe(false);
+      expect(await AutoContributionRun.countDocuments({ goal: goal._id })).toBe(0);
+    });
+  });
+
+  describe('Goal milestones', () => {
+    const milestonesUrl = (goal) => `/api/goals/${goal._id}/milestones`;
+
+    test('Should generate evenly spaced milestones on create', async () => {
+      const response = await request(app())
+        .post('/api/goals')
+        .set(getAuthHeaders(authData.token))
+        .send({
+          title: 'Vacation',
+          targetAmount: 2000,
+          currentAmount: 600,
+          category: 'vacation',
+          targetDate: new Date(Date.now() + 365 * DAY).toISOString(),
+          generateMilestones: 4
+        });
+
+      expect(response.status).toBe(201);
+      const { milestones } = response.body.data.goal;
+      expect(milestones.map(milestone => milestone.amount)).toEqual([500, 1000, 1500]);
+      expect(milestones[0].description).toBe('25% of goal');
+      // Already passed at creation: achieved without a notification
+      expect(milestones.map(milestone => milestone.isAchieved)).toEqual([true, false, false]);
+      expect(await Notification.countDocuments({ user: authData.userId })).toBe(0);
+    });
+
+    test('Should reject milestones above the target', async () => {
+      const goal = await createTestGoal(authData.userId, { targetAmount: 1000 });
+
+      const response = await request(app())
+        .post(milestonesUrl(goal))
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 1500 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('target amount');
+    });
+
+    test('Should add milestones in amount order and reject duplicates', async () => {
+      const goal = await createTestGoal(authData.userId, { milestones: [{ amount: 5000 }] });
+
+      const response = await request(app())
+        .post(milestonesUrl(goal))
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 2000, description: 'First step' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.milestone.description).toBe('First step');
+      expect(response.body.data.milestones.map(milestone => milestone.amount)).toEqual([2000, 5000]);
+
+      const duplicate = await request(app())
+        .post(milestonesUrl(goal))
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 5000 });
+
+      expect(duplicate.status).toBe(400);
+    });
+
+    test('Should reset an achieved milestone moved above the current amount', async () => {
+      const goal = await createTestGoal(authData.userId, { currentAmount: 1000, milestones: [{ amount: 500 }] });
+      const [milestone] = goal.milestones;
+      expect(milestone.isAchieved).toBe(true);
+
+      const response = await request(app())
+        .put(`${milestonesUrl(goal)}/${milestone._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 4000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.milestone.amount).toBe(4000);
+      expect(response.body.data.milestone.isAchieved).toBe(false);
+    });
+
+    test('Should delete a milestone', async () => {
+      const goal = await createTestGoal(authData.userId, { milestones: [{ amount: 2500 }, { amount: 5000 }] });
+
+      const response = await request(app())
+        .delete(`${milestonesUrl(goal)}/${goal.milestones[0]._id}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.milestones.map(milestone => milestone.amount)).toEqual([5000]);
+
+      const missing = await request(app())
+        .delete(`${milestonesUrl(goal)}/${goal.milestones[0]._id}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(missing.status).toBe(404);
+    });
+
+    test('Should emit milestone events when a goal update passes them', async () => {
+      const goal = await createTestGoal(authData.userId, { currentAmount: 0, milestones: [{ amount: 2500 }] });
+
+      const response = await request(app())
+        .put(`/api/goals/${goal._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ currentAmount: 3000 });
+
+      expect(response.body.data.goal.milestones[0].isAchieved).toBe(true);
+      expect(await Notification.countDocuments({ user: authData.userId, type: 'goal_milestone' })).toBe(1);
+    });
+
+    test('Should reject lowering the target below a milestone', async () => {
+      const goal = await createTestGoal(authData.userId, { milestones: [{ amount: 5000 }] });
+
+      const response = await request(app())
+        .put(`/api/goals/${goal._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ targetAmount: 4000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Milestone amount cannot exceed the target amount');
+      expect((await Goal.findById(goal._id)).targetAmount).toBe(10000);
+    });
+
+    test('Should check achievements after automatic contributions', async () => {
+      const startDate = new Date(Date.now() - DAY);
+      await createTestGoal(authData.userId, {
+        targetAmount: 1000,
+        currentAmount: 400,
+        milestones: [{ amount: 500 }],
+        autoContribution: { enabled: true, amount: 600, frequency: 'monthly', startDate, nextContribution: startDate }
+      });
+
+      await request(app())
+        .post('/api/goals/auto-contributions/run')
+        .set(getAuthHeaders(authData.token))
+        .send({});
+
+      const user = await User.findById(authData.userId);
+      expect(user.achievements.map(achievement => achievement.achievementId)).toContain(1);
+    });
+  });
+
+  describe('Goal contributions', () => {
+    const contributionsUrl = (goal) => `/api/goals/${goal._id}/contributions`;
+
+    const withdraw = (goal, body) => request(app())
+      .post(`/api/goals/${goal._id}/withdraw`)
+      .set(getAuthHeaders(authData.token))
+      .send(body);
+
+    test('Should record a withdrawal and reopen a completed goal', async () => {
+      const goal = await createTestGoal(authData.userId, {
+        targetAmount: 1000,
+        currentAmount: 1000,
+        milestones: [{ amount: 500 }]
+      });
+      expect(goal.status).toBe('completed');
+
+      const response = await withdraw(goal, { amount: 600, reason: 'Car repair' });
+
+      expect(response.status).toBe(200);
+      const updatedGoal = response.body.data.goal;
+      expect(updatedGoal.currentAmount).toBe(400);
+      expect(updatedGoal.status).toBe('active');
+      expect(updatedGoal.milestones[0].isAchieved).toBe(false);
+      expect(updatedGoal.contributions[0]).toMatchObject({ amount: -600, source: 'withdrawal', reason: 'Car repair' });
+    });
+
+    test('Should require a reason and enough funds to withdraw', async () => {
+      const goal = await createTestGoal(authData.userId, { currentAmount: 1000 });
+
+      const noReason = await withdraw(goal, { amount: 100 });
+      expect(noReason.status).toBe(400);
+
+      const tooMuch = await withdraw(goal, { amount: 1500, reason: 'Rent' });
+      expect(tooMuch.status).toBe(400);
+      expect(tooMuch.body.message).toContain('exceed');
+    });
+
+    test('Should list the ledger with totals', async () => {
+      const goal = await createTestGoal(authData.userId, { currentAmount: 1000 });
+      await goal.addContribution(500);
+      await goal.withdraw(200, 'Medical bill');
+
+      const response = await request(app())
+        .get(contributionsUrl(goal))
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        openingBalance: 1000,
+        totalContributed: 500,
+        totalWithdrawn: 200,
+        currentAmount: 1300
+      });
+      expect(response.body.data.contributions).toHaveLength(2);
+    });
+
+    test('Should recalculate the balance when a contribution is edited', async () => {
+      const goal = await createTestGoal(authData.userId, { currentAmount: 1000 });
+      await goal.addContribution(500, 'manual', 'Typo');
+
+      const response = await request(app())
+        .put(`${contributionsUrl(goal)}/${goal.contributions[0]._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 50, note: 'Fixed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.contribution).toMatchObject({ amount: 50, note: 'Fixed' });
+      expect(response.body.data.goal.currentAmount).toBe(1050);
+    });
+
+    test('Should reverse a deleted contribution', async () => {
+      const goal = await createTestGoal(authData.userId, { currentAmount: 0 });
+      await goal.addContribution(500);
+      await goal.withdraw(300, 'Gift');
+
+      const blocked = await request(app())
+        .delete(`${contributionsUrl(goal)}/${goal.contributions[0]._id}`)
+        .set(getAuthHeaders(authData.token));
+      expect(blocked.status).toBe(400);
+
+      const response = await request(app())
+        .delete(`${contributionsUrl(goal)}/${goal.contributions[1]._id}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.goal.currentAmount).toBe(500);
+      expect(response.body.data.goal.contributions).toHaveLength(1);
+    });
+
+    test('Should record direct balance changes in the ledger', async () => {
+      const goal = await createTestGoal(authData.userId, { currentAmount: 1000 });
+
+      const response = await request(app())
+        .put(`/api/goals/${goal._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ currentAmount: 700 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.goal.currentAmount).toBe(700);
+      expect(response.body.data.goal.contributions[0]).toMatchObject({ amount: -300, source: 'withdrawal', reason: 'Balance adjustment' });
+    });
+
+    test('Should book a balance below the recorded contributions as an adjustment on old goals', async () => {
+      const goal = await createTestGoal(authData.userId, { currentAmount: 0 });
+      await goal.addContribution(500);
+      // Saved before the ledger existed: balance lowered without a withdrawal
+      await Goal.collection.updateOne({ _id: goal._id }, { $set: { currentAmount: 300 }, $unset: { openingBalance: '' } });
+
+      const response = await request(app())
+        .get(contributionsUrl(goal))
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.body.data).toMatchObject({ openingBalance: 0, totalContributed: 500, totalWithdrawn: 200, currentAmount: 300 });
+      expect(response.body.data.contributions).toEqual(expect.arrayContaining([
+        expect.objectContaining({ amount: -200, source: 'withdrawal', reason: 'Balance adjustment' })
+      ]));
+    });
+
+    test('Should reject a ledger change made from a stale copy of the goal', async () => {
+      const goal = await createTestGoal(authData.userId, { currentAmount: 1000 });
+      const [first, second] = await Promise.all([Goal.findById(goal._id), Goal.findById(goal._id)]);
+
+      await first.withdraw(600, 'Car repair');
+      await expect(second.withdraw(600, 'Rent')).rejects.toMatchObject({ name: 'VersionError' });
+
+      expect((await Goal.findById(goal._id)).currentAmount).toBe(400);
+    });
+  });
 });
@@ -0,0 +1,83 @@
+const http = require('http');
+
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const unescapeXml = (value) => value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const sendXml = (res, status, xml) => {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>${xml}`);
+};
+
+/**
+ * Minimal in-process S3-compatible server for driver tests. Supports
+ * path-style PutObject, GetObject, DeleteObject, ListObjectsV2 and DeleteObjects.
+ * @returns {Object} endpoint, objects map and close()
+ */
+const startS3StandIn = async () => {
+  const objects = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucket, ...keyParts] = url.pathname.split('/');
+    const key = decodeURIComponent(keyParts.join('/'));
+    const body = await readBody(req);
+
+    if (req.method === 'PUT' && key) {
+      objects.set(`${bucket}/${key}`, { body, contentType: req.headers['content-type'] });
+      res.writeHead(200, { ETag: '"stand-in"' });
+      return res.end();
+    }
+
+    if (req.method === 'GET' && key) {
+      const object = objects.get(`${bucket}/${key}`);
+      if (!object) {
+        return sendXml(res, 404, '<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+      }
+      res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+      return res.end(object.body);
+    }
+
+    if (req.method === 'DELETE' && key) {
+      objects.delete(`${bucket}/${key}`);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+      const prefix = `${bucket}/${url.searchParams.get('prefix') || ''}`;
+      const contents = [...objects.keys()]
+        .filter(name => name.startsWith(prefix))
+        .map(name => `<Contents><Key>${escapeXml(name.slice(bucket.length + 1))}</Key></Contents>`)
+        .join('');
+      return sendXml(res, 200, `<ListBucketResult><Name>${bucket}</Name><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`);
+    }
+
+    if (req.method === 'POST' && url.searchParams.has('delete')) {
+      const keys = [...body.toString().matchAll(/<Key>([^<]*)<\/Key>/g)].map(match => unescapeXml(match[1]));
+      keys.forEach(name => objects.delete(`${bucket}/${name}`));
+      return sendXml(res, 200, '<DeleteResult></DeleteResult>');
+    }
+
+    sendXml(res, 400, '<Error><Code>NotImplemented</Code><Message>Unsupported request</Message></Error>');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  startS3StandIn
+};
@@ -0,0 +1,231 @@
+const request = require('supertest');
+const { createAuthenticatedUser, createTestExpense, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Expense = require('../src/models/Expense');
+const Income = require('../src/models/Income');
+const User = require('../src/models/User');
+
+const CSV_STATEMENT = [
+  'Date,Description,Amount',
+  '2024-01-05,Corner Grocery,-45.20',
+  '2024-01-06,"Uber trip, airport",-30.00',
+  '2024-01-10,ACME Payroll,2500.00',
+  'not-a-date,Broken row,-10'
+].join('\n');
+
+const OFX_STATEMENT = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240105120000
+<TRNAMT>-12.50
+<FITID>0001
+<NAME>STARBUCKS
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240115
+<TRNAMT>150.00
+<FITID>0002
+<NAME>DIVIDEND PAYMENT
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+const QIF_STATEMENT = `!Type:Bank
+D01/05/2024
+T-60.00
+PCity Pharmacy
+LHealthcare
+^
+D01/07/2024
+T-15.00
+PCinema
+^
+`;
+
+describe('Statement Import Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  describe('POST /api/imports/preview', () => {
+    test('Should preview a CSV upload without saving', async () => {
+      const response = await request(app())
+        .post('/api/imports/preview')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .attach('file', Buffer.from(CSV_STATEMENT), 'statement.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.format).toBe('csv');
+      expect(response.body.data.summary).toEqual({ total: 4, ready: 3, duplicates: 0, invalid: 1 });
+
+      const [grocery, uber, payroll, broken] = response.body.data.rows;
+      expect(grocery).toMatchObject({ type: 'expense', status: 'ready', data: { amount: 45.2, category: 'food' } });
+      expect(uber).toMatchObject({ type: 'expense', data: { category: 'transport', description: 'Uber trip, airport' } });
+      expect(payroll).toMatchObject({ type: 'income', data: { category: 'salary', source: 'ACME Payroll' } });
+      expect(broken.status).toBe('invalid');
+      expect(broken.errors.length).toBeGreaterThan(0);
+
+      expect(await Expense.countDocuments({ user: authData.userId })).toBe(0);
+    });
+
+    test('Should apply a custom column mapping', async () => {
+      const content = [
+        'Booked;Text;Out;In',
+        '05.01.2024;Rent January;1.200,00;',
+        '06.01.2024;Client invoice;;800,00'
+      ].join('\n');
+
+      const response = await request(app())
+        .post('/api/imports/preview')
+        .set(getAuthHeaders(authData.token))
+        .send({
+          format: 'csv',
+          content,
+          delimiter: ';',
+          dateFormat: 'DD.MM.YYYY',
+          mapping: { date: 'Booked', description: 'Text', debit: 'Out', credit: 'In' }
+        });
+
+      expect(response.status).toBe(200);
+      const [rent, invoice] = response.body.data.rows;
+      expect(rent).toMatchObject({ type: 'expense', data: { amount: 1200, category: 'bills' } });
+      expect(invoice).toMatchObject({ type: 'income', data: { amount: 800, category: 'freelance' } });
+    });
+
+    test('Should parse OFX statements', async () => {
+      const response = await request(app())
+        .post('/api/imports/preview')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .attach('file', Buffer.from(OFX_STATEMENT), 'statement.ofx');
+
+      expect(response.status).toBe(200);
+      const [coffee, dividend] = response.body.data.rows;
+      expect(coffee).toMatchObject({ type: 'expense', data: { amount: 12.5, category: 'food' } });
+      expect(dividend).toMatchObject({ type: 'income', data: { amount: 150, category: 'investment' } });
+    });
+
+    test('Should parse QIF statements and honour their categories', async () => {
+      const response = await request(app())
+        .post('/api/imports/preview')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .attach('file', Buffer.from(QIF_STATEMENT), 'statement.qif');
+
+      expect(response.status).toBe(200);
+      const [pharmacy, cinema] = response.body.data.rows;
+      expect(pharmacy.data.category).toBe('healthcare');
+      expect(cinema.data.category).toBe('entertainment');
+    });
+
+    test('Should flag duplicates of existing records', async () => {
+      await createTestExpense(authData.userId, {
+        amount: 45.2,
+        description: 'Corner Grocery',
+        date: new Date('2024-01-05T00:00:00Z')
+      });
+
+      const response = await request(app())
+        .post('/api/imports/preview')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .attach('file', Buffer.from(CSV_STATEMENT), 'statement.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rows[0].status).toBe('duplicate');
+      expect(response.body.data.summary.duplicates).toBe(1);
+    });
+
+    test('Should flag rows repeated within the statement', async () => {
+      const statement = [
+        'Date,Description,Amount',
+        '2024-01-05,Corner Grocery,-45.20',
+        '2024-01-05,Corner Grocery,-45.20'
+      ].join('\n');
+
+      const response = await request(app())
+        .post('/api/imports/preview')
+        .set(getAuthHeaders(authData.token))
+        .send({ format: 'csv', content: statement });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rows.map(row => row.status)).toEqual(['ready', 'duplicate']);
+      expect(response.body.data.rows[1].errors[0]).toContain('row 1');
+    });
+
+    test('Should require a statement', async () => {
+      const response = await request(app())
+        .post('/api/imports/preview')
+        .set(getAuthHeaders(authData.token))
+        .send({ format: 'csv' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should reject a categoryMap that is not an object', async () => {
+      for (const categoryMap of ['null', '["food"]', '5']) {
+        const response = await request(app())
+          .post('/api/imports/preview')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .field('categoryMap', categoryMap)
+          .attach('file', Buffer.from(CSV_STATEMENT), 'statement.csv');
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toContain('categoryMap');
+      }
+    });
+
+    test('Should reject unsupported formats', async () => {
+      const response = await request(app())
+        .post('/api/imports/preview')
+        .set(getAuthHeaders(authData.token))
+        .send({ format: 'xls', content: 'a,b' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/imports', () => {
+    test('Should import valid rows and report per-row results', async () => {
+      const response = await request(app())
+        .post('/api/imports')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .attach('file', Buffer.from(CSV_STATEMENT), 'statement.csv');
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.summary.imported).toBe(3);
+      expect(response.body.data.rows.map(row => row.status)).toEqual(['imported', 'imported', 'imported', 'invalid']);
+      expect(response.body.data.rows[0].id).toBeDefined();
+
+      expect(await Expense.countDocuments({ user: authData.userId })).toBe(2);
+      expect(await Income.countDocuments({ user: authData.userId })).toBe(1);
+
+      const user = await User.findById(authData.userId);
+      expect(user.financialSummary.totalIncome).toBe(2500);
+      expect(user.financialSummary.totalExpenses).toBeCloseTo(75.2);
+    });
+
+    test('Should skip duplicates when the same statement is imported twice', async () => {
+      for (let i = 0; i < 2; i++) {
+        await request(app())
+          .post('/api/imports')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .attach('file', Buffer.from(CSV_STATEMENT), 'statement.csv');
+      }
+
+      expect(await Expense.countDocuments({ user: authData.userId })).toBe(2);
+      expect(await Income.countDocuments({ user: authData.userId })).toBe(1);
+    });
+
+    test('Should require authentication', async () => {
+      const response = await request(app())
+        .post('/api/imports')
+        .attach('file', Buffer.from(CSV_STATEMENT), 'statement.csv');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const request = require('supertest');
+const { createAuthenticatedUser, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Holding = require('../src/models/Holding');
+const Income = require('../src/models/Income');
+const UserSettings = require('../src/models/UserSettings');
+
+describe('Investment Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  const createHolding = async (data) => {
+    const response = await request(app())
+      .post('/api/investments')
+      .set(getAuthHeaders(authData.token))
+      .send(data);
+    return response.body.data.holding;
+  };
+
+  const addTransaction = (holdingId, data) => request(app())
+    .post(`/api/investments/${holdingId}/transactions`)
+    .set(getAuthHeaders(authData.token))
+    .send(data);
+
+  test('Should create a holding in the base currency', async () => {
+    const response = await request(app())
+      .post('/api/investments')
+      .set(getAuthHeaders(authData.token))
+      .send({ symbol: 'vti', name: 'Total Market', assetClass: 'etf' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.holding).toMatchObject({ symbol: 'VTI', currency: 'USD', quantity: 0 });
+
+    const duplicate = await request(app())
+      .post('/api/investments')
+      .set(getAuthHeaders(authData.token))
+      .send({ symbol: 'VTI' });
+    expect(duplicate.status).toBe(400);
+  });
+
+  describe('Transactions', () => {
+    test('Should close lots first in, first out and realize gains', async () => {
+      const holding = await createHolding({ symbol: 'AAPL' });
+
+      await addTransaction(holding._id, { type: 'buy', date: '2024-01-01', quantity: 10, price: 100, fees: 5 });
+      await addTransaction(holding._id, { type: 'buy', date: '2024-02-01', quantity: 10, price: 120 });
+      const sell = await addTransaction(holding._id, { type: 'sell', date: '2024-03-01', quantity: 15, price: 130, fees: 5 });
+
+      expect(sell.status).toBe(201);
+      expect(sell.body.data.transaction.realizedGain).toBe(340);
+      expect(sell.body.data.holding).toMatchObject({ quantity: 5, costBasis: 600, realizedGain: 340 });
+      expect(sell.body.data.holding.lots).toHaveLength(1);
+    });
+
+    test('Should reject selling more than is held', async () => {
+      const holding = await createHolding({ symbol: 'AAPL' });
+      const buy = await addTransaction(holding._id, { type: 'buy', date: '2024-01-01', quantity: 5, price: 100 });
+
+      const oversell = await addTransaction(holding._id, { type: 'sell', date: '2024-02-01', quantity: 6, price: 110 });
+      expect(oversell.status).toBe(400);
+
+      await addTransaction(holding._id, { type: 'sell', date: '2024-02-01', quantity: 5, price: 110 });
+      const removeBuy = await request(app())
+        .delete(`/api/investments/${holding._id}/transactions/${buy.body.data.transaction._id}`)
+        .set(getAuthHeaders(authData.token));
+      expect(removeBuy.status).toBe(400);
+    });
+
+    test('Should record dividends as investment income', async () => {
+      const holding = await createHolding({ symbol: 'VTI', assetClass: 'etf' });
+
+      const response = await addTransaction(holding._id, { type: 'dividend', date: '2024-03-20', amount: 42.5 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.holding.dividends).toBe(42.5);
+      const income = await Income.findById(response.body.data.transaction.income);
+      expect(income).toMatchObject({ amount: 42.5, category: 'investment', source: 'VTI dividend' });
+
+      await request(app())
+        .delete(`/api/investments/${holding._id}/transactions/${response.body.data.transaction._id}`)
+        .set(getAuthHeaders(authData.token));
+      expect(await Income.countDocuments({ user: authData.userId })).toBe(0);
+    });
+  });
+
+  describe('Prices and portfolio', () => {
+    test('Should import prices and value holdings', async () => {
+      const holding = await createHolding({ symbol: 'VTI', assetClass: 'etf' });
+      await addTransaction(holding._id, { type: 'buy', date: '2024-01-01', quantity: 10, price: 100 });
+
+      const imported = await request(app())
+        .post('/api/investments/prices/import')
+        .set(getAuthHeaders(authData.token))
+        .attach('file', Buffer.from('date,symbol,price\n2024-05-31,VTI,115\n2024-06-28,VTI,120\nbad,VTI,1\n'), 'prices.csv');
+
+      expect(imported.status).toBe(201);
+      expect(imported.body.data.imported).toBe(2);
+      expect(imported.body.data.errors).toHaveLength(1);
+
+      const response = await request(app())
+        .get('/api/investments')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.body.data.holdings[0]).toMatchObject({
+        price: 120,
+        priceSource: 'import',
+        marketValue: 1200,
+        unrealizedGain: 200,
+        unrealizedGainPercent: 20
+      });
+    });
+
+    test('Should report allocation and drift for the risk tolerance', async () => {
+      await UserSettings.create({ userId: authData.userId, riskTolerance: 'moderate' });
+      const stocks = await createHolding({ symbol: 'VTI', assetClass: 'etf' });
+      const bonds = await createHolding({ symbol: 'BND', assetClass: 'bond' });
+      await addTransaction(stocks._id, { type: 'buy', date: '2024-01-01', quantity: 10, price: 100 });
+      await addTransaction(bonds._id, { type: 'buy', date: '2024-01-01', quantity: 10, price: 80 });
+      await request(app())
+        .post('/api/investments/prices')
+        .set(getAuthHeaders(authData.token))
+        .send({ symbol: 'VTI', date: '2024-06-01', price: 120 });
+
+      const response = await request(app())
+        .get('/api/investments/portfolio')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      const { portfolio } = response.body.data;
+      expect(portfolio.totals).toMatchObject({ marketValue: 2000, costBasis: 1800, unrealizedGain: 200 });
+      expect(portfolio.allocation).toEqual([
+        { assetClass: 'etf', value: 1200, percent: 60 },
+        { assetClass: 'bond', value: 800, percent: 40 }
+      ]);
+      expect(portfolio.target.riskTolerance).toBe('moderate');
+      expect(portfolio.target.groups.find(group => group.group === 'equities'))
+        .toEqual({ group: 'equities', target: 55, actual: 60, drift: 5, rebalanceAmount: -100 });
+    });
+
+    test('Should include holdings in net worth', async () => {
+      const holding = await createHolding({ symbol: 'BTC', assetClass: 'crypto' });
+      await addTransaction(holding._id, { type: 'buy', date: '2024-01-01', quantity: 0.5, price: 40000 });
+
+      const response = await request(app())
+        .get('/api/net-worth')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.body.data.netWorth.breakdown.assets.investments).toBe(20000);
+    });
+  });
+
+  test('Should not expose holdings of other users', async () => {
+    const otherUser = await createAuthenticatedUser({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+    const holding = await Holding.create({ user: otherUser.userId, symbol: 'VTI', currency: 'USD' });
+
+    const response = await request(app())
+      .get(`/api/investments/${holding._id}`)
+      .set(getAuthHeaders(authData.token));
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const moment = require('moment');
+const { createAuthenticatedUser, createTestExpense, createTestIncome, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Debt = require('../src/models/Debt');
+const Goal = require('../src/models/Goal');
+const NetWorthSnapshot = require('../src/models/NetWorthSnapshot');
+const { processNetWorthSnapshots } = require('../src/utils/netWorth');
+
+describe('Net Worth Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  const createItem = (data) => request(app())
+    .post('/api/net-worth/items')
+    .set(getAuthHeaders(authData.token))
+    .send(data);
+
+  const getNetWorth = async () => {
+    const response = await request(app())
+      .get('/api/net-worth')
+      .set(getAuthHeaders(authData.token));
+    return response.body.data.netWorth;
+  };
+
+  test('Should combine accounts, goals, debts and manual items', async () => {
+    await createTestIncome(authData.userId, { amount: 3000 });
+    await createTestExpense(authData.userId, { amount: 500 });
+    await Goal.create({
+      user: authData.userId,
+      title: 'Emergency fund',
+      targetAmount: 5000,
+      currentAmount: 1200,
+      targetDate: moment().add(1, 'year').toDate(),
+      category: 'emergency'
+    });
+    await Debt.create({ user: authData.userId, name: 'Car loan', principal: 4000, apr: 5, minimumPayment: 200 });
+    await createItem({ name: 'Car', kind: 'asset', category: 'vehicle', value: 8000 });
+    await createItem({ name: 'Loan from family', kind: 'liability', value: 300 });
+
+    const netWorth = await getNetWorth();
+
+    expect(netWorth.breakdown).toEqual({
+      assets: { accounts: 2500, investments: 0, goals: 1200, manual: 8000 },
+      liabilities: { accounts: 0, debts: 4000, manual: 300 }
+    });
+    expect(netWorth).toMatchObject({ assets: 11700, liabilities: 4300, netWorth: 7400, baseCurrency: 'USD' });
+  });
+
+  test('Should count an owed card balance as a liability', async () => {
+    const card = await request(app())
+      .post('/api/accounts')
+      .set(getAuthHeaders(authData.token))
+      .send({ name: 'Card', type: 'credit_card', openingBalance: -650 });
+    expect(card.status).toBe(201);
+
+    const netWorth = await getNetWorth();
+
+    expect(netWorth.breakdown.liabilities.accounts).toBe(650);
+    expect(netWorth.netWorth).toBe(-650);
+  });
+
+  test('Should validate, update and delete manual items', async () => {
+    const invalid = await createItem({ name: 'House', kind: 'property', value: 100 });
+    expect(invalid.status).toBe(400);
+
+    const created = await createItem({ name: 'House', kind: 'asset', category: 'property', value: 250000, valuedAt: '2024-01-01' });
+    expect(created.status).toBe(201);
+    const itemId = created.body.data.item._id;
+
+    const updated = await request(app())
+      .put(`/api/net-worth/items/${itemId}`)
+      .set(getAuthHeaders(authData.token))
+      .send({ value: 260000 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.item.value).toBe(260000);
+    expect(moment(updated.body.data.item.valuedAt).isSame(moment(), 'day')).toBe(true);
+
+    const deleted = await request(app())
+      .delete(`/api/net-worth/items/${itemId}`)
+      .set(getAuthHeaders(authData.token));
+    expect(deleted.status).toBe(200);
+    expect((await getNetWorth()).assets).toBe(0);
+  });
+
+  describe('Snapshots and GET /api/reports/net-worth', () => {
+    test('Should snapshot the previous day once per user', async () => {
+      await createTestIncome(authData.userId, { amount: 1000, date: new Date('2024-03-10T12:00:00Z') });
+      await createTestIncome(authData.userId, { amount: 500, date: new Date('2024-03-15T12:00:00Z') });
+
+      const first = await processNetWorthSnapshots({ now: new Date('2024-03-11T02:00:00Z'), userId: authData.userId });
+      const again = await processNetWorthSnapshots({ now: new Date('2024-03-11T05:00:00Z'), userId: authData.userId });
+
+      expect(first.snapshotsCreated).toBe(1);
+      expect(again.snapshotsCreated).toBe(0);
+
+      const snapshot = await NetWorthSnapshot.findOne({ user: authData.userId });
+      expect(snapshot.date.toISOString()).toBe('2024-03-10T00:00:00.000Z');
+      expect(snapshot.netWorth).toBe(1000);
+    });
+
+    test('Should return the last snapshot of each interval', async () => {
+      const snapshot = (date, netWorth) => NetWorthSnapshot.create({
+        user: authData.userId,
+        date: new Date(date),
+        baseCurrency: 'USD',
+        assets: netWorth,
+        netWorth
+      });
+      await snapshot('2024-01-05', 100);
+      await snapshot('2024-01-31', 150);
+      await snapshot('2024-02-29', 300);
+      await snapshot('2024-04-01', 900);
+
+      const response = await request(app())
+        .get('/api/reports/net-worth?from=2024-01-01&to=2024-03-31&interval=month')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.series.map(point => [point.period, point.netWorth])).toEqual([
+        ['2024-01', 150],
+        ['2024-02', 300]
+      ]);
+      expect(response.body.data.current.netWorth).toBe(0);
+      expect(response.body.data.change.amount).toBe(-150);
+    });
+
+    test('Should reject an unknown interval or reversed range', async () => {
+      const interval = await request(app())
+        .get('/api/reports/net-worth?interval=year')
+        .set(getAuthHeaders(authData.token));
+      const range = await request(app())
+        .get('/api/reports/net-worth?from=2024-05-01&to=2024-01-01')
+        .set(getAuthHeaders(authData.token));
+
+      expect(interval.status).toBe(400);
+      expect(range.status).toBe(400);
+    });
+  });
+});
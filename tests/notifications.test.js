@@ -0,0 +1,328 @@
+const request = require('supertest');
+const moment = require('moment');
+const { createAuthenticatedUser, createTestGoal, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Notification = require('../src/models/Notification');
+const NotificationDeadLetter = require('../src/models/NotificationDeadLetter');
+const User = require('../src/models/User');
+const UserSettings = require('../src/models/UserSettings');
+const { getSentMail, clearSentMail } = require('../src/utils/mailer');
+const { setChannelTransport, getSentPush, clearSentPush } = require('../src/utils/notificationChannels');
+const { MAX_ATTEMPTS, getQuietHoursEnd, notify, processPendingDeliveries } = require('../src/utils/notifications');
+const { processGoalDeadlineReminders } = require('../src/utils/notificationScheduler');
+
+describe('Notification Endpoints', () => {
+  let authData;
+
+  const event = {
+    type: 'achievement_unlocked',
+    title: 'Achievement unlocked: First Goal Achiever',
+    message: 'You unlocked "First Goal Achiever" (100 points).'
+  };
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+    clearSentMail();
+    clearSentPush();
+  });
+
+  afterEach(() => {
+    setChannelTransport('email', null);
+    setChannelTransport('push', null);
+  });
+
+  const subscribePush = (endpoint = 'https://fcm.googleapis.com/fcm/send/abc') => request(app())
+    .post('/api/notifications/push-subscriptions')
+    .set(getAuthHeaders(authData.token))
+    .send({ endpoint, keys: { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' } });
+
+  describe('GET /api/notifications', () => {
+    test('Should list the inbox newest first with the unread count', async () => {
+      await notify(authData.userId, { ...event, dedupeKey: 'achievement:1' });
+      await notify(authData.userId, { ...event, title: 'Second', dedupeKey: 'achievement:2' });
+
+      const response = await request(app())
+        .get('/api/notifications')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notifications).toHaveLength(2);
+      expect(response.body.data.notifications[0].title).toBe('Second');
+      expect(response.body.data.unreadCount).toBe(2);
+    });
+
+    test('Should notify each dedupe key once', async () => {
+      const first = await notify(authData.userId, { ...event, dedupeKey: 'achievement:1' });
+      const second = await notify(authData.userId, { ...event, dedupeKey: 'achievement:1' });
+
+      expect(first).not.toBeNull();
+      expect(second).toBeNull();
+      expect(await Notification.countDocuments({ user: authData.userId })).toBe(1);
+    });
+
+    test('Should mark one or all notifications as read', async () => {
+      const notification = await notify(authData.userId, { ...event, dedupeKey: 'achievement:1' });
+      await notify(authData.userId, { ...event, dedupeKey: 'achievement:2' });
+      await notify(authData.userId, { ...event, dedupeKey: 'achievement:3' });
+
+      const read = await request(app())
+        .put(`/api/notifications/${notification._id}/read`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(read.status).toBe(200);
+      expect(read.body.data.notification.isRead).toBe(true);
+      expect(read.body.data.unreadCount).toBe(2);
+
+      const unread = await request(app())
+        .get('/api/notifications?unread=true')
+        .set(getAuthHeaders(authData.token));
+      expect(unread.body.data.notifications).toHaveLength(2);
+
+      const readAll = await request(app())
+        .put('/api/notifications/read-all')
+        .set(getAuthHeaders(authData.token));
+      expect(readAll.body.data.updated).toBe(2);
+
+      const count = await request(app())
+        .get('/api/notifications/unread-count')
+        .set(getAuthHeaders(authData.token));
+      expect(count.body.data.unreadCount).toBe(0);
+    });
+
+    test('Should not mark another user\'s notification as read', async () => {
+      const other = await createAuthenticatedUser({ name: 'Other', email: 'other@example.com', password: 'password123' });
+      const notification = await notify(other.userId, { ...event, dedupeKey: 'achievement:1' });
+
+      const response = await request(app())
+        .put(`/api/notifications/${notification._id}/read`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(404);
+    });
+
+    test('Should require authentication', async () => {
+      const response = await request(app()).get('/api/notifications');
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Channels', () => {
+    test('Should email a budget threshold alert', async () => {
+      await request(app())
+        .post('/api/budgets')
+        .set(getAuthHeaders(authData.token))
+        .send({ category: 'food', amount: 100 });
+
+      await request(app())
+        .post('/api/expenses')
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 60, category: 'food', description: 'Groceries', date: new Date() });
+
+      const notifications = await Notification.find({ user: authData.userId });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({ type: 'budget_threshold' });
+      expect(notifications[0].data.threshold).toBe(50);
+      // Sent by the notification job, not while the expense is saved
+      expect(notifications[0].deliveries).toEqual([
+        expect.objectContaining({ channel: 'email', status: 'pending', attempts: 0 })
+      ]);
+
+      const summary = await processPendingDeliveries({ userId: authData.userId });
+      expect(summary).toMatchObject({ attempted: 1, sent: 1 });
+
+      const mail = getSentMail().filter(message => message.to === 'test@example.com').pop();
+      expect(mail.subject).toBe('50% of food budget used');
+    });
+
+    test('Should push to registered browsers', async () => {
+      const subscribed = await subscribePush();
+      expect(subscribed.status).toBe(201);
+
+      await notify(authData.userId, { ...event, dedupeKey: 'achievement:1' });
+      await processPendingDeliveries({ userId: authData.userId });
+
+      expect(getSentPush()).toEqual([
+        expect.objectContaining({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', title: event.title })
+      ]);
+
+      const removed = await request(app())
+        .delete('/api/notifications/push-subscriptions')
+        .set(getAuthHeaders(authData.token))
+        .send({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc' });
+      expect(removed.status).toBe(200);
+    });
+
+    test('Should only accept endpoints of known push services', async () => {
+      for (const endpoint of ['https://169.254.169.254/latest/meta-data', 'https://localhost/push', 'https://fcm.googleapis.com.example.com/send']) {
+        const response = await subscribePush(endpoint);
+        expect(response.status).toBe(400);
+      }
+      expect((await subscribePush('https://updates.push.services.mozilla.com/wpush/v2/abc')).status).toBe(201);
+    });
+
+    test('Should reject push subscriptions without keys', async () => {
+      const response = await request(app())
+        .post('/api/notifications/push-subscriptions')
+        .set(getAuthHeaders(authData.token))
+        .send({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('Should notify when a goal milestone is reached', async () => {
+      const goal = await createTestGoal(authData.userId, {
+        currentAmount: 0,
+        milestones: [{ amount: 2500, description: 'First quarter' }, { amount: 5000 }]
+      });
+
+      await request(app())
+        .post(`/api/goals/${goal._id}/contribute`)
+        .set(getAuthHeaders(authData.token))
+        .send({ amount: 3000 });
+
+      const notifications = await Notification.find({ user: authData.userId, type: 'goal_milestone' });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].data.amount).toBe(2500);
+    });
+  });
+
+  describe('Preferences', () => {
+    test('Should skip muted event types', async () => {
+      await UserSettings.create({ userId: authData.userId, goalReminders: false });
+
+      const notification = await notify(authData.userId, {
+        type: 'goal_milestone',
+        title: 'Milestone reached',
+        message: 'Your goal reached 2500.'
+      });
+
+      expect(notification).toBeNull();
+      expect(await Notification.countDocuments({ user: authData.userId })).toBe(0);
+    });
+
+    test('Should keep in-app notifications when external channels are off', async () => {
+      await User.updateOne({ _id: authData.userId }, { 'settings.notifications.email': false });
+      await subscribePush();
+      await UserSettings.create({ userId: authData.userId, notifications: true });
+
+      const emailOff = await notify(authData.userId, { ...event, dedupeKey: 'achievement:1' });
+      expect(emailOff.deliveries.map(delivery => delivery.channel)).toEqual(['push']);
+
+      await UserSettings.updateOne({ userId: authData.userId }, { notifications: false });
+      const allOff = await notify(authData.userId, { ...event, dedupeKey: 'achievement:2' });
+      expect(allOff.deliveries).toEqual([]);
+      expect(getSentMail().filter(message => message.to === 'test@example.com')).toHaveLength(0);
+    });
+  });
+
+  describe('Quiet hours', () => {
+    test('Should find the end of overnight quiet hours in the user\'s time zone', () => {
+      const quietHours = { enabled: true, start: '22:00', end: '07:00', timeZone: 'America/New_York' };
+
+      // 23:30 and 06:00 in New York (UTC-4 in June)
+      expect(getQuietHoursEnd(quietHours, new Date('2026-06-10T03:30:00Z'))).toEqual(new Date('2026-06-10T11:00:00Z'));
+      expect(getQuietHoursEnd(quietHours, new Date('2026-06-10T10:00:00Z'))).toEqual(new Date('2026-06-10T11:00:00Z'));
+      expect(getQuietHoursEnd(quietHours, new Date('2026-06-10T16:00:00Z'))).toBeNull();
+      expect(getQuietHoursEnd({ ...quietHours, enabled: false }, new Date('2026-06-10T03:30:00Z'))).toBeNull();
+    });
+
+    test('Should hold email until quiet hours end', async () => {
+      await request(app())
+        .put('/api/settings')
+        .set(getAuthHeaders(authData.token))
+        .send({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+
+      const now = new Date('2026-06-10T23:00:00Z');
+      const notification = await notify(authData.userId, { ...event, dedupeKey: 'achievement:1' }, { now });
+      await processPendingDeliveries({ now, userId: authData.userId });
+
+      const { deliveries } = await Notification.findById(notification._id);
+      expect(deliveries[0]).toMatchObject({ channel: 'email', status: 'pending', attempts: 0 });
+      expect(deliveries[0].nextAttemptAt).toEqual(new Date('2026-06-11T07:00:00Z'));
+      expect(getSentMail().filter(message => message.to === 'test@example.com')).toHaveLength(0);
+
+      const early = await processPendingDeliveries({ now: new Date('2026-06-11T06:00:00Z'), userId: authData.userId });
+      expect(early.attempted).toBe(0);
+
+      const summary = await processPendingDeliveries({ now: new Date('2026-06-11T07:00:00Z'), userId: authData.userId });
+      expect(summary).toMatchObject({ attempted: 1, sent: 1 });
+      expect(getSentMail().filter(message => message.to === 'test@example.com')).toHaveLength(1);
+    });
+
+    test('Should reject invalid quiet hours', async () => {
+      const response = await request(app())
+        .put('/api/settings')
+        .set(getAuthHeaders(authData.token))
+        .send({ quietHours: { enabled: true, start: '25:00', timeZone: 'Mars/Olympus' } });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Retries', () => {
+    test('Should retry failed deliveries and dead-letter them after the last attempt', async () => {
+      setChannelTransport('email', {
+        send: async () => {
+          throw new Error('SMTP unavailable');
+        }
+      });
+
+      let now = new Date('2026-06-10T12:00:00Z');
+      const notification = await notify(authData.userId, { ...event, dedupeKey: 'achievement:1' }, { now });
+      expect(notification.deliveries[0]).toMatchObject({ status: 'pending', attempts: 0 });
+
+      await processPendingDeliveries({ now, userId: authData.userId });
+      const retried = await Notification.findById(notification._id);
+      expect(retried.deliveries[0]).toMatchObject({ status: 'pending', attempts: 1, lastError: 'SMTP unavailable' });
+
+      // Not due before the retry delay passes
+      expect((await processPendingDeliveries({ now, userId: authData.userId })).attempted).toBe(0);
+
+      for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+        const { deliveries } = await Notification.findById(notification._id);
+        now = deliveries[0].nextAttemptAt;
+        await processPendingDeliveries({ now, userId: authData.userId });
+      }
+
+      const failed = await Notification.findById(notification._id);
+      expect(failed.deliveries[0]).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS });
+
+      const deadLetters = await NotificationDeadLetter.find({ user: authData.userId });
+      expect(deadLetters).toHaveLength(1);
+      expect(deadLetters[0]).toMatchObject({ channel: 'email', attempts: MAX_ATTEMPTS, lastError: 'SMTP unavailable' });
+    });
+
+    test('Should send on a later attempt once the channel recovers', async () => {
+      let calls = 0;
+      setChannelTransport('email', {
+        send: async () => {
+          calls += 1;
+          if (calls === 1) throw new Error('Connection reset');
+          return {};
+        }
+      });
+
+      const now = new Date('2026-06-10T12:00:00Z');
+      await notify(authData.userId, { ...event, dedupeKey: 'achievement:1' }, { now });
+      await processPendingDeliveries({ now, userId: authData.userId });
+      const summary = await processPendingDeliveries({ now: moment(now).add(1, 'minute').toDate(), userId: authData.userId });
+
+      expect(summary).toMatchObject({ attempted: 1, sent: 1 });
+      expect(await NotificationDeadLetter.countDocuments({ user: authData.userId })).toBe(0);
+    });
+  });
+
+  describe('Goal deadline reminders', () => {
+    test('Should remind once for underfunded goals due soon', async () => {
+      await createTestGoal(authData.userId, { title: 'Vacation', targetDate: moment().add(3, 'days').toDate() });
+      await createTestGoal(authData.userId, { title: 'Funded', currentAmount: 10000, targetDate: moment().add(3, 'days').toDate() });
+      await createTestGoal(authData.userId, { title: 'Later', targetDate: moment().add(30, 'days').toDate() });
+
+      expect(await processGoalDeadlineReminders({ userId: authData.userId })).toBe(1);
+      expect(await processGoalDeadlineReminders({ userId: authData.userId })).toBe(0);
+
+      const reminders = await Notification.find({ user: authData.userId, type: 'goal_deadline' });
+      expect(reminders).toHaveLength(1);
+      expect(reminders[0].title).toBe('Vacation is due in 3 days');
+    });
+  });
+});
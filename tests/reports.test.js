@@ -1,5 +1,13 @@
 const request = require('supertest');
-const { createAuthenticatedUser, createTestData, getAuthHeaders, app } = require('./helpers/testHelpers');
+const { createAuthenticatedUser, createTestData, createTestExpense, createTestIncome, createTestGoal, getAuthHeaders, app } = require('./helpers/testHelpers');
+const moment = require('moment');
+const mongoose = require('mongoose');
+const UserSettings = require('../src/models/UserSettings');
+const Debt = require('../src/models/Debt');
+const User = require('../src/models/User');
+const Digest = require('../src/models/Digest');
+const { getSentMail, clearSentMail, setTransport } = require('../src/utils/mailer');
+const { createUnsubscribeToken, generateDigest, processDigests } = require('../src/utils/digests');
 
 describe('Reports & Analytics Endpoints', () => {
   let authData;
@@ -80,6 +88,74 @@ describe('Reports & Analytics Endpoints', () => {
     });
   });
 
+  describe('GET /api/reports/monthly/:year/:month?format=pdf', () => {
+    const getPdf = (path) => request(app())
+      .get(path)
+      .set(getAuthHeaders(authData.token))
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    test('Should render the monthly statement as a PDF', async () => {
+      await createTestData(authData.userId);
+      const now = moment();
+
+      const response = await getPdf(`/api/reports/monthly/${now.year()}/${now.month() + 1}?format=pdf`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/pdf');
+      expect(response.headers['content-disposition']).toContain(`healthywallet-statement-${now.format('YYYY-MM')}.pdf`);
+      expect(response.body.slice(0, 5).toString()).toBe('%PDF-');
+      expect(response.body.slice(-6).toString()).toContain('%%EOF');
+    });
+
+    test('Should render a statement for a month without data', async () => {
+      await UserSettings.create({ userId: authData.userId, currency: 'INR' });
+
+      const response = await getPdf('/api/reports/monthly/2020/2?format=pdf');
+
+      expect(response.status).toBe(200);
+      expect(response.body.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('Should include goal progress at the end of the month in the JSON report', async () => {
+      const lastMonth = moment().subtract(1, 'month');
+      await createTestGoal(authData.userId, {
+        title: 'Emergency Fund',
+        currentAmount: 1500,
+        contributions: [
+          { amount: 200, date: lastMonth.clone().date(10).toDate() },
+          { amount: 300, date: new Date() }
+        ],
+        createdAt: lastMonth.clone().startOf('month').toDate()
+      });
+
+      const response = await request(app())
+        .get(`/api/reports/monthly/${lastMonth.year()}/${lastMonth.month() + 1}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.goalProgress).toEqual([
+        expect.objectContaining({ title: 'Emergency Fund', currentAmount: 1200, contributed: 200 })
+      ]);
+    });
+
+    test('Should reject unknown formats and invalid months', async () => {
+      const format = await request(app())
+        .get('/api/reports/monthly/2024/5?format=docx')
+        .set(getAuthHeaders(authData.token));
+      expect(format.status).toBe(400);
+
+      const month = await request(app())
+        .get('/api/reports/monthly/2024/13?format=pdf')
+        .set(getAuthHeaders(authData.token));
+      expect(month.status).toBe(400);
+    });
+  });
+
   describe('GET /api/reports/category-analysis', () => {
     test('Should get category analysis', async () => {
       await createTestData(authData.userId);
@@ -166,6 +242,64 @@ describe('Reports & Analytics Endpoints', () => {
     });
   });
 
+  describe('GET /api/reports/cash-flow-forecast', () => {
+    const getForecast = (query = '') => request(app())
+      .get(`/api/reports/cash-flow-forecast${query}`)
+      .set(getAuthHeaders(authData.token));
+
+    test('Should project recurring items and debt minimums and flag negative days', async () => {
+      await createTestIncome(authData.userId, { amount: 2000 });
+      await createTestExpense(authData.userId, {
+        amount: 800,
+        category: 'bills',
+        description: 'Rent',
+        date: moment().subtract(1, 'month').add(10, 'days').toDate(),
+        isRecurring: true,
+        recurringPeriod: 'monthly'
+      });
+      await Debt.create({
+        user: authData.userId,
+        name: 'Card',
+        principal: 3000,
+        apr: 20,
+        minimumPayment: 500,
+        dueDay: moment().add(5, 'days').date()
+      });
+
+      const response = await getForecast('?days=20');
+
+      expect(response.status).toBe(200);
+      const { forecast } = response.body.data;
+      expect(forecast.startingBalance).toBe(1200);
+      expect(forecast.totals).toMatchObject({ expenses: 800, debtPayments: 500, discretionary: 0 });
+      expect(forecast.daily).toHaveLength(20);
+      expect(forecast.endingBalance).toBe(-100);
+      expect(forecast.firstNegativeDate).not.toBeNull();
+      expect(forecast.negativeDays.length).toBeGreaterThan(0);
+      expect(forecast.daily.flatMap(day => day.events).map(event => event.type).sort())
+        .toEqual(['debt_payment', 'expense']);
+    });
+
+    test('Should add a discretionary baseline with widening bands', async () => {
+      await createTestExpense(authData.userId, { amount: 40, category: 'food', date: moment().subtract(3, 'days').toDate() });
+      await createTestExpense(authData.userId, { amount: 20, category: 'food' });
+
+      const response = await getForecast('?days=10');
+
+      const { forecast } = response.body.data;
+      expect(forecast.baseline[0]).toMatchObject({ category: 'food', dailyAverage: 15, observedDays: 4 });
+      expect(forecast.totals.discretionary).toBe(150);
+      const width = (day) => day.upper80 - day.lower80;
+      expect(width(forecast.daily[9])).toBeGreaterThan(width(forecast.daily[0]));
+    });
+
+    test('Should reject an out-of-range horizon', async () => {
+      const response = await getForecast('?days=500');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('GET /api/reports/export', () => {
     test('Should export user data in JSON format', async () => {
       await createTestData(authData.userId);
@@ -203,13 +337,95 @@ describe('Reports & Analytics Endpoints', () => {
     });
 
     test('Should return error for unsupported format', async () => {
+      const response = await request(app())
+        .get('/api/reports/export?format=xml')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should export a single entity as CSV', async () => {
+      await createTestExpense(authData.userId, {
+        amount: 42.5,
+        description: 'Dinner, "downtown"',
+        tags: ['dining', 'friends'],
+        date: new Date('2024-03-10T18:30:00Z')
+      });
+
+      const response = await request(app())
+        .get('/api/reports/export?format=csv&entity=expenses&startDate=2024-01-01')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toContain('healthywallet-expenses.csv');
+
+      const [header, row] = response.text.trim().split('\r\n');
+      expect(header).toBe('id,date,amount,currency,baseAmount,baseCurrency,category,description,isRecurring,recurringPeriod,location,tags');
+      expect(row).toContain('2024-03-10T18:30:00.000Z,42.5,USD,42.5,USD,food,"Dinner, ""downtown""",false');
+      expect(row).toContain('dining;friends');
+    });
+
+    test('Should use the currency from user settings', async () => {
+      await UserSettings.create({ userId: authData.userId, currency: 'EUR' });
+      await createTestIncome(authData.userId, { date: new Date('2024-02-01T00:00:00Z') });
+
+      const response = await request(app())
+        .get('/api/reports/export?format=csv&entity=income&startDate=2024-01-01')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain(',EUR,');
+    });
+
+    test('Should export the original and base currency of foreign transactions', async () => {
+      await createTestExpense(authData.userId, {
+        amount: 100,
+        currency: 'EUR',
+        baseAmount: 110,
+        baseCurrency: 'USD',
+        exchangeRate: 1.1,
+        date: new Date('2024-03-10T00:00:00Z')
+      });
+
+      const response = await request(app())
+        .get('/api/reports/export?format=csv&entity=expenses&startDate=2024-01-01')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      const [, row] = response.text.trim().split('\r\n');
+      expect(row).toContain('2024-03-10T00:00:00.000Z,100,EUR,110,USD,food');
+    });
+
+    test('Should export all entities as a zip archive', async () => {
+      await createTestData(authData.userId);
+
       const response = await request(app())
         .get('/api/reports/export?format=csv')
+        .set(getAuthHeaders(authData.token))
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/zip');
+      expect(response.body.slice(0, 2).toString()).toBe('PK');
+      ['income.csv', 'expenses.csv', 'goals.csv', 'contributions.csv'].forEach(name => {
+        expect(response.body.includes(Buffer.from(name))).toBe(true);
+      });
+    });
+
+    test('Should reject unknown CSV entities', async () => {
+      const response = await request(app())
+        .get('/api/reports/export?format=csv&entity=passwords')
         .set(getAuthHeaders(authData.token));
 
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toContain('CSV export not implemented');
     });
 
     test('Should export empty data for new user', async () => {
@@ -224,6 +440,130 @@ describe('Reports & Analytics Endpoints', () => {
     });
   });
 
+  describe('Digests', () => {
+    // A moment in the last complete week
+    const lastWeek = () => moment.utc().subtract(1, 'week').startOf('isoWeek').add(2, 'days').add(12, 'hours').toDate();
+
+    beforeEach(() => {
+      clearSentMail();
+    });
+
+    afterEach(() => {
+      setTransport(null);
+    });
+
+    const digestMail = () => getSentMail().filter(mail => mail.to === 'test@example.com');
+
+    test('Should compose, store and email the weekly digest', async () => {
+      const date = lastWeek();
+      await createTestIncome(authData.userId, { amount: 2000, date });
+      await createTestExpense(authData.userId, { amount: 300, category: 'food', date });
+      await createTestExpense(authData.userId, { amount: 100, category: 'transport', date });
+      // Outside the week
+      await createTestExpense(authData.userId, { amount: 999, category: 'food', date: moment.utc(date).subtract(3, 'weeks').toDate() });
+      await createTestGoal(authData.userId, {
+        title: 'Emergency Fund',
+        contributions: [{ amount: 250, date }]
+      });
+
+      const digest = await generateDigest(authData.userId, 'weekly');
+
+      expect(digest.summary.totals).toMatchObject({ income: 2000, expenses: 400, net: 1600, savingsRate: 80 });
+      expect(digest.summary.categories.map(category => [category.category, category.amount])).toEqual([['food', 300], ['transport', 100]]);
+      expect(digest.summary.goals[0]).toMatchObject({ title: 'Emergency Fund', contributed: 250 });
+      expect(digest.summary.insights.map(insight => insight.type)).toContain('savings_rate');
+      expect(digest.email.status).toBe('sent');
+
+      const [mail] = digestMail();
+      expect(mail.subject).toMatch(/weekly summary/);
+      expect(mail.text).toContain('Emergency Fund');
+      expect(mail.html).toContain('/unsubscribe?token=');
+    });
+
+    test('Should list digests and return one with its content', async () => {
+      const digest = await generateDigest(authData.userId, 'monthly');
+
+      const list = await request(app())
+        .get('/api/reports/digests?period=monthly')
+        .set(getAuthHeaders(authData.token));
+
+      expect(list.status).toBe(200);
+      expect(list.body.data.digests).toHaveLength(1);
+      expect(list.body.data.digests[0].html).toBeUndefined();
+      expect(list.body.data.digests[0].periodKey).toBe(moment.utc().subtract(1, 'month').format('YYYY-MM'));
+
+      const single = await request(app())
+        .get(`/api/reports/digests/${digest._id}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(single.status).toBe(200);
+      expect(single.body.data.digest.html).toContain('Spending by category');
+    });
+
+    test('Should generate each period once per user', async () => {
+      // Users created after a period ended get no digest for it
+      expect((await processDigests({ userId: authData.userId })).generated).toBe(0);
+
+      await User.collection.updateOne(
+        { _id: new mongoose.Types.ObjectId(authData.userId) },
+        { $set: { createdAt: moment().subtract(3, 'months').toDate() } }
+      );
+
+      expect((await processDigests({ userId: authData.userId })).generated).toBe(2);
+      expect((await processDigests({ userId: authData.userId })).generated).toBe(0);
+      expect(await Digest.countDocuments({ user: authData.userId })).toBe(2);
+    });
+
+    test('Should store but not email digests when weekly reports are off', async () => {
+      await User.updateOne({ _id: authData.userId }, { 'settings.notifications.weeklyReports': false });
+
+      const digest = await generateDigest(authData.userId, 'weekly');
+
+      expect(digest.email.status).toBe('skipped');
+      expect(digestMail()).toHaveLength(0);
+    });
+
+    test('Should retry a failed digest email on later runs', async () => {
+      setTransport({
+        send: async () => {
+          throw new Error('SMTP unavailable');
+        }
+      });
+
+      const digest = await generateDigest(authData.userId, 'weekly');
+      expect(digest.email).toMatchObject({ status: 'pending', attempts: 1, lastError: 'SMTP unavailable' });
+
+      await processDigests({ userId: authData.userId });
+      await processDigests({ userId: authData.userId });
+
+      const failed = await Digest.findById(digest._id);
+      expect(failed.email).toMatchObject({ status: 'failed', attempts: 3 });
+    });
+
+    test('Should turn weekly reports off with the unsubscribe token', async () => {
+      const response = await request(app())
+        .post('/api/reports/digests/unsubscribe')
+        .send({ token: createUnsubscribeToken(authData.userId) });
+
+      expect(response.status).toBe(200);
+      const user = await User.findById(authData.userId);
+      expect(user.settings.notifications.weeklyReports).toBe(false);
+    });
+
+    test('Should reject a tampered unsubscribe token', async () => {
+      const other = await createAuthenticatedUser({ name: 'Other', email: 'other@example.com', password: 'password123' });
+      const [, signature] = createUnsubscribeToken(authData.userId).split('.');
+
+      const response = await request(app())
+        .post('/api/reports/digests/unsubscribe')
+        .send({ token: `${other.userId}.${signature}` });
+
+      expect(response.status).toBe(400);
+      const user = await User.findById(other.userId);
+      expect(user.settings.notifications.weeklyReports).toBe(true);
+    });
+  });
+
   describe('Authentication required for all endpoints', () => {
     test('Should require authentication for dashboard', async () => {
       const response = await request(app())
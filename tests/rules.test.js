@@ -0,0 +1,232 @@
+const request = require('supertest');
+const { createAuthenticatedUser, createTestExpense, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Rule = require('../src/models/Rule');
+const UserSettings = require('../src/models/UserSettings');
+
+describe('Rule Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  const createRule = (data) => request(app())
+    .post('/api/rules')
+    .set(getAuthHeaders(authData.token))
+    .send({ type: 'expense', ...data });
+
+  const postExpense = (data) => request(app())
+    .post('/api/expenses')
+    .set(getAuthHeaders(authData.token))
+    .send({ amount: 25, date: new Date().toISOString(), ...data });
+
+  describe('POST /api/rules', () => {
+    test('Should create a rule placed after existing rules', async () => {
+      await createRule({
+        name: 'Rides',
+        conditions: { descriptionContains: 'uber' },
+        actions: { category: 'transport' }
+      });
+      const response = await createRule({
+        name: 'Coffee',
+        conditions: { descriptionRegex: '^(starbucks|costa)' },
+        actions: { category: 'food', addTags: ['coffee'] }
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.rule).toMatchObject({ priority: 2, status: 'active', source: 'manual' });
+    });
+
+    test('Should reject unknown categories and unsafe patterns', async () => {
+      const unknownCategory = await createRule({
+        name: 'Pets',
+        conditions: { descriptionContains: 'vet' },
+        actions: { category: 'pets' }
+      });
+      expect(unknownCategory.status).toBe(400);
+
+      const nestedQuantifier = await createRule({
+        name: 'Slow',
+        conditions: { descriptionRegex: '(a+)+$' },
+        actions: { category: 'food' }
+      });
+      expect(nestedQuantifier.status).toBe(400);
+
+      const repeatedAlternation = await createRule({
+        name: 'Also slow',
+        conditions: { descriptionRegex: '^(a|a)+$' },
+        actions: { category: 'food' }
+      });
+      expect(repeatedAlternation.status).toBe(400);
+      expect(repeatedAlternation.body.message).toContain('cannot repeat a group');
+    });
+
+    test('Should require at least one condition and one action', async () => {
+      const response = await createRule({ name: 'Empty', conditions: {}, actions: {} });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Applying rules', () => {
+    test('Should categorize and tag a new expense without a category', async () => {
+      await createRule({
+        name: 'Rides',
+        conditions: { descriptionContains: 'uber trip', amountMax: 100 },
+        actions: { category: 'transport', addTags: ['ride'] }
+      });
+
+      const response = await postExpense({ description: 'UBER *TRIP 4411' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.expense.category).toBe('transport');
+      expect(response.body.data.expense.tags).toEqual(['ride']);
+      expect(response.body.data.appliedRules).toHaveLength(1);
+    });
+
+    test('Should keep a category chosen by the client', async () => {
+      await createRule({
+        name: 'Rides',
+        conditions: { descriptionContains: 'uber' },
+        actions: { category: 'transport' }
+      });
+
+      const response = await postExpense({ description: 'Uber Eats', category: 'food' });
+
+      expect(response.body.data.expense.category).toBe('food');
+    });
+
+    test('Should fall back to other when no rule matches', async () => {
+      const response = await postExpense({ description: 'Corner shop' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.expense.category).toBe('other');
+    });
+
+    test('Should run rules by priority and honor stopProcessing', async () => {
+      const generic = await createRule({
+        name: 'Generic',
+        conditions: { amountMin: 10 },
+        actions: { category: 'shopping', addTags: ['generic'] }
+      });
+      const specific = await createRule({
+        name: 'Gym',
+        conditions: { descriptionContains: 'gym' },
+        actions: { category: 'healthcare', recurringPeriod: 'monthly' },
+        stopProcessing: true
+      });
+
+      await request(app())
+        .put('/api/rules/reorder')
+        .set(getAuthHeaders(authData.token))
+        .send({ ruleIds: [specific.body.data.rule._id, generic.body.data.rule._id] });
+
+      const response = await postExpense({ description: 'City Gym membership', amount: 40 });
+
+      expect(response.body.data.expense).toMatchObject({
+        category: 'healthcare',
+        isRecurring: true,
+        recurringPeriod: 'monthly',
+        tags: []
+      });
+    });
+
+    test('Should apply rules to imported rows', async () => {
+      await createRule({
+        name: 'Streaming',
+        conditions: { descriptionContains: 'hulu' },
+        actions: { category: 'entertainment', addTags: ['streaming'] }
+      });
+
+      const response = await request(app())
+        .post('/api/imports/preview')
+        .set(getAuthHeaders(authData.token))
+        .send({
+          format: 'csv',
+          type: 'expense',
+          content: 'Date,Description,Amount\n2024-03-01,HULU 8844,-12.99'
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rows[0].data).toMatchObject({ category: 'entertainment', tags: ['streaming'] });
+    });
+  });
+
+  describe('Dry runs', () => {
+    test('Should test a draft rule against the last 90 days', async () => {
+      await createTestExpense(authData.userId, { description: 'Shell fuel', category: 'other', date: new Date() });
+      await createTestExpense(authData.userId, { description: 'Shell fuel', category: 'transport', date: new Date() });
+      await createTestExpense(authData.userId, {
+        description: 'Shell fuel',
+        category: 'other',
+        date: new Date(Date.now() - 120 * 24 * 60 * 60 * 1000)
+      });
+
+      const response = await request(app())
+        .post('/api/rules/test')
+        .set(getAuthHeaders(authData.token))
+        .send({
+          type: 'expense',
+          conditions: { descriptionContains: 'shell' },
+          actions: { category: 'transport' }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ days: 90, scanned: 2, matched: 2, wouldChange: 1 });
+      expect(await Rule.countDocuments({ user: authData.userId })).toBe(0);
+    });
+  });
+
+  describe('Learning from corrections', () => {
+    const recategorize = async (description) => {
+      const expense = await createTestExpense(authData.userId, { description, category: 'other' });
+      return request(app())
+        .put(`/api/expenses/${expense._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ category: 'food' });
+    };
+
+    test('Should propose a rule after repeated corrections', async () => {
+      const first = await recategorize('TESCO STORES 1234');
+      const second = await recategorize('Tesco Stores 5678');
+      expect(first.body.data.proposedRule).toBeNull();
+      expect(second.body.data.proposedRule).toBeNull();
+
+      const third = await recategorize('TESCO STORES 9012');
+
+      expect(third.status).toBe(200);
+      expect(third.body.data.proposedRule).toMatchObject({
+        status: 'proposed',
+        source: 'learned',
+        conditions: { descriptionContains: 'tesco stores' },
+        actions: { category: 'food' }
+      });
+
+      const accepted = await request(app())
+        .put(`/api/rules/${third.body.data.proposedRule._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'active' });
+      expect(accepted.body.data.rule.status).toBe('active');
+
+      const expense = await postExpense({ description: 'TESCO STORES 3456' });
+      expect(expense.body.data.expense.category).toBe('food');
+    });
+
+    test('Should not learn when the setting is off', async () => {
+      await UserSettings.create({ userId: authData.userId, learnCategoryRules: false });
+
+      await recategorize('TESCO STORES 1234');
+      await recategorize('TESCO STORES 5678');
+      const third = await recategorize('TESCO STORES 9012');
+
+      expect(third.body.data.proposedRule).toBeNull();
+      expect(await Rule.countDocuments({ user: authData.userId })).toBe(0);
+    });
+  });
+
+  test('Should require authentication', async () => {
+    const response = await request(app()).get('/api/rules');
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,274 @@
+const request = require('supertest');
+const moment = require('moment');
+const { createAuthenticatedUser, createTestExpense, getAuthHeaders, app } = require('./helpers/testHelpers');
+const Expense = require('../src/models/Expense');
+const Subscription = require('../src/models/Subscription');
+
+describe('Subscription Endpoints', () => {
+  let authData;
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+  });
+
+  // Charges one period apart ending `endsAgo` periods before today, oldest first
+  const createCharges = async (amounts, { unit = 'months', endsAgo = 0, ...overrides } = {}) => {
+    const charges = [];
+    for (let i = 0; i < amounts.length; i++) {
+      charges.push(await createTestExpense(authData.userId, {
+        amount: amounts[i],
+        category: 'entertainment',
+        description: 'Streamflix Premium',
+        date: moment().subtract(amounts.length - 1 - i + endsAgo, unit).toDate(),
+        ...overrides
+      }));
+    }
+    return charges;
+  };
+
+  const confirm = (data) => request(app())
+    .post('/api/subscriptions')
+    .set(getAuthHeaders(authData.token))
+    .send(data);
+
+  const getOverview = (query = '') => request(app())
+    .get(`/api/subscriptions${query}`)
+    .set(getAuthHeaders(authData.token));
+
+  describe('GET /api/subscriptions/detected', () => {
+    test('Should propose periodic charges with their cadence and next charge', async () => {
+      const charges = await createCharges([15.99, 15.99, 15.99, 15.99]);
+      // Weekly purchases with varying amounts are not subscriptions
+      for (let i = 0; i < 4; i++) {
+        await createTestExpense(authData.userId, {
+          amount: 40 + i * 13,
+          description: 'Corner Grocer',
+          date: moment().subtract(i, 'weeks').toDate()
+        });
+      }
+
+      const response = await request(app())
+        .get('/api/subscriptions/detected')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.proposals).toHaveLength(1);
+      expect(response.body.data.proposals[0]).toMatchObject({
+        merchant: 'streamflix premium',
+        cadence: 'monthly',
+        chargeCount: 4,
+        amount: 15.99,
+        monthlyCost: 15.99,
+        priceChanges: [],
+        confidence: 1
+      });
+      expect(moment(response.body.data.proposals[0].nextChargeDate).isSame(moment(charges[3].date).add(1, 'month'), 'day')).toBe(true);
+    });
+
+    test('Should report price changes within a series', async () => {
+      await createCharges([9.99, 9.99, 12.99, 12.99]);
+
+      const response = await request(app())
+        .get('/api/subscriptions/detected')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.body.data.proposals[0].priceChanges).toEqual([
+        expect.objectContaining({ from: 9.99, to: 12.99, change: 3 })
+      ]);
+    });
+
+    test('Should not propose charges that stopped', async () => {
+      await createCharges([15.99, 15.99, 15.99], { endsAgo: 6 });
+
+      const response = await request(app())
+        .get('/api/subscriptions/detected')
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.body.data.proposals).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/subscriptions', () => {
+    test('Should turn the latest charge into a recurring template', async () => {
+      const charges = await createCharges([15.99, 15.99, 15.99]);
+
+      const response = await confirm({ merchant: 'streamflix premium', name: 'Streamflix' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.subscription).toMatchObject({
+        name: 'Streamflix',
+        cadence: 'monthly',
+        amount: 15.99,
+        status: 'active',
+        template: charges[2]._id.toString()
+      });
+
+      const template = await Expense.findById(charges[2]._id);
+      expect(template.isRecurring).toBe(true);
+      expect(template.recurringPeriod).toBe('monthly');
+
+      const detected = await request(app())
+        .get('/api/subscriptions/detected')
+        .set(getAuthHeaders(authData.token));
+      expect(detected.body.data.proposals).toHaveLength(0);
+    });
+
+    test('Should return 404 for a merchant that is not detected', async () => {
+      const response = await confirm({ merchant: 'unknown shop' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Should ignore a proposal', async () => {
+      await createCharges([15.99, 15.99, 15.99]);
+
+      const ignored = await request(app())
+        .post('/api/subscriptions/ignore')
+        .set(getAuthHeaders(authData.token))
+        .send({ merchant: 'streamflix premium' });
+
+      expect(ignored.status).toBe(200);
+      expect(ignored.body.data.subscription.status).toBe('ignored');
+
+      const detected = await request(app())
+        .get('/api/subscriptions/detected')
+        .set(getAuthHeaders(authData.token));
+      expect(detected.body.data.proposals).toHaveLength(0);
+
+      const overview = await getOverview();
+      expect(overview.body.data.subscriptions).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/subscriptions', () => {
+    test('Should total monthly cost across cadences', async () => {
+      await createCharges([15.99, 15.99, 15.99]);
+      await createCharges([120, 120], { unit: 'years', description: 'Cloud Backup Annual', category: 'bills' });
+      await confirm({ merchant: 'streamflix premium' });
+      await confirm({ merchant: 'cloud backup annual' });
+
+      const response = await getOverview();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.subscriptions).toHaveLength(2);
+      expect(response.body.data.summary).toMatchObject({
+        activeCount: 2,
+        monthlyTotal: 25.99,
+        yearlyTotal: 311.88,
+        manualEstimate: 0
+      });
+    });
+
+    test('Should track a new price on the recurring run and move the template to that charge', async () => {
+      const charges = await createCharges([15.99, 15.99, 15.99]);
+      await confirm({ merchant: 'streamflix premium' });
+      const newCharge = await createTestExpense(authData.userId, {
+        amount: 17.99,
+        category: 'entertainment',
+        description: 'STREAMFLIX PREMIUM',
+        date: new Date()
+      });
+
+      const unchanged = await getOverview();
+      expect(unchanged.body.data.subscriptions[0].amount).toBe(15.99);
+
+      const run = await request(app())
+        .post('/api/expenses/recurring/run')
+        .set(getAuthHeaders(authData.token))
+        .send({});
+      expect(run.body.data.summary.subscriptionsUpdated).toBe(1);
+
+      const response = await getOverview();
+
+      const [subscription] = response.body.data.subscriptions;
+      expect(subscription.amount).toBe(17.99);
+      expect(subscription.priceHistory.map(entry => entry.amount)).toEqual([15.99, 17.99]);
+      expect(subscription.template).toBe(newCharge._id.toString());
+      expect((await Expense.findById(charges[2]._id)).isRecurring).toBe(false);
+      expect((await Expense.findById(newCharge._id)).isRecurring).toBe(true);
+    });
+
+    test('Should list subscriptions not used for the given months', async () => {
+      await createCharges([15.99, 15.99, 15.99]);
+      const confirmed = await confirm({ merchant: 'streamflix premium' });
+
+      await request(app())
+        .put(`/api/subscriptions/${confirmed.body.data.subscription._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ lastUsedAt: moment().subtract(4, 'months').toDate() });
+
+      const unused = await getOverview();
+      expect(unused.body.data.unused.months).toBe(3);
+      expect(unused.body.data.unused.subscriptions).toHaveLength(1);
+      expect(unused.body.data.unused.potentialMonthlySavings).toBe(15.99);
+
+      const longer = await getOverview('?unusedMonths=6');
+      expect(longer.body.data.unused.subscriptions).toHaveLength(0);
+
+      const invalid = await getOverview('?unusedMonths=0');
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/subscriptions/:id and DELETE /api/subscriptions/:id', () => {
+    test('Should cancel and resume the recurring charge', async () => {
+      const charges = await createCharges([15.99, 15.99, 15.99]);
+      const confirmed = await confirm({ merchant: 'streamflix premium' });
+      const subscriptionId = confirmed.body.data.subscription._id;
+
+      const cancelled = await request(app())
+        .put(`/api/subscriptions/${subscriptionId}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'cancelled' });
+
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.data.subscription.status).toBe('cancelled');
+      expect((await Expense.findById(charges[2]._id)).isRecurring).toBe(false);
+
+      const overview = await getOverview();
+      expect(overview.body.data.summary).toMatchObject({ activeCount: 0, monthlyTotal: 0 });
+
+      const resumed = await request(app())
+        .put(`/api/subscriptions/${subscriptionId}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'active' });
+
+      expect(resumed.body.data.subscription.status).toBe('active');
+      const template = await Expense.findById(charges[2]._id);
+      expect(template.isRecurring).toBe(true);
+      expect(template.nextRecurringDate > new Date()).toBe(true);
+    });
+
+    test('Should delete a subscription and stop its template', async () => {
+      const charges = await createCharges([15.99, 15.99, 15.99]);
+      const confirmed = await confirm({ merchant: 'streamflix premium' });
+
+      const response = await request(app())
+        .delete(`/api/subscriptions/${confirmed.body.data.subscription._id}`)
+        .set(getAuthHeaders(authData.token));
+
+      expect(response.status).toBe(200);
+      expect(await Subscription.countDocuments({ user: authData.userId })).toBe(0);
+      expect((await Expense.findById(charges[2]._id)).isRecurring).toBe(false);
+    });
+
+    test('Should validate updates', async () => {
+      await createCharges([15.99, 15.99, 15.99]);
+      const confirmed = await confirm({ merchant: 'streamflix premium' });
+
+      const response = await request(app())
+        .put(`/api/subscriptions/${confirmed.body.data.subscription._id}`)
+        .set(getAuthHeaders(authData.token))
+        .send({ status: 'ignored' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  test('Should require authentication', async () => {
+    const response = await request(app()).get('/api/subscriptions');
+
+    expect(response.status).toBe(401);
+  });
+});
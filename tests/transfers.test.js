@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { createAuthenticatedUser, getAuthHeaders, app } = require('./helpers/testHelpers');
+const User = require('../src/models/User');
+
+describe('Transfer Endpoints', () => {
+  let authData;
+  let checking;
+  let savings;
+
+  const createAccount = async (data) => {
+    const response = await request(app())
+      .post('/api/accounts')
+      .set(getAuthHeaders(authData.token))
+      .send(data);
+    return response.body.data.account;
+  };
+
+  const createTransfer = (data) => request(app())
+    .post('/api/transfers')
+    .set(getAuthHeaders(authData.token))
+    .send({ date: '2024-03-15', ...data });
+
+  const getBalance = async (accountId) => {
+    const response = await request(app())
+      .get(`/api/accounts/${accountId}`)
+      .set(getAuthHeaders(authData.token));
+    return response.body.data.account.balance;
+  };
+
+  beforeEach(async () => {
+    authData = await createAuthenticatedUser();
+    checking = await createAccount({ name: 'Checking', type: 'checking', openingBalance: 1000 });
+    savings = await createAccount({ name: 'Savings', type: 'savings' });
+  });
+
+  test('Should move money between accounts without counting income or spending', async () => {
+    const response = await createTransfer({ fromAccount: checking._id, toAccount: savings._id, amount: 300 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.transfer).toMatchObject({ amount: 300, toAmount: 300 });
+    expect(await getBalance(checking._id)).toBe(700);
+    expect(await getBalance(savings._id)).toBe(300);
+
+    const user = await User.findById(authData.userId);
+    expect(user.financialSummary.totalIncome).toBe(0);
+    expect(user.financialSummary.totalExpenses).toBe(0);
+  });
+
+  test('Should require the arriving amount between currencies', async () => {
+    const euro = await createAccount({ name: 'Euro savings', type: 'savings', currency: 'EUR' });
+
+    const missing = await createTransfer({ fromAccount: checking._id, toAccount: euro._id, amount: 110 });
+    expect(missing.status).toBe(400);
+
+    const response = await createTransfer({ fromAccount: checking._id, toAccount: euro._id, amount: 110, toAmount: 100 });
+    expect(response.status).toBe(201);
+    expect(await getBalance(euro._id)).toBe(100);
+  });
+
+  test('Should reject a transfer to the same account', async () => {
+    const response = await createTransfer({ fromAccount: checking._id, toAccount: checking._id, amount: 10 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+  });
+
+  test('Should update and delete a transfer', async () => {
+    const created = await createTransfer({ fromAccount: checking._id, toAccount: savings._id, amount: 300 });
+    const transferId = created.body.data.transfer._id;
+
+    const updated = await request(app())
+      .put(`/api/transfers/${transferId}`)
+      .set(getAuthHeaders(authData.token))
+      .send({ amount: 200 });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.transfer).toMatchObject({ amount: 200, toAmount: 200 });
+
+    const listed = await request(app())
+      .get(`/api/transfers?account=${savings._id}`)
+      .set(getAuthHeaders(authData.token));
+    expect(listed.body.data.transfers).toHaveLength(1);
+    expect(listed.body.data.transfers[0].fromAccount.name).toBe('Checking');
+
+    const deleted = await request(app())
+      .delete(`/api/transfers/${transferId}`)
+      .set(getAuthHeaders(authData.token));
+
+    expect(deleted.status).toBe(200);
+    expect(await getBalance(checking._id)).toBe(1000);
+  });
+
+  test('Should not use accounts of other users', async () => {
+    const otherUser = await createAuthenticatedUser({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+    const otherAccount = await request(app())
+      .post('/api/accounts')
+      .set(getAuthHeaders(otherUser.token))
+      .send({ name: 'Theirs', type: 'cash' });
+
+    const response = await createTransfer({
+      fromAccount: checking._id,
+      toAccount: otherAccount.body.data.account._id,
+      amount: 10
+    });
+
+    expect(response.status).toBe(400);
+  });
+});
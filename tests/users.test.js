@@ -1,5 +1,7 @@
 const request = require('supertest');
 const { createAuthenticatedUser, createTestData, getAuthHeaders, app } = require('./helpers/testHelpers');
+const { getSentMail, clearSentMail } = require('../src/utils/mailer');
+const User = require('../src/models/User');
 
 describe('User Management Endpoints', () => {
   let authData;
@@ -81,6 +83,27 @@ describe('User Management Endpoints', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('already taken');
     });
+
+    test('Should require verification of a changed email', async () => {
+      await User.findByIdAndUpdate(authData.userId, { isEmailVerified: true, emailVerifiedAt: new Date() });
+      clearSentMail();
+
+      const response = await request(app())
+        .put('/api/users/profile')
+        .set(getAuthHeaders(authData.token))
+        .send({ email: 'changed@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.email).toBe('changed@example.com');
+
+      const user = await User.findById(authData.userId);
+      expect(user.isEmailVerified).toBe(false);
+      expect(user.emailVerifiedAt).toBeUndefined();
+
+      const mail = getSentMail().filter(message => message.to === 'changed@example.com');
+      expect(mail).toHaveLength(1);
+      expect(mail[0].text).toMatch(/verify-email\?token=[a-f0-9]+/);
+    });
   });
 
   describe('PUT /api/users/settings', () => {